@@ -0,0 +1,113 @@
+// Local SMTP and HTTP sink for trying alert channels without a mail server or webhook receiver (npm run alerts:sink)
+// Prints every email and webhook request it receives. Point SMTP_HOST/SMTP_PORT at the SMTP side (leave SMTP_USER
+// unset; the sink offers no AUTH or STARTTLS) and webhook or Slack channels, or outbound webhooks, at
+// http://127.0.0.1:<port>/<any path>.
+// Settings come from the environment:
+//   ALERT_SINK_SMTP_PORT=2525  ALERT_SINK_HTTP_PORT=8025
+//   ALERT_SINK_HTTP_STATUS=200 (answer webhooks with e.g. 500 to watch deliveries being retried)
+//   ALERT_SINK_SECRET= (when set, checks X-Inventory-Signature against this webhook secret)
+
+const net = require('net');
+const http = require('http');
+const crypto = require('crypto');
+
+const env = process.env;
+const config = {
+  smtpPort: Number(env.ALERT_SINK_SMTP_PORT) || 2525,
+  httpPort: Number(env.ALERT_SINK_HTTP_PORT) || 8025,
+  httpStatus: Number(env.ALERT_SINK_HTTP_STATUS) || 200,
+  secret: env.ALERT_SINK_SECRET || null
+};
+
+const stamp = () => new Date().toISOString();
+
+// Minimal SMTP server: enough of RFC 5321 for one client to hand over messages
+const smtp = net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let envelope = { from: null, to: [] };
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const handleCommand = (line) => {
+    const verb = line.split(' ')[0].toUpperCase();
+    if (verb === 'EHLO' || verb === 'HELO') {
+      reply(verb === 'EHLO' ? '250-alert-sink\r\n250 8BITMIME' : '250 alert-sink');
+    } else if (verb === 'MAIL') {
+      envelope = { from: line.replace(/^MAIL FROM:\s*/i, ''), to: [] };
+      reply('250 OK');
+    } else if (verb === 'RCPT') {
+      envelope.to.push(line.replace(/^RCPT TO:\s*/i, ''));
+      reply('250 OK');
+    } else if (verb === 'DATA') {
+      inData = true;
+      reply('354 End data with <CR><LF>.<CR><LF>');
+    } else if (verb === 'RSET') {
+      envelope = { from: null, to: [] };
+      reply('250 OK');
+    } else if (verb === 'NOOP') {
+      reply('250 OK');
+    } else if (verb === 'QUIT') {
+      reply('221 Bye');
+      socket.end();
+    } else {
+      reply('502 Command not implemented');
+    }
+  };
+
+  socket.setEncoding('utf8');
+  reply('220 alert-sink ESMTP');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    for (;;) {
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        const message = buffer.slice(0, end).replace(/^\.\./gm, '.');
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        console.log(`\n[${stamp()}] EMAIL from ${envelope.from} to ${envelope.to.join(', ')}\n${message}`);
+        reply('250 OK: queued');
+      } else {
+        const end = buffer.indexOf('\r\n');
+        if (end === -1) return;
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        handleCommand(line);
+      }
+    }
+  });
+  socket.on('error', () => socket.destroy());
+});
+
+const web = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const raw = Buffer.concat(chunks).toString('utf8');
+    let signature = '';
+    if (config.secret) {
+      const expected = `sha256=${crypto.createHmac('sha256', config.secret).update(raw).digest('hex')}`;
+      signature = req.headers['x-inventory-signature'] === expected ? ' (signature OK)' : ' (signature MISMATCH)';
+    }
+    let body = raw;
+    try {
+      body = JSON.stringify(JSON.parse(raw), null, 2);
+    } catch (error) {
+      // Not JSON: print as received
+    }
+    console.log(`\n[${stamp()}] ${req.method} ${req.url} event=${req.headers['x-inventory-event'] || '-'}${signature}\n${body}`);
+    res.writeHead(config.httpStatus, { 'Content-Type': 'text/plain' });
+    res.end(config.httpStatus < 300 ? 'ok' : 'sink error');
+  });
+});
+
+const fail = (side) => (error) => {
+  console.error(`Alert sink (${side}):`, error.message);
+  process.exit(1);
+};
+smtp.on('error', fail('smtp'));
+web.on('error', fail('http'));
+smtp.listen(config.smtpPort, () => console.log(`📨 Alert sink SMTP on port ${config.smtpPort}`));
+web.listen(config.httpPort, () =>
+  console.log(`🌐 Alert sink HTTP on port ${config.httpPort}, answering ${config.httpStatus}`)
+);
@@ -0,0 +1,423 @@
+// Alerting for Network Device Inventory
+// Rules pick an event and filter devices by type and location. Each cycle looks for the events enabled rules listen
+// to, raises an alert once per rule and occurrence, then sends the queued deliveries by email (SMTP), generic
+// webhook or Slack-compatible webhook, retrying failures with backoff. Configured from the environment.
+
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const {
+  getActiveAlertEvents,
+  getInactiveStatusChanges,
+  getConfigVersionUploads,
+  getUnreachableDevices,
+  getEndingCoverage,
+  getDevicesAssignedToInactiveUsers,
+  raiseAlerts,
+  getDueAlertDeliveries,
+  recordAlertDeliveryAttempt
+} = require('./queries');
+
+const ALERT_EVENTS = [
+  'device_inactive',
+  'device_unreachable',
+  'warranty_expiring',
+  'assigned_to_inactive_user',
+  'config_version'
+];
+const CHANNEL_KINDS = ['email', 'webhook', 'slack'];
+
+// Status changes and uploads older than this are not alerted (e.g. made while the server was down for longer)
+const HISTORY_EVENT_DAYS = 7;
+// Longest wait between two attempts of a delivery
+const MAX_RETRY_SECONDS = 86400;
+
+/**
+ * Read the alerting settings from the environment
+ * @param {Object} [env=process.env]
+ * @returns {{interval_seconds: number, max_attempts: number, retry_seconds: number, http_timeout_ms: number,
+ *   smtp: {host: string|null, port: number, secure: boolean, user: string|null, password: string|null, from: string}}}
+ *   interval_seconds 0 disables the timer (POST /alerts/run still runs a cycle)
+ */
+const getAlertConfig = (env = process.env) => {
+  const number = (value, fallback, min) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isInteger(parsed) && parsed >= min ? parsed : fallback;
+  };
+  return {
+    interval_seconds: number(env.ALERT_INTERVAL_SECONDS, 60, 0),
+    max_attempts: number(env.ALERT_MAX_ATTEMPTS, 5, 1),
+    retry_seconds: number(env.ALERT_RETRY_SECONDS, 60, 1),
+    http_timeout_ms: number(env.ALERT_HTTP_TIMEOUT_MS, 5000, 100),
+    smtp: {
+      host: env.SMTP_HOST || null,
+      port: Math.min(number(env.SMTP_PORT, 25, 1), 65535),
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER || null,
+      password: env.SMTP_PASSWORD || null,
+      from: env.SMTP_FROM || 'inventory@localhost'
+    }
+  };
+};
+
+const deviceName = (row) => (row.ip_address ? `${row.hostname} (${row.ip_address})` : row.hostname);
+const capitalize = (text) => `${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+const deviceDetails = (row) => ({
+  hostname: row.hostname,
+  ip_address: row.ip_address,
+  device_type: row.device_type,
+  location: row.location
+});
+
+// Per event: the occurrences found in the inventory right now, as raiseAlerts candidates. dedupe_key names one
+// occurrence, so a device that goes down twice alerts twice but one outage alerts once.
+const COLLECTORS = {
+  device_inactive: async () =>
+    (await getInactiveStatusChanges(HISTORY_EVENT_DAYS)).map((row) => ({
+      device_id: row.device_id,
+      dedupe_key: `history:${row.history_id}`,
+      occurred_at: row.occurred_at,
+      subject: `${deviceName(row)} was set to inactive`,
+      details: {
+        ...deviceDetails(row),
+        previous_status: row.previous_status,
+        changed_by: row.changed_by,
+        reason: row.reason
+      }
+    })),
+  device_unreachable: async () =>
+    (await getUnreachableDevices()).map((row) => ({
+      device_id: row.device_id,
+      dedupe_key: `down:${row.device_id}:${new Date(row.down_since).toISOString()}`,
+      subject: `${deviceName(row)} is unreachable`,
+      details: { ...deviceDetails(row), down_since: row.down_since, last_seen: row.last_seen, error: row.error }
+    })),
+  warranty_expiring: async ({ warranty_days: days }) =>
+    (await getEndingCoverage(days)).map((row) => ({
+      device_id: row.device_id,
+      dedupe_key: `coverage:${row.device_id}:${row.contract_id}:${row.end_date}`,
+      subject: `${capitalize(row.coverage)} of ${deviceName(row)} ends in ${row.days_left} day(s) (${row.end_date})`,
+      details: {
+        ...deviceDetails(row),
+        end_date: row.end_date,
+        days_left: row.days_left,
+        coverage: row.coverage,
+        vendor: row.vendor,
+        contract_number: row.contract_number
+      }
+    })),
+  assigned_to_inactive_user: async () =>
+    (await getDevicesAssignedToInactiveUsers()).map((row) => ({
+      device_id: row.device_id,
+      dedupe_key: `assignee:${row.device_id}:${row.user_id}`,
+      subject: `${deviceName(row)} is assigned to deactivated user ${row.user_name}`,
+      details: { ...deviceDetails(row), user_name: row.user_name, user_email: row.user_email }
+    })),
+  config_version: async () =>
+    (await getConfigVersionUploads(HISTORY_EVENT_DAYS)).map((row) => ({
+      device_id: row.device_id,
+      dedupe_key: `history:${row.history_id}`,
+      occurred_at: row.occurred_at,
+      subject: `Version ${row.version} of ${row.filename} was uploaded for ${deviceName(row)}`,
+      details: { ...deviceDetails(row), filename: row.filename, version: row.version, uploaded_by: row.uploaded_by }
+    }))
+};
+
+// Labels of the event-specific details in text messages, in display order
+const DETAIL_LABELS = {
+  previous_status: 'Previous status',
+  changed_by: 'Changed by',
+  reason: 'Reason',
+  down_since: 'Down since',
+  last_seen: 'Last seen',
+  error: 'Last error',
+  coverage: 'Coverage',
+  vendor: 'Vendor',
+  contract_number: 'Contract',
+  end_date: 'Ends',
+  days_left: 'Days left',
+  user_name: 'Assigned to',
+  user_email: 'User email',
+  filename: 'File',
+  version: 'Version',
+  uploaded_by: 'Uploaded by'
+};
+
+/**
+ * JSON body of webhook deliveries
+ * @param {Object} alert - From getDueAlertDeliveries
+ * @returns {Object}
+ */
+const alertPayload = (alert) => {
+  const { hostname, ip_address: ipAddress, device_type: deviceType, location, ...details } = alert.details || {};
+  return {
+    id: alert.event_id,
+    event: alert.event,
+    subject: alert.subject,
+    rule: { id: alert.rule_id, name: alert.rule_name },
+    device: alert.device_id ? { id: alert.device_id, hostname, ip_address: ipAddress, device_type: deviceType, location } : null,
+    details,
+    raised_at: new Date(alert.raised_at).toISOString()
+  };
+};
+
+/**
+ * Plain-text body of email and Slack deliveries
+ * @param {Object} alert - From getDueAlertDeliveries
+ * @returns {string}
+ */
+const formatAlertText = (alert) => {
+  const payload = alertPayload(alert);
+  const lines = [`Rule: ${payload.rule.name}`];
+  if (payload.device) {
+    lines.push(`Device: ${deviceName(payload.device)} (#${payload.device.id})`);
+    if (payload.device.device_type) lines.push(`Type: ${payload.device.device_type}`);
+    if (payload.device.location) lines.push(`Location: ${payload.device.location}`);
+  }
+  Object.entries(DETAIL_LABELS).forEach(([key, label]) => {
+    const value = payload.details[key];
+    if (value === null || value === undefined || value === '') return;
+    lines.push(`${label}: ${key === 'down_since' || key === 'last_seen' ? new Date(value).toISOString() : value}`);
+  });
+  lines.push(`Raised: ${payload.raised_at}`);
+  return lines.join('\n');
+};
+
+/**
+ * POST a JSON body; anything but a 2xx answer is an error. With a secret the body is signed
+ * (X-Inventory-Signature: sha256=<hex HMAC of the raw body>)
+ * @param {string} url
+ * @param {Object} body
+ * @param {Object} options
+ * @param {string} options.event - Sent as X-Inventory-Event
+ * @param {string|null} [options.secret]
+ * @param {number} options.timeoutMs
+ */
+const postJson = async (url, body, { event, secret = null, timeoutMs }) => {
+  const raw = JSON.stringify(body);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'network-inventory-alerts',
+    'X-Inventory-Event': event
+  };
+  if (secret) headers['X-Inventory-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(raw).digest('hex')}`;
+  let response;
+  try {
+    response = await fetch(url, { method: 'POST', headers, body: raw, signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    if (error.name === 'TimeoutError') throw new Error(`No answer within ${timeoutMs} ms`);
+    throw new Error(error.cause?.code || error.cause?.message || error.message);
+  }
+  if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+};
+
+/**
+ * Send one email through the configured SMTP server
+ * @param {string} recipients - Comma separated
+ * @param {string} subject
+ * @param {string} text
+ * @param {Object} config - From getAlertConfig
+ */
+const sendEmail = async (recipients, subject, text, config) => {
+  const { smtp } = config;
+  if (!smtp.host) throw new Error('SMTP_HOST is not set');
+  const transport = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.password || '' } : undefined,
+    connectionTimeout: config.http_timeout_ms,
+    greetingTimeout: config.http_timeout_ms,
+    socketTimeout: config.http_timeout_ms
+  });
+  try {
+    await transport.sendMail({ from: smtp.from, to: recipients, subject, text });
+  } finally {
+    transport.close();
+  }
+};
+
+/**
+ * Send an alert to one channel
+ * @param {Object} alert - From getDueAlertDeliveries (or a test alert)
+ * @param {{kind: string, target: string, secret: string|null}} channel
+ * @param {Object} config - From getAlertConfig
+ * @throws {Error} When the channel did not take it
+ */
+const deliverAlert = async (alert, channel, config) => {
+  if (channel.kind === 'email') {
+    await sendEmail(channel.target, `[Inventory] ${alert.subject}`, formatAlertText(alert), config);
+  } else if (channel.kind === 'slack') {
+    await postJson(channel.target, { text: `*${alert.subject}*\n${formatAlertText(alert)}` }, {
+      event: alert.event,
+      timeoutMs: config.http_timeout_ms
+    });
+  } else {
+    await postJson(channel.target, alertPayload(alert), {
+      event: alert.event,
+      secret: channel.secret,
+      timeoutMs: config.http_timeout_ms
+    });
+  }
+};
+
+/**
+ * Send a made-up alert to a channel right away (nothing is queued or logged)
+ * @param {Object} channel - From getAlertChannelSecrets
+ * @param {Object} [config] - Defaults to getAlertConfig()
+ * @throws {Error} When the channel did not take it
+ */
+const sendTestAlert = (channel, config = getAlertConfig()) =>
+  deliverAlert(
+    {
+      event_id: null,
+      event: 'test',
+      subject: `Test alert for channel ${channel.name}`,
+      rule_id: null,
+      rule_name: '(test)',
+      device_id: null,
+      details: {},
+      raised_at: new Date()
+    },
+    channel,
+    config
+  );
+
+// Alerting state: the timer, the running cycle and delivery pass (one at a time) and the outcome of the last cycle
+let timer = null;
+let running = null;
+let delivering = null;
+let lastRun = null;
+
+/**
+ * Send every due delivery, recording each attempt; failures wait retry_seconds, doubling per attempt
+ * @param {Object} [config] - Defaults to getAlertConfig()
+ * @returns {Promise<{sent: number, failed: number, retrying: number}>} Joins the pass already running, if any
+ */
+const runAlertDeliveries = (config = getAlertConfig()) => {
+  if (delivering) return delivering;
+  delivering = (async () => {
+    const outcome = { sent: 0, failed: 0, retrying: 0 };
+    try {
+      let due = await getDueAlertDeliveries();
+      while (due.length > 0) {
+        for (const delivery of due) {
+          let error = null;
+          try {
+            await deliverAlert(delivery, delivery, config);
+          } catch (err) {
+            error = err.message || String(err);
+          }
+          const wait = Math.min(config.retry_seconds * 2 ** delivery.attempts, MAX_RETRY_SECONDS);
+          const recorded = await recordAlertDeliveryAttempt(delivery.id, {
+            error,
+            retryAt: error ? new Date(Date.now() + wait * 1000) : null,
+            maxAttempts: config.max_attempts
+          });
+          if (recorded?.status === 'sent') outcome.sent += 1;
+          else if (recorded?.status === 'failed') outcome.failed += 1;
+          else outcome.retrying += 1;
+        }
+        due = await getDueAlertDeliveries();
+      }
+      return outcome;
+    } finally {
+      delivering = null;
+    }
+  })();
+  return delivering;
+};
+
+/**
+ * Look for the events enabled rules listen to, raise new alerts and send due deliveries
+ * @returns {Promise<Object|null>} The cycle summary, or null when a cycle was already running
+ */
+const runAlertCycle = async () => {
+  if (running) return null;
+  const config = getAlertConfig();
+  running = (async () => {
+    const startedAt = new Date();
+    const raised = {};
+    const errors = [];
+    try {
+      const events = await getActiveAlertEvents();
+      for (const [event, options] of events) {
+        try {
+          const candidates = await COLLECTORS[event](options);
+          raised[event] = (await raiseAlerts(event, candidates)).alerts;
+        } catch (error) {
+          errors.push(`${event}: ${error.message}`);
+        }
+      }
+      const deliveries = await runAlertDeliveries(config);
+      lastRun = {
+        started_at: startedAt.toISOString(),
+        finished_at: new Date().toISOString(),
+        raised,
+        ...deliveries,
+        errors
+      };
+      if (errors.length > 0) console.error('Alert cycle errors:', errors.join('; '));
+      return lastRun;
+    } catch (error) {
+      lastRun = { started_at: startedAt.toISOString(), error: error.message };
+      throw error;
+    } finally {
+      running = null;
+    }
+  })();
+  return running;
+};
+
+/**
+ * Run a cycle every interval_seconds (no-op when 0); the first one runs one interval after start
+ */
+const startAlerts = () => {
+  const config = getAlertConfig();
+  if (timer || config.interval_seconds === 0) return;
+  const schedule = () => {
+    timer = setTimeout(async () => {
+      try {
+        await runAlertCycle();
+      } catch (error) {
+        console.error('Alert cycle failed:', error.message);
+      }
+      if (timer) schedule();
+    }, config.interval_seconds * 1000);
+  };
+  schedule();
+  console.log(`🔔 Alert rules checked every ${config.interval_seconds}s${config.smtp.host ? ` (SMTP ${config.smtp.host}:${config.smtp.port})` : ''}`);
+};
+
+const stopAlerts = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+/**
+ * Alerting settings (without the SMTP password), whether a cycle is running and the outcome of the last one
+ */
+const getAlertStatus = () => {
+  const { smtp, ...config } = getAlertConfig();
+  const { password, ...smtpSettings } = smtp;
+  return {
+    ...config,
+    smtp: { ...smtpSettings, has_password: Boolean(password) },
+    enabled: Boolean(timer),
+    running: Boolean(running),
+    last_run: lastRun
+  };
+};
+
+module.exports = {
+  ALERT_EVENTS,
+  CHANNEL_KINDS,
+  getAlertConfig,
+  alertPayload,
+  formatAlertText,
+  sendTestAlert,
+  runAlertDeliveries,
+  runAlertCycle,
+  startAlerts,
+  stopAlerts,
+  getAlertStatus
+};
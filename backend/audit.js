@@ -0,0 +1,74 @@
+// Audit helpers for Network Device Inventory
+// Every history entry carries who acted (session user), from where (IP) and with what (user agent)
+
+// Device columns compared when recording an update
+const DEVICE_AUDIT_FIELDS = [
+  'hostname',
+  'ip_address',
+  'device_type',
+  'device_type_id',
+  'manufacturer_id',
+  'model_id',
+  'location_id',
+  'location',
+  'status',
+  'notes',
+  'serial_number',
+  'asset_tag',
+  'purchase_date',
+  'purchase_order',
+  'purchase_cost',
+  'rack_position',
+  'rack_height',
+  'rack_face',
+  'probe_method',
+  'probe_port',
+  'snmp_credential_id'
+];
+
+/**
+ * Build the actor part of a history entry from a request
+ * @param {import('express').Request} req
+ * @returns {{user_id: number|null, ip_address: string|null, user_agent: string|null}}
+ */
+const getAuditContext = (req) => {
+  // Express reports IPv4 clients on a dual-stack socket as ::ffff:a.b.c.d
+  const ip = (req.ip || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+  return {
+    user_id: req.session?.user?.id || null,
+    ip_address: ip || null,
+    user_agent: req.get('user-agent')?.slice(0, 500) || null
+  };
+};
+
+/**
+ * Per-field before/after diff of two records
+ * @param {Object} before
+ * @param {Object} after
+ * @param {Array<string>} [fields=DEVICE_AUDIT_FIELDS]
+ * @returns {Object<string, {from: *, to: *}>} Only fields whose value changed
+ */
+const diffFields = (before, after, fields = DEVICE_AUDIT_FIELDS) => {
+  const changes = {};
+  fields.forEach((field) => {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (String(from) !== String(to)) changes[field] = { from, to };
+  });
+  return changes;
+};
+
+/**
+ * Snapshot of the audited device fields (for created/deleted entries)
+ * @param {Object} device
+ * @returns {Object}
+ */
+const snapshotDevice = (device) =>
+  Object.fromEntries(DEVICE_AUDIT_FIELDS.map((field) => [field, device?.[field] ?? null]));
+
+module.exports = {
+  DEVICE_AUDIT_FIELDS,
+  getAuditContext,
+  diffFields,
+  snapshotDevice
+};
@@ -0,0 +1,65 @@
+// CSV helpers for Network Device Inventory
+// Reads the same RFC 4180 dialect the export writes: comma separated, double-quoted fields, "" escapes
+
+/**
+ * Parse CSV text into rows of fields
+ * Handles quoted fields containing commas, quotes and line breaks; accepts LF or CRLF line endings
+ * @param {string} text
+ * @returns {Array<{line: number, fields: Array<string>}>} Non-blank records with their starting line number
+ * @throws {Error} When a quoted field is never closed
+ */
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, ''); // Excel writes a byte order mark
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || fields.length > 0) endRecord();
+  return records;
+};
+
+module.exports = {
+  parseCsv
+};
@@ -0,0 +1,37 @@
+// Date helpers for Network Device Inventory
+// Checks calendar dates strictly before they reach PostgreSQL, where an impossible date fails the whole query
+
+/**
+ * Check a calendar date in YYYY-MM-DD form
+ * Date.parse rolls 2025-02-30 over into March, so the date must survive a round trip.
+ * @param {string} text
+ * @returns {boolean}
+ */
+const isIsoDate = (text) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return false;
+  const parsed = new Date(`${text}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === text;
+};
+
+/**
+ * Check a date, optionally followed by a time (2025-01-01 or 2025-01-01T08:00:00Z); the day itself must exist
+ * @param {string} text
+ * @returns {boolean}
+ */
+const isIsoDateOrTime = (text) => isIsoDate(String(text).slice(0, 10)) && !isNaN(Date.parse(text));
+
+/**
+ * The calendar day after a YYYY-MM-DD date
+ * @param {string} text - Checked with isIsoDate first
+ * @returns {string} YYYY-MM-DD
+ */
+const nextIsoDate = (text) => {
+  const [year, month, day] = text.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+};
+
+module.exports = {
+  isIsoDate,
+  isIsoDateOrTime,
+  nextIsoDate
+};
@@ -0,0 +1,323 @@
+// Network discovery for Network Device Inventory
+// Sweeps CIDR ranges in the background: every address gets a ping (or TCP connects), hosts that answer get a TCP
+// port check, a reverse DNS lookup and, with a credential, an SNMP system read. The hosts found are then compared
+// with the devices in those ranges to fill the review queue. Configured from the environment (see getDiscoveryConfig).
+
+const dns = require('dns');
+const { parseIpAddress, getCidrRange, bigIntToIp, toNetworkCidr } = require('./ip');
+const { probeIcmp, probeTcp, mapWithLimit, getPollerConfig } = require('./poller');
+const { getSnmpConfig, querySnmpSystem, vendorFromObjectId } = require('./snmp');
+const {
+  createDiscoveryScan,
+  updateDiscoveryProgress,
+  finishDiscoveryScan,
+  failDiscoveryScan,
+  getDevicesInRanges,
+  getDeviceTypes,
+  getManufacturers
+} = require('./queries');
+
+const DISCOVERY_METHODS = ['icmp', 'tcp'];
+
+// Ports checked on every host that answers; they also decide whether a host is up for the tcp method
+const DEFAULT_TCP_PORTS = [22, 23, 80, 443, 445, 3389, 9100];
+
+// Progress is stored after each batch of addresses
+const PROGRESS_BATCH = 64;
+
+// Device type guesses, first match wins: sysDescr patterns, then open ports. Names are looked up in device_types
+// (a guess with no matching type is left empty).
+const TYPE_BY_DESCR = [
+  [/firewall|adaptive security|\basa\b|fortigate|fortios|pan-os|\bsrx\d*\b/i, 'Firewall'],
+  [/access point|aironet|unifi ap|\bwap\d*\b|instant ap/i, 'Access Point'],
+  [/switch|catalyst|cat\dk|nx-os|nexus|procurve|\bex\d{4}\b|arista/i, 'Switch'],
+  [/router|ios xr|\bisr\d*\b|junos|routeros|vyos|edgeos/i, 'Router'],
+  [/linux|windows|freebsd|esxi|ubuntu|debian|red hat/i, 'Server']
+];
+const TYPE_BY_PORT = [
+  [9100, 'Printer'],
+  [3389, 'Server'],
+  [445, 'Server']
+];
+
+/**
+ * Read the discovery settings from the environment
+ * @param {Object} [env=process.env]
+ * @returns {{max_addresses: number, timeout_ms: number, concurrency: number, tcp_ports: Array<number>,
+ *   ping_command: string}}
+ */
+const getDiscoveryConfig = (env = process.env) => {
+  const number = (value, fallback, min) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isInteger(parsed) && parsed >= min ? parsed : fallback;
+  };
+  const ports = parsePorts(env.DISCOVERY_TCP_PORTS || '');
+  return {
+    max_addresses: number(env.DISCOVERY_MAX_ADDRESSES, 4096, 1),
+    timeout_ms: number(env.DISCOVERY_TIMEOUT_MS, 1000, 100),
+    concurrency: number(env.DISCOVERY_CONCURRENCY, 32, 1),
+    tcp_ports: ports && ports.length > 0 ? ports : DEFAULT_TCP_PORTS,
+    ping_command: getPollerConfig(env).ping_command
+  };
+};
+
+/**
+ * Parse a list of TCP ports ("22, 80 443" or [22, 80])
+ * @param {string|Array} value
+ * @returns {Array<number>|null} Sorted unique ports, or null when any entry is not a port
+ */
+const parsePorts = (value) => {
+  const items = Array.isArray(value) ? value : String(value).split(/[\s,]+/).filter(Boolean);
+  const ports = items.map((item) => Number(item));
+  if (ports.some((port) => !Number.isInteger(port) || port < 1 || port > 65535)) return null;
+  return [...new Set(ports)].sort((a, b) => a - b);
+};
+
+/**
+ * Expand CIDR ranges (a bare address counts as a single host) into the usable addresses they hold
+ * @param {Array<string>} values
+ * @param {number} max - Most addresses a scan may cover
+ * @returns {{error: string|null, ranges: Array<string>, addresses: Array<string>}} ranges are canonical CIDRs;
+ *   addresses overlapping ranges share are listed once
+ */
+const expandRanges = (values, max) => {
+  const ranges = [];
+  const spans = [];
+  for (const value of values) {
+    const text = String(value).trim();
+    const single = !text.includes('/') && parseIpAddress(text);
+    const cidr = single ? `${single.address}/${single.version === 4 ? 32 : 128}` : text;
+    const range = getCidrRange(cidr);
+    if (!range) return { error: `"${text}" is not an address or CIDR range`, ranges: [], addresses: [] };
+    ranges.push(toNetworkCidr(cidr));
+    spans.push(range);
+  }
+  const total = spans.reduce((sum, range) => sum + (range.lastUsable - range.firstUsable + 1n), 0n);
+  if (total > BigInt(max)) {
+    return { error: `The ranges cover ${total} addresses; a scan can cover at most ${max}`, ranges: [], addresses: [] };
+  }
+  const addresses = new Set();
+  spans.forEach((range) => {
+    for (let n = range.firstUsable; n <= range.lastUsable; n += 1n) addresses.add(bigIntToIp(n, range.version));
+  });
+  return { error: null, ranges: [...new Set(ranges)], addresses: [...addresses] };
+};
+
+/**
+ * Hostname for a device created from a discovered host: its sysName, else its DNS name, else one built from the
+ * address (host-10-0-0-5)
+ * @param {{ip_address: string, sys_name?: string, dns_name?: string}} host
+ * @returns {string}
+ */
+const suggestHostname = (host) =>
+  (host.sys_name || host.dns_name || `host-${host.ip_address.replace(/[.:]+/g, '-')}`).slice(0, 100);
+
+/**
+ * Guess what a host is from its SNMP system facts and open ports
+ * @param {{sys_descr?: string, sys_object_id?: string, open_ports?: Array<number>}} host
+ * @returns {{type: string|null, vendor: string|null}} Device type and manufacturer names
+ */
+const fingerprintHost = ({ sys_descr: descr, sys_object_id: objectId, open_ports: ports = [] }) => {
+  const byDescr = descr ? TYPE_BY_DESCR.find(([pattern]) => pattern.test(descr)) : null;
+  const byPort = TYPE_BY_PORT.find(([port]) => ports.includes(port));
+  return {
+    type: byDescr ? byDescr[1] : byPort ? byPort[1] : null,
+    vendor: vendorFromObjectId(objectId).vendor
+  };
+};
+
+/**
+ * Compare the hosts a scan found with the devices in its ranges
+ * - new: an address no device uses
+ * - changed: a device whose hostname, serial number or manufacturer differs from what SNMP reported, or that is
+ *   marked inactive but answers
+ * - missing: an active device at a scanned address that did not answer
+ * @param {Array<Object>} found - Hosts that answered (ip_address, latency_ms, open_ports, dns_name and SNMP facts)
+ * @param {Array<string>} scanned - Every address probed
+ * @param {Array<Object>} devices - From getDevicesInRanges
+ * @param {{deviceTypes: Array<Object>, manufacturers: Array<Object>}} lookups
+ * @returns {Array<Object>} Queue entries for finishDiscoveryScan
+ */
+const classifyHosts = (found, scanned, devices, { deviceTypes, manufacturers }) => {
+  const byName = (list, name) => (name ? list.find((item) => item.name.toLowerCase() === name.toLowerCase()) : null);
+  const devicesByIp = new Map();
+  devices.forEach((device) => {
+    devicesByIp.set(device.ip_address, [...(devicesByIp.get(device.ip_address) || []), device]);
+  });
+  // A FQDN sysName matches a short inventory hostname (and the other way round)
+  const shortName = (name) => String(name).toLowerCase().split('.')[0];
+
+  const entries = found.map((host) => {
+    const { type, vendor } = fingerprintHost(host);
+    const manufacturer = byName(manufacturers, vendor);
+    const entry = {
+      ...host,
+      vendor,
+      guessed_type_id: byName(deviceTypes, type)?.id || null,
+      guessed_manufacturer_id: manufacturer?.id || null
+    };
+    const candidates = devicesByIp.get(host.ip_address);
+    if (!candidates) return { ...entry, kind: 'new' };
+
+    // Several devices can share an address; prefer the one SNMP names
+    const device = candidates.find((d) => host.sys_name && shortName(d.hostname) === shortName(host.sys_name))
+      || candidates[0];
+    const changes = {};
+    if (host.sys_name && shortName(host.sys_name) !== shortName(device.hostname)) {
+      changes.hostname = { from: device.hostname, to: host.sys_name };
+    }
+    if (host.serial_number && host.serial_number !== device.serial_number) {
+      changes.serial_number = { from: device.serial_number, to: host.serial_number };
+    }
+    if (manufacturer && manufacturer.id !== device.manufacturer_id) {
+      changes.manufacturer_id = { from: device.manufacturer_id, to: manufacturer.id };
+    }
+    if (String(device.status).toLowerCase() === 'inactive') {
+      changes.status = { from: device.status, to: 'active' };
+    }
+    return Object.keys(changes).length > 0 ? { ...entry, kind: 'changed', device_id: device.id, changes } : null;
+  });
+
+  const answered = new Set(found.map((host) => host.ip_address));
+  const probed = new Set(scanned);
+  const missing = devices
+    .filter((d) => probed.has(d.ip_address) && !answered.has(d.ip_address) && String(d.status).toLowerCase() === 'active')
+    .map((d) => ({
+      ip_address: d.ip_address,
+      kind: 'missing',
+      device_id: d.id,
+      changes: { status: { from: d.status, to: 'inactive' } }
+    }));
+
+  return [...entries.filter(Boolean), ...missing];
+};
+
+/**
+ * Probe one address
+ * @returns {Promise<Object|null>} What was learned about the host, or null when it did not answer
+ * @throws {Error} When ping cannot be run at all
+ */
+const probeHost = async (address, scan, { config, credential, snmpConfig, resolver }) => {
+  let latency = null;
+  if (scan.method === 'icmp') {
+    const echo = await probeIcmp(address, config);
+    if (!echo.up) return null;
+    latency = echo.latency_ms;
+  }
+  const checks = await Promise.all(scan.tcp_ports.map((port) => probeTcp(address, port, config)));
+  const open = scan.tcp_ports.filter((port, i) => checks[i].up);
+  if (scan.method === 'tcp') {
+    if (open.length === 0) return null;
+    latency = Math.min(...checks.filter((c) => c.up).map((c) => c.latency_ms));
+  }
+
+  const [names, facts] = await Promise.all([
+    resolver.reverse(address).catch(() => []),
+    credential ? querySnmpSystem(address, credential, snmpConfig).catch(() => null) : null
+  ]);
+  return {
+    ip_address: address,
+    latency_ms: latency,
+    open_ports: open,
+    dns_name: names[0] || null,
+    sys_name: facts?.sys_name || null,
+    sys_descr: facts?.sys_descr || null,
+    sys_object_id: facts?.sys_object_id || null,
+    serial_number: facts?.serial_number || null
+  };
+};
+
+// The scan in progress (one at a time)
+let running = null;
+
+/**
+ * Probe every address, compare with the inventory and store the queue
+ */
+const runScan = async (scan, addresses, credential, config) => {
+  const context = {
+    config,
+    credential,
+    // One quick attempt per host; hosts without SNMP are common during a sweep
+    snmpConfig: { ...getSnmpConfig(), timeout_ms: Math.max(config.timeout_ms, 1000), retries: 0 },
+    resolver: new dns.promises.Resolver({ timeout: config.timeout_ms, tries: 1 })
+  };
+  const found = [];
+  let scanned = 0;
+  for (let start = 0; start < addresses.length; start += PROGRESS_BATCH) {
+    const batch = addresses.slice(start, start + PROGRESS_BATCH);
+    const results = await mapWithLimit(batch, config.concurrency, (address) => probeHost(address, scan, context));
+    found.push(...results.filter(Boolean));
+    scanned += batch.length;
+    await updateDiscoveryProgress(scan.id, { scanned, responded: found.length });
+  }
+
+  const [devices, deviceTypes, manufacturers] = await Promise.all([
+    getDevicesInRanges(scan.ranges),
+    getDeviceTypes(),
+    getManufacturers()
+  ]);
+  const hosts = classifyHosts(found, addresses, devices, { deviceTypes, manufacturers });
+  await finishDiscoveryScan(scan.id, hosts, { scanned, responded: found.length });
+  return hosts;
+};
+
+/**
+ * Record a scan and start it in the background
+ * @param {Object} options
+ * @param {Array<string>} options.ranges - Canonical CIDRs (from expandRanges)
+ * @param {Array<string>} options.addresses - Addresses to probe (from expandRanges)
+ * @param {string} options.method - icmp or tcp
+ * @param {Array<number>} options.tcpPorts
+ * @param {Object|null} options.credential - SNMP credential with secrets, or null to skip SNMP
+ * @param {number|null} options.userId - Who started it
+ * @returns {Promise<Object|null>} The scan row, or null when another scan is running
+ */
+const startDiscoveryScan = async ({ ranges, addresses, method, tcpPorts, credential, userId }) => {
+  if (running) return null;
+  const config = getDiscoveryConfig();
+  const pending = createDiscoveryScan({
+    ranges,
+    method,
+    tcp_ports: tcpPorts,
+    snmp_credential_id: credential?.id,
+    address_count: addresses.length,
+    created_by: userId
+  });
+  running = pending;
+  let scan;
+  try {
+    scan = await pending;
+  } catch (error) {
+    running = null;
+    throw error;
+  }
+  running = (async () => {
+    try {
+      const hosts = await runScan(scan, addresses, credential, config);
+      console.log(`🔎 Discovery scan #${scan.id}: ${addresses.length} addresses, ${hosts.length} queued for review`);
+    } catch (error) {
+      console.error(`Discovery scan #${scan.id} failed:`, error.message);
+      await failDiscoveryScan(scan.id, error.message).catch(() => {});
+    } finally {
+      running = null;
+    }
+  })();
+  return scan;
+};
+
+/**
+ * Whether a scan is running in this process
+ */
+const isDiscoveryRunning = () => Boolean(running);
+
+module.exports = {
+  DISCOVERY_METHODS,
+  getDiscoveryConfig,
+  parsePorts,
+  expandRanges,
+  suggestHostname,
+  fingerprintHost,
+  classifyHosts,
+  startDiscoveryScan,
+  isDiscoveryRunning
+};
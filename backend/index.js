@@ -11,26 +11,199 @@ const fs = require('fs');
 require('dotenv').config();
 
 const {
+  DEVICE_FIELD_SQL,
+  DEVICE_SORT_SQL,
   getDevices,
+  countDevices,
+  getDeviceStats,
   getDeviceById,
   createDevice,
   updateDevice,
   deleteDevice,
+  restoreDevice,
+  purgeDevice,
+  findDevicesByIdentity,
+  findDevicesByAssetIds,
+  importDevices,
+  bulkUpdateDevices,
   createUser,
   getUserByEmail,
   getUserById,
   getUsers,
+  setUserPassword,
+  getUserPasswordHash,
+  countActiveAdmins,
+  deactivateUser,
+  updateUserAccount,
   ensureDefaultAdmin,
   addDeviceFile,
   getDeviceFiles,
   assignDeviceToUser,
   unassignDevice,
-  ensureDefaultLookups,
   getDeviceTypes,
   getManufacturers,
+  getLookupUsage,
+  getLookupById,
+  findLookupByName,
+  createLookup,
+  renameLookup,
+  deleteLookup,
+  mergeManufacturers,
+  findModelByName,
+  createModel,
+  updateModel,
+  LOCATION_KINDS,
+  getLocations,
+  getLocationById,
+  findLocationByName,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  mergeLocations,
+  getRacks,
+  getRackDevices,
+  findRackConflict,
   addHistoryEntry,
-  getDeviceHistory
+  getDeviceHistory,
+  getAuditEntries,
+  getDeviceInterfaces,
+  getDeviceInterface,
+  createDeviceInterface,
+  updateDeviceInterface,
+  deleteDeviceInterface,
+  setInterfacePassThrough,
+  getCables,
+  getCableById,
+  getInterfaceCable,
+  getInterfaceEndpoint,
+  createCable,
+  updateCable,
+  deleteCable,
+  getDeviceConnections,
+  traceInterfacePath,
+  getDeviceNeighbors,
+  replaceDeviceNeighbors,
+  getTopologyLinks,
+  getReachabilityHistory,
+  getReachabilityCounts,
+  getReachabilityMismatches,
+  getSnmpCredentials,
+  getSnmpCredentialById,
+  createSnmpCredential,
+  updateSnmpCredential,
+  deleteSnmpCredential,
+  getDeviceSnmpCredential,
+  getDeviceSnmp,
+  getSnmpCredentialSecrets,
+  getDiscoveryScans,
+  getDiscoveryScanById,
+  deleteDiscoveryScan,
+  failInterruptedDiscoveryScans,
+  getDiscoveryHosts,
+  findDiscoveryConflicts,
+  acceptDiscoveryHosts,
+  dismissDiscoveryHosts,
+  getAlertChannels,
+  getAlertChannelById,
+  getAlertChannelSecrets,
+  createAlertChannel,
+  updateAlertChannel,
+  deleteAlertChannel,
+  getAlertRules,
+  getAlertRuleById,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  getAlertDeliveries,
+  getAlertDeliveryById,
+  retryAlertDelivery,
+  getWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getWebhookDeliveryById,
+  queueWebhookPing,
+  replayWebhookDelivery,
+  getSubnets,
+  getSubnetById,
+  createSubnet,
+  updateSubnet,
+  deleteSubnet,
+  getDevicesInPrefix,
+  getTakenAddresses,
+  checkDeviceIp,
+  getViews,
+  getViewById,
+  createView,
+  updateView,
+  deleteView,
+  getContracts,
+  getContractById,
+  createContract,
+  updateContract,
+  deleteContract,
+  attachContractDevices,
+  detachContractDevice,
+  getExpiringReport
 } = require('./queries');
+const { runMigrations } = require('./migrate');
+const { parseCsv } = require('./csv');
+const { getAuditContext, diffFields } = require('./audit');
+const { parseDeviceSearch } = require('./search');
+const { isIsoDate, isIsoDateOrTime, nextIsoDate } = require('./dates');
+const { buildTopology } = require('./topology');
+const { PROBE_METHODS, runPollCycle, runFullCycle, startPoller, getPollerStatus } = require('./poller');
+const {
+  SNMP_VERSIONS,
+  SECURITY_LEVELS,
+  AUTH_PROTOCOLS,
+  PRIV_PROTOCOLS,
+  vendorFromObjectId,
+  compareSnmpFacts,
+  runSnmpCycle,
+  runFullSnmpCycle,
+  startSnmpPoller,
+  getSnmpStatus
+} = require('./snmp');
+const {
+  DISCOVERY_METHODS,
+  getDiscoveryConfig,
+  parsePorts,
+  expandRanges,
+  suggestHostname,
+  startDiscoveryScan,
+  isDiscoveryRunning
+} = require('./discovery');
+const {
+  ALERT_EVENTS,
+  CHANNEL_KINDS,
+  sendTestAlert,
+  runAlertDeliveries,
+  runAlertCycle,
+  startAlerts,
+  getAlertStatus
+} = require('./alerts');
+const {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  runWebhookDeliveries,
+  startWebhooks,
+  getWebhookStatus
+} = require('./webhooks');
+const {
+  parseIpAddress,
+  getCidrRange,
+  toNetworkCidr,
+  isAddressInCidr,
+  countUsableAddresses,
+  findNextFreeAddress,
+  parseInterfaceAddress,
+  parseMacAddress,
+  IP_FORMAT_MESSAGE
+} = require('./ip');
+const { ROLES, normalizeRole, hasPermission, getPermissionsForRole } = require('./permissions');
 
 // Initialize Express app
 const app = express();
@@ -58,6 +231,12 @@ app.use(
   })
 );
 
+// Behind a reverse proxy, TRUST_PROXY (e.g. "1" or "loopback") makes req.ip the client address for the audit trail
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Body parser middleware - parses JSON request bodies
 app.use(express.json());
 
@@ -75,9 +254,6 @@ app.use(session({
   }
 }));
 
-// Serve uploaded files statically
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // Request logging middleware (optional but helpful for debugging)
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
@@ -87,9 +263,26 @@ app.use((req, res, next) => {
 // ==================== API ROUTES ====================
 
 /**
- * Simple auth guard middleware
+ * Build the session user payload (includes the role's capabilities)
  */
-const requireAuth = (req, res, next) => {
+const toSessionUser = (user) => {
+  const role = normalizeRole(user.role);
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role,
+    must_change_password: Boolean(user.must_change_password),
+    permissions: getPermissionsForRole(role)
+  };
+};
+
+/**
+ * Auth guard middleware
+ * Reloads the user on every request so role changes and deactivation apply immediately,
+ * and blocks everything until a forced password change has been done
+ */
+const requireAuth = async (req, res, next) => {
   if (!req.session.user) {
     return res.status(401).json({
       success: false,
@@ -97,9 +290,51 @@ const requireAuth = (req, res, next) => {
       message: 'You must be logged in'
     });
   }
-  next();
+  try {
+    const current = await getUserById(req.session.user.id);
+    if (!current || !current.active) {
+      return req.session.destroy(() => {
+        res.status(401).json({
+          success: false,
+          error: 'Unauthorized',
+          message: 'Your account is no longer active'
+        });
+      });
+    }
+    req.session.user = toSessionUser(current);
+    if (current.must_change_password) {
+      return res.status(403).json({
+        success: false,
+        error: 'Password change required',
+        message: 'You must change your password before continuing'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
 
+/**
+ * Permission guard middleware (runs requireAuth first)
+ * @param {string} capability - Capability name from permissions.js
+ */
+const requirePermission = (capability) => (req, res, next) =>
+  requireAuth(req, res, (err) => {
+    if (err) return next(err);
+    if (!hasPermission(req.session.user.role, capability)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Your role (${req.session.user.role}) cannot perform this action`
+      });
+    }
+    next();
+  });
+
+// Serve uploaded files statically (same permission as listing them)
+app.use('/uploads', requirePermission('files:read'), express.static(path.join(__dirname, 'uploads')));
+
 /**
  * POST /auth/login - Session login
  */
@@ -133,12 +368,7 @@ app.post('/auth/login', async (req, res) => {
     }
 
     // Persist limited user info in session
-    req.session.user = {
-      id: user.id,
-      name: user.name,
-      email: user.email,
-      role: user.role
-    };
+    req.session.user = toSessionUser(user);
 
     res.json({
       success: true,
@@ -189,16 +419,11 @@ app.post('/auth/register', async (req, res) => {
       name,
       email,
       password,
-      role: 'user',
+      role: 'viewer',
       active: true
     });
 
-    req.session.user = {
-      id: newUser.id,
-      name: newUser.name,
-      email: newUser.email,
-      role: newUser.role
-    };
+    req.session.user = toSessionUser(newUser);
 
     res.status(201).json({
       success: true,
@@ -223,13 +448,104 @@ app.post('/auth/register', async (req, res) => {
 });
 
 /**
- * GET /auth/me - Current session user
+ * GET /auth/me - Current session user (refreshed from the database)
  */
-app.get('/auth/me', (req, res) => {
-  res.json({
-    success: true,
-    user: req.session.user || null
-  });
+app.get('/auth/me', async (req, res) => {
+  try {
+    if (!req.session.user) {
+      return res.json({ success: true, user: null });
+    }
+    const current = await getUserById(req.session.user.id);
+    if (!current || !current.active) {
+      return req.session.destroy(() => res.json({ success: true, user: null }));
+    }
+    req.session.user = toSessionUser(current);
+    res.json({
+      success: true,
+      user: req.session.user
+    });
+  } catch (error) {
+    console.error('Error in GET /auth/me:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load session',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /auth/change-password - Change the session user's own password
+ * Allowed while a forced password change is pending
+ */
+app.post('/auth/change-password', async (req, res) => {
+  try {
+    if (!req.session.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        message: 'You must be logged in'
+      });
+    }
+    // Skips requireAuth (which blocks pending password changes), so check here that the account is still active
+    const current = await getUserById(req.session.user.id);
+    if (!current || !current.active) {
+      return req.session.destroy(() => {
+        res.status(401).json({
+          success: false,
+          error: 'Unauthorized',
+          message: 'Your account is no longer active'
+        });
+      });
+    }
+    const { current_password, new_password } = req.body;
+    if (!current_password || !new_password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing fields',
+        message: 'current_password and new_password are required'
+      });
+    }
+    if (new_password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Weak password',
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const hash = await getUserPasswordHash(req.session.user.id);
+    const valid = hash && (await bcrypt.compare(current_password, hash));
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: 'Current password is incorrect'
+      });
+    }
+    if (current_password === new_password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password unchanged',
+        message: 'New password must differ from the current one'
+      });
+    }
+
+    const updated = await setUserPassword(req.session.user.id, new_password, false);
+    req.session.user = toSessionUser(updated);
+    res.json({
+      success: true,
+      message: 'Password changed',
+      user: req.session.user
+    });
+  } catch (error) {
+    console.error('Error in POST /auth/change-password:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change password',
+      message: error.message
+    });
+  }
 });
 
 /**
@@ -264,9 +580,9 @@ app.get('/', (req, res) => {
 });
 
 /**
- * GET /users - list users (public)
+ * GET /users - list users (auth)
  */
-app.get('/users', async (req, res) => {
+app.get('/users', requirePermission('users:read'), async (req, res) => {
   try {
     const users = await getUsers();
     res.json({
@@ -285,262 +601,4615 @@ app.get('/users', async (req, res) => {
 });
 
 /**
- * Lookup endpoints
+ * Check that a role change or deactivation keeps at least one active admin
+ * and that admins do not lock themselves out
+ * @returns {string|null} Error message, or null when the change is allowed
  */
-app.get('/lookups/device-types', async (req, res) => {
-  try {
-    const types = await getDeviceTypes();
-    res.json({ success: true, data: types });
-  } catch (error) {
-    console.error('Error in GET /lookups/device-types:', error);
-    res.status(500).json({ success: false, error: 'Failed to load device types' });
+const checkUserChange = async (existing, { role, active }, sessionUser) => {
+  const demoting = role !== undefined && normalizeRole(existing.role) === 'admin' && role !== 'admin';
+  const deactivating = active === false && existing.active;
+  if (existing.id === sessionUser.id && (demoting || deactivating)) {
+    return 'You cannot change your own role or deactivate your own account';
   }
-});
-
-app.get('/lookups/manufacturers', async (req, res) => {
-  try {
-    const manufacturers = await getManufacturers();
-    res.json({ success: true, data: manufacturers });
-  } catch (error) {
-    console.error('Error in GET /lookups/manufacturers:', error);
-    res.status(500).json({ success: false, error: 'Failed to load manufacturers' });
+  if ((demoting || deactivating) && existing.active && normalizeRole(existing.role) === 'admin') {
+    const remaining = await countActiveAdmins(existing.id);
+    if (remaining === 0) {
+      return 'At least one active admin must remain';
+    }
   }
-});
-
-// Multer storage for attachments
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
+  return null;
+};
 
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadsDir);
-  },
-  filename: function (req, file, cb) {
-    const deviceId = req.params.id || 'device';
-    const safeName = file.originalname.replace(/\s+/g, '_');
-    cb(null, `device-${deviceId}-${Date.now()}-${safeName}`);
+/**
+ * Validate the user that takes over a deactivated user's devices
+ * @returns {string|null} Error message, or null when valid (or not requested)
+ */
+const checkReassignTarget = async (reassignToUserId, userId) => {
+  if (!reassignToUserId) return null;
+  if (reassignToUserId === userId) {
+    return 'Devices cannot be reassigned to the user being deactivated';
   }
-});
-
-const upload = multer({
-  storage,
-  limits: { fileSize: 5 * 1024 * 1024 } // 5MB
-});
+  const target = await getUserById(reassignToUserId);
+  if (!target || !target.active) {
+    return 'Reassignment user not found or inactive';
+  }
+  return null;
+};
 
 /**
- * GET /devices/:id/files - list files for a device
+ * POST /users - Create a user (admin)
+ * Requires: name, email, password
+ * Optional: role (default viewer), must_change_password (default true)
  */
-app.get('/devices/:id/files', async (req, res) => {
+app.post('/users', requirePermission('users:manage'), async (req, res) => {
   try {
-    const id = parseInt(req.params.id, 10);
-    if (isNaN(id)) {
-      return res.status(400).json({ success: false, error: 'Invalid device ID' });
+    const { name, email, password, role = 'viewer', must_change_password = true } = req.body;
+    if (!name || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing fields',
+        message: 'Name, email, and password are required'
+      });
     }
-    const device = await getDeviceById(id);
-    if (!device) {
-      return res.status(404).json({ success: false, error: 'Device not found' });
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid role',
+        message: `role must be one of: ${ROLES.join(', ')}`
+      });
     }
-    const files = await getDeviceFiles(id);
-    const withUrls = files.map((f) => ({
-      ...f,
-      file_url: `${req.protocol}://${req.get('host')}/uploads/${path.basename(f.storage_path)}`
-    }));
-    res.json({ success: true, data: withUrls });
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Weak password',
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const newUser = await createUser({
+      name,
+      email,
+      password,
+      role,
+      active: true,
+      must_change_password: Boolean(must_change_password)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'User created',
+      data: newUser
+    });
   } catch (error) {
-    console.error('Error in GET /devices/:id/files:', error);
-    res.status(500).json({ success: false, error: 'Failed to fetch device files', message: error.message });
+    console.error('Error in POST /users:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Duplicate email',
+        message: 'A user with this email already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create user',
+      message: error.message
+    });
   }
 });
 
 /**
- * POST /devices/:id/files - upload a config/attachment
+ * PATCH /users/:id - Update a user (admin)
+ * Optional: name, email, role, active, must_change_password,
+ *           password (admin reset; forces a change at next login unless must_change_password is false),
+ *           reassign_to_user_id (when deactivating; devices are checked in otherwise)
  */
-app.post('/devices/:id/files', upload.single('file'), async (req, res) => {
+app.patch('/users/:id', requirePermission('users:manage'), async (req, res) => {
   try {
     const id = parseInt(req.params.id, 10);
     if (isNaN(id)) {
-      return res.status(400).json({ success: false, error: 'Invalid device ID' });
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
     }
-    const device = await getDeviceById(id);
-    if (!device) {
-      return res.status(404).json({ success: false, error: 'Device not found' });
+
+    const { name, email, role, active, must_change_password, password } = req.body;
+    const reassignToUserId = req.body.reassign_to_user_id
+      ? parseInt(req.body.reassign_to_user_id, 10)
+      : null;
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid role',
+        message: `role must be one of: ${ROLES.join(', ')}`
+      });
     }
-    if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded' });
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'active must be a boolean' });
+    }
+    if (must_change_password !== undefined && typeof must_change_password !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'must_change_password must be a boolean' });
+    }
+    if ([name, email].some((value) => value !== undefined && (typeof value !== 'string' || !value.trim()))) {
+      return res.status(400).json({ success: false, error: 'Missing fields', message: 'Name and email cannot be empty' });
+    }
+    if ((name !== undefined && name.length > 100) || (email !== undefined && email.length > 150)) {
+      return res.status(400).json({ success: false, error: 'Too long', message: 'Name must be at most 100 and email at most 150 characters' });
+    }
+    if (reassignToUserId !== null && isNaN(reassignToUserId)) {
+      return res.status(400).json({ success: false, error: 'Invalid reassignment', message: 'reassign_to_user_id must be a number' });
+    }
+    if (password !== undefined && String(password).length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Weak password',
+        message: 'Password must be at least 6 characters'
+      });
     }
 
-    const record = await addDeviceFile({
-      device_id: id,
-      filename: req.file.originalname,
-      storage_path: req.file.path,
-      content_type: req.file.mimetype,
-      file_size: req.file.size
-    });
+    const existing = await getUserById(id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: `No user found with ID ${id}`
+      });
+    }
 
-    res.status(201).json({
-      success: true,
-      message: 'File uploaded',
-      data: {
-        ...record,
-        file_url: `${req.protocol}://${req.get('host')}/uploads/${path.basename(record.storage_path)}`
+    const changeError = await checkUserChange(existing, { role, active }, req.session.user);
+    if (changeError) {
+      return res.status(409).json({ success: false, error: 'Change not allowed', message: changeError });
+    }
+
+    const deactivate = active === false && existing.active;
+    if (deactivate) {
+      const reassignError = await checkReassignTarget(reassignToUserId, id);
+      if (reassignError) {
+        return res.status(400).json({ success: false, error: 'Invalid reassignment', message: reassignError });
+      }
+    }
+    if (email !== undefined) {
+      const owner = await getUserByEmail(email);
+      if (owner && owner.id !== id) {
+        return res.status(409).json({ success: false, error: 'Duplicate email', message: 'A user with this email already exists' });
       }
+    }
+
+    // Everything is checked; deactivation, password and profile are saved together or not at all
+    const result = await updateUserAccount(
+      id,
+      {
+        deactivate,
+        reassignToUserId,
+        password: password !== undefined ? String(password) : undefined,
+        mustChangePassword: must_change_password !== false,
+        changes: {
+          name,
+          email,
+          role,
+          active: active === true ? true : undefined,
+          must_change_password: password === undefined ? must_change_password : undefined
+        }
+      },
+      getAuditContext(req)
+    );
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'User not found', message: `No user found with ID ${id}` });
+    }
+
+    res.json({
+      success: true,
+      message: 'User updated',
+      data: result.user,
+      devices_released: result.devices
     });
   } catch (error) {
-    console.error('Error in POST /devices/:id/files:', error);
-    res.status(500).json({ success: false, error: 'Failed to upload file', message: error.message });
+    console.error(`Error in PATCH /users/${req.params.id}:`, error);
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Duplicate email',
+        message: 'A user with this email already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user',
+      message: error.message
+    });
   }
 });
 
 /**
- * POST /devices/:id/assign - check out a device to a user
+ * DELETE /users/:id - Deactivate a user (admin)
+ * Accounts are kept so history stays attributable; assigned devices are checked in
+ * or handed to ?reassign_to_user_id=
  */
-app.post('/devices/:id/assign', async (req, res) => {
+app.delete('/users/:id', requirePermission('users:manage'), async (req, res) => {
   try {
     const id = parseInt(req.params.id, 10);
-    const { userId } = req.body;
-    if (isNaN(id) || !userId) {
-      return res.status(400).json({ success: false, error: 'Device ID and userId required' });
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
     }
-    const device = await getDeviceById(id);
-    if (!device) {
-      return res.status(404).json({ success: false, error: 'Device not found' });
+    const reassignToUserId = req.query.reassign_to_user_id
+      ? parseInt(req.query.reassign_to_user_id, 10)
+      : null;
+
+    const existing = await getUserById(id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: `No user found with ID ${id}`
+      });
     }
-    const user = await getUserById(userId);
-    if (!user || !user.active) {
-      return res.status(400).json({ success: false, error: 'User not found or inactive' });
+
+    const changeError = await checkUserChange(existing, { active: false }, req.session.user);
+    if (changeError) {
+      return res.status(409).json({ success: false, error: 'Change not allowed', message: changeError });
     }
-    const updated = await assignDeviceToUser(id, userId);
+    const reassignError = await checkReassignTarget(reassignToUserId, id);
+    if (reassignError) {
+      return res.status(400).json({ success: false, error: 'Invalid reassignment', message: reassignError });
+    }
+
+    const result = await deactivateUser(id, {
+      reassignToUserId,
+      actor: getAuditContext(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'User deactivated',
+      data: result.user,
+      devices_released: result.devices
+    });
+  } catch (error) {
+    console.error(`Error in DELETE /users/${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate user',
+      message: error.message
+    });
+  }
+});
+
+// ==================== LOOKUPS ====================
+
+// Managed lookup lists: URL segment, audit entity type and display label
+const LOOKUP_ROUTES = [
+  { path: 'device-types', kind: 'device_type', label: 'device type' },
+  { path: 'manufacturers', kind: 'manufacturer', label: 'manufacturer' }
+];
+
+/**
+ * Validate a lookup name from a request body
+ * @returns {{error: string|null, name: string}}
+ */
+const validateLookupName = (body) => {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) return { error: 'name is required', name };
+  if (name.length > 100) return { error: 'name must be at most 100 characters', name };
+  return { error: null, name };
+};
+
+/**
+ * Describe how many devices use a lookup entry, for 409 messages
+ */
+const describeLookupUsage = (entry) => {
+  const total = entry.device_count + entry.trashed_count;
+  const trashed = entry.trashed_count ? ` (${entry.trashed_count} in the trash)` : '';
+  return `${total} device${total === 1 ? '' : 's'}${trashed}`;
+};
+
+LOOKUP_ROUTES.forEach(({ path: segment, kind, label }) => {
+  const title = label.charAt(0).toUpperCase() + label.slice(1);
+
+  /**
+   * GET /lookups/:list - entries with device_count (live) and trashed_count
+   */
+  app.get(`/lookups/${segment}`, requirePermission('lookups:read'), async (req, res) => {
+    try {
+      const entries = await getLookupUsage(kind);
+      res.json({ success: true, data: entries });
+    } catch (error) {
+      console.error(`Error in GET /lookups/${segment}:`, error);
+      res.status(500).json({ success: false, error: `Failed to load ${label}s` });
+    }
+  });
+
+  /**
+   * POST /lookups/:list - add an entry (names are unique, ignoring case)
+   */
+  app.post(`/lookups/${segment}`, requirePermission('lookups:manage'), async (req, res) => {
+    try {
+      const { error, name } = validateLookupName(req.body);
+      if (error) {
+        return res.status(400).json({ success: false, error: `Invalid ${label}`, message: error });
+      }
+      const duplicate = await findLookupByName(kind, name);
+      if (duplicate) {
+        return res.status(409).json({ success: false, error: `Duplicate ${label}`, message: `"${duplicate.name}" already exists` });
+      }
+      const entry = await createLookup(kind, name);
+      await addHistoryEntry({
+        ...getAuditContext(req),
+        entity_type: kind,
+        entity_id: entry.id,
+        action: 'created',
+        details: { name }
+      });
+      res.status(201).json({ success: true, message: `${title} created`, data: entry });
+    } catch (error) {
+      console.error(`Error in POST /lookups/${segment}:`, error);
+      if (error.code === '23505') {
+        return res.status(409).json({ success: false, error: `Duplicate ${label}`, message: 'This name already exists' });
+      }
+      res.status(500).json({ success: false, error: `Failed to create ${label}`, message: error.message });
+    }
+  });
+
+  /**
+   * PUT /lookups/:list/:id - rename an entry; devices keep pointing at it
+   */
+  app.put(`/lookups/${segment}/:id`, requirePermission('lookups:manage'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (isNaN(id)) {
+        return res.status(400).json({ success: false, error: `Invalid ${label} ID` });
+      }
+      const { error, name } = validateLookupName(req.body);
+      if (error) {
+        return res.status(400).json({ success: false, error: `Invalid ${label}`, message: error });
+      }
+      const existing = await getLookupById(kind, id);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: `${title} not found` });
+      }
+      const duplicate = await findLookupByName(kind, name);
+      if (duplicate && duplicate.id !== id) {
+        return res.status(409).json({
+          success: false,
+          error: `Duplicate ${label}`,
+          message: `"${duplicate.name}" already exists${kind === 'manufacturer' ? '; merge instead' : ''}`
+        });
+      }
+      if (existing.name === name) {
+        return res.json({ success: true, message: 'No changes', data: existing });
+      }
+
+      const entry = await renameLookup(kind, id, name);
+      await addHistoryEntry({
+        ...getAuditContext(req),
+        entity_type: kind,
+        entity_id: id,
+        action: 'updated',
+        details: { changes: { name: { from: existing.name, to: name } } }
+      });
+      res.json({ success: true, message: `${title} renamed`, data: entry });
+    } catch (error) {
+      console.error(`Error in PUT /lookups/${segment}/:id:`, error);
+      if (error.code === '23505') {
+        return res.status(409).json({ success: false, error: `Duplicate ${label}`, message: 'This name already exists' });
+      }
+      res.status(500).json({ success: false, error: `Failed to rename ${label}`, message: error.message });
+    }
+  });
+
+  /**
+   * DELETE /lookups/:list/:id - delete an entry no device uses (trashed devices count)
+   */
+  app.delete(`/lookups/${segment}/:id`, requirePermission('lookups:manage'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (isNaN(id)) {
+        return res.status(400).json({ success: false, error: `Invalid ${label} ID` });
+      }
+      const existing = await getLookupById(kind, id);
+      if (!existing) {
+        return res.status(404).json({ success: false, error: `${title} not found` });
+      }
+      const deleted = await deleteLookup(kind, id);
+      if (!deleted) {
+        const current = await getLookupById(kind, id);
+        return res.status(409).json({
+          success: false,
+          error: `${title} in use`,
+          message: `"${existing.name}" is used by ${describeLookupUsage(current || existing)}; reassign those devices${kind === 'manufacturer' ? ' or merge it into another manufacturer' : ''} first`
+        });
+      }
+      await addHistoryEntry({
+        ...getAuditContext(req),
+        entity_type: kind,
+        entity_id: id,
+        action: 'deleted',
+        details: { name: deleted.name }
+      });
+      res.json({ success: true, message: `${title} deleted`, data: deleted });
+    } catch (error) {
+      console.error(`Error in DELETE /lookups/${segment}/:id:`, error);
+      if (error.code === '23503') {
+        return res.status(409).json({ success: false, error: `${title} in use`, message: 'Devices still reference this entry' });
+      }
+      res.status(500).json({ success: false, error: `Failed to delete ${label}`, message: error.message });
+    }
+  });
+});
+
+/**
+ * POST /lookups/manufacturers/:id/merge - move every device to into_id and delete this manufacturer
+ */
+app.post('/lookups/manufacturers/:id/merge', requirePermission('lookups:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const intoId = Number(req.body.into_id);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid manufacturer ID' });
+    }
+    if (!Number.isInteger(intoId) || intoId < 1) {
+      return res.status(400).json({ success: false, error: 'Invalid merge', message: 'into_id must be the ID of the manufacturer to keep' });
+    }
+    if (intoId === id) {
+      return res.status(400).json({ success: false, error: 'Invalid merge', message: 'Cannot merge a manufacturer into itself' });
+    }
+
+    const result = await mergeManufacturers(id, intoId, { actor: getAuditContext(req) });
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Manufacturer not found', message: `Manufacturers ${id} and ${intoId} must both exist` });
+    }
+    res.json({
+      success: true,
+      message: `Merged "${result.source.name}" into "${result.target.name}" (${result.devices.length} device${result.devices.length === 1 ? '' : 's'})`,
+      data: await getLookupById('manufacturer', intoId),
+      devices: result.devices
+    });
+  } catch (error) {
+    console.error('Error in POST /lookups/manufacturers/:id/merge:', error);
+    res.status(500).json({ success: false, error: 'Failed to merge manufacturers', message: error.message });
+  }
+});
+
+/**
+ * Validate a model body: name, manufacturer_id and the optional eos_date / eol_date
+ * @param {Object} body
+ * @param {Object|null} [existing=null] - Current model on update (missing fields keep their value)
+ * @returns {Promise<{error: string|null, name: string, manufacturerId: number, dates: Object}>}
+ *   dates holds the lifecycle dates present in the body (null clears one)
+ */
+const validateModelInput = async (body, existing = null) => {
+  const dates = {};
+  for (const field of ['eos_date', 'eol_date']) {
+    if (body[field] === undefined) continue;
+    const date = body[field] === null || body[field] === '' ? null : String(body[field]).trim();
+    if (date && !isIsoDate(date)) return { error: `${field} must be a date such as 2027-06-30` };
+    dates[field] = date;
+  }
+
+  const { error, name } = body.name === undefined && existing ? { error: null, name: existing.name } : validateLookupName(body);
+  if (error) return { error, name };
+  const manufacturerId = body.manufacturer_id === undefined && existing ? existing.manufacturer_id : Number(body.manufacturer_id);
+  if (!Number.isInteger(manufacturerId) || manufacturerId < 1) {
+    return { error: 'manufacturer_id is required', name };
+  }
+  if (!(await getLookupById('manufacturer', manufacturerId))) {
+    return { error: `No manufacturer with ID ${manufacturerId}`, name };
+  }
+  return { error: null, name, manufacturerId, dates };
+};
+
+/**
+ * GET /lookups/models - models with manufacturer_name, device_count and trashed_count
+ */
+app.get('/lookups/models', requirePermission('lookups:read'), async (req, res) => {
+  try {
+    const models = await getLookupUsage('model');
+    res.json({ success: true, data: models });
+  } catch (error) {
+    console.error('Error in GET /lookups/models:', error);
+    res.status(500).json({ success: false, error: 'Failed to load models' });
+  }
+});
+
+/**
+ * POST /lookups/models - add a model { name, manufacturer_id, eos_date, eol_date }
+ * (names are unique per manufacturer, ignoring case)
+ */
+app.post('/lookups/models', requirePermission('lookups:manage'), async (req, res) => {
+  try {
+    const { error, name, manufacturerId, dates } = await validateModelInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid model', message: error });
+    }
+    const duplicate = await findModelByName(manufacturerId, name);
+    if (duplicate) {
+      return res.status(409).json({ success: false, error: 'Duplicate model', message: `"${duplicate.name}" already exists for this manufacturer` });
+    }
+    const model = await createModel({ manufacturer_id: manufacturerId, name, ...dates });
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'model',
+      entity_id: model.id,
+      action: 'created',
+      details: { name, manufacturer_id: manufacturerId, ...dates }
+    });
+    res.status(201).json({ success: true, message: 'Model created', data: model });
+  } catch (error) {
+    console.error('Error in POST /lookups/models:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate model', message: 'This model already exists' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to create model', message: error.message });
+  }
+});
+
+/**
+ * PUT /lookups/models/:id - rename a model, set its eos_date / eol_date, or move it to another manufacturer
+ * (its devices move too)
+ */
+app.put('/lookups/models/:id', requirePermission('lookups:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid model ID' });
+    }
+    const existing = await getLookupById('model', id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Model not found' });
+    }
+    const { error, name, manufacturerId, dates } = await validateModelInput(req.body, existing);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid model', message: error });
+    }
+    const duplicate = await findModelByName(manufacturerId, name);
+    if (duplicate && duplicate.id !== id) {
+      return res.status(409).json({ success: false, error: 'Duplicate model', message: `"${duplicate.name}" already exists for this manufacturer` });
+    }
+
+    const changes = diffFields(
+      existing,
+      { ...existing, ...dates, name, manufacturer_id: manufacturerId },
+      ['name', 'manufacturer_id', 'eos_date', 'eol_date']
+    );
+    if (Object.keys(changes).length === 0) {
+      return res.json({ success: true, message: 'No changes', data: existing });
+    }
+    const model = await updateModel(
+      id,
+      Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to])),
+      { actor: getAuditContext(req) }
+    );
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'model',
+      entity_id: id,
+      action: 'updated',
+      details: { changes }
+    });
+    res.json({ success: true, message: 'Model updated', data: model });
+  } catch (error) {
+    console.error('Error in PUT /lookups/models/:id:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate model', message: 'This model already exists' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to update model', message: error.message });
+  }
+});
+
+/**
+ * DELETE /lookups/models/:id - delete a model no device uses (trashed devices count)
+ */
+app.delete('/lookups/models/:id', requirePermission('lookups:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid model ID' });
+    }
+    const existing = await getLookupById('model', id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Model not found' });
+    }
+    const deleted = await deleteLookup('model', id);
+    if (!deleted) {
+      const current = await getLookupById('model', id);
+      return res.status(409).json({
+        success: false,
+        error: 'Model in use',
+        message: `"${existing.name}" is used by ${describeLookupUsage(current || existing)}; reassign those devices first`
+      });
+    }
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'model',
+      entity_id: id,
+      action: 'deleted',
+      details: { name: deleted.name, manufacturer_id: existing.manufacturer_id }
+    });
+    res.json({ success: true, message: 'Model deleted', data: deleted });
+  } catch (error) {
+    console.error('Error in DELETE /lookups/models/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete model', message: error.message });
+  }
+});
+
+// ==================== LOCATIONS ====================
+
+/**
+ * Normalize location path text for matching: " HQ/Building  A " -> "hq / building a"
+ * @param {string} text - Levels separated by / or >
+ * @returns {string}
+ */
+const normalizeLocationPath = (text) =>
+  String(text)
+    .split(/[/>]/)
+    .map((part) => part.trim().replace(/\s+/g, ' '))
+    .filter(Boolean)
+    .join(' / ')
+    .toLowerCase();
+
+/**
+ * Find the locations a free-text value names: a full path, or the trailing part of one ("Rack A", "Floor 2 / Rack A")
+ * @param {Array<Object>} locations - From getLocations
+ * @param {string} text
+ * @returns {Array<Object>} Matches; more than one means the text is ambiguous
+ */
+const matchLocations = (locations, text) => {
+  const key = normalizeLocationPath(text);
+  if (!key) return [];
+  const exact = locations.filter((l) => l.path.toLowerCase() === key);
+  return exact.length ? exact : locations.filter((l) => l.path.toLowerCase().endsWith(` / ${key}`));
+};
+
+/**
+ * Resolve the location of a device body: location_id wins, otherwise location text must name an existing location
+ * @param {Object} body - location_id and/or location (null or '' clears the location)
+ * @returns {Promise<{error: string|null, values: Object}>} values holds location_id and its path as location
+ *   when the body set either
+ */
+const validateDeviceLocation = async (body) => {
+  const blank = (value) => value === null || value === '' || (typeof value === 'string' && !value.trim());
+  if (body.location_id === undefined && body.location === undefined) return { error: null, values: {} };
+  if (body.location_id !== undefined ? blank(body.location_id) : blank(body.location)) {
+    return { error: null, values: { location_id: null, location: null } };
+  }
+
+  if (body.location_id !== undefined) {
+    const id = Number(body.location_id);
+    if (!Number.isInteger(id) || id < 1) return { error: 'location_id must be a location ID', values: {} };
+    const location = await getLocationById(id);
+    if (!location) return { error: `No location with ID ${id}`, values: {} };
+    return { error: null, values: { location_id: id, location: location.path } };
+  }
+
+  const text = String(body.location).trim();
+  const matches = matchLocations(await getLocations(), text);
+  if (matches.length === 0) {
+    return { error: `Unknown location "${text}"; add it under Locations first`, values: {} };
+  }
+  if (matches.length > 1) {
+    return {
+      error: `"${text}" matches several locations (${matches.slice(0, 3).map((l) => l.path).join('; ')}); use the full path or location_id`,
+      values: {}
+    };
+  }
+  return { error: null, values: { location_id: matches[0].id, location: matches[0].path } };
+};
+
+/**
+ * Validate the rack placement of a device body: rack_position (lowest U, null = not placed), rack_height and rack_face
+ * A position needs a rack location and must fit within its height; moving a device to another location
+ * clears its position unless a new one is given. Overlaps with devices on the same face are reported as conflict.
+ * @param {Object} body
+ * @param {Object} place - Result of validateDeviceLocation for the same body
+ * @param {Object|null} [existing=null] - Current device on update (missing fields keep their value)
+ * @returns {Promise<{error: string|null, conflict: string|null, values: Object}>} values holds the rack fields to store
+ */
+const validateRackPlacement = async (body, place, existing = null) => {
+  const values = {};
+  const result = (error, conflict = null) => ({ error, conflict, values });
+  const locationId = place.values.location_id !== undefined ? place.values.location_id : existing?.location_id ?? null;
+  const moved = existing && place.values.location_id !== undefined && locationId !== existing.location_id;
+
+  if (body.rack_height !== undefined) {
+    const height = Number(body.rack_height);
+    if (!Number.isInteger(height) || height < 1 || height > 60) return result('rack_height must be a whole number of U from 1 to 60');
+    values.rack_height = height;
+  }
+  if (body.rack_face !== undefined) {
+    const face = String(body.rack_face).toLowerCase();
+    if (!['front', 'rear'].includes(face)) return result('rack_face must be front or rear');
+    values.rack_face = face;
+  }
+  if (body.rack_position !== undefined) {
+    const blank = body.rack_position === null || body.rack_position === '';
+    const position = blank ? null : Number(body.rack_position);
+    if (!blank && (!Number.isInteger(position) || position < 1)) return result('rack_position must be a rack unit number (1 = bottom)');
+    values.rack_position = position;
+  } else if (moved && existing.rack_position !== null) {
+    values.rack_position = null;
+  }
+
+  const position = values.rack_position !== undefined ? values.rack_position : existing?.rack_position ?? null;
+  if (position === null) return result(null);
+  const height = values.rack_height ?? existing?.rack_height ?? 1;
+  const face = values.rack_face ?? existing?.rack_face ?? 'front';
+  const rack = locationId ? await getLocationById(locationId) : null;
+  if (!rack || rack.kind !== 'rack') return result('rack_position needs a location of kind rack');
+  const top = position + height - 1;
+  if (top > rack.rack_units) {
+    return result(`U${position}${height > 1 ? `-${top}` : ''} does not fit in "${rack.path}" (${rack.rack_units}U)`);
+  }
+  const taken = await findRackConflict({ locationId, face, position, height, excludeId: existing?.id });
+  if (taken) {
+    const takenTop = taken.rack_position + taken.rack_height - 1;
+    const units = taken.rack_height > 1 ? `U${taken.rack_position}-${takenTop}` : `U${taken.rack_position}`;
+    return result(null, `${units} on the ${face} of "${rack.path}" is taken by ${taken.hostname}`);
+  }
+  return result(null);
+};
+
+/**
+ * Describe an exclusion violation of devices_rack_no_overlap (two requests placing devices at once)
+ * @param {Error} error - pg error with code 23P01
+ * @returns {string}
+ */
+const describeRackOverlap = (error) =>
+  error.constraint === 'devices_rack_no_overlap'
+    ? 'Those rack units are already taken by another device'
+    : error.message;
+
+/**
+ * Validate a location body: name, kind, parent_id, description, rack_units and snmp_credential_id
+ * Names may not contain / or > (they separate path levels); a child's kind must be a lower level than its
+ * parent's (a room cannot hold a building), and a location cannot move under itself. Racks have a height
+ * in U (default 42) that cannot drop below the devices placed in them; other kinds have none.
+ * @param {Object} body
+ * @param {Object|null} [existing=null] - Current location on update (missing fields keep their value)
+ * @returns {Promise<{error: string|null, values: Object, parent: Object|null}>} values has all six fields
+ */
+const validateLocationInput = async (body, existing = null) => {
+  const locations = await getLocations();
+  const values = {};
+
+  if (body.name === undefined && existing) {
+    values.name = existing.name;
+  } else {
+    const { error, name } = validateLookupName(body);
+    if (error) return { error, values };
+    if (/[/>]/.test(name)) return { error: 'name cannot contain / or > (they separate location levels)', values };
+    values.name = name.replace(/\s+/g, ' ');
+  }
+
+  const parentId = body.parent_id === undefined
+    ? existing?.parent_id ?? null
+    : body.parent_id === null || body.parent_id === '' ? null : Number(body.parent_id);
+  let parent = null;
+  if (parentId !== null) {
+    if (!Number.isInteger(parentId) || parentId < 1) return { error: 'parent_id must be a location ID', values };
+    parent = locations.find((l) => l.id === parentId);
+    if (!parent) return { error: `No location with ID ${parentId}`, values };
+    if (existing && parent.ancestor_ids.includes(existing.id)) {
+      return { error: 'A location cannot be moved under itself or one of its sub-locations', values };
+    }
+  }
+  values.parent_id = parentId;
+
+  // New locations default to the level below their parent
+  const defaultKind = existing?.kind || LOCATION_KINDS[parent ? Math.min(LOCATION_KINDS.indexOf(parent.kind) + 1, LOCATION_KINDS.length - 1) : 0];
+  values.kind = body.kind === undefined || body.kind === '' ? defaultKind : String(body.kind).toLowerCase();
+  const rank = LOCATION_KINDS.indexOf(values.kind);
+  if (rank === -1) return { error: `kind must be one of: ${LOCATION_KINDS.join(', ')}`, values };
+  if (parent && rank <= LOCATION_KINDS.indexOf(parent.kind)) {
+    return { error: `A ${values.kind} cannot be inside a ${parent.kind}`, values };
+  }
+  const child = existing && locations.find((l) => l.parent_id === existing.id && LOCATION_KINDS.indexOf(l.kind) <= rank);
+  if (child) return { error: `"${child.name}" (${child.kind}) cannot be inside a ${values.kind}`, values };
+
+  if (body.description === undefined) {
+    values.description = existing ? existing.description : null;
+  } else {
+    values.description = body.description === null ? null : String(body.description).trim() || null;
+  }
+
+  const placed = existing ? (await getRackDevices(existing.id)).filter((d) => d.rack_position !== null) : [];
+  if (values.kind !== 'rack') {
+    if (body.rack_units !== undefined && body.rack_units !== null && body.rack_units !== '') {
+      return { error: 'rack_units only applies to locations of kind rack', values };
+    }
+    if (placed.length) {
+      return { error: `${placed.length} device(s) are placed in this rack; clear their rack positions first`, values };
+    }
+    values.rack_units = null;
+  } else if (body.rack_units === undefined || body.rack_units === null || body.rack_units === '') {
+    values.rack_units = existing?.rack_units || 42;
+  } else {
+    values.rack_units = Number(body.rack_units);
+    if (!Number.isInteger(values.rack_units) || values.rack_units < 1 || values.rack_units > 60) {
+      return { error: 'rack_units must be a whole number from 1 to 60', values };
+    }
+    const top = Math.max(0, ...placed.map((d) => d.rack_position + d.rack_height - 1));
+    if (top > values.rack_units) {
+      return { error: `Devices are placed up to U${top}; move them before making the rack ${values.rack_units}U`, values };
+    }
+  }
+
+  // Devices at or below the location without their own credential poll with this one
+  if (body.snmp_credential_id === undefined) {
+    values.snmp_credential_id = existing?.snmp_credential_id ?? null;
+  } else {
+    const snmpCredential = await validateSnmpCredentialField(body);
+    if (snmpCredential.error) return { error: snmpCredential.error, values };
+    values.snmp_credential_id = snmpCredential.values.snmp_credential_id;
+  }
+  return { error: null, values, parent };
+};
+
+/**
+ * GET /locations - every location (parents first) with path, device_count (here), total_device_count
+ * (here and below) and child_count
+ */
+app.get('/locations', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const locations = await getLocations();
+    res.json({ success: true, kinds: LOCATION_KINDS, data: locations });
+  } catch (error) {
+    console.error('Error in GET /locations:', error);
+    res.status(500).json({ success: false, error: 'Failed to load locations' });
+  }
+});
+
+/**
+ * GET /locations/:id - one location with its counts
+ */
+app.get('/locations/:id', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid location ID' });
+    }
+    const location = await getLocationById(id);
+    if (!location) {
+      return res.status(404).json({ success: false, error: 'Location not found' });
+    }
+    res.json({ success: true, data: location });
+  } catch (error) {
+    console.error('Error in GET /locations/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to load location', message: error.message });
+  }
+});
+
+/**
+ * POST /locations - add a location { name, kind, parent_id, description, rack_units, snmp_credential_id }
+ * (names are unique among siblings, ignoring case)
+ */
+app.post('/locations', requirePermission('locations:manage'), async (req, res) => {
+  try {
+    const { error, values } = await validateLocationInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid location', message: error });
+    }
+    const duplicate = await findLocationByName(values.parent_id, values.name);
+    if (duplicate) {
+      return res.status(409).json({ success: false, error: 'Duplicate location', message: `"${duplicate.path}" already exists` });
+    }
+    const location = await createLocation(values);
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'location',
+      entity_id: location.id,
+      action: 'created',
+      details: { name: location.path, kind: location.kind, parent_id: location.parent_id }
+    });
+    res.status(201).json({ success: true, message: 'Location created', data: location });
+  } catch (error) {
+    console.error('Error in POST /locations:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate location', message: 'This location already exists' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to create location', message: error.message });
+  }
+});
+
+/**
+ * PUT /locations/:id - rename a location, change its kind or description, or move it under another parent
+ * (parent_id null makes it a site); devices keep pointing at it and their location paths follow
+ */
+app.put('/locations/:id', requirePermission('locations:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid location ID' });
+    }
+    const existing = await getLocationById(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Location not found' });
+    }
+    const { error, values } = await validateLocationInput(req.body, existing);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid location', message: error });
+    }
+    const duplicate = await findLocationByName(values.parent_id, values.name);
+    if (duplicate && duplicate.id !== id) {
+      return res.status(409).json({ success: false, error: 'Duplicate location', message: `"${duplicate.path}" already exists; merge instead` });
+    }
+
+    const changes = diffFields(existing, { ...existing, ...values }, ['name', 'kind', 'parent_id', 'description', 'rack_units', 'snmp_credential_id']);
+    if (Object.keys(changes).length === 0) {
+      return res.json({ success: true, message: 'No changes', data: existing });
+    }
+    const location = await updateLocation(
+      id,
+      Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to]))
+    );
+    if (location.path !== existing.path) changes.path = { from: existing.path, to: location.path };
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'location',
+      entity_id: id,
+      action: 'updated',
+      details: { name: location.path, changes }
+    });
+    res.json({ success: true, message: 'Location updated', data: location });
+  } catch (error) {
+    console.error('Error in PUT /locations/:id:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate location', message: 'This location already exists' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to update location', message: error.message });
+  }
+});
+
+/**
+ * DELETE /locations/:id - delete a location with no sub-locations and no devices (trashed devices count)
+ */
+app.delete('/locations/:id', requirePermission('locations:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid location ID' });
+    }
+    const existing = await getLocationById(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Location not found' });
+    }
+    const deleted = await deleteLocation(id);
+    if (!deleted) {
+      const current = (await getLocationById(id)) || existing;
+      const reason = current.child_count > 0
+        ? `has ${current.child_count} sub-location${current.child_count === 1 ? '' : 's'}`
+        : `is used by ${describeLookupUsage(current)}`;
+      return res.status(409).json({
+        success: false,
+        error: 'Location in use',
+        message: `"${existing.path}" ${reason}; move them or merge it into another location first`
+      });
+    }
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'location',
+      entity_id: id,
+      action: 'deleted',
+      details: { name: deleted.path, kind: deleted.kind }
+    });
+    res.json({ success: true, message: 'Location deleted', data: deleted });
+  } catch (error) {
+    console.error('Error in DELETE /locations/:id:', error);
+    if (error.code === '23503') {
+      return res.status(409).json({ success: false, error: 'Location in use', message: 'Devices or sub-locations still reference this location' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to delete location', message: error.message });
+  }
+});
+
+/**
+ * POST /locations/:id/merge - move this location's devices and sub-locations to into_id, then delete it
+ * (how duplicate spellings left by the free-text migration are cleaned up)
+ */
+app.post('/locations/:id/merge', requirePermission('locations:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const intoId = Number(req.body.into_id);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid location ID' });
+    }
+    if (!Number.isInteger(intoId) || intoId < 1) {
+      return res.status(400).json({ success: false, error: 'Invalid merge', message: 'into_id must be the ID of the location to keep' });
+    }
+    if (intoId === id) {
+      return res.status(400).json({ success: false, error: 'Invalid merge', message: 'Cannot merge a location into itself' });
+    }
+
+    const locations = await getLocations();
+    const source = locations.find((l) => l.id === id);
+    const target = locations.find((l) => l.id === intoId);
+    if (!source || !target) {
+      return res.status(404).json({ success: false, error: 'Location not found', message: `Locations ${id} and ${intoId} must both exist` });
+    }
+    if (target.ancestor_ids.includes(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid merge', message: `"${target.path}" is inside "${source.path}"` });
+    }
+    const children = locations.filter((l) => l.parent_id === id);
+    const misplaced = children.find((c) => LOCATION_KINDS.indexOf(c.kind) <= LOCATION_KINDS.indexOf(target.kind));
+    if (misplaced) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid merge',
+        message: `"${misplaced.name}" (${misplaced.kind}) cannot be inside a ${target.kind}`
+      });
+    }
+    const clash = children.find((c) => locations.some((l) => l.parent_id === intoId && l.name.toLowerCase() === c.name.toLowerCase()));
+    if (clash) {
+      return res.status(409).json({
+        success: false,
+        error: 'Duplicate location',
+        message: `Both locations contain "${clash.name}"; merge those first`
+      });
+    }
+
+    const result = await mergeLocations(id, intoId, { actor: getAuditContext(req) });
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Location not found', message: `Locations ${id} and ${intoId} must both exist` });
+    }
+    res.json({
+      success: true,
+      message: `Merged "${result.source.path}" into "${result.target.path}" (${result.devices.length} device${result.devices.length === 1 ? '' : 's'})`,
+      data: await getLocationById(intoId),
+      devices: result.devices
+    });
+  } catch (error) {
+    console.error('Error in POST /locations/:id/merge:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate location', message: 'Both locations contain a sub-location with the same name' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to merge locations', message: error.message });
+  }
+});
+
+// ==================== RACKS ====================
+
+/**
+ * Free unit ranges of one rack face, from the top down
+ * @param {number} units - Rack height in U
+ * @param {Array<Object>} devices - Devices placed on that face
+ * @returns {Array<{from: number, to: number, units: number}>} Inclusive U ranges
+ */
+const getFreeRackRanges = (units, devices) => {
+  const taken = new Set();
+  devices.forEach((d) => {
+    for (let u = d.rack_position; u < d.rack_position + d.rack_height; u++) taken.add(u);
+  });
+  const ranges = [];
+  for (let u = units; u >= 1; u--) {
+    if (taken.has(u)) continue;
+    const last = ranges[ranges.length - 1];
+    if (last && last.from === u + 1) {
+      last.from = u;
+      last.units++;
+    } else {
+      ranges.push({ from: u, to: u, units: 1 });
+    }
+  }
+  return ranges;
+};
+
+/**
+ * GET /racks - every rack location with its height and free U per face
+ */
+app.get('/racks', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const racks = await getRacks();
+    res.json({ success: true, data: racks });
+  } catch (error) {
+    console.error('Error in GET /racks:', error);
+    res.status(500).json({ success: false, error: 'Failed to load racks', message: error.message });
+  }
+});
+
+/**
+ * GET /racks/:id - rack elevation: placed devices per face with their free U ranges, plus the rack's unplaced devices
+ */
+app.get('/racks/:id', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid location ID' });
+    }
+    const rack = await getLocationById(id);
+    if (!rack || rack.kind !== 'rack') {
+      return res.status(404).json({ success: false, error: 'Rack not found', message: `Location ${id} is not a rack` });
+    }
+    const devices = await getRackDevices(id);
+    const faces = Object.fromEntries(['front', 'rear'].map((face) => {
+      const placed = devices.filter((d) => d.rack_position !== null && d.rack_face === face);
+      const free = getFreeRackRanges(rack.rack_units, placed);
+      return [face, { devices: placed, free, free_units: free.reduce((sum, r) => sum + r.units, 0) }];
+    }));
+    res.json({
+      success: true,
+      data: { ...rack, faces, unplaced: devices.filter((d) => d.rack_position === null) }
+    });
+  } catch (error) {
+    console.error('Error in GET /racks/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to load rack', message: error.message });
+  }
+});
+
+// ==================== IP ADDRESS MANAGEMENT ====================
+
+/**
+ * Add usable address count and utilization percentage to a subnet row
+ */
+const withUtilization = (subnet) => {
+  const usable = countUsableAddresses(subnet.prefix);
+  const utilization = usable > 0n
+    ? Number((BigInt(subnet.used_addresses) * 10000n) / usable) / 100
+    : 0;
+  return {
+    ...subnet,
+    usable_addresses: usable.toString(), // string: IPv6 prefixes exceed Number precision
+    utilization
+  };
+};
+
+/**
+ * Validate subnet fields from a request body
+ * @param {Object} body
+ * @param {Object} [existing] - Current subnet when updating (fields not sent keep their value)
+ * @returns {{error: string|null, data: Object}}
+ */
+const validateSubnetInput = (body, existing = null) => {
+  const data = {};
+
+  if (body.prefix !== undefined || !existing) {
+    if (!body.prefix) return { error: 'prefix is required (e.g. 10.20.0.0/24)', data };
+    const range = getCidrRange(body.prefix);
+    if (!range) return { error: 'prefix must be a CIDR such as 10.20.0.0/24 or 2001:db8::/48', data };
+    if (!range.isNetworkAddress) {
+      return { error: `prefix has host bits set; did you mean ${toNetworkCidr(body.prefix)}?`, data };
+    }
+    data.prefix = toNetworkCidr(body.prefix);
+  }
+
+  if (body.vlan_id !== undefined && body.vlan_id !== null && body.vlan_id !== '') {
+    const vlanId = Number(body.vlan_id);
+    if (!Number.isInteger(vlanId) || vlanId < 1 || vlanId > 4094) {
+      return { error: 'vlan_id must be an integer between 1 and 4094', data };
+    }
+    data.vlan_id = vlanId;
+  } else if (body.vlan_id !== undefined) {
+    data.vlan_id = null;
+  }
+
+  const prefix = data.prefix || existing?.prefix;
+  if (body.gateway) {
+    const gateway = parseIpAddress(body.gateway);
+    if (!gateway) return { error: `gateway: ${IP_FORMAT_MESSAGE}`, data };
+    if (!isAddressInCidr(gateway.address, prefix)) {
+      return { error: `gateway ${gateway.address} is outside ${prefix}`, data };
+    }
+    data.gateway = gateway.address;
+  } else if (body.gateway !== undefined) {
+    data.gateway = null;
+  } else if (data.prefix && existing?.gateway && !isAddressInCidr(existing.gateway, data.prefix)) {
+    return { error: `existing gateway ${existing.gateway} is outside ${data.prefix}`, data };
+  }
+
+  if (body.vlan_name !== undefined) data.vlan_name = body.vlan_name || null;
+  if (body.description !== undefined) data.description = body.description || null;
+
+  return { error: null, data };
+};
+
+/**
+ * Build warnings for a device IP: outside every known subnet, or shared with another device
+ * @param {string} ip - Validated address
+ * @param {number} [excludeDeviceId] - Device that owns the IP (ignored as a conflict)
+ */
+const getIpWarnings = async (ip, excludeDeviceId = null) => {
+  const { subnet, conflicts } = await checkDeviceIp(ip, excludeDeviceId);
+  const warnings = [];
+  if (!subnet) {
+    warnings.push(`${ip} is outside every known subnet`);
+  }
+  conflicts.forEach((d) => {
+    warnings.push(`${ip} is already used by ${d.hostname} (#${d.id})${d.interface_name ? ` on ${d.interface_name}` : ''}`);
+  });
+  return { subnet, conflicts, warnings };
+};
+
+/**
+ * GET /subnets - list subnets with utilization
+ */
+app.get('/subnets', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const subnets = await getSubnets();
+    res.json({ success: true, count: subnets.length, data: subnets.map(withUtilization) });
+  } catch (error) {
+    console.error('Error in GET /subnets:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch subnets', message: error.message });
+  }
+});
+
+/**
+ * GET /subnets/:id - subnet with the devices inside it
+ */
+app.get('/subnets/:id', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid subnet ID' });
+    }
+    const subnet = await getSubnetById(id);
+    if (!subnet) {
+      return res.status(404).json({ success: false, error: 'Subnet not found' });
+    }
+    const devices = await getDevicesInPrefix(subnet.prefix);
+    res.json({ success: true, data: { ...withUtilization(subnet), devices } });
+  } catch (error) {
+    console.error('Error in GET /subnets/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch subnet', message: error.message });
+  }
+});
+
+/**
+ * GET /subnets/:id/next-free - lowest unused usable address (not reserved; allocate by saving a device)
+ */
+app.get('/subnets/:id/next-free', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid subnet ID' });
+    }
+    const subnet = await getSubnetById(id);
+    if (!subnet) {
+      return res.status(404).json({ success: false, error: 'Subnet not found' });
+    }
+    const taken = await getTakenAddresses(id);
+    const next = findNextFreeAddress(subnet.prefix, taken);
+    if (!next) {
+      return res.status(409).json({
+        success: false,
+        error: 'Subnet full',
+        message: `No free addresses left in ${subnet.prefix}`
+      });
+    }
+    res.json({ success: true, data: { subnet_id: id, prefix: subnet.prefix, ip_address: next } });
+  } catch (error) {
+    console.error('Error in GET /subnets/:id/next-free:', error);
+    res.status(500).json({ success: false, error: 'Failed to allocate address', message: error.message });
+  }
+});
+
+/**
+ * POST /subnets - create a subnet
+ * Requires: prefix; Optional: vlan_id, vlan_name, gateway, description
+ */
+app.post('/subnets', requirePermission('ipam:manage'), async (req, res) => {
+  try {
+    const { error, data } = validateSubnetInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid subnet', message: error });
+    }
+    const subnet = await createSubnet(data);
+    res.status(201).json({ success: true, message: 'Subnet created', data: withUtilization(subnet) });
+  } catch (error) {
+    console.error('Error in POST /subnets:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate subnet', message: 'This prefix already exists' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to create subnet', message: error.message });
+  }
+});
+
+/**
+ * PUT /subnets/:id - update a subnet
+ */
+app.put('/subnets/:id', requirePermission('ipam:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid subnet ID' });
+    }
+    const existing = await getSubnetById(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Subnet not found' });
+    }
+    const { error, data } = validateSubnetInput(req.body, existing);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid subnet', message: error });
+    }
+    const subnet = await updateSubnet(id, data);
+    res.json({ success: true, message: 'Subnet updated', data: withUtilization(subnet) });
+  } catch (error) {
+    console.error('Error in PUT /subnets/:id:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate subnet', message: 'This prefix already exists' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to update subnet', message: error.message });
+  }
+});
+
+/**
+ * DELETE /subnets/:id - delete a subnet (devices keep their addresses)
+ */
+app.delete('/subnets/:id', requirePermission('ipam:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid subnet ID' });
+    }
+    const deleted = await deleteSubnet(id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Subnet not found' });
+    }
+    res.json({ success: true, message: 'Subnet deleted', data: deleted });
+  } catch (error) {
+    console.error('Error in DELETE /subnets/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete subnet', message: error.message });
+  }
+});
+
+/**
+ * GET /ipam/check?ip=&exclude_id= - subnet and collision warnings for an address (used by DeviceForm)
+ */
+app.get('/ipam/check', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const parsed = parseIpAddress(req.query.ip);
+    if (!parsed) {
+      return res.status(400).json({ success: false, error: 'Invalid IP address format', message: IP_FORMAT_MESSAGE });
+    }
+    const excludeId = req.query.exclude_id ? parseInt(req.query.exclude_id, 10) : null;
+    const result = await getIpWarnings(parsed.address, isNaN(excludeId) ? null : excludeId);
+    res.json({ success: true, data: { ip_address: parsed.address, ...result } });
+  } catch (error) {
+    console.error('Error in GET /ipam/check:', error);
+    res.status(500).json({ success: false, error: 'Failed to check IP address', message: error.message });
+  }
+});
+
+// ==================== DEVICE INTERFACES ====================
+
+const ADMIN_STATUSES = ['up', 'down'];
+const INTERFACE_AUDIT_FIELDS = ['name', 'mac_address', 'ip_addresses', 'speed_mbps', 'admin_status', 'oper_status', 'description', 'pass_through_id'];
+const OPER_STATUSES = ['up', 'down', 'unknown'];
+
+/**
+ * Validate interface fields from a request body
+ * @param {Object} body
+ * @param {boolean} [partial=false] - Update: fields not sent keep their value
+ * @returns {{error: string|null, data: Object}}
+ */
+const validateInterfaceInput = (body, partial = false) => {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'name is required (e.g. GigabitEthernet1/0/1)', data };
+    data.name = name;
+  }
+
+  if (body.mac_address) {
+    const mac = parseMacAddress(body.mac_address);
+    if (!mac) return { error: 'mac_address must look like 00:1a:2b:3c:4d:5e', data };
+    data.mac_address = mac;
+  } else if (body.mac_address !== undefined) {
+    data.mac_address = null;
+  }
+
+  if (body.ip_addresses !== undefined && body.ip_addresses !== null) {
+    // Accept an array or a comma/whitespace separated string
+    const list = Array.isArray(body.ip_addresses)
+      ? body.ip_addresses
+      : String(body.ip_addresses).split(/[\s,]+/);
+    const addresses = [];
+    for (const value of list.filter((v) => String(v).trim())) {
+      const address = parseInterfaceAddress(String(value));
+      if (!address) return { error: `ip_addresses: "${value}" is not a valid address or address/prefix`, data };
+      if (!addresses.includes(address)) addresses.push(address);
+    }
+    data.ip_addresses = addresses;
+  } else if (body.ip_addresses === null) {
+    data.ip_addresses = [];
+  }
+
+  if (body.speed_mbps !== undefined && body.speed_mbps !== null && body.speed_mbps !== '') {
+    const speed = Number(body.speed_mbps);
+    if (!Number.isInteger(speed) || speed < 0) {
+      return { error: 'speed_mbps must be a non-negative integer', data };
+    }
+    data.speed_mbps = speed;
+  } else if (body.speed_mbps !== undefined) {
+    data.speed_mbps = null;
+  }
+
+  if (body.admin_status !== undefined) {
+    if (!ADMIN_STATUSES.includes(body.admin_status)) {
+      return { error: `admin_status must be one of: ${ADMIN_STATUSES.join(', ')}`, data };
+    }
+    data.admin_status = body.admin_status;
+  }
+
+  if (body.oper_status !== undefined) {
+    if (!OPER_STATUSES.includes(body.oper_status)) {
+      return { error: `oper_status must be one of: ${OPER_STATUSES.join(', ')}`, data };
+    }
+    data.oper_status = body.oper_status;
+  }
+
+  if (body.description !== undefined) data.description = body.description || null;
+
+  // Patch panel ports: the port on the same device that this one is wired through to (front <-> rear)
+  if (body.pass_through_id !== undefined && body.pass_through_id !== null && body.pass_through_id !== '') {
+    const peerId = Number(body.pass_through_id);
+    if (!Number.isInteger(peerId) || peerId < 1) return { error: 'pass_through_id must be an interface ID', data };
+    data.pass_through_id = peerId;
+  } else if (body.pass_through_id !== undefined) {
+    data.pass_through_id = null;
+  }
+
+  return { error: null, data };
+};
+
+/**
+ * Check that a pass-through peer is another interface of the same device
+ * @param {number} deviceId
+ * @param {number|null} interfaceId - Interface being updated (null on create)
+ * @param {number|null|undefined} peerId
+ * @returns {Promise<string|null>} Error message
+ */
+const validatePassThrough = async (deviceId, interfaceId, peerId) => {
+  if (peerId === undefined || peerId === null) return null;
+  if (peerId === interfaceId) return 'An interface cannot pass through to itself';
+  const peer = await getDeviceInterface(deviceId, peerId);
+  return peer ? null : `pass_through_id ${peerId} is not an interface of this device`;
+};
+
+/**
+ * Parse :id and :interfaceId and load the device; sends the error response itself
+ * @returns {Promise<{deviceId: number, interfaceId: number}|null>}
+ */
+const resolveInterfaceParams = async (req, res) => {
+  const deviceId = parseInt(req.params.id, 10);
+  if (isNaN(deviceId)) {
+    res.status(400).json({ success: false, error: 'Invalid device ID' });
+    return null;
+  }
+  const interfaceId = req.params.interfaceId !== undefined ? parseInt(req.params.interfaceId, 10) : null;
+  if (req.params.interfaceId !== undefined && isNaN(interfaceId)) {
+    res.status(400).json({ success: false, error: 'Invalid interface ID' });
+    return null;
+  }
+  const device = await getDeviceById(deviceId);
+  if (!device) {
+    res.status(404).json({ success: false, error: 'Device not found' });
+    return null;
+  }
+  return { deviceId, interfaceId };
+};
+
+const DUPLICATE_INTERFACE = {
+  success: false,
+  error: 'Duplicate interface',
+  message: 'This device already has an interface with that name'
+};
+
+/**
+ * GET /devices/:id/interfaces - list a device's interfaces
+ */
+app.get('/devices/:id/interfaces', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const params = await resolveInterfaceParams(req, res);
+    if (!params) return;
+    const interfaces = await getDeviceInterfaces(params.deviceId);
+    res.json({ success: true, count: interfaces.length, data: interfaces });
+  } catch (error) {
+    console.error('Error in GET /devices/:id/interfaces:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch interfaces', message: error.message });
+  }
+});
+
+/**
+ * GET /devices/:id/interfaces/:interfaceId - get one interface
+ */
+app.get('/devices/:id/interfaces/:interfaceId', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const params = await resolveInterfaceParams(req, res);
+    if (!params) return;
+    const iface = await getDeviceInterface(params.deviceId, params.interfaceId);
+    if (!iface) {
+      return res.status(404).json({ success: false, error: 'Interface not found' });
+    }
+    res.json({ success: true, data: iface });
+  } catch (error) {
+    console.error('Error in GET /devices/:id/interfaces/:interfaceId:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch interface', message: error.message });
+  }
+});
+
+/**
+ * POST /devices/:id/interfaces - add an interface
+ * Requires: name; Optional: mac_address, ip_addresses, speed_mbps, admin_status, oper_status, description,
+ * pass_through_id (patch panel ports)
+ */
+app.post('/devices/:id/interfaces', requirePermission('devices:write'), async (req, res) => {
+  try {
+    const params = await resolveInterfaceParams(req, res);
+    if (!params) return;
+    const { error, data } = validateInterfaceInput(req.body);
+    const passError = error || await validatePassThrough(params.deviceId, null, data.pass_through_id);
+    if (passError) {
+      return res.status(400).json({ success: false, error: 'Invalid interface', message: passError });
+    }
+    let iface = await createDeviceInterface(params.deviceId, data);
+    if (data.pass_through_id) {
+      await setInterfacePassThrough(iface.id, data.pass_through_id);
+      iface = await getDeviceInterface(params.deviceId, iface.id);
+    }
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      device_id: params.deviceId,
+      action: 'interface_added',
+      details: { interface_id: iface.id, interface: iface.name }
+    });
+    res.status(201).json({ success: true, message: 'Interface created', data: iface });
+  } catch (error) {
+    console.error('Error in POST /devices/:id/interfaces:', error);
+    if (error.code === '23505') {
+      return res.status(409).json(DUPLICATE_INTERFACE);
+    }
+    res.status(500).json({ success: false, error: 'Failed to create interface', message: error.message });
+  }
+});
+
+/**
+ * PUT /devices/:id/interfaces/:interfaceId - update an interface
+ */
+app.put('/devices/:id/interfaces/:interfaceId', requirePermission('devices:write'), async (req, res) => {
+  try {
+    const params = await resolveInterfaceParams(req, res);
+    if (!params) return;
+    const { error, data } = validateInterfaceInput(req.body, true);
+    const passError = error || await validatePassThrough(params.deviceId, params.interfaceId, data.pass_through_id);
+    if (passError) {
+      return res.status(400).json({ success: false, error: 'Invalid interface', message: passError });
+    }
+    const before = await getDeviceInterface(params.deviceId, params.interfaceId);
+    let iface = before && await updateDeviceInterface(params.deviceId, params.interfaceId, data);
+    if (!iface) {
+      return res.status(404).json({ success: false, error: 'Interface not found' });
+    }
+    if (data.pass_through_id !== undefined && data.pass_through_id !== before.pass_through_id) {
+      await setInterfacePassThrough(iface.id, data.pass_through_id);
+      iface = await getDeviceInterface(params.deviceId, iface.id);
+    }
+    const changes = diffFields(before, iface, INTERFACE_AUDIT_FIELDS);
+    if (Object.keys(changes).length > 0) {
+      await addHistoryEntry({
+        ...getAuditContext(req),
+        device_id: params.deviceId,
+        action: 'interface_updated',
+        details: { interface_id: iface.id, interface: iface.name, changes }
+      });
+    }
+    res.json({ success: true, message: 'Interface updated', data: iface });
+  } catch (error) {
+    console.error('Error in PUT /devices/:id/interfaces/:interfaceId:', error);
+    if (error.code === '23505') {
+      return res.status(409).json(DUPLICATE_INTERFACE);
+    }
+    res.status(500).json({ success: false, error: 'Failed to update interface', message: error.message });
+  }
+});
+
+/**
+ * DELETE /devices/:id/interfaces/:interfaceId - remove an interface (409 while a cable is plugged into it)
+ */
+app.delete('/devices/:id/interfaces/:interfaceId', requirePermission('devices:write'), async (req, res) => {
+  try {
+    const params = await resolveInterfaceParams(req, res);
+    if (!params) return;
+    const iface = await getDeviceInterface(params.deviceId, params.interfaceId);
+    const cable = iface && await getInterfaceCable(iface.id);
+    if (cable) {
+      return res.status(409).json({
+        success: false,
+        error: 'Interface in use',
+        message: `Cable ${describeCable(cable)} is plugged into this interface; disconnect it first`
+      });
+    }
+    const deleted = await deleteDeviceInterface(params.deviceId, params.interfaceId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Interface not found' });
+    }
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      device_id: params.deviceId,
+      action: 'interface_removed',
+      details: { interface_id: deleted.id, interface: deleted.name }
+    });
+    res.json({ success: true, message: 'Interface deleted', data: deleted });
+  } catch (error) {
+    console.error('Error in DELETE /devices/:id/interfaces/:interfaceId:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete interface', message: error.message });
+  }
+});
+
+// ==================== CABLING ====================
+
+const CABLE_TYPES = ['cat5e', 'cat6', 'cat6a', 'cat8', 'fiber_sm', 'fiber_mm', 'dac', 'coax', 'console', 'power', 'other'];
+
+/**
+ * Short name of a cable for messages and history: its label, or #id when it has none
+ * @param {Object} cable
+ * @returns {string}
+ */
+const describeCable = (cable) => (cable.label ? `"${cable.label}"` : `#${cable.id}`);
+
+/**
+ * Validate a cable body: both ends (interface IDs) and the cable attributes
+ * Each port takes at most one cable; a port already cabled (other than by this cable) is reported as conflict.
+ * @param {Object} body
+ * @param {Object|null} [existing=null] - Current cable on update (missing fields keep their value)
+ * @returns {Promise<{error: string|null, conflict: string|null, values: Object}>}
+ */
+const validateCableInput = async (body, existing = null) => {
+  const values = {};
+  const ends = {};
+  const result = (error, conflict = null) => ({ error, conflict, values });
+
+  for (const side of ['a', 'b']) {
+    const key = `${side}_interface_id`;
+    if (body[key] === undefined && existing) {
+      ends[side] = await getInterfaceEndpoint(existing[key]);
+      continue;
+    }
+    const id = Number(body[key]);
+    if (!Number.isInteger(id) || id < 1) return result(`${key} must be the ID of an interface`);
+    const endpoint = await getInterfaceEndpoint(id);
+    if (!endpoint) return result(`No interface with ID ${id}`);
+    if (endpoint.deleted) return result(`${endpoint.hostname} is in the trash`);
+    ends[side] = endpoint;
+    values[key] = id;
+  }
+  if (ends.a.id === ends.b.id) return result('A cable cannot connect an interface to itself');
+
+  if (body.label !== undefined) {
+    const label = body.label === null ? '' : String(body.label).trim();
+    if (label.length > 50) return result('label must be at most 50 characters');
+    values.label = label || null;
+  }
+  if (body.cable_type !== undefined) {
+    const type = String(body.cable_type || 'cat6').toLowerCase();
+    if (!CABLE_TYPES.includes(type)) return result(`cable_type must be one of: ${CABLE_TYPES.join(', ')}`);
+    values.cable_type = type;
+  }
+  if (body.color !== undefined) {
+    const color = body.color === null ? '' : String(body.color).trim();
+    if (color.length > 30) return result('color must be at most 30 characters');
+    values.color = color || null;
+  }
+  if (body.length_m !== undefined) {
+    if (body.length_m === null || body.length_m === '') {
+      values.length_m = null;
+    } else {
+      const length = Number(body.length_m);
+      if (!Number.isFinite(length) || length <= 0 || length >= 100000) {
+        return result('length_m must be a positive length in metres');
+      }
+      values.length_m = Math.round(length * 100) / 100;
+    }
+  }
+  if (body.notes !== undefined) values.notes = body.notes === null ? null : String(body.notes).trim() || null;
+
+  for (const side of ['a', 'b']) {
+    const cable = await getInterfaceCable(ends[side].id);
+    if (cable && cable.id !== existing?.id) {
+      return result(null, `${ends[side].hostname} ${ends[side].name} already has cable ${describeCable(cable)}; disconnect it first`);
+    }
+  }
+  return result(null);
+};
+
+/**
+ * Write a history entry on each device a cable connects (one entry per end)
+ * @param {import('express').Request} req
+ * @param {string} action - cable_connected, cable_updated or cable_disconnected
+ * @param {Object} cable - From getCableById
+ * @param {Object} [extra] - More details (e.g. changes)
+ */
+const addCableHistory = async (req, action, cable, extra = {}) => {
+  const ends = [
+    { device_id: cable.a_device_id, interface: cable.a_interface, peer: `${cable.b_hostname} ${cable.b_interface}` },
+    { device_id: cable.b_device_id, interface: cable.b_interface, peer: `${cable.a_hostname} ${cable.a_interface}` }
+  ];
+  for (const end of ends) {
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      device_id: end.device_id,
+      action,
+      details: { cable_id: cable.id, cable: cable.label || `#${cable.id}`, interface: end.interface, peer: end.peer, ...extra }
+    });
+  }
+};
+
+const DUPLICATE_CABLE = {
+  success: false,
+  error: 'Duplicate cable',
+  message: 'Another cable already has that label, or one of the ports is already cabled'
+};
+
+/**
+ * GET /cables - every cable with both ends (device_id=N limits it to one device); also returns the cable types
+ */
+app.get('/cables', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const deviceId = req.query.device_id ? parseInt(req.query.device_id, 10) : null;
+    if (req.query.device_id && isNaN(deviceId)) {
+      return res.status(400).json({ success: false, error: 'Invalid device_id' });
+    }
+    const cables = await getCables({ deviceId });
+    res.json({ success: true, types: CABLE_TYPES, count: cables.length, data: cables });
+  } catch (error) {
+    console.error('Error in GET /cables:', error);
+    res.status(500).json({ success: false, error: 'Failed to load cables', message: error.message });
+  }
+});
+
+/**
+ * GET /cables/:id - one cable
+ */
+app.get('/cables/:id', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid cable ID' });
+    }
+    const cable = await getCableById(id);
+    if (!cable) {
+      return res.status(404).json({ success: false, error: 'Cable not found' });
+    }
+    res.json({ success: true, data: cable });
+  } catch (error) {
+    console.error('Error in GET /cables/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to load cable', message: error.message });
+  }
+});
+
+/**
+ * POST /cables - connect two interfaces
+ * Requires: a_interface_id, b_interface_id; Optional: label (cable ID), cable_type, color, length_m, notes
+ */
+app.post('/cables', requirePermission('devices:write'), async (req, res) => {
+  try {
+    const { error, conflict, values } = await validateCableInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid cable', message: error });
+    }
+    if (conflict) {
+      return res.status(409).json({ success: false, error: 'Port in use', message: conflict });
+    }
+    const cable = await createCable(values);
+    await addCableHistory(req, 'cable_connected', cable);
+    res.status(201).json({ success: true, message: 'Cable connected', data: cable });
+  } catch (error) {
+    console.error('Error in POST /cables:', error);
+    if (error.code === '23505') {
+      return res.status(409).json(DUPLICATE_CABLE);
+    }
+    res.status(500).json({ success: false, error: 'Failed to connect cable', message: error.message });
+  }
+});
+
+/**
+ * PUT /cables/:id - change a cable's attributes or move either end to another interface
+ */
+app.put('/cables/:id', requirePermission('devices:write'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid cable ID' });
+    }
+    const existing = await getCableById(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Cable not found' });
+    }
+    const { error, conflict, values } = await validateCableInput(req.body, existing);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid cable', message: error });
+    }
+    if (conflict) {
+      return res.status(409).json({ success: false, error: 'Port in use', message: conflict });
+    }
+    const fields = ['label', 'cable_type', 'color', 'length_m', 'notes', 'a_interface_id', 'b_interface_id'];
+    const changes = diffFields(existing, { ...existing, ...values }, fields);
+    if (Object.keys(changes).length === 0) {
+      return res.json({ success: true, message: 'No changes', data: existing });
+    }
+    const cable = await updateCable(
+      id,
+      Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to]))
+    );
+    // A moved end shows up on the device it left as well as on the one it now plugs into
+    if (changes.a_interface_id || changes.b_interface_id) {
+      await addCableHistory(req, 'cable_disconnected', existing, { reason: 'cable_moved' });
+      await addCableHistory(req, 'cable_connected', cable, { reason: 'cable_moved' });
+    } else {
+      await addCableHistory(req, 'cable_updated', cable, { changes });
+    }
+    res.json({ success: true, message: 'Cable updated', data: cable });
+  } catch (error) {
+    console.error('Error in PUT /cables/:id:', error);
+    if (error.code === '23505') {
+      return res.status(409).json(DUPLICATE_CABLE);
+    }
+    res.status(500).json({ success: false, error: 'Failed to update cable', message: error.message });
+  }
+});
+
+/**
+ * DELETE /cables/:id - disconnect and remove a cable
+ */
+app.delete('/cables/:id', requirePermission('devices:write'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid cable ID' });
+    }
+    const cable = await deleteCable(id);
+    if (!cable) {
+      return res.status(404).json({ success: false, error: 'Cable not found' });
+    }
+    await addCableHistory(req, 'cable_disconnected', cable);
+    res.json({ success: true, message: 'Cable removed', data: cable });
+  } catch (error) {
+    console.error('Error in DELETE /cables/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove cable', message: error.message });
+  }
+});
+
+/**
+ * GET /devices/:id/connections - each interface of a device with its cable and the device/interface at the far end
+ */
+app.get('/devices/:id/connections', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const params = await resolveInterfaceParams(req, res);
+    if (!params) return;
+    const connections = await getDeviceConnections(params.deviceId);
+    res.json({
+      success: true,
+      count: connections.filter((c) => c.cable_id).length,
+      data: connections
+    });
+  } catch (error) {
+    console.error('Error in GET /devices/:id/connections:', error);
+    res.status(500).json({ success: false, error: 'Failed to load connections', message: error.message });
+  }
+});
+
+/**
+ * GET /devices/:id/interfaces/:interfaceId/trace - the cable path through patch panels to the devices at both ends
+ */
+app.get('/devices/:id/interfaces/:interfaceId/trace', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const params = await resolveInterfaceParams(req, res);
+    if (!params) return;
+    const iface = await getDeviceInterface(params.deviceId, params.interfaceId);
+    if (!iface) {
+      return res.status(404).json({ success: false, error: 'Interface not found' });
+    }
+    const trace = await traceInterfacePath(iface.id);
+    res.json({ success: true, data: trace });
+  } catch (error) {
+    console.error('Error in GET /devices/:id/interfaces/:interfaceId/trace:', error);
+    res.status(500).json({ success: false, error: 'Failed to trace cable path', message: error.message });
+  }
+});
+
+// Multer storage for attachments
+const uploadsDir = path.join(__dirname, 'uploads');
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, uploadsDir);
+  },
+  filename: function (req, file, cb) {
+    const deviceId = req.params.id || 'device';
+    const safeName = file.originalname.replace(/\s+/g, '_');
+    cb(null, `device-${deviceId}-${Date.now()}-${safeName}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB
+});
+
+/**
+ * GET /devices/:id/files - list files for a device
+ */
+app.get('/devices/:id/files', requirePermission('files:read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid device ID' });
+    }
+    const device = await getDeviceById(id);
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    const files = await getDeviceFiles(id);
+    const withUrls = files.map((f) => ({
+      ...f,
+      file_url: `${req.protocol}://${req.get('host')}/uploads/${path.basename(f.storage_path)}`
+    }));
+    res.json({ success: true, data: withUrls });
+  } catch (error) {
+    console.error('Error in GET /devices/:id/files:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch device files', message: error.message });
+  }
+});
+
+/**
+ * POST /devices/:id/files - upload a config/attachment
+ */
+app.post('/devices/:id/files', requirePermission('files:write'), upload.single('file'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid device ID' });
+    }
+    const device = await getDeviceById(id);
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded' });
+    }
+
+    const record = await addDeviceFile(
+      {
+        device_id: id,
+        filename: req.file.originalname,
+        storage_path: req.file.path,
+        content_type: req.file.mimetype,
+        file_size: req.file.size
+      },
+      { actor: getAuditContext(req) }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded',
+      data: {
+        ...record,
+        file_url: `${req.protocol}://${req.get('host')}/uploads/${path.basename(record.storage_path)}`
+      }
+    });
+  } catch (error) {
+    console.error('Error in POST /devices/:id/files:', error);
+    res.status(500).json({ success: false, error: 'Failed to upload file', message: error.message });
+  }
+});
+
+/**
+ * POST /devices/:id/assign - check out a device to a user
+ */
+app.post('/devices/:id/assign', requirePermission('devices:assign'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const { userId } = req.body;
+    if (isNaN(id) || !userId) {
+      return res.status(400).json({ success: false, error: 'Device ID and userId required' });
+    }
+    const device = await getDeviceById(id);
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    const user = await getUserById(userId);
+    if (!user || !user.active) {
+      return res.status(400).json({ success: false, error: 'User not found or inactive' });
+    }
+    const updated = await assignDeviceToUser(id, user.id, { actor: getAuditContext(req) });
+    res.json({ success: true, message: 'Device assigned', data: updated });
+  } catch (error) {
+    console.error('Error in POST /devices/:id/assign:', error);
+    res.status(500).json({ success: false, error: 'Failed to assign device', message: error.message });
+  }
+});
+
+/**
+ * POST /devices/:id/checkin - check in a device (unassign)
+ */
+app.post('/devices/:id/checkin', requirePermission('devices:assign'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid device ID' });
+    }
+    const device = await getDeviceById(id);
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    const updated = await unassignDevice(id, { actor: getAuditContext(req) });
+    res.json({ success: true, message: 'Device checked in', data: updated });
+  } catch (error) {
+    console.error('Error in POST /devices/:id/checkin:', error);
+    res.status(500).json({ success: false, error: 'Failed to check in device', message: error.message });
+  }
+});
+
+/**
+ * GET /devices/:id/history - history entries
+ */
+app.get('/devices/:id/history', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid device ID' });
+    }
+    // History outlives the device, so only 404 when neither exists
+    const history = await getDeviceHistory(id);
+    if (history.length === 0 && !(await getDeviceById(id, { includeDeleted: true }))) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    res.json({ success: true, data: history });
+  } catch (error) {
+    console.error('Error in GET /devices/:id/history:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch history', message: error.message });
+  }
+});
+
+/**
+ * GET /audit - search the audit trail across devices, lookups and deleted devices
+ * Filters: user_id, action (comma separated), device_id, entity_type, from, to (ISO dates; a
+ * date-only "to" includes that whole day), limit (max 500), offset
+ */
+app.get('/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { user_id, action, device_id, entity_type, from, to } = req.query;
+    const toInt = (value) => (value === undefined || value === '' ? undefined : parseInt(value, 10));
+
+    const filters = {
+      userId: toInt(user_id),
+      deviceId: toInt(device_id),
+      actions: action ? String(action).split(',').map((a) => a.trim()).filter(Boolean) : undefined,
+      entityType: entity_type || undefined,
+      limit: Math.min(toInt(req.query.limit) || 100, 500),
+      offset: Math.max(toInt(req.query.offset) || 0, 0)
+    };
+    if ([filters.userId, filters.deviceId].some((v) => v !== undefined && isNaN(v))) {
+      return res.status(400).json({ success: false, error: 'Invalid filter', message: 'user_id and device_id must be numbers' });
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && !isIsoDateOrTime(value)) {
+        return res.status(400).json({ success: false, error: 'Invalid filter', message: `${name} must be an ISO date such as 2024-05-01` });
+      }
+    }
+    filters.from = from || undefined;
+    if (to && isIsoDate(to)) {
+      filters.to = nextIsoDate(to);
+    } else {
+      filters.to = to || undefined;
+    }
+
+    const { total, entries } = await getAuditEntries(filters);
+    res.json({
+      success: true,
+      total,
+      count: entries.length,
+      limit: filters.limit,
+      offset: filters.offset,
+      data: entries
+    });
+  } catch (error) {
+    console.error('Error in GET /audit:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch audit trail', message: error.message });
+  }
+});
+
+/**
+ * Parse the search and status filters shared by the device list, stats and export
+ * @param {Object} query - req.query
+ * @returns {{filters?: Object, error?: string}} error carries the query language message
+ */
+const parseDeviceFilters = (query) => {
+  try {
+    return {
+      filters: {
+        query: parseDeviceSearch(query.search),
+        status: query.status || undefined
+      }
+    };
+  } catch (parseError) {
+    return { error: parseError.message };
+  }
+};
+
+const DEVICE_PAGE_SIZE = 100;
+const DEVICE_MAX_PAGE_SIZE = 500;
+
+/**
+ * Parse the sort, fields and paging parameters of GET /devices
+ * sort is a comma list of columns, "-" prefix for descending (sort=status,-ip_address)
+ * @param {Object} query - req.query
+ * @returns {{options?: Object, error?: string}}
+ */
+const parseDeviceListOptions = (query) => {
+  const list = (value) => String(value || '').split(',').map((item) => item.trim()).filter(Boolean);
+
+  const sort = list(query.sort).map((item) => ({ field: item.replace(/^[-+]/, ''), desc: item.startsWith('-') }));
+  const badSort = sort.find(({ field }) => !DEVICE_SORT_SQL[field]);
+  if (badSort) {
+    return { error: `Cannot sort by "${badSort.field}". Sortable: ${Object.keys(DEVICE_SORT_SQL).join(', ')}` };
+  }
+
+  const fields = list(query.fields);
+  const badField = fields.find((field) => !DEVICE_FIELD_SQL[field]);
+  if (badField) {
+    return { error: `Unknown field "${badField}". Available: ${Object.keys(DEVICE_FIELD_SQL).join(', ')}` };
+  }
+
+  const limit = query.limit === undefined || query.limit === '' ? DEVICE_PAGE_SIZE : Number(query.limit);
+  const offset = query.offset === undefined || query.offset === '' ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(offset) || offset < 0) {
+    return { error: 'limit must be a positive integer and offset a non-negative integer' };
+  }
+
+  return { options: { sort, fields, limit: Math.min(limit, DEVICE_MAX_PAGE_SIZE), offset } };
+};
+
+/**
+ * GET /devices - List devices one page at a time
+ * Query: search (query language, see search.js), status, sort (hostname, ip_address, status, location, created_at, id; "-" for descending),
+ * fields (comma list; id is always returned), limit (default 100, max 500), offset
+ * Responds with the page plus the total number of matching devices
+ */
+app.get('/devices', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const { filters, error: searchError } = parseDeviceFilters(req.query);
+    if (searchError) {
+      return res.status(400).json({ success: false, error: 'Invalid search query', message: searchError });
+    }
+    const { options, error } = parseDeviceListOptions(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid list parameters', message: error });
+    }
+
+    const [devices, total] = await Promise.all([getDevices(filters, options), countDevices(filters)]);
+    res.json({
+      success: true,
+      total,
+      count: devices.length,
+      limit: options.limit,
+      offset: options.offset,
+      data: devices
+    });
+  } catch (error) {
+    console.error('Error in GET /devices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch devices',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /devices/stats - Dashboard counts over every matching device (not just one page)
+ * Query: search, status (same meaning as GET /devices), location_level (site, building, floor, room or rack:
+ * by_location rolls each device up to its location at that level; omitted counts exact locations)
+ */
+app.get('/devices/stats', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const { filters, error } = parseDeviceFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid search query', message: error });
+    }
+    const locationLevel = req.query.location_level ? String(req.query.location_level).toLowerCase() : undefined;
+    if (locationLevel && !LOCATION_KINDS.includes(locationLevel)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid location_level',
+        message: `location_level must be one of: ${LOCATION_KINDS.join(', ')}`
+      });
+    }
+    const stats = await getDeviceStats(filters, { locationLevel });
+    res.json({ success: true, data: stats });
+  } catch (error) {
+    console.error('Error in GET /devices/stats:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch device statistics', message: error.message });
+  }
+});
+
+/**
+ * GET /devices/export - Export devices to CSV
+ * Takes the same search, status and sort parameters as GET /devices
+ */
+app.get('/devices/export', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const { filters, error } = parseDeviceFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid search query', message: error });
+    }
+    const { options, error: optionsError } = parseDeviceListOptions(req.query);
+    if (optionsError) {
+      return res.status(400).json({ success: false, error: 'Invalid list parameters', message: optionsError });
+    }
+    // Every matching device in the list's order, not just one page
+    const devices = await getDevices(filters, { sort: options.sort });
+    const headers = [
+      'hostname',
+      'ip_address',
+      'device_type',
+      'manufacturer',
+      'status',
+      'assigned_to',
+      'location',
+      'model',
+      'serial_number',
+      'asset_tag',
+      'purchase_date',
+      'purchase_order',
+      'purchase_cost'
+    ];
+    const escape = (val = '') => `"${String(val ?? '').replace(/"/g, '""')}"`;
+    const rows = devices.map((d) =>
+      [
+        escape(d.hostname),
+        escape(d.ip_address),
+        escape(d.device_type_name || d.device_type),
+        escape(d.manufacturer_name || ''),
+        escape(d.status),
+        escape(d.assigned_to_name || ''),
+        escape(d.location || ''),
+        escape(d.model_name || ''),
+        escape(d.serial_number || ''),
+        escape(d.asset_tag || ''),
+        escape(d.purchase_date || ''),
+        escape(d.purchase_order || ''),
+        escape(d.purchase_cost ?? '')
+      ].join(',')
+    );
+    const csv = [headers.join(','), ...rows].join('\n');
+    res.header('Content-Type', 'text/csv');
+    res.attachment('devices.csv');
+    res.send(csv);
+  } catch (error) {
+    console.error('Error in GET /devices/export:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export devices',
+      message: error.message
+    });
+  }
+});
+
+// ==================== TOPOLOGY ====================
+
+const NEIGHBOR_PROTOCOLS = ['lldp', 'cdp'];
+const MAX_NEIGHBORS = 2000;
+const TOPOLOGY_DEVICE_FIELDS = ['hostname', 'ip_address', 'device_type', 'device_type_name', 'status', 'location', 'location_id'];
+
+/**
+ * Validate a neighbor report for PUT /devices/:id/neighbors
+ * Each entry names the local port by interface_id or interface (name) and must identify the far side somehow.
+ * @param {Object} body - { neighbors: [...] }
+ * @param {Array<Object>} interfaces - The device's interfaces
+ * @returns {{error?: string, data?: Array<Object>}}
+ */
+const validateNeighborsInput = (body, interfaces) => {
+  const list = body?.neighbors;
+  if (!Array.isArray(list)) {
+    return { error: 'neighbors must be an array' };
+  }
+  if (list.length > MAX_NEIGHBORS) {
+    return { error: `At most ${MAX_NEIGHBORS} neighbors can be reported at once` };
+  }
+  const byId = new Map(interfaces.map((i) => [i.id, i]));
+  const byName = new Map(interfaces.map((i) => [i.name.toLowerCase(), i]));
+  const text = (value, max) => (value === undefined || value === null ? null : String(value).trim().slice(0, max) || null);
+
+  const data = [];
+  for (const [index, n] of list.entries()) {
+    const where = `neighbors[${index}]`;
+    if (!n || typeof n !== 'object') {
+      return { error: `${where} must be an object` };
+    }
+    const iface = n.interface_id !== undefined && n.interface_id !== null
+      ? byId.get(Number(n.interface_id))
+      : byName.get(String(n.interface || '').trim().toLowerCase());
+    if (!iface) {
+      return { error: `${where}: interface ${n.interface_id ?? `"${n.interface || ''}"`} does not belong to this device` };
+    }
+    const protocol = String(n.protocol || 'lldp').trim().toLowerCase();
+    if (!NEIGHBOR_PROTOCOLS.includes(protocol)) {
+      return { error: `${where}: protocol must be one of ${NEIGHBOR_PROTOCOLS.join(', ')}` };
+    }
+    let mgmtIp = null;
+    if (n.remote_mgmt_ip !== undefined && n.remote_mgmt_ip !== null && n.remote_mgmt_ip !== '') {
+      const parsed = parseIpAddress(String(n.remote_mgmt_ip));
+      if (!parsed) {
+        return { error: `${where}: remote_mgmt_ip "${n.remote_mgmt_ip}" is not a valid IP address` };
+      }
+      mgmtIp = parsed.address;
+    }
+    const entry = {
+      interface_id: iface.id,
+      interface: iface.name,
+      protocol,
+      remote_system_name: text(n.remote_system_name, 255),
+      remote_port: text(n.remote_port, 100),
+      remote_chassis_id: text(n.remote_chassis_id, 100),
+      remote_mgmt_ip: mgmtIp
+    };
+    if (!entry.remote_system_name && !entry.remote_chassis_id && !entry.remote_mgmt_ip) {
+      return { error: `${where}: give at least one of remote_system_name, remote_chassis_id or remote_mgmt_ip` };
+    }
+    data.push(entry);
+  }
+  return { data };
+};
+
+// Identity of a neighbor entry, to tell what a new report added or dropped
+const neighborKey = (n) =>
+  [n.interface_id, n.protocol, n.remote_system_name, n.remote_port, n.remote_chassis_id, n.remote_mgmt_ip]
+    .map((v) => String(v ?? '').toLowerCase())
+    .join('|');
+
+/**
+ * GET /topology - devices as nodes and their links as edges, for the topology map
+ * Takes the same search and status filters as GET /devices. panels=show draws each cable with patch panels as nodes
+ * (default collapses a path through panels into one edge); neighbors=false leaves out LLDP/CDP links.
+ */
+app.get('/topology', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const { filters, error } = parseDeviceFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid search query', message: error });
+    }
+    const panels = req.query.panels || 'collapse';
+    if (!['collapse', 'show'].includes(panels)) {
+      return res.status(400).json({ success: false, error: 'Invalid parameters', message: 'panels must be collapse or show' });
+    }
+    const [devices, links] = await Promise.all([
+      getDevices(filters, { fields: TOPOLOGY_DEVICE_FIELDS, sort: [{ field: 'hostname', desc: false }] }),
+      getTopologyLinks()
+    ]);
+    const topology = buildTopology(
+      { devices, ...links },
+      { collapsePanels: panels === 'collapse', includeNeighbors: req.query.neighbors !== 'false' }
+    );
+    res.json({ success: true, data: topology });
+  } catch (error) {
+    console.error('Error in GET /topology:', error);
+    res.status(500).json({ success: false, error: 'Failed to build topology', message: error.message });
+  }
+});
+
+/**
+ * GET /devices/:id/neighbors - LLDP/CDP neighbors seen on the device's interfaces
+ */
+app.get('/devices/:id/neighbors', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const params = await resolveInterfaceParams(req, res);
+    if (!params) return;
+    const neighbors = await getDeviceNeighbors(params.deviceId);
+    res.json({ success: true, count: neighbors.length, data: neighbors });
+  } catch (error) {
+    console.error('Error in GET /devices/:id/neighbors:', error);
+    res.status(500).json({ success: false, error: 'Failed to load neighbors', message: error.message });
+  }
+});
+
+/**
+ * PUT /devices/:id/neighbors - replace the device's neighbor table with a fresh LLDP/CDP report
+ * Body: { neighbors: [{ interface | interface_id, protocol, remote_system_name, remote_port, remote_chassis_id,
+ * remote_mgmt_ip }] }. Neighbors are matched to inventory devices by management IP, then hostname.
+ */
+app.put('/devices/:id/neighbors', requirePermission('devices:write'), async (req, res) => {
+  try {
+    const params = await resolveInterfaceParams(req, res);
+    if (!params) return;
+    const interfaces = await getDeviceInterfaces(params.deviceId);
+    const { error, data } = validateNeighborsInput(req.body, interfaces);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid neighbors', message: error });
+    }
+    const before = await getDeviceNeighbors(params.deviceId);
+    const neighbors = await replaceDeviceNeighbors(params.deviceId, data);
+
+    // A collector re-reports the same table on every run; only changes go in the history
+    const beforeKeys = new Set(before.map(neighborKey));
+    const afterKeys = new Set(neighbors.map(neighborKey));
+    const added = neighbors.filter((n) => !beforeKeys.has(neighborKey(n)));
+    const removed = before.filter((n) => !afterKeys.has(neighborKey(n)));
+    if (added.length > 0 || removed.length > 0) {
+      const describe = (n) => `${n.interface} → ${n.remote_system_name || n.remote_mgmt_ip || n.remote_chassis_id}` +
+        (n.remote_port ? ` ${n.remote_port}` : '');
+      await addHistoryEntry({
+        ...getAuditContext(req),
+        device_id: params.deviceId,
+        action: 'neighbors_updated',
+        details: { count: neighbors.length, added: added.map(describe), removed: removed.map(describe) }
+      });
+    }
+    res.json({
+      success: true,
+      message: `${neighbors.length} neighbor(s) recorded, ${neighbors.filter((n) => n.remote_device_id).length} matched to devices`,
+      count: neighbors.length,
+      data: neighbors
+    });
+  } catch (error) {
+    console.error('Error in PUT /devices/:id/neighbors:', error);
+    res.status(500).json({ success: false, error: 'Failed to save neighbors', message: error.message });
+  }
+});
+
+// ==================== MONITORING ====================
+
+const REACHABILITY_DEFAULT_HOURS = 24;
+const REACHABILITY_MAX_HOURS = 24 * 90;
+
+/**
+ * GET /monitoring - reachability and SNMP poller settings and last runs, with up/down/unknown counts over probed
+ * devices
+ */
+app.get('/monitoring', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const counts = await getReachabilityCounts();
+    res.json({ success: true, data: { poller: getPollerStatus(), snmp: getSnmpStatus(), counts } });
+  } catch (error) {
+    console.error('Error in GET /monitoring:', error);
+    res.status(500).json({ success: false, error: 'Failed to load monitoring status', message: error.message });
+  }
+});
+
+/**
+ * POST /monitoring/run - probe every device now instead of waiting for the next poll
+ */
+app.post('/monitoring/run', requirePermission('devices:write'), async (req, res) => {
+  try {
+    const summary = await runFullCycle();
+    if (!summary) {
+      return res.status(409).json({ success: false, error: 'Poll running', message: 'A poll is already running' });
+    }
+    const { results, ...rest } = summary;
+    res.json({ success: true, message: `Probed ${summary.probed} device(s): ${summary.up} up, ${summary.down} down`, data: rest });
+  } catch (error) {
+    console.error('Error in POST /monitoring/run:', error);
+    res.status(500).json({ success: false, error: 'Failed to run poll', message: error.message });
+  }
+});
+
+/**
+ * GET /devices/:id/reachability?hours=24 - probe results of the last hours, newest first, with uptime
+ */
+app.get('/devices/:id/reachability', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid device ID' });
+    }
+    const hours = req.query.hours === undefined ? REACHABILITY_DEFAULT_HOURS : Number(req.query.hours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > REACHABILITY_MAX_HOURS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parameters',
+        message: `hours must be a whole number between 1 and ${REACHABILITY_MAX_HOURS}`
+      });
+    }
+    const device = await getDeviceById(id);
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    const history = await getReachabilityHistory(id, { hours });
+    res.json({
+      success: true,
+      hours,
+      data: {
+        reachable: device.reachable,
+        latency_ms: device.latency_ms,
+        last_seen: device.last_seen,
+        last_checked: device.last_checked,
+        changed_at: device.reachability_changed_at,
+        probe_error: device.probe_error,
+        ...history
+      }
+    });
+  } catch (error) {
+    console.error('Error in GET /devices/:id/reachability:', error);
+    res.status(500).json({ success: false, error: 'Failed to load reachability', message: error.message });
+  }
+});
+
+/**
+ * POST /devices/:id/probe - probe one device now and record the result
+ */
+app.post('/devices/:id/probe', requirePermission('devices:write'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid device ID' });
+    }
+    const device = await getDeviceById(id);
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    if (device.probe_method === 'none') {
+      return res.status(400).json({
+        success: false,
+        error: 'Not monitored',
+        message: 'This device has probe_method none; change it to probe the device'
+      });
+    }
+    const summary = await runPollCycle({ deviceIds: [id] });
+    if (summary.results.length === 0) {
+      return res.status(503).json({ success: false, error: 'Probe failed', message: summary.errors.join('; ') });
+    }
+    const result = summary.results[0];
+    res.json({
+      success: true,
+      message: result.up
+        ? `${device.hostname} is up${result.latency_ms !== null ? ` (${result.latency_ms} ms)` : ''}`
+        : `${device.hostname} is down: ${result.error}`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in POST /devices/:id/probe:', error);
+    res.status(500).json({ success: false, error: 'Failed to probe device', message: error.message });
+  }
+});
+
+// ==================== SNMP ====================
+
+// Discrepancy fields POST /devices/:id/snmp/apply accepts (see compareSnmpFacts)
+const SNMP_APPLY_FIELDS = ['hostname', 'serial_number', 'manufacturer', 'interfaces'];
+
+// SNMPv3 keys are turned into localized keys from a passphrase, which RFC 3414 wants at least 8 characters long
+const SNMP_MIN_KEY_LENGTH = 8;
+
+/**
+ * Validate an SNMP credential body
+ * v2c needs a community; v3 needs a username and security_level, plus auth_protocol/auth_key for authNoPriv and
+ * also priv_protocol/priv_key for authPriv. Secrets left out on update keep their stored value; fields the
+ * version or security level does not use are cleared.
+ * @param {Object} body
+ * @param {Object|null} [existing=null] - Current credential on update (from getSnmpCredentialById, no secrets)
+ * @returns {{error: string|null, values: Object}}
+ */
+const validateSnmpCredentialInput = (body, existing = null) => {
+  const values = {};
+  const text = (value) => (value === null || value === undefined || value === '' ? null : String(value).trim() || null);
+
+  if (body.name !== undefined || !existing) {
+    const { error, name } = validateLookupName(body);
+    if (error) return { error, values };
+    values.name = name;
+  }
+
+  const version = String(body.version ?? existing?.version ?? '').toLowerCase().replace(/^v/, '');
+  if (!SNMP_VERSIONS.includes(version)) return { error: `version must be one of: ${SNMP_VERSIONS.join(', ')}`, values };
+  values.version = version;
+
+  if (body.port !== undefined || !existing) {
+    const port = body.port === undefined || body.port === null || body.port === '' ? 161 : Number(body.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      return { error: 'port must be a UDP port from 1 to 65535', values };
+    }
+    values.port = port;
+  }
+
+  // A secret counts as present when the body sets it or the stored credential already has it
+  const secret = (key, hasKey) => {
+    if (body[key] !== undefined) values[key] = text(body[key]);
+    return values[key] !== undefined ? values[key] !== null : Boolean(existing?.[hasKey]);
+  };
+  const tooLong = ['community', 'auth_key', 'priv_key'].find((key) => (text(body[key]) || '').length > 255);
+  if (tooLong) return { error: `${tooLong} must be at most 255 characters`, values };
+
+  if (version === '2c') {
+    if (!secret('community', 'has_community')) return { error: 'community is required for SNMP v2c', values };
+    Object.assign(values, {
+      username: null, security_level: null, auth_protocol: null, auth_key: null, priv_protocol: null, priv_key: null
+    });
+    return { error: null, values };
+  }
+
+  values.community = null;
+  values.username = body.username !== undefined ? text(body.username) : existing?.username ?? null;
+  if (!values.username) return { error: 'username is required for SNMP v3', values };
+  if (values.username.length > 100) return { error: 'username must be at most 100 characters', values };
+
+  values.security_level = body.security_level ?? existing?.security_level ?? null;
+  if (!SECURITY_LEVELS.includes(values.security_level)) {
+    return { error: `security_level must be one of: ${SECURITY_LEVELS.join(', ')}`, values };
+  }
+
+  if (values.security_level === 'noAuthNoPriv') {
+    Object.assign(values, { auth_protocol: null, auth_key: null });
+  } else {
+    values.auth_protocol = String(body.auth_protocol ?? existing?.auth_protocol ?? '').toLowerCase();
+    if (!AUTH_PROTOCOLS.includes(values.auth_protocol)) {
+      return { error: `auth_protocol must be one of: ${AUTH_PROTOCOLS.join(', ')}`, values };
+    }
+    if (!secret('auth_key', 'has_auth_key')) return { error: `auth_key is required for ${values.security_level}`, values };
+    if (values.auth_key && values.auth_key.length < SNMP_MIN_KEY_LENGTH) {
+      return { error: `auth_key must be at least ${SNMP_MIN_KEY_LENGTH} characters`, values };
+    }
+  }
+
+  if (values.security_level !== 'authPriv') {
+    Object.assign(values, { priv_protocol: null, priv_key: null });
+  } else {
+    values.priv_protocol = String(body.priv_protocol ?? existing?.priv_protocol ?? '').toLowerCase();
+    if (!PRIV_PROTOCOLS.includes(values.priv_protocol)) {
+      return { error: `priv_protocol must be one of: ${PRIV_PROTOCOLS.join(', ')}`, values };
+    }
+    if (!secret('priv_key', 'has_priv_key')) return { error: 'priv_key is required for authPriv', values };
+    if (values.priv_key && values.priv_key.length < SNMP_MIN_KEY_LENGTH) {
+      return { error: `priv_key must be at least ${SNMP_MIN_KEY_LENGTH} characters`, values };
+    }
+  }
+  return { error: null, values };
+};
+
+/**
+ * Validate snmp_credential_id in a device or location body ('' or null clears it)
+ * @param {Object} body
+ * @returns {Promise<{error: string|null, values: Object}>} values holds snmp_credential_id only when present
+ */
+const validateSnmpCredentialField = async (body) => {
+  const values = {};
+  if (body.snmp_credential_id === undefined) return { error: null, values };
+  if (body.snmp_credential_id === null || body.snmp_credential_id === '') {
+    values.snmp_credential_id = null;
+    return { error: null, values };
+  }
+  const id = Number(body.snmp_credential_id);
+  if (!Number.isInteger(id) || id < 1) return { error: 'snmp_credential_id must be an SNMP credential ID', values };
+  if (!(await getSnmpCredentialById(id))) return { error: `No SNMP credential with ID ${id}`, values };
+  values.snmp_credential_id = id;
+  return { error: null, values };
+};
+
+/**
+ * Last SNMP poll of a device with the credential it uses and its discrepancies with the inventory
+ * @param {Object} device - From getDeviceById
+ * @returns {Promise<{credential: Object|null, facts: Object|null, vendor: string|null, interfaces: Array<Object>,
+ *   discrepancies: Array<Object>}>}
+ */
+const loadDeviceSnmp = async (device) => {
+  const [credential, { facts, interfaces }, inventoryInterfaces, manufacturers] = await Promise.all([
+    getDeviceSnmpCredential(device.id),
+    getDeviceSnmp(device.id),
+    getDeviceInterfaces(device.id),
+    getManufacturers()
+  ]);
+  return {
+    credential,
+    facts,
+    vendor: facts ? vendorFromObjectId(facts.sys_object_id).vendor : null,
+    interfaces,
+    discrepancies: compareSnmpFacts(device, facts, interfaces, inventoryInterfaces, manufacturers)
+  };
+};
+
+/**
+ * GET /snmp/credentials - SNMP credentials with usage counts; community strings and keys are never returned
+ * (has_community, has_auth_key and has_priv_key say whether one is stored)
+ */
+app.get('/snmp/credentials', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const credentials = await getSnmpCredentials();
+    res.json({
+      success: true,
+      options: { versions: SNMP_VERSIONS, security_levels: SECURITY_LEVELS, auth_protocols: AUTH_PROTOCOLS, priv_protocols: PRIV_PROTOCOLS },
+      data: credentials
+    });
+  } catch (error) {
+    console.error('Error in GET /snmp/credentials:', error);
+    res.status(500).json({ success: false, error: 'Failed to load SNMP credentials', message: error.message });
+  }
+});
+
+/**
+ * POST /snmp/credentials - add a credential { name, version, port, community } or
+ * { name, version: '3', port, username, security_level, auth_protocol, auth_key, priv_protocol, priv_key }
+ */
+app.post('/snmp/credentials', requirePermission('snmp:manage'), async (req, res) => {
+  try {
+    const { error, values } = validateSnmpCredentialInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid SNMP credential', message: error });
+    }
+    const credential = await createSnmpCredential(values);
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'snmp_credential',
+      entity_id: credential.id,
+      action: 'created',
+      details: { name: credential.name, version: credential.version }
+    });
+    res.status(201).json({ success: true, message: 'SNMP credential created', data: credential });
+  } catch (error) {
+    console.error('Error in POST /snmp/credentials:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate SNMP credential', message: 'A credential with this name already exists' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to create SNMP credential', message: error.message });
+  }
+});
+
+/**
+ * PUT /snmp/credentials/:id - change a credential; secrets left out keep their stored value
+ */
+app.put('/snmp/credentials/:id', requirePermission('snmp:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid SNMP credential ID' });
+    }
+    const existing = await getSnmpCredentialById(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'SNMP credential not found' });
+    }
+    const { error, values } = validateSnmpCredentialInput(req.body, existing);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid SNMP credential', message: error });
+    }
+    const credential = await updateSnmpCredential(id, values);
+    // Secrets are logged as changed, never with their values
+    const changes = diffFields(existing, credential, ['name', 'version', 'port', 'username', 'security_level', 'auth_protocol', 'priv_protocol']);
+    const secrets = ['community', 'auth_key', 'priv_key'].filter((key) => values[key] !== undefined && values[key] !== null);
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'snmp_credential',
+      entity_id: id,
+      action: 'updated',
+      details: { name: credential.name, changes, ...(secrets.length > 0 && { secrets_changed: secrets }) }
+    });
+    res.json({ success: true, message: 'SNMP credential updated', data: credential });
+  } catch (error) {
+    console.error('Error in PUT /snmp/credentials/:id:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate SNMP credential', message: 'A credential with this name already exists' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to update SNMP credential', message: error.message });
+  }
+});
+
+/**
+ * DELETE /snmp/credentials/:id - remove a credential no device or location uses
+ */
+app.delete('/snmp/credentials/:id', requirePermission('snmp:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid SNMP credential ID' });
+    }
+    const existing = await getSnmpCredentialById(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'SNMP credential not found' });
+    }
+    const deleted = await deleteSnmpCredential(id);
+    if (!deleted) {
+      return res.status(409).json({
+        success: false,
+        error: 'SNMP credential in use',
+        message: `Used by ${existing.device_count} device(s) and ${existing.location_count} location(s) (trashed devices count too); pick another credential for them first`
+      });
+    }
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'snmp_credential',
+      entity_id: id,
+      action: 'deleted',
+      details: { name: deleted.name }
+    });
+    res.json({ success: true, message: 'SNMP credential deleted', data: deleted });
+  } catch (error) {
+    console.error('Error in DELETE /snmp/credentials/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete SNMP credential', message: error.message });
+  }
+});
+
+/**
+ * POST /snmp/run - poll every device with SNMP credentials now instead of waiting for the next cycle
+ */
+app.post('/snmp/run', requirePermission('devices:write'), async (req, res) => {
+  try {
+    const summary = await runFullSnmpCycle();
+    if (!summary) {
+      return res.status(409).json({ success: false, error: 'Poll running', message: 'An SNMP poll is already running' });
+    }
+    res.json({ success: true, message: `Polled ${summary.polled} device(s) over SNMP: ${summary.failed} failed`, data: summary });
+  } catch (error) {
+    console.error('Error in POST /snmp/run:', error);
+    res.status(500).json({ success: false, error: 'Failed to run SNMP poll', message: error.message });
+  }
+});
+
+/**
+ * GET /devices/:id/snmp - what the device reported on its last SNMP poll (facts and interface counters),
+ * the credential it polls with (own or inherited from a location) and its discrepancies with the inventory
+ */
+app.get('/devices/:id/snmp', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid device ID' });
+    }
+    const device = await getDeviceById(id);
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    res.json({ success: true, data: await loadDeviceSnmp(device) });
+  } catch (error) {
+    console.error('Error in GET /devices/:id/snmp:', error);
+    res.status(500).json({ success: false, error: 'Failed to load SNMP data', message: error.message });
+  }
+});
+
+/**
+ * POST /devices/:id/snmp/poll - poll one device over SNMP now; returns the same payload as GET /devices/:id/snmp
+ */
+app.post('/devices/:id/snmp/poll', requirePermission('devices:write'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid device ID' });
+    }
+    const device = await getDeviceById(id);
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    const summary = await runSnmpCycle({ deviceIds: [id] });
+    if (summary.polled === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No SNMP credential',
+        message: 'Set an SNMP credential on the device or one of its locations first'
+      });
+    }
+    const data = await loadDeviceSnmp(device);
+    if (summary.failed > 0) {
+      return res.status(502).json({ success: false, error: 'SNMP poll failed', message: summary.errors[0].error, data });
+    }
+    res.json({
+      success: true,
+      message: `Polled ${device.hostname}: ${data.discrepancies.length} discrepanc${data.discrepancies.length === 1 ? 'y' : 'ies'}`,
+      data
+    });
+  } catch (error) {
+    console.error('Error in POST /devices/:id/snmp/poll:', error);
+    res.status(500).json({ success: false, error: 'Failed to poll device', message: error.message });
+  }
+});
+
+/**
+ * POST /devices/:id/snmp/apply - accept suggested updates from the last SNMP poll { fields: [...] }
+ * fields are any of hostname, serial_number, manufacturer, interfaces. Suggestions are recomputed here, so a
+ * field that already matches is skipped. Adding a manufacturer that is not in the list needs lookups:manage;
+ * changing the manufacturer clears a model of the old one. Changes are logged with reason snmp.
+ */
+app.post('/devices/:id/snmp/apply', requirePermission('devices:write'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid device ID' });
+    }
+    const { fields } = req.body;
+    if (!Array.isArray(fields) || fields.length === 0 || fields.some((f) => !SNMP_APPLY_FIELDS.includes(f))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid fields',
+        message: `fields must be a non-empty array of: ${SNMP_APPLY_FIELDS.join(', ')}`
+      });
+    }
+    const device = await getDeviceById(id);
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    const { discrepancies } = await loadDeviceSnmp(device);
+    const chosen = discrepancies.filter((d) => fields.includes(d.field) && d.suggestion);
+    if (chosen.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Nothing to apply',
+        message: 'The inventory already matches the last SNMP poll for those fields'
+      });
+    }
+
+    const update = {};
+    let interfaceChanges = null;
+    for (const { suggestion } of chosen) {
+      if (suggestion.hostname) update.hostname = suggestion.hostname;
+      if (suggestion.serial_number) update.serial_number = suggestion.serial_number;
+      if (suggestion.manufacturer_id) update.manufacturer_id = suggestion.manufacturer_id;
+      if (suggestion.manufacturer_name) {
+        if (!hasPermission(req.session.user.role, 'lookups:manage')) {
+          return res.status(403).json({
+            success: false,
+            error: 'Forbidden',
+            message: `Adding manufacturer "${suggestion.manufacturer_name}" needs a role that manages lookups`
+          });
+        }
+        let manufacturer = await findLookupByName('manufacturer', suggestion.manufacturer_name);
+        if (!manufacturer) {
+          manufacturer = await createLookup('manufacturer', suggestion.manufacturer_name);
+          await addHistoryEntry({
+            ...getAuditContext(req),
+            entity_type: 'manufacturer',
+            entity_id: manufacturer.id,
+            action: 'created',
+            details: { name: manufacturer.name, reason: 'snmp' }
+          });
+        }
+        update.manufacturer_id = manufacturer.id;
+      }
+      if (suggestion.interfaces) interfaceChanges = suggestion.interfaces;
+    }
+    if (update.manufacturer_id && device.model_id) update.model_id = null;
+
+    if (Object.keys(update).length > 0) {
+      await updateDevice(id, update, { actor: getAuditContext(req), reason: 'snmp' });
+    }
+
+    if (interfaceChanges) {
+      for (const data of interfaceChanges.add) {
+        const iface = await createDeviceInterface(id, data);
+        await addHistoryEntry({
+          ...getAuditContext(req),
+          device_id: id,
+          action: 'interface_added',
+          details: { interface_id: iface.id, interface: iface.name, reason: 'snmp' }
+        });
+      }
+      for (const { id: interfaceId, changes: data } of interfaceChanges.update) {
+        const before = await getDeviceInterface(id, interfaceId);
+        const iface = before && await updateDeviceInterface(id, interfaceId, data);
+        if (!iface) continue;
+        await addHistoryEntry({
+          ...getAuditContext(req),
+          device_id: id,
+          action: 'interface_updated',
+          details: { interface_id: iface.id, interface: iface.name, changes: diffFields(before, iface, INTERFACE_AUDIT_FIELDS), reason: 'snmp' }
+        });
+      }
+    }
+
+    const applied = [...new Set(chosen.map((d) => d.field))];
+    const refreshed = await getDeviceById(id);
+    res.json({
+      success: true,
+      message: `Applied ${applied.join(', ')} from SNMP`,
+      applied,
+      data: { device: refreshed, ...(await loadDeviceSnmp(refreshed)) }
+    });
+  } catch (error) {
+    console.error('Error in POST /devices/:id/snmp/apply:', error);
+    if (error.code === '23505') {
+      return res.status(409).json(
+        error.constraint === 'device_interface_name_unique'
+          ? DUPLICATE_INTERFACE
+          : { success: false, error: 'Duplicate entry', message: describeDuplicateDevice(error) }
+      );
+    }
+    res.status(500).json({ success: false, error: 'Failed to apply SNMP updates', message: error.message });
+  }
+});
+
+// ==================== DISCOVERY ====================
+
+const DISCOVERY_MAX_PORTS = 20;
+const DISCOVERY_MAX_HOSTS = 1000;
+const DISCOVERY_HOST_KINDS = ['new', 'changed', 'missing'];
+const DISCOVERY_REVIEW_STATUSES = ['pending', 'accepted', 'dismissed'];
+
+/**
+ * Validate the body of POST /discovery/scans
+ * @param {Object} body - ranges (array or comma/space separated text), method, tcp_ports, snmp_credential_id
+ * @returns {Promise<{error: string|null, values: Object}>} values: ranges, addresses, method, tcpPorts, credential
+ */
+const validateDiscoveryInput = async (body) => {
+  const config = getDiscoveryConfig();
+  const list = Array.isArray(body.ranges) ? body.ranges : String(body.ranges || '').split(/[\s,]+/);
+  const ranges = list.map((r) => String(r).trim()).filter(Boolean);
+  if (ranges.length === 0) return { error: 'ranges must list at least one CIDR range or address', values: {} };
+
+  const expanded = expandRanges(ranges, config.max_addresses);
+  if (expanded.error) return { error: expanded.error, values: {} };
+
+  const method = body.method === undefined || body.method === '' ? 'icmp' : body.method;
+  if (!DISCOVERY_METHODS.includes(method)) {
+    return { error: `method must be one of: ${DISCOVERY_METHODS.join(', ')}`, values: {} };
+  }
+
+  const tcpPorts = body.tcp_ports === undefined || body.tcp_ports === '' ? config.tcp_ports : parsePorts(body.tcp_ports);
+  if (!tcpPorts) return { error: 'tcp_ports must be port numbers between 1 and 65535', values: {} };
+  if (tcpPorts.length > DISCOVERY_MAX_PORTS) return { error: `At most ${DISCOVERY_MAX_PORTS} tcp_ports`, values: {} };
+  if (method === 'tcp' && tcpPorts.length === 0) return { error: 'The tcp method needs at least one port', values: {} };
+
+  let credential = null;
+  if (body.snmp_credential_id !== undefined && body.snmp_credential_id !== null && body.snmp_credential_id !== '') {
+    const id = Number(body.snmp_credential_id);
+    credential = Number.isInteger(id) && id > 0 ? await getSnmpCredentialSecrets(id) : null;
+    if (!credential) return { error: 'snmp_credential_id must be an SNMP credential ID', values: {} };
+  }
+
+  return {
+    error: null,
+    values: { ranges: expanded.ranges, addresses: expanded.addresses, method, tcpPorts, credential }
+  };
+};
+
+/**
+ * Parse host_ids of an accept/dismiss body
+ * @returns {Array<number>|null} null when not a non-empty list of IDs
+ */
+const parseDiscoveryHostIds = (value) => {
+  const ids = Array.isArray(value) ? [...new Set(value.map((id) => Number(id)))] : [];
+  if (ids.length === 0 || ids.length > DISCOVERY_MAX_HOSTS || ids.some((id) => !Number.isInteger(id) || id < 1)) {
+    return null;
+  }
+  return ids;
+};
+
+/**
+ * Load a finished scan for review, or send the error response
+ * @returns {Promise<Object|null>}
+ */
+const loadReviewableScan = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    res.status(400).json({ success: false, error: 'Invalid scan ID' });
+    return null;
+  }
+  const scan = await getDiscoveryScanById(id);
+  if (!scan) {
+    res.status(404).json({ success: false, error: 'Scan not found' });
+    return null;
+  }
+  if (scan.status === 'running') {
+    res.status(409).json({ success: false, error: 'Scan running', message: 'Wait for the scan to finish' });
+    return null;
+  }
+  return scan;
+};
+
+/**
+ * GET /discovery/scans - recent scans with pending queue counts, plus the scan options and limits
+ */
+app.get('/discovery/scans', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const scans = await getDiscoveryScans();
+    const config = getDiscoveryConfig();
+    res.json({
+      success: true,
+      options: {
+        methods: DISCOVERY_METHODS,
+        tcp_ports: config.tcp_ports,
+        max_addresses: config.max_addresses
+      },
+      running: isDiscoveryRunning(),
+      data: scans
+    });
+  } catch (error) {
+    console.error('Error in GET /discovery/scans:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch discovery scans', message: error.message });
+  }
+});
+
+/**
+ * GET /discovery/scans/:id - one scan with its review queue (?kind=new|changed|missing, ?review_status=pending|...)
+ * New hosts carry suggested_hostname, the hostname accepting them uses unless another is given.
+ */
+app.get('/discovery/scans/:id', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid scan ID' });
+    }
+    const { kind, review_status: reviewStatus } = req.query;
+    if (kind && !DISCOVERY_HOST_KINDS.includes(kind)) {
+      return res.status(400).json({ success: false, error: 'Invalid kind', message: `kind must be one of: ${DISCOVERY_HOST_KINDS.join(', ')}` });
+    }
+    if (reviewStatus && !DISCOVERY_REVIEW_STATUSES.includes(reviewStatus)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid review_status',
+        message: `review_status must be one of: ${DISCOVERY_REVIEW_STATUSES.join(', ')}`
+      });
+    }
+    const scan = await getDiscoveryScanById(id);
+    if (!scan) {
+      return res.status(404).json({ success: false, error: 'Scan not found' });
+    }
+    const hosts = await getDiscoveryHosts(id, { kind: kind || null, reviewStatus: reviewStatus || null });
+    res.json({
+      success: true,
+      data: {
+        ...scan,
+        hosts: hosts.map((h) => (h.kind === 'new' ? { ...h, suggested_hostname: suggestHostname(h) } : h))
+      }
+    });
+  } catch (error) {
+    console.error('Error in GET /discovery/scans/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch discovery scan', message: error.message });
+  }
+});
+
+/**
+ * POST /discovery/scans - start a scan { ranges, method: icmp|tcp, tcp_ports, snmp_credential_id }
+ * Returns 202 at once; the scan runs in the background (one at a time, 409 while another runs) and its queue
+ * fills when it completes.
+ */
+app.post('/discovery/scans', requirePermission('discovery:run'), async (req, res) => {
+  try {
+    const { error, values } = await validateDiscoveryInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid scan', message: error });
+    }
+    const scan = await startDiscoveryScan({ ...values, userId: req.session.user.id });
+    if (!scan) {
+      return res.status(409).json({ success: false, error: 'Scan running', message: 'A discovery scan is already running' });
+    }
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'discovery_scan',
+      entity_id: scan.id,
+      action: 'created',
+      details: { ranges: scan.ranges, method: scan.method, addresses: scan.address_count }
+    });
+    res.status(202).json({
+      success: true,
+      message: `Scanning ${scan.address_count} address(es)`,
+      data: scan
+    });
+  } catch (error) {
+    console.error('Error in POST /discovery/scans:', error);
+    res.status(500).json({ success: false, error: 'Failed to start discovery scan', message: error.message });
+  }
+});
+
+/**
+ * POST /discovery/scans/:id/accept - accept queued hosts into the inventory
+ * Body: { host_ids: [...], location_id?, overrides?: { [hostId]: { hostname, device_type_id, manufacturer_id } } }
+ * New hosts become active devices (guessed type, else Other; guessed manufacturer; SNMP serial and credential when
+ * SNMP answered) in location_id; changed hosts update their device; missing hosts mark their device inactive.
+ * All or nothing: invalid overrides give 400, hostname or serial clashes 409. Hosts already reviewed are skipped.
+ */
+app.post('/discovery/scans/:id/accept', requirePermission('discovery:run'), async (req, res) => {
+  try {
+    const scan = await loadReviewableScan(req, res);
+    if (!scan) return;
+    const ids = parseDiscoveryHostIds(req.body.host_ids);
+    if (!ids) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid host_ids',
+        message: `host_ids must list between 1 and ${DISCOVERY_MAX_HOSTS} queued host IDs`
+      });
+    }
+    const hosts = await getDiscoveryHosts(scan.id, { ids });
+    const missing = ids.filter((id) => !hosts.find((h) => h.id === id));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Host not found',
+        message: `Scan #${scan.id} has no queued host with ID ${missing.join(', ')}; nothing was accepted`,
+        missing
+      });
+    }
+
+    const place = await validateDeviceLocation({ location_id: req.body.location_id ?? null });
+    if (place.error) {
+      return res.status(400).json({ success: false, error: 'Invalid location', message: place.error });
+    }
+
+    const [deviceTypes, manufacturers] = await Promise.all([getDeviceTypes(), getManufacturers()]);
+    const otherType = deviceTypes.find((t) => t.name.toLowerCase() === 'other');
+    const overrides = req.body.overrides && typeof req.body.overrides === 'object' ? req.body.overrides : {};
+    const pending = hosts.filter((h) => h.review_status === 'pending');
+    const errors = [];
+    const entries = pending.map((host) => {
+      if (host.kind !== 'new') return { host };
+      const override = overrides[host.id] || {};
+      const hostname = String(override.hostname ?? suggestHostname(host)).trim();
+      const typeId = Number(override.device_type_id ?? host.guessed_type_id ?? otherType?.id);
+      const manufacturerId = override.manufacturer_id !== undefined
+        ? (override.manufacturer_id === null || override.manufacturer_id === '' ? null : Number(override.manufacturer_id))
+        : host.guessed_manufacturer_id;
+      if (!hostname || hostname.length > 100) errors.push(`${host.ip_address}: hostname must be 1-100 characters`);
+      if (!deviceTypes.find((t) => t.id === typeId)) errors.push(`${host.ip_address}: choose a device type`);
+      if (manufacturerId !== null && !manufacturers.find((m) => m.id === manufacturerId)) {
+        errors.push(`${host.ip_address}: invalid manufacturer_id`);
+      }
+      return {
+        host,
+        values: {
+          hostname,
+          device_type_id: typeId,
+          manufacturer_id: manufacturerId,
+          serial_number: host.serial_number,
+          // SNMP answered during the scan, so the device keeps being polled with the same credential
+          snmp_credential_id: host.sys_object_id || host.sys_name ? scan.snmp_credential_id : null,
+          ...place.values
+        }
+      };
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid hosts', message: errors.join('; '), errors });
+    }
+
+    // Hostnames and serial numbers the accepted hosts would give their devices must be free
+    const claims = entries.map(({ host, values }) => ({
+      host,
+      hostname: values ? values.hostname : host.changes?.hostname?.to,
+      serial: values ? values.serial_number : host.changes?.serial_number?.to
+    }));
+    const taken = await findDiscoveryConflicts(
+      claims.map((c) => c.hostname).filter(Boolean),
+      claims.map((c) => c.serial).filter(Boolean)
+    );
+    const conflicts = [];
+    const seen = new Map();
+    claims.forEach(({ host, hostname, serial }) => {
+      const others = taken.filter((d) => d.id !== host.device_id);
+      const byHostname = hostname && others.find((d) => !d.deleted && d.hostname.toLowerCase() === hostname.toLowerCase());
+      const bySerial = serial && others.find((d) => d.serial_number?.toLowerCase() === serial.toLowerCase());
+      if (byHostname) conflicts.push(`${host.ip_address}: hostname ${hostname} is used by #${byHostname.id}`);
+      if (bySerial) {
+        conflicts.push(`${host.ip_address}: serial ${serial} belongs to ${bySerial.hostname} (#${bySerial.id})${bySerial.deleted ? ' in the trash' : ''}`);
+      }
+      [['hostname', hostname], ['serial', serial]].forEach(([label, value]) => {
+        if (!value) return;
+        const key = `${label}:${value.toLowerCase()}`;
+        if (seen.has(key)) conflicts.push(`${host.ip_address}: ${label} ${value} is also claimed by ${seen.get(key)}`);
+        else seen.set(key, host.ip_address);
+      });
+    });
+    if (conflicts.length > 0) {
+      return res.status(409).json({ success: false, error: 'Duplicate entry', message: conflicts.join('; '), conflicts });
+    }
+
+    const { created, updated, unchanged } = await acceptDiscoveryHosts(entries, { actor: getAuditContext(req) });
+    res.json({
+      success: true,
+      message: `Accepted ${entries.length} host(s): ${created.length} device(s) created, ${updated.length} updated`,
+      created,
+      updated,
+      unchanged,
+      skipped: hosts.filter((h) => h.review_status !== 'pending').map((h) => h.id)
+    });
+  } catch (error) {
+    console.error('Error in POST /discovery/scans/:id/accept:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate entry', message: describeDuplicateDevice(error) });
+    }
+    res.status(500).json({ success: false, error: 'Failed to accept hosts', message: error.message });
+  }
+});
+
+/**
+ * POST /discovery/scans/:id/dismiss - dismiss queued hosts { host_ids } (already reviewed ones are skipped)
+ */
+app.post('/discovery/scans/:id/dismiss', requirePermission('discovery:run'), async (req, res) => {
+  try {
+    const scan = await loadReviewableScan(req, res);
+    if (!scan) return;
+    const ids = parseDiscoveryHostIds(req.body.host_ids);
+    if (!ids) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid host_ids',
+        message: `host_ids must list between 1 and ${DISCOVERY_MAX_HOSTS} queued host IDs`
+      });
+    }
+    const dismissed = await dismissDiscoveryHosts(scan.id, ids, req.session.user.id);
+    res.json({
+      success: true,
+      message: `Dismissed ${dismissed.length} host(s)`,
+      dismissed,
+      skipped: ids.filter((id) => !dismissed.includes(id))
+    });
+  } catch (error) {
+    console.error('Error in POST /discovery/scans/:id/dismiss:', error);
+    res.status(500).json({ success: false, error: 'Failed to dismiss hosts', message: error.message });
+  }
+});
+
+/**
+ * DELETE /discovery/scans/:id - delete a finished scan and its queue (devices created from it stay)
+ */
+app.delete('/discovery/scans/:id', requirePermission('discovery:run'), async (req, res) => {
+  try {
+    const scan = await loadReviewableScan(req, res);
+    if (!scan) return;
+    await deleteDiscoveryScan(scan.id);
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'discovery_scan',
+      entity_id: scan.id,
+      action: 'deleted',
+      details: { ranges: scan.ranges, hosts: scan.host_count }
+    });
+    res.json({ success: true, message: 'Discovery scan deleted', data: { id: scan.id } });
+  } catch (error) {
+    console.error('Error in DELETE /discovery/scans/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete discovery scan', message: error.message });
+  }
+});
+
+// ==================== ALERTS ====================
+
+const ALERT_DELIVERY_STATUSES = ['pending', 'sent', 'failed'];
+const ALERT_MAX_RECIPIENTS = 20;
+const ALERT_EMAIL_PATTERN = /^[^\s@,;]+@[^\s@,;]+$/;
+
+/**
+ * Parse a list of IDs (array or comma separated text)
+ * @returns {Array<number>|null} null when any entry is not an ID
+ */
+const parseIdList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(',').filter((item) => item.trim() !== '');
+  const ids = [...new Set(items.map((item) => Number(item)))];
+  return ids.every((id) => Number.isInteger(id) && id > 0) ? ids : null;
+};
+
+/**
+ * Validate an alert channel body; on update, fields left out keep their stored value
+ * @param {Object} body - name, kind (email, webhook, slack), target (recipients or URL), secret (webhook), enabled
+ * @param {Object} [existing] - Stored channel (update)
+ * @returns {{error: string|null, values: Object}}
+ */
+const validateAlertChannelInput = (body, existing = null) => {
+  const values = {};
+  const name = body.name !== undefined ? String(body.name || '').trim() : existing?.name;
+  if (!name) return { error: 'name is required', values };
+  if (name.length > 100) return { error: 'name must be at most 100 characters', values };
+  values.name = name;
+
+  const kind = body.kind ?? existing?.kind;
+  if (!CHANNEL_KINDS.includes(kind)) return { error: `kind must be one of: ${CHANNEL_KINDS.join(', ')}`, values };
+  values.kind = kind;
+
+  const target = String(body.target ?? existing?.target ?? '').trim();
+  if (kind === 'email') {
+    const recipients = [...new Set(target.split(/[\s,;]+/).filter(Boolean))];
+    if (recipients.length === 0) return { error: 'target must list at least one email address', values };
+    if (recipients.length > ALERT_MAX_RECIPIENTS) return { error: `At most ${ALERT_MAX_RECIPIENTS} recipients`, values };
+    const invalid = recipients.find((address) => !ALERT_EMAIL_PATTERN.test(address));
+    if (invalid) return { error: `"${invalid}" is not an email address`, values };
+    values.target = recipients.join(', ');
+  } else {
+    let url = null;
+    try {
+      url = new URL(target);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) return { error: 'target must be an http(s) URL', values };
+    if (target.length > 2000) return { error: 'target must be at most 2000 characters', values };
+    values.target = target;
+  }
+
+  // Only generic webhooks are signed; the secret is write-only ('' or null removes it)
+  if (kind !== 'webhook') {
+    values.secret = null;
+  } else if (body.secret !== undefined) {
+    values.secret = body.secret === null || body.secret === '' ? null : String(body.secret);
+    if (values.secret && values.secret.length > 255) return { error: 'secret must be at most 255 characters', values };
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be a boolean', values };
+    values.enabled = body.enabled;
+  }
+  return { error: null, values };
+};
+
+/**
+ * Validate an alert rule body; on update, fields left out keep their stored value
+ * @param {Object} body - name, event, device_type_ids, location_ids, warranty_days, enabled, channel_ids
+ * @param {Object} [existing] - Stored rule (update)
+ * @returns {Promise<{error: string|null, values: Object}>}
+ */
+const validateAlertRuleInput = async (body, existing = null) => {
+  const values = {};
+  const name = body.name !== undefined ? String(body.name || '').trim() : existing?.name;
+  if (!name) return { error: 'name is required', values };
+  if (name.length > 100) return { error: 'name must be at most 100 characters', values };
+  values.name = name;
+
+  const event = body.event ?? existing?.event;
+  if (!ALERT_EVENTS.includes(event)) return { error: `event must be one of: ${ALERT_EVENTS.join(', ')}`, values };
+  values.event = event;
+
+  if (body.device_type_ids !== undefined) {
+    const ids = parseIdList(body.device_type_ids);
+    const known = new Set((await getDeviceTypes()).map((t) => t.id));
+    if (!ids || ids.some((id) => !known.has(id))) return { error: 'device_type_ids must be device type IDs', values };
+    values.device_type_ids = ids;
+  }
+  if (body.location_ids !== undefined) {
+    const ids = parseIdList(body.location_ids);
+    const known = new Set((await getLocations()).map((l) => l.id));
+    if (!ids || ids.some((id) => !known.has(id))) return { error: 'location_ids must be location IDs', values };
+    values.location_ids = ids;
+  }
+
+  if (body.warranty_days !== undefined && body.warranty_days !== null && body.warranty_days !== '') {
+    const days = Number(body.warranty_days);
+    if (!Number.isInteger(days) || days < 1 || days > 365) return { error: 'warranty_days must be from 1 to 365', values };
+    values.warranty_days = days;
+  }
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be a boolean', values };
+    values.enabled = body.enabled;
+  }
+
+  if (body.channel_ids !== undefined || !existing) {
+    const ids = parseIdList(body.channel_ids);
+    if (!ids || ids.length === 0) return { error: 'channel_ids must list at least one alert channel', values };
+    const known = new Set((await getAlertChannels()).map((c) => c.id));
+    const unknown = ids.find((id) => !known.has(id));
+    if (unknown) return { error: `No alert channel with ID ${unknown}`, values };
+    values.channel_ids = ids;
+  }
+  return { error: null, values };
+};
+
+/**
+ * GET /alerts/status - alerting settings (no SMTP password), whether a cycle is running and the last cycle
+ */
+app.get('/alerts/status', requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { ...getAlertStatus(), events: ALERT_EVENTS, channel_kinds: CHANNEL_KINDS }
+    });
+  } catch (error) {
+    console.error('Error in GET /alerts/status:', error);
+    res.status(500).json({ success: false, error: 'Failed to load alerting status', message: error.message });
+  }
+});
+
+/**
+ * POST /alerts/run - check the rules and send due deliveries now instead of waiting for the next cycle
+ */
+app.post('/alerts/run', requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    const summary = await runAlertCycle();
+    if (!summary) {
+      return res.status(409).json({ success: false, error: 'Cycle running', message: 'An alert cycle is already running' });
+    }
+    const raised = Object.values(summary.raised).reduce((sum, count) => sum + count, 0);
+    res.json({
+      success: true,
+      message: `Raised ${raised} alert(s); ${summary.sent} delivery(ies) sent, ${summary.retrying} to retry, ${summary.failed} failed`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error in POST /alerts/run:', error);
+    res.status(500).json({ success: false, error: 'Failed to run alert cycle', message: error.message });
+  }
+});
+
+/**
+ * GET /alerts/channels - delivery channels with how many rules use each; webhook secrets are never returned
+ */
+app.get('/alerts/channels', requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    res.json({ success: true, data: await getAlertChannels() });
+  } catch (error) {
+    console.error('Error in GET /alerts/channels:', error);
+    res.status(500).json({ success: false, error: 'Failed to load alert channels', message: error.message });
+  }
+});
+
+/**
+ * POST /alerts/channels - add a channel { name, kind, target, secret?, enabled? }
+ */
+app.post('/alerts/channels', requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    const { error, values } = validateAlertChannelInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid alert channel', message: error });
+    }
+    const channel = await createAlertChannel(values);
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'alert_channel',
+      entity_id: channel.id,
+      action: 'created',
+      details: { name: channel.name, kind: channel.kind }
+    });
+    res.status(201).json({ success: true, message: 'Alert channel created', data: channel });
+  } catch (error) {
+    console.error('Error in POST /alerts/channels:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate alert channel', message: 'A channel with this name already exists' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to create alert channel', message: error.message });
+  }
+});
+
+/**
+ * PUT /alerts/channels/:id - change a channel; a secret left out keeps its stored value
+ */
+app.put('/alerts/channels/:id', requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid alert channel ID' });
+    }
+    const existing = await getAlertChannelById(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Alert channel not found' });
+    }
+    const { error, values } = validateAlertChannelInput(req.body, existing);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid alert channel', message: error });
+    }
+    const channel = await updateAlertChannel(id, values);
+    const changes = diffFields(existing, channel, ['name', 'kind', 'target', 'enabled', 'has_secret']);
     await addHistoryEntry({
-      device_id: id,
-      action: 'assigned',
-      user_id: null,
-      details: { assigned_user_id: userId }
+      ...getAuditContext(req),
+      entity_type: 'alert_channel',
+      entity_id: id,
+      action: 'updated',
+      details: { name: channel.name, changes, ...(values.secret && { secrets_changed: ['secret'] }) }
+    });
+    res.json({ success: true, message: 'Alert channel updated', data: channel });
+  } catch (error) {
+    console.error('Error in PUT /alerts/channels/:id:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate alert channel', message: 'A channel with this name already exists' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to update alert channel', message: error.message });
+  }
+});
+
+/**
+ * DELETE /alerts/channels/:id - remove a channel no rule uses, with its delivery log
+ */
+app.delete('/alerts/channels/:id', requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid alert channel ID' });
+    }
+    const existing = await getAlertChannelById(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Alert channel not found' });
+    }
+    const deleted = await deleteAlertChannel(id);
+    if (!deleted) {
+      return res.status(409).json({
+        success: false,
+        error: 'Alert channel in use',
+        message: `Used by ${existing.rule_count} rule(s); take it off those rules first`
+      });
+    }
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'alert_channel',
+      entity_id: id,
+      action: 'deleted',
+      details: { name: deleted.name }
+    });
+    res.json({ success: true, message: 'Alert channel deleted', data: deleted });
+  } catch (error) {
+    console.error('Error in DELETE /alerts/channels/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete alert channel', message: error.message });
+  }
+});
+
+/**
+ * POST /alerts/channels/:id/test - send a test alert through a channel right away (502 when it is refused)
+ */
+app.post('/alerts/channels/:id/test', requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid alert channel ID' });
+    }
+    const channel = await getAlertChannelSecrets(id);
+    if (!channel) {
+      return res.status(404).json({ success: false, error: 'Alert channel not found' });
+    }
+    try {
+      await sendTestAlert(channel);
+    } catch (sendError) {
+      return res.status(502).json({ success: false, error: 'Test alert not delivered', message: sendError.message });
+    }
+    res.json({ success: true, message: `Test alert sent to ${channel.name}` });
+  } catch (error) {
+    console.error('Error in POST /alerts/channels/:id/test:', error);
+    res.status(500).json({ success: false, error: 'Failed to send test alert', message: error.message });
+  }
+});
+
+/**
+ * GET /alerts/rules - rules with their channels and how often each fired
+ */
+app.get('/alerts/rules', requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    res.json({ success: true, options: { events: ALERT_EVENTS }, data: await getAlertRules() });
+  } catch (error) {
+    console.error('Error in GET /alerts/rules:', error);
+    res.status(500).json({ success: false, error: 'Failed to load alert rules', message: error.message });
+  }
+});
+
+/**
+ * POST /alerts/rules - add a rule { name, event, device_type_ids?, location_ids?, warranty_days?, enabled?, channel_ids }
+ * Empty device_type_ids / location_ids match every device; a location matches the devices below it too.
+ */
+app.post('/alerts/rules', requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    const { error, values } = await validateAlertRuleInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid alert rule', message: error });
+    }
+    const rule = await createAlertRule({ ...values, created_by: req.session.user.id });
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'alert_rule',
+      entity_id: rule.id,
+      action: 'created',
+      details: { name: rule.name, event: rule.event }
+    });
+    res.status(201).json({ success: true, message: 'Alert rule created', data: rule });
+  } catch (error) {
+    console.error('Error in POST /alerts/rules:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate alert rule', message: 'A rule with this name already exists' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to create alert rule', message: error.message });
+  }
+});
+
+/**
+ * PUT /alerts/rules/:id - change a rule; channel_ids, when given, replaces its channels
+ */
+app.put('/alerts/rules/:id', requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid alert rule ID' });
+    }
+    const existing = await getAlertRuleById(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+    const { error, values } = await validateAlertRuleInput(req.body, existing);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid alert rule', message: error });
+    }
+    const rule = await updateAlertRule(id, values);
+    const changes = diffFields(existing, rule, [
+      'name', 'event', 'device_type_ids', 'location_ids', 'warranty_days', 'enabled', 'channel_ids'
+    ]);
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'alert_rule',
+      entity_id: id,
+      action: 'updated',
+      details: { name: rule.name, changes }
+    });
+    res.json({ success: true, message: 'Alert rule updated', data: rule });
+  } catch (error) {
+    console.error('Error in PUT /alerts/rules/:id:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate alert rule', message: 'A rule with this name already exists' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to update alert rule', message: error.message });
+  }
+});
+
+/**
+ * DELETE /alerts/rules/:id - remove a rule with the alerts it raised and their deliveries
+ */
+app.delete('/alerts/rules/:id', requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid alert rule ID' });
+    }
+    const deleted = await deleteAlertRule(id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'alert_rule',
+      entity_id: id,
+      action: 'deleted',
+      details: { name: deleted.name }
+    });
+    res.json({ success: true, message: 'Alert rule deleted', data: deleted });
+  } catch (error) {
+    console.error('Error in DELETE /alerts/rules/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete alert rule', message: error.message });
+  }
+});
+
+/**
+ * GET /alerts/deliveries - delivery log, newest first
+ * Filters: status (pending, sent, failed), rule_id, channel_id, limit (1-500, default 100)
+ */
+app.get('/alerts/deliveries', requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !ALERT_DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${ALERT_DELIVERY_STATUSES.join(', ')}` });
+    }
+    const ruleId = req.query.rule_id ? Number(req.query.rule_id) : null;
+    const channelId = req.query.channel_id ? Number(req.query.channel_id) : null;
+    const limit = req.query.limit ? Number(req.query.limit) : 100;
+    if ([ruleId, channelId].some((id) => id !== null && (!Number.isInteger(id) || id < 1))) {
+      return res.status(400).json({ success: false, error: 'rule_id and channel_id must be IDs' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ success: false, error: 'limit must be from 1 to 500' });
+    }
+    const deliveries = await getAlertDeliveries({ status: status || null, ruleId, channelId, limit });
+    res.json({ success: true, count: deliveries.length, data: deliveries });
+  } catch (error) {
+    console.error('Error in GET /alerts/deliveries:', error);
+    res.status(500).json({ success: false, error: 'Failed to load alert deliveries', message: error.message });
+  }
+});
+
+/**
+ * POST /alerts/deliveries/:id/retry - queue a failed delivery again and send it right away
+ */
+app.post('/alerts/deliveries/:id/retry', requirePermission('alerts:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid delivery ID' });
+    }
+    const existing = await getAlertDeliveryById(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+    if (!(await getAlertChannelById(existing.channel_id))?.enabled) {
+      return res.status(409).json({ success: false, error: 'Channel disabled', message: 'Enable the channel before retrying its deliveries' });
+    }
+    const delivery = await retryAlertDelivery(id);
+    if (!delivery) {
+      return res.status(409).json({ success: false, error: 'Already sent', message: 'This delivery was already sent' });
+    }
+    await runAlertDeliveries();
+    res.json({ success: true, message: 'Delivery retried', data: await getAlertDeliveryById(id) });
+  } catch (error) {
+    console.error('Error in POST /alerts/deliveries/:id/retry:', error);
+    res.status(500).json({ success: false, error: 'Failed to retry delivery', message: error.message });
+  }
+});
+
+// ==================== WEBHOOKS ====================
+
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+/**
+ * Validate a webhook body; on update, fields left out keep their stored value
+ * @param {Object} body - name, url, events, active, secret
+ * @param {Object} [existing] - Stored webhook (update)
+ * @returns {{error: string|null, values: Object}}
+ */
+const validateWebhookInput = (body, existing = null) => {
+  const values = {};
+  const name = body.name !== undefined ? String(body.name || '').trim() : existing?.name;
+  if (!name) return { error: 'name is required', values };
+  if (name.length > 100) return { error: 'name must be at most 100 characters', values };
+  values.name = name;
+
+  const target = String(body.url ?? existing?.url ?? '').trim();
+  let url = null;
+  try {
+    url = new URL(target);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) return { error: 'url must be an http(s) URL', values };
+  if (target.length > 2000) return { error: 'url must be at most 2000 characters', values };
+  values.url = target;
+
+  if (body.events !== undefined || !existing) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events)] : null;
+    if (!events || events.length === 0) return { error: 'events must list at least one event', values };
+    const unknown = events.find((event) => !WEBHOOK_EVENTS.includes(event));
+    if (unknown !== undefined) return { error: `Unknown event "${unknown}"; use: ${WEBHOOK_EVENTS.join(', ')}`, values };
+    values.events = WEBHOOK_EVENTS.filter((event) => events.includes(event));
+  }
+
+  // The secret is write-only; on create it is generated unless given
+  if (body.secret !== undefined && body.secret !== null && body.secret !== '') {
+    const secret = String(body.secret);
+    if (secret.length < 16 || secret.length > 255) return { error: 'secret must be 16 to 255 characters', values };
+    values.secret = secret;
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') return { error: 'active must be a boolean', values };
+    values.active = body.active;
+  }
+  return { error: null, values };
+};
+
+/**
+ * GET /webhooks/status - delivery worker settings, subscribable events and the last delivery pass
+ */
+app.get('/webhooks/status', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    res.json({ success: true, data: getWebhookStatus() });
+  } catch (error) {
+    console.error('Error in GET /webhooks/status:', error);
+    res.status(500).json({ success: false, error: 'Failed to load webhook status', message: error.message });
+  }
+});
+
+/**
+ * GET /webhooks - subscriptions with their pending and failed delivery counts; secrets are never returned
+ */
+app.get('/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhooks = await getWebhooks();
+    res.json({ success: true, count: webhooks.length, data: webhooks });
+  } catch (error) {
+    console.error('Error in GET /webhooks:', error);
+    res.status(500).json({ success: false, error: 'Failed to load webhooks', message: error.message });
+  }
+});
+
+/**
+ * GET /webhooks/:id - one subscription (no secret)
+ */
+app.get('/webhooks/:id', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid webhook ID' });
+    }
+    const webhook = await getWebhookById(id);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    res.json({ success: true, data: webhook });
+  } catch (error) {
+    console.error('Error in GET /webhooks/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to load webhook', message: error.message });
+  }
+});
+
+/**
+ * POST /webhooks - subscribe { name, url, events, secret?, active? }
+ * The signing secret (generated when left out) is only returned in this response.
+ */
+app.post('/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { error, values } = validateWebhookInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid webhook', message: error });
+    }
+    const secret = values.secret || generateWebhookSecret();
+    const webhook = await createWebhook({ ...values, secret, created_by: req.session.user.id });
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'webhook',
+      entity_id: webhook.id,
+      action: 'created',
+      details: { name: webhook.name, url: webhook.url, events: webhook.events }
+    });
+    res.status(201).json({ success: true, message: 'Webhook created', data: { ...webhook, secret } });
+  } catch (error) {
+    console.error('Error in POST /webhooks:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate webhook', message: 'A webhook with this name already exists' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to create webhook', message: error.message });
+  }
+});
+
+/**
+ * PUT /webhooks/:id - change a subscription; { rotate_secret: true } or a new secret replaces the signing secret,
+ * which is then returned once in the response
+ */
+app.put('/webhooks/:id', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid webhook ID' });
+    }
+    const existing = await getWebhookById(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    const { error, values } = validateWebhookInput(req.body, existing);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid webhook', message: error });
+    }
+    if (req.body.rotate_secret === true && !values.secret) values.secret = generateWebhookSecret();
+    const webhook = await updateWebhook(id, values);
+    const changes = diffFields(existing, webhook, ['name', 'url', 'events', 'active']);
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'webhook',
+      entity_id: id,
+      action: 'updated',
+      details: { name: webhook.name, changes, ...(values.secret && { secrets_changed: ['secret'] }) }
+    });
+    res.json({
+      success: true,
+      message: 'Webhook updated',
+      data: values.secret ? { ...webhook, secret: values.secret } : webhook
+    });
+  } catch (error) {
+    console.error('Error in PUT /webhooks/:id:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate webhook', message: 'A webhook with this name already exists' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to update webhook', message: error.message });
+  }
+});
+
+/**
+ * DELETE /webhooks/:id - unsubscribe; queued deliveries and the delivery log go with it
+ */
+app.delete('/webhooks/:id', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid webhook ID' });
+    }
+    const deleted = await deleteWebhook(id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'webhook',
+      entity_id: id,
+      action: 'deleted',
+      details: { name: deleted.name }
+    });
+    res.json({ success: true, message: 'Webhook deleted', data: deleted });
+  } catch (error) {
+    console.error('Error in DELETE /webhooks/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete webhook', message: error.message });
+  }
+});
+
+/**
+ * GET /webhooks/:id/deliveries - delivery log, newest first (?status=pending|delivered|failed&event=&limit=100)
+ */
+app.get('/webhooks/:id/deliveries', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid webhook ID' });
+    }
+    const { status, event } = req.query;
+    if (status && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` });
+    }
+    const limit = req.query.limit ? Number(req.query.limit) : 100;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ success: false, error: 'limit must be from 1 to 500' });
+    }
+    if (!(await getWebhookById(id))) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    const deliveries = await getWebhookDeliveries(id, { status: status || null, event: event || null, limit });
+    res.json({ success: true, count: deliveries.length, data: deliveries });
+  } catch (error) {
+    console.error('Error in GET /webhooks/:id/deliveries:', error);
+    res.status(500).json({ success: false, error: 'Failed to load webhook deliveries', message: error.message });
+  }
+});
+
+/**
+ * POST /webhooks/:id/ping - queue a ping event for this webhook and start sending it
+ */
+app.post('/webhooks/:id/ping', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid webhook ID' });
+    }
+    const webhook = await getWebhookById(id);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    const delivery = await queueWebhookPing(id, {
+      event: 'ping',
+      occurred_at: new Date().toISOString(),
+      webhook: { id: webhook.id, name: webhook.name, events: webhook.events },
+      actor: { user_id: req.session.user.id, name: req.session.user.name }
+    });
+    runWebhookDeliveries().catch((err) => console.error('Webhook deliveries failed:', err.message));
+    res.status(202).json({ success: true, message: 'Ping queued', data: delivery });
+  } catch (error) {
+    console.error('Error in POST /webhooks/:id/ping:', error);
+    res.status(500).json({ success: false, error: 'Failed to ping webhook', message: error.message });
+  }
+});
+
+/**
+ * POST /webhooks/deliveries/:id/replay - send a delivered or failed event again, as a new delivery
+ */
+app.post('/webhooks/deliveries/:id/replay', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid delivery ID' });
+    }
+    const existing = await getWebhookDeliveryById(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+    const delivery = await replayWebhookDelivery(id);
+    if (!delivery) {
+      return res.status(409).json({ success: false, error: 'Still pending', message: 'This delivery is still being retried; replay it once it is delivered or failed' });
+    }
+    runWebhookDeliveries().catch((err) => console.error('Webhook deliveries failed:', err.message));
+    res.status(202).json({ success: true, message: 'Delivery replayed', data: delivery });
+  } catch (error) {
+    console.error('Error in POST /webhooks/deliveries/:id/replay:', error);
+    res.status(500).json({ success: false, error: 'Failed to replay delivery', message: error.message });
+  }
+});
+
+// ==================== CSV IMPORT ====================
+
+// Same columns as GET /devices/export; notes is accepted as an extra
+const IMPORT_COLUMNS = [
+  'hostname',
+  'ip_address',
+  'device_type',
+  'manufacturer',
+  'status',
+  'assigned_to',
+  'location',
+  'model',
+  'serial_number',
+  'asset_tag',
+  'purchase_date',
+  'purchase_order',
+  'purchase_cost',
+  'notes'
+];
+const IMPORT_REQUIRED_COLUMNS = ['hostname', 'ip_address', 'device_type'];
+// Import columns checked like the asset fields of a device body (see validateAssetFields)
+const IMPORT_ASSET_COLUMNS = ['serial_number', 'asset_tag', 'purchase_date', 'purchase_order', 'purchase_cost'];
+const IMPORT_MAX_ROWS = 5000;
+const DEVICE_STATUSES = ['active', 'inactive', 'maintenance'];
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 } // 2MB
+});
+
+/**
+ * Validate parsed CSV records against lookups, users and existing devices
+ * Rows are 'ok', 'error' (blocks the import) or 'duplicate' (hostname already present; skipped)
+ * @param {Array<{line: number, fields: Array<string>}>} records - Data records (header removed)
+ * @param {Array<string>} headers - Lower-cased header names
+ * @param {Object} options
+ * @param {boolean} options.canAssign - Whether the caller may set assigned_to
+ * @returns {Promise<Array<Object>>} One report entry per record
+ */
+const validateImportRows = async (records, headers, { canAssign }) => {
+  const [deviceTypes, manufacturers, users, locations, models] = await Promise.all([
+    getDeviceTypes(),
+    getManufacturers(),
+    getUsers(),
+    getLocations(),
+    getLookupUsage('model')
+  ]);
+  const typesByName = new Map(deviceTypes.map((t) => [t.name.toLowerCase(), t]));
+  const manufacturersByName = new Map(manufacturers.map((m) => [m.name.toLowerCase(), m]));
+
+  const rows = records.map(({ line, fields }) => {
+    const value = (column) => {
+      const index = headers.indexOf(column);
+      return index === -1 ? '' : String(fields[index] ?? '').trim();
+    };
+    return {
+      line,
+      hostname: value('hostname'),
+      ip_address: value('ip_address'),
+      device_type: value('device_type'),
+      manufacturer: value('manufacturer'),
+      status: value('status').toLowerCase(),
+      assigned_to: value('assigned_to'),
+      location: value('location'),
+      model: value('model'),
+      notes: value('notes'),
+      ...Object.fromEntries(IMPORT_ASSET_COLUMNS.map((column) => [column, value(column)])),
+      errors: [],
+      warnings: []
+    };
+  });
+
+  for (const row of rows) {
+    // Same checks as the asset fields of POST /devices; empty cells stay empty
+    const assets = await validateAssetFields(
+      Object.fromEntries(IMPORT_ASSET_COLUMNS.map((column) => [column, row[column] || null])),
+      undefined
+    );
+    if (assets.error) row.errors.push(assets.error);
+    else Object.assign(row, assets.values);
+  }
+
+  rows.forEach((row) => {
+    if (!row.hostname) row.errors.push('hostname is required');
+    else if (row.hostname.length > 100) row.errors.push('hostname is longer than 100 characters');
+
+    if (!row.ip_address) {
+      row.errors.push('ip_address is required');
+    } else {
+      const parsed = parseIpAddress(row.ip_address);
+      if (parsed) row.ip_address = parsed.address;
+      else row.errors.push(IP_FORMAT_MESSAGE);
+    }
+
+    const type = typesByName.get(row.device_type.toLowerCase());
+    if (!row.device_type) row.errors.push('device_type is required');
+    else if (!type) row.errors.push(`Unknown device_type "${row.device_type}"`);
+    else Object.assign(row, { device_type: type.name, device_type_id: type.id });
+
+    if (row.manufacturer) {
+      const manufacturer = manufacturersByName.get(row.manufacturer.toLowerCase());
+      if (!manufacturer) row.errors.push(`Unknown manufacturer "${row.manufacturer}"`);
+      else Object.assign(row, { manufacturer: manufacturer.name, manufacturer_id: manufacturer.id });
+    }
+
+    // model holds the model name in exports, matched within the row's manufacturer (which it fills in when empty)
+    if (row.model && !(row.manufacturer && !row.manufacturer_id)) {
+      const needle = row.model.toLowerCase();
+      const matches = models.filter(
+        (m) => m.name.toLowerCase() === needle && (!row.manufacturer_id || m.manufacturer_id === row.manufacturer_id)
+      );
+      if (matches.length === 0) {
+        row.errors.push(`Unknown model "${row.model}"${row.manufacturer_id ? ` for ${row.manufacturer}` : ''}`);
+      } else if (matches.length > 1) {
+        row.errors.push(`"${row.model}" is a model of several manufacturers; fill in the manufacturer column`);
+      } else {
+        Object.assign(row, {
+          model: matches[0].name,
+          model_id: matches[0].id,
+          manufacturer: matches[0].manufacturer_name,
+          manufacturer_id: matches[0].manufacturer_id
+        });
+      }
+    }
+
+    if (!row.status) row.status = 'active';
+    else if (!DEVICE_STATUSES.includes(row.status)) {
+      row.errors.push(`status must be one of: ${DEVICE_STATUSES.join(', ')}`);
+    }
+
+    // assigned_to holds the user name in exports; an email is accepted too
+    if (row.assigned_to) {
+      const needle = row.assigned_to.toLowerCase();
+      const byEmail = users.filter((u) => u.email.toLowerCase() === needle);
+      const matches = byEmail.length ? byEmail : users.filter((u) => u.name.toLowerCase() === needle);
+      if (!canAssign) row.errors.push('You do not have permission to assign devices');
+      else if (matches.length === 0) row.errors.push(`Unknown user "${row.assigned_to}"`);
+      else if (matches.length > 1) row.errors.push(`"${row.assigned_to}" matches several users; use their email`);
+      else if (!matches[0].active) row.errors.push(`User "${row.assigned_to}" is inactive`);
+      else row.assigned_user_id = matches[0].id;
+    }
+
+    // location holds the full path in exports; a unique trailing part ("Rack A") is accepted too
+    if (row.location) {
+      const matches = matchLocations(locations, row.location);
+      if (matches.length === 0) row.errors.push(`Unknown location "${row.location}"`);
+      else if (matches.length > 1) row.errors.push(`"${row.location}" matches several locations; use the full path`);
+      else Object.assign(row, { location: matches[0].path, location_id: matches[0].id });
+    }
+  });
+
+  // Duplicates: hostname already in the inventory or earlier in the file.
+  // Shared IPs only warn, matching how device create/update treat them.
+  const existing = await findDevicesByIdentity(
+    rows.filter((r) => r.hostname).map((r) => r.hostname),
+    rows.filter((r) => r.errors.length === 0).map((r) => r.ip_address)
+  );
+  // Serial numbers and asset tags are unique across the inventory, trash included
+  const existingAssets = await findDevicesByAssetIds(
+    rows.filter((r) => r.serial_number).map((r) => r.serial_number),
+    rows.filter((r) => r.asset_tag).map((r) => r.asset_tag)
+  );
+  const seenHostnames = new Map();
+  const seenIps = new Map();
+  const seenAssets = { serial_number: new Map(), asset_tag: new Map() };
+  rows.forEach((row) => {
+    const hostKey = row.hostname.toLowerCase();
+    const existingHost = existing.find((d) => d.hostname.toLowerCase() === hostKey);
+    if (existingHost) {
+      row.duplicate_of = `${existingHost.hostname} (#${existingHost.id})`;
+    } else if (hostKey && seenHostnames.has(hostKey)) {
+      row.duplicate_of = `line ${seenHostnames.get(hostKey)}`;
+    }
+    if (hostKey && !seenHostnames.has(hostKey)) seenHostnames.set(hostKey, row.line);
+
+    if (!row.duplicate_of) {
+      [['serial_number', 'serial number'], ['asset_tag', 'asset tag']].forEach(([field, label]) => {
+        if (!row[field]) return;
+        const key = row[field].toLowerCase();
+        const holder = existingAssets.find((d) => d[field]?.toLowerCase() === key);
+        if (holder) {
+          row.errors.push(`${label} ${row[field]} is already used by ${holder.hostname} (#${holder.id}${holder.trashed ? ', in trash' : ''})`);
+        } else if (seenAssets[field].has(key)) {
+          row.errors.push(`${label} ${row[field]} is also used on line ${seenAssets[field].get(key)}`);
+        } else {
+          seenAssets[field].set(key, row.line);
+        }
+      });
+    }
+
+    if (row.errors.length === 0 && !row.duplicate_of) {
+      existing
+        .filter((d) => d.ip_address === row.ip_address)
+        .forEach((d) => row.warnings.push(`${row.ip_address} is already used by ${d.hostname} (#${d.id})`));
+      if (seenIps.has(row.ip_address)) {
+        row.warnings.push(`${row.ip_address} is also used on line ${seenIps.get(row.ip_address)}`);
+      } else {
+        seenIps.set(row.ip_address, row.line);
+      }
+    }
+
+    row.result = row.errors.length > 0 ? 'error' : row.duplicate_of ? 'duplicate' : 'ok';
+  });
+
+  return rows;
+};
+
+/**
+ * POST /devices/import - bulk create devices from CSV
+ * Body: multipart "file" or JSON { csv }; dry_run=true (query or body) validates without writing.
+ * Rows with errors block the whole import; duplicate hostnames are skipped. Writes are one transaction.
+ */
+app.post('/devices/import', requirePermission('devices:write'), importUpload.single('file'), async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing CSV',
+        message: 'Upload a CSV file as "file" or send its text as "csv"'
+      });
+    }
+    const dryRun = String(req.query.dry_run ?? req.body.dry_run ?? 'false') === 'true';
+
+    let records;
+    try {
+      records = parseCsv(text);
+    } catch (parseError) {
+      return res.status(400).json({ success: false, error: 'Invalid CSV', message: parseError.message });
+    }
+    if (records.length < 2) {
+      return res.status(400).json({ success: false, error: 'Invalid CSV', message: 'CSV needs a header row and at least one device' });
+    }
+    if (records.length - 1 > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ success: false, error: 'Invalid CSV', message: `At most ${IMPORT_MAX_ROWS} rows can be imported at once` });
+    }
+
+    const headers = records[0].fields.map((h) => h.trim().toLowerCase());
+    const missing = IMPORT_REQUIRED_COLUMNS.filter((c) => !headers.includes(c));
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid CSV',
+        message: `Missing required column(s): ${missing.join(', ')}`
+      });
+    }
+    const ignoredColumns = headers.filter((h) => h && !IMPORT_COLUMNS.includes(h));
+
+    const rows = await validateImportRows(records.slice(1), headers, {
+      canAssign: hasPermission(req.session.user.role, 'devices:assign')
+    });
+    const toCreate = rows.filter((r) => r.result === 'ok');
+    const summary = {
+      total: rows.length,
+      valid: toCreate.length,
+      errors: rows.filter((r) => r.result === 'error').length,
+      duplicates: rows.filter((r) => r.result === 'duplicate').length,
+      created: 0
+    };
+    const report = rows.map(({ device_type_id, manufacturer_id, model_id, assigned_user_id, location_id, ...row }) => row);
+
+    if (dryRun || summary.errors > 0) {
+      return res.status(dryRun ? 200 : 400).json({
+        success: dryRun,
+        dry_run: dryRun,
+        error: dryRun ? undefined : 'Import has errors',
+        message: dryRun
+          ? `${summary.valid} device(s) ready to import`
+          : `${summary.errors} row(s) have errors; nothing was imported`,
+        summary,
+        ignored_columns: ignoredColumns,
+        rows: report
+      });
+    }
+
+    const created = await importDevices(toCreate, { actor: getAuditContext(req) });
+    summary.created = created.length;
+    res.status(201).json({
+      success: true,
+      dry_run: false,
+      message: `Imported ${created.length} device(s)`,
+      summary,
+      ignored_columns: ignoredColumns,
+      rows: report,
+      data: created
     });
-    res.json({ success: true, message: 'Device assigned', data: updated });
   } catch (error) {
-    console.error('Error in POST /devices/:id/assign:', error);
-    res.status(500).json({ success: false, error: 'Failed to assign device', message: error.message });
+    console.error('Error in POST /devices/import:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate entry', message: describeDuplicateDevice(error) });
+    }
+    res.status(500).json({ success: false, error: 'Failed to import devices', message: error.message });
   }
 });
 
+// ==================== BULK OPERATIONS ====================
+
+const BULK_MAX_DEVICES = 1000;
+
+// Capability required by each bulk action
+const BULK_ACTIONS = {
+  update: 'devices:write',
+  assign: 'devices:assign',
+  checkin: 'devices:assign',
+  delete: 'devices:delete'
+};
+
 /**
- * POST /devices/:id/checkin - check in a device (unassign)
+ * Validate the "changes" of a bulk update against lookups
+ * @param {Object} changes - Any of status, location_id (or location text, see validateDeviceLocation),
+ *   device_type_id, manufacturer_id
+ * @returns {Promise<{error: string|null, data: Object}>}
+ */
+const validateBulkChanges = async (changes) => {
+  const data = {};
+  if (!changes || typeof changes !== 'object') {
+    return { error: 'changes must be an object', data };
+  }
+
+  if (changes.status !== undefined) {
+    if (!DEVICE_STATUSES.includes(changes.status)) {
+      return { error: `status must be one of: ${DEVICE_STATUSES.join(', ')}`, data };
+    }
+    data.status = changes.status;
+  }
+
+  const place = await validateDeviceLocation(changes);
+  if (place.error) return { error: place.error, data };
+  Object.assign(data, place.values);
+
+  if (changes.device_type_id !== undefined) {
+    const typeId = parseInt(changes.device_type_id, 10);
+    const types = await getDeviceTypes();
+    if (!types.find((t) => t.id === typeId)) return { error: 'Invalid device_type_id', data };
+    data.device_type_id = typeId;
+  }
+
+  if (changes.manufacturer_id !== undefined) {
+    if (changes.manufacturer_id === null || changes.manufacturer_id === '') {
+      data.manufacturer_id = null;
+    } else {
+      const manufacturerId = parseInt(changes.manufacturer_id, 10);
+      const mans = await getManufacturers();
+      if (!mans.find((m) => m.id === manufacturerId)) return { error: 'Invalid manufacturer_id', data };
+      data.manufacturer_id = manufacturerId;
+    }
+  }
+
+  if (Object.keys(data).length === 0) {
+    return { error: 'changes must include status, location_id, location, device_type_id or manufacturer_id', data };
+  }
+  return { error: null, data };
+};
+
+/**
+ * POST /devices/bulk - apply one action to many devices atomically
+ * Body: { ids: [1, 2], action: 'update' | 'assign' | 'checkin' | 'delete', changes?, user_id? }
+ * update needs devices:write, assign/checkin devices:assign, delete devices:delete.
+ * If any ID does not exist nothing is changed (404).
  */
-app.post('/devices/:id/checkin', async (req, res) => {
+app.post('/devices/bulk', requirePermission('devices:read'), async (req, res) => {
   try {
-    const id = parseInt(req.params.id, 10);
-    if (isNaN(id)) {
-      return res.status(400).json({ success: false, error: 'Invalid device ID' });
+    const { ids, action, changes, user_id: userId } = req.body;
+
+    if (!BULK_ACTIONS[action]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid action',
+        message: `action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`
+      });
     }
-    const device = await getDeviceById(id);
-    if (!device) {
-      return res.status(404).json({ success: false, error: 'Device not found' });
+    if (!hasPermission(req.session.user.role, BULK_ACTIONS[action])) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `Your role cannot perform "${action}" on devices`
+      });
     }
-    const updated = await unassignDevice(id);
-    await addHistoryEntry({
-      device_id: id,
-      action: 'checked_in',
-      user_id: null,
-      details: {}
+
+    const deviceIds = Array.isArray(ids) ? [...new Set(ids.map((id) => Number(id)))] : [];
+    if (deviceIds.length === 0 || deviceIds.some((id) => !Number.isInteger(id) || id < 1)) {
+      return res.status(400).json({ success: false, error: 'Invalid ids', message: 'ids must be a non-empty array of device IDs' });
+    }
+    if (deviceIds.length > BULK_MAX_DEVICES) {
+      return res.status(400).json({ success: false, error: 'Invalid ids', message: `At most ${BULK_MAX_DEVICES} devices per request` });
+    }
+
+    const payload = { actor: getAuditContext(req) };
+    if (action === 'update') {
+      const { error, data } = await validateBulkChanges(changes);
+      if (error) {
+        return res.status(400).json({ success: false, error: 'Invalid changes', message: error });
+      }
+      payload.changes = data;
+    }
+    if (action === 'assign') {
+      const user = userId ? await getUserById(parseInt(userId, 10)) : null;
+      if (!user || !user.active) {
+        return res.status(400).json({ success: false, error: 'User not found or inactive' });
+      }
+      payload.userId = user.id;
+    }
+
+    const { missing, affected } = await bulkUpdateDevices(deviceIds, action, payload);
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found',
+        message: `No device found with ID ${missing.join(', ')}; nothing was changed`,
+        missing
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${action} applied to ${affected.length} of ${deviceIds.length} device(s)`,
+      affected,
+      unchanged: deviceIds.filter((id) => !affected.includes(id))
     });
-    res.json({ success: true, message: 'Device checked in', data: updated });
   } catch (error) {
-    console.error('Error in POST /devices/:id/checkin:', error);
-    res.status(500).json({ success: false, error: 'Failed to check in device', message: error.message });
+    console.error('Error in POST /devices/bulk:', error);
+    res.status(500).json({ success: false, error: 'Failed to apply bulk operation', message: error.message });
   }
 });
 
+// ==================== TRASH ====================
+
 /**
- * GET /devices/:id/history - history entries
+ * GET /devices/trash - soft-deleted devices, most recently deleted first
+ */
+app.get('/devices/trash', requirePermission('devices:delete'), async (req, res) => {
+  try {
+    const { filters, error } = parseDeviceFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid search query', message: error });
+    }
+    const devices = await getDevices({ ...filters, deleted: true });
+    res.json({ success: true, count: devices.length, data: devices });
+  } catch (error) {
+    console.error('Error in GET /devices/trash:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch trash', message: error.message });
+  }
+});
+
+/**
+ * POST /devices/:id/restore - bring a device back from the trash
  */
-app.get('/devices/:id/history', async (req, res) => {
+app.post('/devices/:id/restore', requirePermission('devices:delete'), async (req, res) => {
   try {
     const id = parseInt(req.params.id, 10);
     if (isNaN(id)) {
       return res.status(400).json({ success: false, error: 'Invalid device ID' });
     }
-    const device = await getDeviceById(id);
-    if (!device) {
-      return res.status(404).json({ success: false, error: 'Device not found' });
+    const trashed = await getDeviceById(id, { includeDeleted: true });
+    const restored = await restoreDevice(id, { actor: getAuditContext(req) });
+    if (!restored) {
+      return res.status(404).json({ success: false, error: 'Device not found', message: `No device with ID ${id} in the trash` });
     }
-    const history = await getDeviceHistory(id);
-    res.json({ success: true, data: history });
+    const unplaced = trashed.rack_position !== null && restored.rack_position === null;
+    const { warnings } = await getIpWarnings(restored.ip_address, id);
+    if (unplaced) {
+      const rack = restored.location_id ? await getLocationById(restored.location_id) : null;
+      const lastUnit = trashed.rack_position + trashed.rack_height - 1;
+      const reason = rack?.kind !== 'rack'
+        ? `${restored.location || 'Its location'} is no longer a rack`
+        : lastUnit > rack.rack_units
+          ? `U${trashed.rack_position}-U${lastUnit} no longer fit in the ${rack.rack_units}U of ${restored.location}`
+          : `U${trashed.rack_position} in ${restored.location} has been taken`;
+      warnings.push(`${reason}; the device was restored without a rack position`);
+    }
+    res.json({ success: true, message: 'Device restored', data: restored, warnings });
   } catch (error) {
-    console.error('Error in GET /devices/:id/history:', error);
-    res.status(500).json({ success: false, error: 'Failed to fetch history', message: error.message });
+    console.error('Error in POST /devices/:id/restore:', error);
+    res.status(500).json({ success: false, error: 'Failed to restore device', message: error.message });
   }
 });
 
 /**
- * GET /devices - Get all devices
- * Returns an array of all devices sorted by ID
+ * Remove a stored upload, ignoring files that are already gone
+ * Only paths inside the uploads directory are touched.
+ * @param {string} storagePath
+ * @returns {Promise<boolean>} Whether a file was removed
  */
-app.get('/devices', async (req, res) => {
+const removeUploadedFile = async (storagePath) => {
+  const resolved = path.resolve(uploadsDir, path.basename(storagePath));
   try {
-    const filters = {
-      search: req.query.search || undefined,
-      status: req.query.status || undefined
-    };
-    const devices = await getDevices(filters);
-    res.json({
-      success: true,
-      count: devices.length,
-      data: devices
-    });
+    await fs.promises.unlink(resolved);
+    return true;
   } catch (error) {
-    console.error('Error in GET /devices:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch devices',
-      message: error.message
-    });
+    if (error.code === 'ENOENT') return false;
+    throw error;
   }
-});
+};
 
 /**
- * GET /devices/export - Export devices to CSV
+ * DELETE /devices/:id/purge - permanently delete a trashed device and its uploaded files (admin)
+ * The audit history is kept.
  */
-app.get('/devices/export', async (req, res) => {
+app.delete('/devices/:id/purge', requirePermission('devices:purge'), async (req, res) => {
   try {
-    const filters = {
-      search: req.query.search || undefined,
-      status: req.query.status || undefined
-    };
-    const devices = await getDevices(filters);
-    const headers = [
-      'hostname',
-      'ip_address',
-      'device_type',
-      'manufacturer',
-      'status',
-      'assigned_to',
-      'location'
-    ];
-    const escape = (val = '') => `"${String(val ?? '').replace(/"/g, '""')}"`;
-    const rows = devices.map((d) =>
-      [
-        escape(d.hostname),
-        escape(d.ip_address),
-        escape(d.device_type_name || d.device_type),
-        escape(d.manufacturer_name || ''),
-        escape(d.status),
-        escape(d.assigned_to_name || ''),
-        escape(d.location || '')
-      ].join(',')
-    );
-    const csv = [headers.join(','), ...rows].join('\n');
-    res.header('Content-Type', 'text/csv');
-    res.attachment('devices.csv');
-    res.send(csv);
-  } catch (error) {
-    console.error('Error in GET /devices/export:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to export devices',
-      message: error.message
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid device ID' });
+    }
+    const purged = await purgeDevice(id);
+    if (!purged) {
+      const live = await getDeviceById(id);
+      return res.status(live ? 409 : 404).json({
+        success: false,
+        error: live ? 'Device is not in the trash' : 'Device not found',
+        message: live ? 'Delete the device before purging it' : `No device with ID ${id} in the trash`
+      });
+    }
+
+    // Rows are gone at this point; a file that cannot be removed is reported, not fatal
+    const fileErrors = [];
+    let filesRemoved = 0;
+    for (const file of purged.files) {
+      try {
+        if (await removeUploadedFile(file.storage_path)) filesRemoved++;
+      } catch (error) {
+        console.error(`Failed to remove ${file.storage_path}:`, error);
+        fileErrors.push(file.filename);
+      }
+    }
+
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      device_id: id,
+      action: 'purged',
+      device_hostname: purged.device.hostname,
+      details: { files_removed: filesRemoved, files: purged.files.map((f) => f.filename) }
+    });
+
+    res.json({
+      success: true,
+      message: `Device purged (${filesRemoved} file(s) removed)`,
+      data: purged.device,
+      files_removed: filesRemoved,
+      file_errors: fileErrors
     });
+  } catch (error) {
+    console.error('Error in DELETE /devices/:id/purge:', error);
+    res.status(500).json({ success: false, error: 'Failed to purge device', message: error.message });
   }
 });
 
@@ -548,7 +5217,7 @@ app.get('/devices/export', async (req, res) => {
  * GET /devices/:id - Get device by ID
  * Returns a single device if found, 404 if not found
  */
-app.get('/devices/:id', async (req, res) => {
+app.get('/devices/:id', requirePermission('devices:read'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
@@ -585,14 +5254,111 @@ app.get('/devices/:id', async (req, res) => {
   }
 });
 
+const ASSET_TEXT_FIELDS = ['serial_number', 'asset_tag', 'purchase_order'];
+
+/**
+ * Validate the model, asset and purchase fields of a device body
+ * A model must belong to the device's manufacturer; when no manufacturer is given it follows the model.
+ * @param {Object} body - Request body
+ * @param {number|null|undefined} manufacturerId - Validated manufacturer_id from the body (undefined if absent)
+ * @param {Object|null} [existing=null] - Current device on update
+ * @returns {Promise<{error: string|null, values: Object}>} values holds only the fields present in the body
+ */
+const validateAssetFields = async (body, manufacturerId, existing = null) => {
+  const values = {};
+  const blank = (value) => value === null || value === '';
+
+  for (const field of ASSET_TEXT_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (blank(body[field])) {
+      values[field] = null;
+      continue;
+    }
+    const text = String(body[field]).trim();
+    if (text.length > 100) return { error: `${field} must be at most 100 characters`, values };
+    values[field] = text || null;
+  }
+
+  if (body.purchase_date !== undefined) {
+    const date = blank(body.purchase_date) ? null : String(body.purchase_date).trim();
+    if (date && !isIsoDate(date)) {
+      return { error: 'purchase_date must be a date such as 2025-01-31', values };
+    }
+    values.purchase_date = date;
+  }
+
+  if (body.purchase_cost !== undefined) {
+    const cost = blank(body.purchase_cost) ? null : String(body.purchase_cost).trim();
+    if (cost !== null && (!/^\d{1,10}(\.\d{1,2})?$/.test(cost))) {
+      return { error: 'purchase_cost must be a non-negative amount with at most two decimals', values };
+    }
+    values.purchase_cost = cost;
+  }
+
+  const modelId = body.model_id === undefined
+    ? existing?.model_id ?? null
+    : blank(body.model_id) ? null : Number(body.model_id);
+  if (body.model_id !== undefined) values.model_id = modelId;
+  if (modelId === null) return { error: null, values };
+  if (!Number.isInteger(modelId) || modelId < 1) return { error: 'model_id must be a model ID', values };
+
+  const model = await getLookupById('model', modelId);
+  if (!model) return { error: `No model with ID ${modelId}`, values };
+  const deviceManufacturer = manufacturerId !== undefined ? manufacturerId : body.model_id !== undefined ? null : existing?.manufacturer_id;
+  if (!deviceManufacturer) {
+    values.manufacturer_id = model.manufacturer_id;
+  } else if (deviceManufacturer !== model.manufacturer_id) {
+    return { error: `Model "${model.name}" belongs to ${model.manufacturer_name}, not the device's manufacturer`, values };
+  }
+  return { error: null, values };
+};
+
+/**
+ * Validate the reachability probe overrides of a device body
+ * probe_method is icmp, tcp or none (not probed); null/'' falls back to the poller default, as does a null probe_port
+ * @param {Object} body - Request body
+ * @returns {{error: string|null, values: Object}} values holds only the fields present in the body
+ */
+const validateProbeFields = (body) => {
+  const values = {};
+  if (body.probe_method !== undefined) {
+    const method = body.probe_method === null || body.probe_method === '' ? null : String(body.probe_method).toLowerCase();
+    if (method !== null && ![...PROBE_METHODS, 'none'].includes(method)) {
+      return { error: `probe_method must be one of: ${PROBE_METHODS.join(', ')}, none`, values };
+    }
+    values.probe_method = method;
+  }
+  if (body.probe_port !== undefined) {
+    const port = body.probe_port === null || body.probe_port === '' ? null : Number(body.probe_port);
+    if (port !== null && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+      return { error: 'probe_port must be a TCP port from 1 to 65535', values };
+    }
+    values.probe_port = port;
+  }
+  return { error: null, values };
+};
+
+/**
+ * Describe a unique violation on devices for a 409 response
+ * @param {Error} error - pg error with code 23505
+ * @returns {string}
+ */
+const describeDuplicateDevice = (error) => {
+  if (error.constraint === 'devices_serial_number_key') return 'A device with this serial number already exists';
+  if (error.constraint === 'devices_asset_tag_key') return 'A device with this asset tag already exists';
+  return 'A device with this hostname or IP address already exists';
+};
+
 /**
  * POST /devices - Create a new device
  * Requires: hostname, ip_address, device_type
- * Optional: location, status, notes
+ * Optional: manufacturer_id, model_id, location_id (or location: an existing location's path or name), status,
+ * notes, serial_number, asset_tag, purchase_date, purchase_order, purchase_cost, rack_position, rack_height, rack_face,
+ * probe_method, probe_port, snmp_credential_id
  */
-app.post('/devices', async (req, res) => {
+app.post('/devices', requirePermission('devices:write'), async (req, res) => {
   try {
-    const { hostname, ip_address, device_type, device_type_id, manufacturer_id, location, status, notes } = req.body;
+    const { hostname, ip_address, device_type, device_type_id, manufacturer_id, status, notes } = req.body;
     
     // Validate required fields
     if (!hostname || !ip_address || (!device_type && !device_type_id)) {
@@ -603,13 +5369,13 @@ app.post('/devices', async (req, res) => {
       });
     }
     
-    // Basic IP address validation (simple format check)
-    const ipRegex = /^(?:[0-9]{1,3}\.){3}[0-9]{1,3}$/;
-    if (!ipRegex.test(ip_address)) {
+    // IPv4 or IPv6 host address
+    const parsedIp = parseIpAddress(ip_address);
+    if (!parsedIp) {
       return res.status(400).json({
         success: false,
         error: 'Invalid IP address format',
-        message: 'IP address must be in format xxx.xxx.xxx.xxx'
+        message: IP_FORMAT_MESSAGE
       });
     }
     
@@ -637,22 +5403,57 @@ app.post('/devices', async (req, res) => {
         message: 'status must be one of: active, inactive, maintenance'
       });
     }
+
+    const assets = await validateAssetFields(req.body, validatedManufacturerId ?? undefined);
+    if (assets.error) {
+      return res.status(400).json({ success: false, error: 'Invalid asset fields', message: assets.error });
+    }
+
+    const place = await validateDeviceLocation(req.body);
+    if (place.error) {
+      return res.status(400).json({ success: false, error: 'Invalid location', message: place.error });
+    }
+
+    const rack = await validateRackPlacement(req.body, place);
+    if (rack.error) {
+      return res.status(400).json({ success: false, error: 'Invalid rack placement', message: rack.error });
+    }
+    if (rack.conflict) {
+      return res.status(409).json({ success: false, error: 'Rack units taken', message: rack.conflict });
+    }
+
+    const probe = validateProbeFields(req.body);
+    if (probe.error) {
+      return res.status(400).json({ success: false, error: 'Invalid probe settings', message: probe.error });
+    }
+
+    const snmpCredential = await validateSnmpCredentialField(req.body);
+    if (snmpCredential.error) {
+      return res.status(400).json({ success: false, error: 'Invalid SNMP credential', message: snmpCredential.error });
+    }
     
     const newDevice = await createDevice({
       hostname,
-      ip_address,
+      ip_address: parsedIp.address,
       device_type,
       device_type_id: validatedTypeId,
       manufacturer_id: validatedManufacturerId,
-      location,
       status,
-      notes
-    });
-    
+      notes,
+      ...assets.values,
+      ...place.values,
+      ...rack.values,
+      ...probe.values,
+      ...snmpCredential.values
+    }, { actor: getAuditContext(req) });
+
+    const { warnings } = await getIpWarnings(parsedIp.address, newDevice.id);
+
     res.status(201).json({
       success: true,
       message: 'Device created successfully',
-      data: newDevice
+      data: newDevice,
+      warnings
     });
   } catch (error) {
     console.error('Error in POST /devices:', error);
@@ -662,9 +5463,12 @@ app.post('/devices', async (req, res) => {
       return res.status(409).json({
         success: false,
         error: 'Duplicate entry',
-        message: 'A device with this hostname or IP address already exists'
+        message: describeDuplicateDevice(error)
       });
     }
+    if (error.code === '23P01') {
+      return res.status(409).json({ success: false, error: 'Rack units taken', message: describeRackOverlap(error) });
+    }
     
     res.status(500).json({
       success: false,
@@ -678,7 +5482,7 @@ app.post('/devices', async (req, res) => {
  * PUT /devices/:id - Update an existing device
  * All fields are optional (only provided fields will be updated)
  */
-app.put('/devices/:id', async (req, res) => {
+app.put('/devices/:id', requirePermission('devices:write'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
@@ -691,18 +5495,19 @@ app.put('/devices/:id', async (req, res) => {
       });
     }
     
-    const { hostname, ip_address, device_type, device_type_id, manufacturer_id, location, status, notes } = req.body;
+    const { hostname, ip_address, device_type, device_type_id, manufacturer_id, status, notes } = req.body;
     
     // Validate IP address format if provided
-    if (ip_address) {
-      const ipRegex = /^(?:[0-9]{1,3}\.){3}[0-9]{1,3}$/;
-      if (!ipRegex.test(ip_address)) {
+    if (ip_address !== undefined) {
+      const parsedIp = parseIpAddress(ip_address);
+      if (!parsedIp) {
         return res.status(400).json({
           success: false,
           error: 'Invalid IP address format',
-          message: 'IP address must be in format xxx.xxx.xxx.xxx'
+          message: IP_FORMAT_MESSAGE
         });
       }
+      req.body.ip_address = parsedIp.address;
     }
     
     if (device_type_id) {
@@ -741,30 +5546,59 @@ app.put('/devices/:id', async (req, res) => {
       });
     }
 
+    const manufacturerGiven = manufacturer_id === undefined ? undefined : req.body.manufacturer_id || null;
+    const assets = await validateAssetFields(req.body, manufacturerGiven, existing);
+    if (assets.error) {
+      return res.status(400).json({ success: false, error: 'Invalid asset fields', message: assets.error });
+    }
+
+    const place = await validateDeviceLocation(req.body);
+    if (place.error) {
+      return res.status(400).json({ success: false, error: 'Invalid location', message: place.error });
+    }
+
+    const rack = await validateRackPlacement(req.body, place, existing);
+    if (rack.error) {
+      return res.status(400).json({ success: false, error: 'Invalid rack placement', message: rack.error });
+    }
+    if (rack.conflict) {
+      return res.status(409).json({ success: false, error: 'Rack units taken', message: rack.conflict });
+    }
+
+    const probe = validateProbeFields(req.body);
+    if (probe.error) {
+      return res.status(400).json({ success: false, error: 'Invalid probe settings', message: probe.error });
+    }
+
+    const snmpCredential = await validateSnmpCredentialField(req.body);
+    if (snmpCredential.error) {
+      return res.status(400).json({ success: false, error: 'Invalid SNMP credential', message: snmpCredential.error });
+    }
+
     const updatedDevice = await updateDevice(id, {
       hostname,
-      ip_address,
+      ip_address: req.body.ip_address,
       device_type,
       device_type_id: req.body.device_type_id,
       manufacturer_id: req.body.manufacturer_id,
-      location,
       status,
-      notes
-    });
-    
-    if (updatedDevice && existing.status !== updatedDevice.status) {
-      await addHistoryEntry({
-        device_id: id,
-        action: 'status_changed',
-        user_id: req.session.user?.id || null,
-        details: { from: existing.status, to: updatedDevice.status }
-      });
-    }
+      notes,
+      ...assets.values,
+      ...place.values,
+      ...rack.values,
+      ...probe.values,
+      ...snmpCredential.values
+    }, { actor: getAuditContext(req) });
+
+    const { warnings } = req.body.ip_address !== undefined && updatedDevice
+      ? await getIpWarnings(updatedDevice.ip_address, id)
+      : { warnings: [] };
 
     res.json({
       success: true,
       message: 'Device updated successfully',
-      data: updatedDevice
+      data: updatedDevice,
+      warnings
     });
   } catch (error) {
     console.error(`Error in PUT /devices/${req.params.id}:`, error);
@@ -774,9 +5608,12 @@ app.put('/devices/:id', async (req, res) => {
       return res.status(409).json({
         success: false,
         error: 'Duplicate entry',
-        message: 'A device with this hostname or IP address already exists'
+        message: describeDuplicateDevice(error)
       });
     }
+    if (error.code === '23P01') {
+      return res.status(409).json({ success: false, error: 'Rack units taken', message: describeRackOverlap(error) });
+    }
     
     res.status(500).json({
       success: false,
@@ -787,9 +5624,9 @@ app.put('/devices/:id', async (req, res) => {
 });
 
 /**
- * DELETE /devices/:id - Delete a device by ID
+ * DELETE /devices/:id - Move a device to the trash (restore with POST /devices/:id/restore)
  */
-app.delete('/devices/:id', async (req, res) => {
+app.delete('/devices/:id', requirePermission('devices:delete'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
@@ -802,7 +5639,7 @@ app.delete('/devices/:id', async (req, res) => {
       });
     }
     
-    const deletedDevice = await deleteDevice(id);
+    const deletedDevice = await deleteDevice(id, { actor: getAuditContext(req) });
     
     if (!deletedDevice) {
       return res.status(404).json({
@@ -814,7 +5651,7 @@ app.delete('/devices/:id', async (req, res) => {
     
     res.json({
       success: true,
-      message: 'Device deleted successfully',
+      message: 'Device moved to trash',
       data: deletedDevice
     });
   } catch (error) {
@@ -827,6 +5664,525 @@ app.delete('/devices/:id', async (req, res) => {
   }
 });
 
+// ==================== SAVED VIEWS ====================
+
+/**
+ * Validate saved view fields from a request body
+ * The search must parse and the sort must be one GET /devices accepts, so a saved view always loads
+ * @param {Object} body
+ * @param {Object} [existing] - Current view when updating (fields not sent keep their value)
+ * @returns {{error: string|null, data: Object}}
+ */
+const validateViewInput = (body, existing = null) => {
+  const data = {};
+
+  if (body.name !== undefined || !existing) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'name is required', data };
+    if (name.length > 100) return { error: 'name must be at most 100 characters', data };
+    data.name = name;
+  }
+
+  if (body.search !== undefined) {
+    const search = body.search === null ? '' : String(body.search).trim();
+    const { error } = parseDeviceFilters({ search });
+    if (error) return { error: `search: ${error}`, data };
+    data.search = search;
+  }
+
+  if (body.status !== undefined) {
+    const status = body.status ? String(body.status).toLowerCase() : '';
+    if (status && !DEVICE_STATUSES.includes(status)) {
+      return { error: `status must be one of: ${DEVICE_STATUSES.join(', ')}`, data };
+    }
+    data.status = status;
+  }
+
+  if (body.sort !== undefined) {
+    const sort = body.sort ? String(body.sort).trim() : '';
+    const { error } = parseDeviceListOptions({ sort });
+    if (error) return { error: `sort: ${error}`, data };
+    data.sort = sort;
+  }
+
+  if (body.shared !== undefined) {
+    if (typeof body.shared !== 'boolean') return { error: 'shared must be true or false', data };
+    data.shared = body.shared;
+  }
+
+  return { error: null, data };
+};
+
+/**
+ * Load a view the session may see (its own or a shared one)
+ * @returns {Promise<Object|null>}
+ */
+const findVisibleView = async (id, user) => {
+  const view = await getViewById(id);
+  return view && (view.user_id === user.id || view.shared) ? view : null;
+};
+
+/**
+ * GET /views - the session's saved views plus views shared by others
+ */
+app.get('/views', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const views = await getViews(req.session.user.id);
+    res.json({ success: true, count: views.length, data: views });
+  } catch (error) {
+    console.error('Error in GET /views:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch views', message: error.message });
+  }
+});
+
+/**
+ * GET /views/:id - one saved view (own or shared)
+ */
+app.get('/views/:id', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid view ID' });
+    }
+    const view = await findVisibleView(id, req.session.user);
+    if (!view) {
+      return res.status(404).json({ success: false, error: 'View not found' });
+    }
+    res.json({ success: true, data: view });
+  } catch (error) {
+    console.error('Error in GET /views/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch view', message: error.message });
+  }
+});
+
+/**
+ * POST /views - save a view (name, search, status, sort, shared)
+ */
+app.post('/views', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const { error, data } = validateViewInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid view', message: error });
+    }
+    const view = await createView(req.session.user.id, data);
+    res.status(201).json({ success: true, message: 'View saved', data: view });
+  } catch (error) {
+    console.error('Error in POST /views:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate view', message: 'You already have a view with this name' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to save view', message: error.message });
+  }
+});
+
+/**
+ * PUT /views/:id - update a view; only its owner may change it
+ */
+app.put('/views/:id', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid view ID' });
+    }
+    const existing = await findVisibleView(id, req.session.user);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'View not found' });
+    }
+    if (existing.user_id !== req.session.user.id) {
+      return res.status(403).json({ success: false, error: 'Forbidden', message: 'Only the owner can change this view' });
+    }
+    const { error, data } = validateViewInput(req.body, existing);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid view', message: error });
+    }
+    const view = await updateView(id, data);
+    res.json({ success: true, message: 'View updated', data: view });
+  } catch (error) {
+    console.error('Error in PUT /views/:id:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate view', message: 'You already have a view with this name' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to update view', message: error.message });
+  }
+});
+
+/**
+ * DELETE /views/:id - delete a view; only its owner may delete it
+ */
+app.delete('/views/:id', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid view ID' });
+    }
+    const existing = await findVisibleView(id, req.session.user);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'View not found' });
+    }
+    if (existing.user_id !== req.session.user.id) {
+      return res.status(403).json({ success: false, error: 'Forbidden', message: 'Only the owner can delete this view' });
+    }
+    await deleteView(id);
+    res.json({ success: true, message: 'View deleted', data: { id } });
+  } catch (error) {
+    console.error('Error in DELETE /views/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete view', message: error.message });
+  }
+});
+
+// ==================== CONTRACTS ====================
+
+// Coverage levels, weakest first
+const CONTRACT_COVERAGE = ['warranty', 'basic', 'next_business_day', '24x7'];
+
+const describeContract = (contract) => `${contract.vendor} ${contract.contract_number}`;
+
+/**
+ * Validate a contract body
+ * @param {Object} body
+ * @param {Object|null} [existing=null] - Current contract on update (missing fields keep their value)
+ * @returns {{error: string|null, data: Object}} data holds only the fields present in the body
+ */
+const validateContractInput = (body, existing = null) => {
+  const data = {};
+
+  for (const field of ['vendor', 'contract_number']) {
+    if (body[field] === undefined && existing) continue;
+    const text = typeof body[field] === 'string' ? body[field].trim() : '';
+    if (!text) return { error: `${field} is required`, data };
+    if (text.length > 100) return { error: `${field} must be at most 100 characters`, data };
+    data[field] = text;
+  }
+
+  if (body.coverage !== undefined || !existing) {
+    const coverage = body.coverage || 'warranty';
+    if (!CONTRACT_COVERAGE.includes(coverage)) {
+      return { error: `coverage must be one of: ${CONTRACT_COVERAGE.join(', ')}`, data };
+    }
+    data.coverage = coverage;
+  }
+
+  for (const field of ['start_date', 'end_date']) {
+    if (body[field] === undefined && (existing || field === 'start_date')) continue;
+    const date = body[field] === null || body[field] === '' || body[field] === undefined ? null : String(body[field]).trim();
+    if (!date && field === 'end_date') return { error: 'end_date is required', data };
+    if (date && !isIsoDate(date)) return { error: `${field} must be a date such as 2026-12-31`, data };
+    data[field] = date;
+  }
+  const start = data.start_date !== undefined ? data.start_date : existing?.start_date;
+  const end = data.end_date !== undefined ? data.end_date : existing?.end_date;
+  if (start && end && start > end) return { error: 'start_date must not be after end_date', data };
+
+  if (body.notes !== undefined) data.notes = body.notes || null;
+  return { error: null, data };
+};
+
+/**
+ * Parse device_ids from a request body
+ * @returns {{error: string|null, ids: Array<number>}}
+ */
+const parseDeviceIds = (value) => {
+  const ids = Array.isArray(value) ? value.map(Number) : [];
+  if (ids.length === 0 || !ids.every((id) => Number.isInteger(id) && id > 0)) {
+    return { error: 'device_ids must be a non-empty array of device IDs', ids };
+  }
+  if (ids.length > BULK_MAX_DEVICES) {
+    return { error: `At most ${BULK_MAX_DEVICES} devices per request`, ids };
+  }
+  return { error: null, ids: [...new Set(ids)] };
+};
+
+/**
+ * Attach devices to a contract and record contract_attached on each device
+ * @returns {Promise<Array<number>>} Newly attached device IDs
+ */
+const attachDevicesWithHistory = async (req, contract, deviceIds) => {
+  const attached = await attachContractDevices(contract.id, deviceIds);
+  for (const deviceId of attached) {
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      device_id: deviceId,
+      action: 'contract_attached',
+      details: { contract: describeContract(contract), contract_id: contract.id, end_date: contract.end_date }
+    });
+  }
+  return attached;
+};
+
+/**
+ * GET /contracts - all contracts with device_count and days_left, soonest expiry first
+ */
+app.get('/contracts', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const contracts = await getContracts();
+    res.json({ success: true, data: contracts });
+  } catch (error) {
+    console.error('Error in GET /contracts:', error);
+    res.status(500).json({ success: false, error: 'Failed to load contracts', message: error.message });
+  }
+});
+
+/**
+ * GET /contracts/:id - one contract with the devices it covers
+ */
+app.get('/contracts/:id', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid contract ID' });
+    }
+    const contract = await getContractById(id);
+    if (!contract) {
+      return res.status(404).json({ success: false, error: 'Contract not found' });
+    }
+    res.json({ success: true, data: contract });
+  } catch (error) {
+    console.error('Error in GET /contracts/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to load contract', message: error.message });
+  }
+});
+
+/**
+ * POST /contracts - create a contract { vendor, contract_number, coverage, start_date, end_date, notes, device_ids? }
+ */
+app.post('/contracts', requirePermission('contracts:manage'), async (req, res) => {
+  try {
+    const { error, data } = validateContractInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid contract', message: error });
+    }
+    const { error: idsError, ids } = req.body.device_ids === undefined ? { ids: [] } : parseDeviceIds(req.body.device_ids);
+    if (idsError) {
+      return res.status(400).json({ success: false, error: 'Invalid contract', message: idsError });
+    }
+
+    const created = await createContract(data);
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'contract',
+      entity_id: created.id,
+      action: 'created',
+      details: { name: describeContract(created), ...data }
+    });
+    if (ids.length > 0) await attachDevicesWithHistory(req, created, ids);
+
+    res.status(201).json({ success: true, message: 'Contract created', data: await getContractById(created.id) });
+  } catch (error) {
+    console.error('Error in POST /contracts:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate contract', message: 'This vendor already has a contract with that number' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to create contract', message: error.message });
+  }
+});
+
+/**
+ * PUT /contracts/:id - update contract fields (attached devices are unchanged)
+ */
+app.put('/contracts/:id', requirePermission('contracts:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid contract ID' });
+    }
+    const existing = await getContractById(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Contract not found' });
+    }
+    const { error, data } = validateContractInput(req.body, existing);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid contract', message: error });
+    }
+
+    const changes = diffFields(existing, { ...existing, ...data }, Object.keys(data));
+    if (Object.keys(changes).length === 0) {
+      return res.json({ success: true, message: 'No changes', data: existing });
+    }
+    const contract = await updateContract(id, data);
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'contract',
+      entity_id: id,
+      action: 'updated',
+      details: { name: describeContract(contract), changes }
+    });
+    res.json({ success: true, message: 'Contract updated', data: contract });
+  } catch (error) {
+    console.error('Error in PUT /contracts/:id:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Duplicate contract', message: 'This vendor already has a contract with that number' });
+    }
+    res.status(500).json({ success: false, error: 'Failed to update contract', message: error.message });
+  }
+});
+
+/**
+ * DELETE /contracts/:id - delete a contract; its devices simply lose that coverage
+ */
+app.delete('/contracts/:id', requirePermission('contracts:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid contract ID' });
+    }
+    const deleted = await deleteContract(id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Contract not found' });
+    }
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      entity_type: 'contract',
+      entity_id: id,
+      action: 'deleted',
+      details: { name: describeContract(deleted), devices: deleted.device_ids.length }
+    });
+    res.json({ success: true, message: 'Contract deleted', data: deleted });
+  } catch (error) {
+    console.error('Error in DELETE /contracts/:id:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete contract', message: error.message });
+  }
+});
+
+/**
+ * POST /contracts/:id/devices - attach devices { device_ids } (already attached and trashed ones are skipped)
+ */
+app.post('/contracts/:id/devices', requirePermission('contracts:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid contract ID' });
+    }
+    const { error, ids } = parseDeviceIds(req.body.device_ids);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid devices', message: error });
+    }
+    const contract = await getContractById(id);
+    if (!contract) {
+      return res.status(404).json({ success: false, error: 'Contract not found' });
+    }
+    const attached = await attachDevicesWithHistory(req, contract, ids);
+    res.json({
+      success: true,
+      message: `Attached ${attached.length} device${attached.length === 1 ? '' : 's'}`,
+      attached,
+      data: await getContractById(id)
+    });
+  } catch (error) {
+    console.error('Error in POST /contracts/:id/devices:', error);
+    res.status(500).json({ success: false, error: 'Failed to attach devices', message: error.message });
+  }
+});
+
+/**
+ * DELETE /contracts/:id/devices/:deviceId - detach one device
+ */
+app.delete('/contracts/:id/devices/:deviceId', requirePermission('contracts:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const deviceId = parseInt(req.params.deviceId, 10);
+    if (isNaN(id) || isNaN(deviceId)) {
+      return res.status(400).json({ success: false, error: 'Invalid contract or device ID' });
+    }
+    const contract = await getContractById(id);
+    if (!contract) {
+      return res.status(404).json({ success: false, error: 'Contract not found' });
+    }
+    const detached = await detachContractDevice(id, deviceId);
+    if (!detached) {
+      return res.status(404).json({ success: false, error: 'Device not attached', message: `Device ${deviceId} is not covered by this contract` });
+    }
+    await addHistoryEntry({
+      ...getAuditContext(req),
+      device_id: deviceId,
+      action: 'contract_detached',
+      details: { contract: describeContract(contract), contract_id: id }
+    });
+    res.json({ success: true, message: 'Device detached', data: await getContractById(id) });
+  } catch (error) {
+    console.error('Error in DELETE /contracts/:id/devices/:deviceId:', error);
+    res.status(500).json({ success: false, error: 'Failed to detach device', message: error.message });
+  }
+});
+
+/**
+ * GET /devices/:id/contracts - contracts covering a device, latest-ending first
+ */
+app.get('/devices/:id/contracts', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid device ID' });
+    }
+    const contracts = await getContracts({ deviceId: id });
+    res.json({ success: true, data: contracts });
+  } catch (error) {
+    console.error('Error in GET /devices/:id/contracts:', error);
+    res.status(500).json({ success: false, error: 'Failed to load contracts', message: error.message });
+  }
+});
+
+// ==================== REPORTS ====================
+
+const EXPIRING_DEFAULT_DAYS = 90;
+const EXPIRING_MAX_DAYS = 3650;
+
+/**
+ * GET /reports/expiring?days=90&include_expired=true
+ * Devices whose coverage (latest contract end), model end of support or end of life falls within `days`
+ */
+app.get('/reports/expiring', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? EXPIRING_DEFAULT_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0 || days > EXPIRING_MAX_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid report parameters',
+        message: `days must be a whole number between 0 and ${EXPIRING_MAX_DAYS}`
+      });
+    }
+    const includeExpired = req.query.include_expired === 'true';
+    const rows = await getExpiringReport({ days, includeExpired });
+    const summary = { coverage: 0, end_of_support: 0, end_of_life: 0, expired: 0 };
+    rows.forEach((row) => {
+      summary[row.kind] += 1;
+      if (row.days_left < 0) summary.expired += 1;
+    });
+    res.json({ success: true, days, include_expired: includeExpired, summary, data: rows });
+  } catch (error) {
+    console.error('Error in GET /reports/expiring:', error);
+    res.status(500).json({ success: false, error: 'Failed to build expiring report', message: error.message });
+  }
+});
+
+const MISMATCH_DEFAULT_MINUTES = 60;
+const MISMATCH_MAX_MINUTES = 60 * 24 * 30;
+
+/**
+ * GET /reports/reachability?minutes=60
+ * Devices whose status disagrees with the poller for at least `minutes`: active but unreachable, inactive but up
+ */
+app.get('/reports/reachability', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const minutes = req.query.minutes === undefined ? MISMATCH_DEFAULT_MINUTES : Number(req.query.minutes);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > MISMATCH_MAX_MINUTES) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid report parameters',
+        message: `minutes must be a whole number between 0 and ${MISMATCH_MAX_MINUTES}`
+      });
+    }
+    const rows = await getReachabilityMismatches({ minutes });
+    const summary = { active_unreachable: 0, inactive_reachable: 0 };
+    rows.forEach((row) => {
+      summary[row.kind] += 1;
+    });
+    res.json({ success: true, minutes, summary, data: rows });
+  } catch (error) {
+    console.error('Error in GET /reports/reachability:', error);
+    res.status(500).json({ success: false, error: 'Failed to build reachability report', message: error.message });
+  }
+});
+
 // ==================== ERROR HANDLING ====================
 
 // 404 handler for undefined routes
@@ -840,6 +6196,14 @@ app.use((req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
+  // Upload limits (file size, unexpected field) are client errors
+  if (err instanceof multer.MulterError) {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      error: 'Upload rejected',
+      message: err.message
+    });
+  }
   console.error('Unhandled error:', err);
   res.status(500).json({
     success: false,
@@ -850,20 +6214,41 @@ app.use((err, req, res, next) => {
 
 // ==================== SERVER START ====================
 
+// Bring the schema up to date before accepting requests (MIGRATE_ON_START=false to skip)
+const migrateOnStart = process.env.MIGRATE_ON_START !== 'false'
+  ? runMigrations()
+  : Promise.resolve([]);
+
 // Start the server
-app.listen(PORT, () => {
-  console.log(`🚀 Server is running on http://localhost:${PORT}`);
-  console.log(`📡 Frontend URL: ${FRONTEND_URL}`);
-  console.log(`📊 Database: ${process.env.DB_DATABASE || 'network_inventory'}`);
-  // Create default admin user if missing
-  ensureDefaultAdmin().catch((err) =>
-    console.error('Failed to ensure default admin user:', err)
-  );
-  ensureDefaultLookups().catch((err) =>
-    console.error('Failed to ensure default device lookups:', err)
-  );
-  console.log('✅ API is ready to accept requests');
-});
+migrateOnStart
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Server is running on http://localhost:${PORT}`);
+      console.log(`📡 Frontend URL: ${FRONTEND_URL}`);
+      console.log(`📊 Database: ${process.env.DB_DATABASE || 'network_inventory'}`);
+      // Create default admin user if missing
+      ensureDefaultAdmin().catch((err) =>
+        console.error('Failed to ensure default admin user:', err)
+      );
+      // Probe device reachability in the background (POLL_INTERVAL_SECONDS=0 to disable)
+      startPoller();
+      // Poll devices with SNMP credentials in the background (SNMP_POLL_INTERVAL_SECONDS=0 to disable)
+      startSnmpPoller();
+      // Check alert rules and send their deliveries in the background (ALERT_INTERVAL_SECONDS=0 to disable)
+      startAlerts();
+      // Send queued webhook events in the background (WEBHOOK_INTERVAL_SECONDS=0 to disable)
+      startWebhooks();
+      // Scans run in memory, so one still marked running was cut short by a restart
+      failInterruptedDiscoveryScans()
+        .then((count) => count > 0 && console.log(`🔎 Marked ${count} interrupted discovery scan(s) as failed`))
+        .catch((err) => console.error('Failed to clean up discovery scans:', err.message));
+      console.log('✅ API is ready to accept requests');
+    });
+  })
+  .catch((err) => {
+    console.error('❌ Database migration failed, server not started:', err.message);
+    process.exit(1);
+  });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
@@ -0,0 +1,256 @@
+// IP and MAC address helpers for Network Device Inventory
+// Validates IPv4/IPv6 host addresses, CIDR prefixes and MAC addresses before they reach PostgreSQL
+
+const net = require('net');
+
+const MAX_PREFIX = { 4: 32, 6: 128 };
+
+/**
+ * Parse a single host address
+ * @param {string} value - e.g. "192.168.1.1" or "2001:db8::1"
+ * @returns {{address: string, version: number}|null} Normalized address, or null if invalid
+ */
+const parseIpAddress = (value) => {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  // Zone IDs (fe80::1%eth0) are interface-local and cannot be stored in inet
+  if (!trimmed || trimmed.includes('%')) return null;
+  const version = net.isIP(trimmed);
+  if (!version) return null;
+  return { address: version === 6 ? trimmed.toLowerCase() : trimmed, version };
+};
+
+/**
+ * Parse a CIDR prefix
+ * @param {string} value - e.g. "10.20.0.0/16" or "2001:db8::/32"
+ * @returns {{network: string, address: string, prefix: number, version: number}|null}
+ */
+const parseCidr = (value) => {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(/^([^/\s]+)\/(\d{1,3})$/);
+  if (!match) return null;
+  const parsed = parseIpAddress(match[1]);
+  if (!parsed) return null;
+  const prefix = parseInt(match[2], 10);
+  if (prefix > MAX_PREFIX[parsed.version]) return null;
+  return {
+    network: `${parsed.address}/${prefix}`,
+    address: parsed.address,
+    prefix,
+    version: parsed.version
+  };
+};
+
+/**
+ * Classify a search term as an exact address, a CIDR prefix, or neither
+ * @param {string} value
+ * @returns {{type: 'address'|'cidr', value: string}|null}
+ */
+const parseIpQuery = (value) => {
+  const cidr = parseCidr(value);
+  if (cidr) return { type: 'cidr', value: cidr.network };
+  const address = parseIpAddress(value);
+  if (address) return { type: 'address', value: address.address };
+  return null;
+};
+
+const BITS = { 4: 32n, 6: 128n };
+
+/**
+ * Convert a validated address to a BigInt
+ * @param {string} address
+ * @returns {bigint}
+ */
+const ipToBigInt = (address) => {
+  if (net.isIPv4(address)) {
+    return address.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n);
+  }
+  let value = address.toLowerCase();
+  // Embedded IPv4 tail (::ffff:192.0.2.1) becomes the last two groups
+  const v4Tail = value.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4Tail) {
+    const n = ipToBigInt(v4Tail[1]);
+    value = `${value.slice(0, -v4Tail[1].length)}${(n >> 16n).toString(16)}:${(n & 0xffffn).toString(16)}`;
+  }
+  const [head, tail] = value.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const fill = tail !== undefined ? 8 - headGroups.length - tailGroups.length : 0;
+  const groups = [...headGroups, ...Array(fill).fill('0'), ...tailGroups];
+  return groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+};
+
+/**
+ * Convert a BigInt back to its canonical text form (RFC 5952 compression for IPv6)
+ * @param {bigint} value
+ * @param {number} version - 4 or 6
+ * @returns {string}
+ */
+const bigIntToIp = (value, version) => {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map((shift) => ((value >> shift) & 0xffn).toString()).join('.');
+  }
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((value >> shift) & 0xffffn).toString(16));
+  }
+  // Longest run of two or more zero groups becomes ::
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < groups.length; i++) {
+    let j = i;
+    while (j < groups.length && groups[j] === '0') j++;
+    if (j - i > bestLength) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j > i ? j - 1 : i;
+  }
+  if (bestStart === -1) return groups.join(':');
+  return `${groups.slice(0, bestStart).join(':')}::${groups.slice(bestStart + bestLength).join(':')}`;
+};
+
+/**
+ * Compute the address range of a CIDR prefix
+ * @param {string} value - CIDR text
+ * @returns {{version: number, prefix: number, network: bigint, last: bigint, size: bigint,
+ *            firstUsable: bigint, lastUsable: bigint, isNetworkAddress: boolean}|null}
+ */
+const getCidrRange = (value) => {
+  const cidr = parseCidr(value);
+  if (!cidr) return null;
+  const bits = BITS[cidr.version];
+  const hostBits = bits - BigInt(cidr.prefix);
+  const size = 1n << hostBits;
+  const address = ipToBigInt(cidr.address);
+  const network = (address >> hostBits) << hostBits;
+  const last = network + size - 1n;
+
+  // IPv4 reserves network and broadcast (except /31 and /32); IPv6 reserves the subnet-router anycast
+  let firstUsable = network;
+  let lastUsable = last;
+  if (cidr.version === 4 && cidr.prefix <= 30) {
+    firstUsable = network + 1n;
+    lastUsable = last - 1n;
+  } else if (cidr.version === 6 && cidr.prefix <= 126) {
+    firstUsable = network + 1n;
+  }
+
+  return {
+    version: cidr.version,
+    prefix: cidr.prefix,
+    network,
+    last,
+    size,
+    firstUsable,
+    lastUsable,
+    isNetworkAddress: address === network
+  };
+};
+
+/**
+ * Canonical network text for a CIDR (host bits cleared), e.g. 10.20.3.4/16 -> 10.20.0.0/16
+ * @param {string} value
+ * @returns {string|null}
+ */
+const toNetworkCidr = (value) => {
+  const range = getCidrRange(value);
+  if (!range) return null;
+  return `${bigIntToIp(range.network, range.version)}/${range.prefix}`;
+};
+
+/**
+ * Check whether an address falls inside a CIDR prefix
+ * @param {string} address
+ * @param {string} cidr
+ * @returns {boolean}
+ */
+const isAddressInCidr = (address, cidr) => {
+  const parsed = parseIpAddress(address);
+  const range = getCidrRange(cidr);
+  if (!parsed || !range || parsed.version !== range.version) return false;
+  const n = ipToBigInt(parsed.address);
+  return n >= range.network && n <= range.last;
+};
+
+/**
+ * Count usable host addresses in a prefix
+ * @param {string} cidr
+ * @returns {bigint}
+ */
+const countUsableAddresses = (cidr) => {
+  const range = getCidrRange(cidr);
+  if (!range) return 0n;
+  return range.lastUsable - range.firstUsable + 1n;
+};
+
+/**
+ * Find the lowest usable address in a prefix that is not taken
+ * @param {string} cidr
+ * @param {Array<string>} taken - Addresses already in use (devices, gateway, ...)
+ * @returns {string|null} Free address, or null when the prefix is full
+ */
+const findNextFreeAddress = (cidr, taken = []) => {
+  const range = getCidrRange(cidr);
+  if (!range) return null;
+  const used = [...new Set(
+    taken
+      .map((address) => parseIpAddress(address))
+      .filter((parsed) => parsed && parsed.version === range.version)
+      .map((parsed) => ipToBigInt(parsed.address))
+  )].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+  let candidate = range.firstUsable;
+  for (const n of used) {
+    if (n < candidate) continue;
+    if (n > candidate) break;
+    candidate += 1n;
+  }
+  return candidate <= range.lastUsable ? bigIntToIp(candidate, range.version) : null;
+};
+
+/**
+ * Parse an interface address, with or without a prefix length (10.0.0.1 or 10.0.0.1/24)
+ * @param {string} value
+ * @returns {string|null} Normalized address, or null if invalid
+ */
+const parseInterfaceAddress = (value) => {
+  const cidr = parseCidr(value);
+  if (cidr) return cidr.network;
+  const address = parseIpAddress(value);
+  return address ? address.address : null;
+};
+
+/**
+ * Parse a MAC address in colon, hyphen or Cisco dotted notation
+ * @param {string} value - e.g. "00:1A:2B:3C:4D:5E", "00-1a-2b-3c-4d-5e", "001a.2b3c.4d5e"
+ * @returns {string|null} Lowercase colon-separated MAC, or null if invalid
+ */
+const parseMacAddress = (value) => {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim().toLowerCase();
+  if (!/^([0-9a-f]{2}[:-]){5}[0-9a-f]{2}$/.test(trimmed) && !/^([0-9a-f]{4}\.){2}[0-9a-f]{4}$/.test(trimmed)) {
+    return null;
+  }
+  const hex = trimmed.replace(/[^0-9a-f]/g, '');
+  return hex.match(/.{2}/g).join(':');
+};
+
+const IP_FORMAT_MESSAGE =
+  'IP address must be a valid IPv4 or IPv6 address (e.g. 192.168.1.1 or 2001:db8::1)';
+
+module.exports = {
+  parseIpAddress,
+  parseCidr,
+  parseIpQuery,
+  ipToBigInt,
+  bigIntToIp,
+  getCidrRange,
+  toNetworkCidr,
+  isAddressInCidr,
+  countUsableAddresses,
+  findNextFreeAddress,
+  parseInterfaceAddress,
+  parseMacAddress,
+  IP_FORMAT_MESSAGE
+};
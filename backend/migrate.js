@@ -0,0 +1,242 @@
+// Versioned schema migrations for Network Device Inventory
+// Migrations live in ./migrations as NNN_name.js files exporting async up(client) / down(client)
+//
+// Usage:
+//   node migrate.js up          Apply all pending migrations (npm run migrate)
+//   node migrate.js status      List applied and pending migrations (npm run migrate:status)
+//   node migrate.js rollback [n] Revert the last n migrations, default 1 (npm run migrate:rollback)
+//   node migrate.js seed        Insert sample devices into an empty inventory (npm run seed)
+
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./queries');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary constant so concurrent starts (e.g. several instances) migrate one at a time
+const MIGRATION_LOCK_ID = 72610031;
+
+/**
+ * Load migration modules sorted by version
+ * @returns {Array<{version: string, name: string, up: Function, down: Function}>}
+ */
+const loadMigrations = () =>
+  fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map((file) => {
+      const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version, name, up: migration.up, down: migration.down };
+    });
+
+/**
+ * Create the bookkeeping table if it does not exist yet
+ */
+const ensureMigrationsTable = async (client) => {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version VARCHAR(20) PRIMARY KEY,
+       name VARCHAR(200) NOT NULL,
+       applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+};
+
+/**
+ * Get applied migrations keyed by version
+ * @returns {Promise<Map<string, Object>>}
+ */
+const getAppliedMigrations = async (client) => {
+  const result = await client.query(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC'
+  );
+  return new Map(result.rows.map((row) => [row.version, row]));
+};
+
+/**
+ * Run a function holding the migration lock on a dedicated client
+ */
+const withMigrationLock = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+};
+
+/**
+ * Apply every pending migration, each in its own transaction
+ * @param {Object} [options]
+ * @param {Function} [options.log=console.log]
+ * @returns {Promise<Array<string>>} Versions that were applied
+ */
+const runMigrations = async ({ log = console.log } = {}) =>
+  withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const pending = loadMigrations().filter((m) => !applied.has(m.version));
+    const done = [];
+
+    for (const migration of pending) {
+      log(`⬆️  Applying migration ${migration.version}_${migration.name}`);
+      try {
+        await client.query('BEGIN');
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `Migration ${migration.version}_${migration.name} failed: ${error.message}`;
+        throw error;
+      }
+      done.push(migration.version);
+    }
+
+    if (done.length === 0) {
+      log('✅ Database schema is up to date');
+    } else {
+      log(`✅ Applied ${done.length} migration(s)`);
+    }
+    return done;
+  });
+
+/**
+ * Revert the most recently applied migrations
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - How many migrations to revert
+ * @param {Function} [options.log=console.log]
+ * @returns {Promise<Array<string>>} Versions that were reverted
+ */
+const rollbackMigrations = async ({ steps = 1, log = console.log } = {}) =>
+  withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const byVersion = new Map(loadMigrations().map((m) => [m.version, m]));
+    const targets = [...applied.keys()].sort().reverse().slice(0, steps);
+    const done = [];
+
+    for (const version of targets) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Cannot roll back ${version}: migration file is missing`);
+      }
+      log(`⬇️  Reverting migration ${migration.version}_${migration.name}`);
+      try {
+        await client.query('BEGIN');
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `Rollback of ${migration.version}_${migration.name} failed: ${error.message}`;
+        throw error;
+      }
+      done.push(version);
+    }
+
+    if (done.length === 0) log('Nothing to roll back');
+    return done;
+  });
+
+/**
+ * List every known migration with its applied state
+ * @returns {Promise<Array<{version: string, name: string, applied_at: Date|null, missing: boolean}>>}
+ */
+const getMigrationStatus = async () =>
+  withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const known = loadMigrations().map((m) => ({
+      version: m.version,
+      name: m.name,
+      applied_at: applied.get(m.version)?.applied_at || null,
+      missing: false
+    }));
+    // Applied versions whose file no longer exists
+    const knownVersions = new Set(known.map((m) => m.version));
+    const orphaned = [...applied.values()]
+      .filter((row) => !knownVersions.has(row.version))
+      .map((row) => ({ ...row, missing: true }));
+    return [...known, ...orphaned].sort((a, b) => a.version.localeCompare(b.version));
+  });
+
+/**
+ * Insert the demo devices when the inventory is empty
+ */
+const seedSampleData = async ({ log = console.log } = {}) => {
+  const existing = await pool.query('SELECT COUNT(*)::int AS count FROM devices');
+  if (existing.rows[0].count > 0) {
+    log('Devices already present, skipping sample data');
+    return 0;
+  }
+  const result = await pool.query(
+    `INSERT INTO devices (hostname, ip_address, device_type, location, status, notes) VALUES
+      ('router-main-01', '192.168.1.1', 'Router', 'Data Center - Rack A', 'active', 'Primary gateway router for main network segment'),
+      ('switch-floor2', '192.168.1.10', 'Switch', 'Building A - Floor 2', 'active', '24-port managed switch for office floor'),
+      ('firewall-perimeter', '203.0.113.1', 'Firewall', 'DMZ Zone', 'active', 'Perimeter firewall with WAF capabilities'),
+      ('ap-conference-room', '192.168.1.50', 'Access Point', 'Conference Room B', 'active', 'Wireless access point with 802.11ax support'),
+      ('server-web-01', '192.168.1.100', 'Server', 'Data Center - Rack B', 'active', 'Web server running Ubuntu 22.04 LTS')
+     ON CONFLICT DO NOTHING`
+  );
+  await pool.query(
+    `UPDATE devices d SET device_type_id = dt.id
+     FROM device_types dt
+     WHERE d.device_type_id IS NULL AND dt.name = d.device_type`
+  );
+  log(`🌱 Inserted ${result.rowCount} sample device(s)`);
+  return result.rowCount;
+};
+
+// CLI entry point
+if (require.main === module) {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  const commands = {
+    up: () => runMigrations(),
+    rollback: () => rollbackMigrations({ steps: Math.max(parseInt(arg, 10) || 1, 1) }),
+    status: async () => {
+      const rows = await getMigrationStatus();
+      if (rows.length === 0) console.log('No migrations found');
+      rows.forEach((row) => {
+        const state = row.missing
+          ? 'applied (file missing)'
+          : row.applied_at
+            ? `applied ${new Date(row.applied_at).toISOString()}`
+            : 'pending';
+        console.log(`${row.version}_${row.name}`.padEnd(40), state);
+      });
+    },
+    seed: async () => {
+      await runMigrations();
+      await seedSampleData();
+    }
+  };
+
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`);
+    process.exit(1);
+  }
+
+  commands[command]()
+    .then(() => pool.end())
+    .catch((error) => {
+      console.error('❌', error.message);
+      pool.end().finally(() => process.exit(1));
+    });
+}
+
+module.exports = {
+  runMigrations,
+  rollbackMigrations,
+  getMigrationStatus,
+  seedSampleData
+};
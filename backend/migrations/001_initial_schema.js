@@ -0,0 +1,86 @@
+// Initial schema: users, device lookups, devices, file versions and history
+// Uses IF NOT EXISTS so databases created from the old database_setup.sql adopt it cleanly
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        email VARCHAR(150) NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role VARCHAR(20) DEFAULT 'admin',
+        active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS device_types (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS manufacturers (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS devices (
+        id SERIAL PRIMARY KEY,
+        hostname VARCHAR(100) NOT NULL,
+        ip_address VARCHAR(15) NOT NULL,
+        device_type VARCHAR(50) NOT NULL,
+        device_type_id INT REFERENCES device_types(id),
+        manufacturer_id INT REFERENCES manufacturers(id),
+        location VARCHAR(100),
+        status VARCHAR(20) DEFAULT 'active',
+        notes TEXT,
+        assigned_user_id INT REFERENCES users(id),
+        assigned_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS device_files (
+        id SERIAL PRIMARY KEY,
+        device_id INT NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+        filename VARCHAR(255) NOT NULL,
+        storage_path TEXT NOT NULL,
+        version INT NOT NULL,
+        content_type VARCHAR(100),
+        file_size INT,
+        uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT device_version_unique UNIQUE (device_id, version)
+      );
+
+      CREATE TABLE IF NOT EXISTS device_history (
+        id SERIAL PRIMARY KEY,
+        device_id INT NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+        action VARCHAR(50) NOT NULL,
+        user_id INT REFERENCES users(id),
+        details JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Default lookups
+    await client.query(`
+      INSERT INTO device_types (name) VALUES
+        ('Router'), ('Switch'), ('Firewall'), ('Server'), ('Access Point'), ('Other')
+      ON CONFLICT (name) DO NOTHING;
+
+      INSERT INTO manufacturers (name) VALUES
+        ('Cisco'), ('Dell'), ('HP'), ('Juniper'), ('Ubiquiti'), ('Aruba')
+      ON CONFLICT (name) DO NOTHING;
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS device_history;
+      DROP TABLE IF EXISTS device_files;
+      DROP TABLE IF EXISTS devices;
+      DROP TABLE IF EXISTS manufacturers;
+      DROP TABLE IF EXISTS device_types;
+      DROP TABLE IF EXISTS users;
+    `);
+  }
+};
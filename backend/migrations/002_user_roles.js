@@ -0,0 +1,17 @@
+// Role-based access: admin / operator / viewer, new accounts default to viewer
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      UPDATE users SET role = 'viewer' WHERE role = 'user';
+      ALTER TABLE users ALTER COLUMN role SET DEFAULT 'viewer';
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE users ALTER COLUMN role SET DEFAULT 'admin';
+      UPDATE users SET role = 'user' WHERE role IN ('viewer', 'operator');
+    `);
+  }
+};
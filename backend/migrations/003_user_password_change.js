@@ -0,0 +1,15 @@
+// Forced password change at next login (set by admin-created accounts and resets)
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT FALSE;
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE users DROP COLUMN IF EXISTS must_change_password;
+    `);
+  }
+};
@@ -0,0 +1,27 @@
+// Store device IP addresses as PostgreSQL inet (IPv4 and IPv6) instead of VARCHAR(15)
+
+const { parseIpAddress } = require('../ip');
+
+module.exports = {
+  up: async (client) => {
+    // Refuse to convert while rows hold values inet would reject, and say which ones
+    const existing = await client.query('SELECT id, hostname, ip_address FROM devices');
+    const invalid = existing.rows.filter((row) => !parseIpAddress(row.ip_address));
+    if (invalid.length > 0) {
+      const list = invalid.map((row) => `#${row.id} ${row.hostname} (${row.ip_address})`).join(', ');
+      throw new Error(`Fix invalid IP addresses before migrating: ${list}`);
+    }
+
+    await client.query(`
+      ALTER TABLE devices ALTER COLUMN ip_address TYPE inet USING TRIM(ip_address)::inet;
+      CREATE INDEX IF NOT EXISTS devices_ip_address_idx ON devices USING gist (ip_address inet_ops);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS devices_ip_address_idx;
+      ALTER TABLE devices ALTER COLUMN ip_address TYPE VARCHAR(45) USING host(ip_address);
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+// IP address management: subnets (prefixes) with optional VLAN, gateway and description
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS subnets (
+        id SERIAL PRIMARY KEY,
+        prefix cidr NOT NULL UNIQUE,
+        vlan_id INT CHECK (vlan_id BETWEEN 1 AND 4094),
+        vlan_name VARCHAR(100),
+        gateway inet,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS subnets_prefix_idx ON subnets USING gist (prefix inet_ops);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS subnets;');
+  }
+};
@@ -0,0 +1,27 @@
+// Multiple network interfaces per device (name, MAC, addresses, speed, admin/oper status)
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS device_interfaces (
+        id SERIAL PRIMARY KEY,
+        device_id INT NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        mac_address macaddr,
+        ip_addresses inet[] NOT NULL DEFAULT '{}',
+        speed_mbps INT CHECK (speed_mbps >= 0),
+        admin_status VARCHAR(10) NOT NULL DEFAULT 'up' CHECK (admin_status IN ('up', 'down')),
+        oper_status VARCHAR(10) NOT NULL DEFAULT 'unknown' CHECK (oper_status IN ('up', 'down', 'unknown')),
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT device_interface_name_unique UNIQUE (device_id, name)
+      );
+      CREATE INDEX IF NOT EXISTS device_interfaces_device_idx ON device_interfaces (device_id);
+      CREATE INDEX IF NOT EXISTS device_interfaces_mac_idx ON device_interfaces (mac_address);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS device_interfaces;');
+  }
+};
@@ -0,0 +1,54 @@
+// Audit trail: device_history records the acting user's IP and user agent, covers non-device
+// entities (lookups), and outlives deleted devices (the cascading foreign key is dropped)
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE device_history DROP CONSTRAINT IF EXISTS device_history_device_id_fkey;
+      ALTER TABLE device_history ALTER COLUMN device_id DROP NOT NULL;
+
+      ALTER TABLE device_history
+        ADD COLUMN IF NOT EXISTS entity_type VARCHAR(30) NOT NULL DEFAULT 'device',
+        ADD COLUMN IF NOT EXISTS entity_id INT,
+        ADD COLUMN IF NOT EXISTS device_hostname VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS ip_address inet,
+        ADD COLUMN IF NOT EXISTS user_agent TEXT;
+
+      UPDATE device_history h
+      SET entity_id = h.device_id,
+          device_hostname = d.hostname
+      FROM devices d
+      WHERE d.id = h.device_id AND h.entity_id IS NULL;
+
+      CREATE INDEX IF NOT EXISTS device_history_device_idx ON device_history (device_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS device_history_created_idx ON device_history (created_at DESC);
+      CREATE INDEX IF NOT EXISTS device_history_user_idx ON device_history (user_id);
+      CREATE INDEX IF NOT EXISTS device_history_action_idx ON device_history (action);
+    `);
+  },
+
+  down: async (client) => {
+    // Entries without a live device cannot satisfy the restored foreign key
+    await client.query(`
+      DROP INDEX IF EXISTS device_history_action_idx;
+      DROP INDEX IF EXISTS device_history_user_idx;
+      DROP INDEX IF EXISTS device_history_created_idx;
+      DROP INDEX IF EXISTS device_history_device_idx;
+
+      DELETE FROM device_history h
+      WHERE h.device_id IS NULL OR NOT EXISTS (SELECT 1 FROM devices d WHERE d.id = h.device_id);
+
+      ALTER TABLE device_history
+        DROP COLUMN IF EXISTS user_agent,
+        DROP COLUMN IF EXISTS ip_address,
+        DROP COLUMN IF EXISTS device_hostname,
+        DROP COLUMN IF EXISTS entity_id,
+        DROP COLUMN IF EXISTS entity_type;
+
+      ALTER TABLE device_history ALTER COLUMN device_id SET NOT NULL;
+      ALTER TABLE device_history
+        ADD CONSTRAINT device_history_device_id_fkey
+        FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE;
+    `);
+  }
+};
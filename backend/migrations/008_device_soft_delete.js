@@ -0,0 +1,24 @@
+// Soft delete: deleted devices move to the trash (deleted_at set) until restored or purged
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE devices
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS deleted_by INT REFERENCES users(id);
+
+      CREATE INDEX IF NOT EXISTS devices_deleted_at_idx ON devices (deleted_at) WHERE deleted_at IS NOT NULL;
+    `);
+  },
+
+  down: async (client) => {
+    // Trashed devices would reappear as live ones, so they are purged first
+    await client.query(`
+      DELETE FROM devices WHERE deleted_at IS NOT NULL;
+      DROP INDEX IF EXISTS devices_deleted_at_idx;
+      ALTER TABLE devices
+        DROP COLUMN IF EXISTS deleted_by,
+        DROP COLUMN IF EXISTS deleted_at;
+    `);
+  }
+};
@@ -0,0 +1,25 @@
+// Saved device-list views: a named search/status/sort per user, optionally shared with everyone
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS saved_views (
+        id SERIAL PRIMARY KEY,
+        user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        search TEXT,
+        status VARCHAR(20),
+        sort VARCHAR(200),
+        shared BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, name)
+      );
+      CREATE INDEX IF NOT EXISTS saved_views_shared_idx ON saved_views (shared) WHERE shared;
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS saved_views;');
+  }
+};
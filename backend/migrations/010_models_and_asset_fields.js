@@ -0,0 +1,42 @@
+// Hardware models (per manufacturer) and asset/purchase fields on devices
+// Deleting a manufacturer (only possible once no device uses it) removes its models
+// Serial numbers and asset tags are unique ignoring case; trashed devices keep theirs so restore cannot collide
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS models (
+        id SERIAL PRIMARY KEY,
+        manufacturer_id INT NOT NULL REFERENCES manufacturers(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (manufacturer_id, name)
+      );
+
+      ALTER TABLE devices
+        ADD COLUMN IF NOT EXISTS model_id INT REFERENCES models(id),
+        ADD COLUMN IF NOT EXISTS serial_number VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS asset_tag VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS purchase_date DATE,
+        ADD COLUMN IF NOT EXISTS purchase_order VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS purchase_cost NUMERIC(12, 2) CHECK (purchase_cost >= 0);
+
+      CREATE UNIQUE INDEX IF NOT EXISTS devices_serial_number_key ON devices (LOWER(serial_number));
+      CREATE UNIQUE INDEX IF NOT EXISTS devices_asset_tag_key ON devices (LOWER(asset_tag));
+      CREATE INDEX IF NOT EXISTS devices_model_id_idx ON devices (model_id);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE devices
+        DROP COLUMN IF EXISTS purchase_cost,
+        DROP COLUMN IF EXISTS purchase_order,
+        DROP COLUMN IF EXISTS purchase_date,
+        DROP COLUMN IF EXISTS asset_tag,
+        DROP COLUMN IF EXISTS serial_number,
+        DROP COLUMN IF EXISTS model_id;
+      DROP TABLE IF EXISTS models;
+    `);
+  }
+};
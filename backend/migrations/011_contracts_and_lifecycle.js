@@ -0,0 +1,44 @@
+// Warranty/support contracts attached to many devices, and vendor end-of-life/end-of-support dates per model
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS contracts (
+        id SERIAL PRIMARY KEY,
+        vendor VARCHAR(100) NOT NULL,
+        contract_number VARCHAR(100) NOT NULL,
+        coverage VARCHAR(30) NOT NULL DEFAULT 'warranty',
+        start_date DATE,
+        end_date DATE NOT NULL,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (vendor, contract_number),
+        CHECK (start_date IS NULL OR start_date <= end_date)
+      );
+      CREATE INDEX IF NOT EXISTS contracts_end_date_idx ON contracts (end_date);
+
+      CREATE TABLE IF NOT EXISTS contract_devices (
+        contract_id INT NOT NULL REFERENCES contracts(id) ON DELETE CASCADE,
+        device_id INT NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (contract_id, device_id)
+      );
+      CREATE INDEX IF NOT EXISTS contract_devices_device_id_idx ON contract_devices (device_id);
+
+      ALTER TABLE models
+        ADD COLUMN IF NOT EXISTS eos_date DATE,
+        ADD COLUMN IF NOT EXISTS eol_date DATE;
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE models
+        DROP COLUMN IF EXISTS eol_date,
+        DROP COLUMN IF EXISTS eos_date;
+      DROP TABLE IF EXISTS contract_devices;
+      DROP TABLE IF EXISTS contracts;
+    `);
+  }
+};
@@ -0,0 +1,65 @@
+// Location hierarchy (site > building > floor > room > rack) that devices reference by location_id
+// path, depth and ancestor_ids are kept up to date by the application (queries.refreshLocationTree);
+// devices.location keeps the full path text so exports and older clients still see a readable value.
+// Existing free-text locations become top-level nodes, one per spelling that differs only in case or
+// whitespace ("DC rack A" and "dc  Rack A" share a node); re-parent or merge them afterwards.
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS locations (
+        id SERIAL PRIMARY KEY,
+        parent_id INT REFERENCES locations(id),
+        name VARCHAR(100) NOT NULL,
+        kind VARCHAR(20) NOT NULL DEFAULT 'site',
+        description TEXT,
+        path TEXT NOT NULL DEFAULT '',
+        depth INT NOT NULL DEFAULT 0,
+        ancestor_ids INT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (kind IN ('site', 'building', 'floor', 'room', 'rack')),
+        CHECK (parent_id IS NULL OR parent_id <> id)
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS locations_parent_name_key ON locations (COALESCE(parent_id, 0), LOWER(name));
+      CREATE INDEX IF NOT EXISTS locations_ancestor_ids_idx ON locations USING GIN (ancestor_ids);
+
+      ALTER TABLE devices
+        ADD COLUMN IF NOT EXISTS location_id INT REFERENCES locations(id),
+        ALTER COLUMN location TYPE TEXT;
+      CREATE INDEX IF NOT EXISTS devices_location_id_idx ON devices (location_id);
+    `);
+
+    // Most common spelling wins the node name; '/' and '>' separate path levels, so they become '-'
+    await client.query(`
+      WITH normalized AS (
+        SELECT LEFT(regexp_replace(regexp_replace(btrim(location), '\\s+', ' ', 'g'), '\\s*[/>]\\s*', ' - ', 'g'), 100) AS name
+        FROM devices
+        WHERE NULLIF(btrim(location), '') IS NOT NULL
+      )
+      INSERT INTO locations (name, kind)
+      SELECT MODE() WITHIN GROUP (ORDER BY name), 'site'
+      FROM normalized
+      GROUP BY LOWER(name);
+
+      UPDATE locations SET path = name, depth = 0, ancestor_ids = ARRAY[id];
+
+      UPDATE devices d
+      SET location_id = l.id, location = l.path
+      FROM locations l
+      WHERE l.parent_id IS NULL
+        AND LOWER(l.name) = LOWER(LEFT(regexp_replace(regexp_replace(btrim(d.location), '\\s+', ' ', 'g'), '\\s*[/>]\\s*', ' - ', 'g'), 100));
+
+      UPDATE devices SET location = NULL WHERE location_id IS NULL AND location IS NOT NULL;
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS devices_location_id_idx;
+      ALTER TABLE devices
+        DROP COLUMN IF EXISTS location_id,
+        ALTER COLUMN location TYPE VARCHAR(100) USING LEFT(location, 100);
+      DROP TABLE IF EXISTS locations;
+    `);
+  }
+};
@@ -0,0 +1,39 @@
+// Rack elevation: racks (locations of kind 'rack') get a height in U, devices a position, height and face
+// rack_position is the lowest U a device occupies (1 = bottom). Devices on the same face of a rack may not
+// overlap; the exclusion constraint enforces that for live devices (trashed ones keep their last position).
+// btree_gist provides the equality operators the constraint needs; it is a trusted extension (PostgreSQL 13+).
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+      ALTER TABLE locations
+        ADD COLUMN IF NOT EXISTS rack_units SMALLINT CHECK (rack_units BETWEEN 1 AND 60);
+      UPDATE locations SET rack_units = 42 WHERE kind = 'rack' AND rack_units IS NULL;
+
+      ALTER TABLE devices
+        ADD COLUMN IF NOT EXISTS rack_position SMALLINT CHECK (rack_position >= 1),
+        ADD COLUMN IF NOT EXISTS rack_height SMALLINT NOT NULL DEFAULT 1 CHECK (rack_height BETWEEN 1 AND 60),
+        ADD COLUMN IF NOT EXISTS rack_face VARCHAR(5) NOT NULL DEFAULT 'front' CHECK (rack_face IN ('front', 'rear'));
+
+      ALTER TABLE devices
+        ADD CONSTRAINT devices_rack_no_overlap EXCLUDE USING gist (
+          location_id WITH =,
+          rack_face WITH =,
+          int4range(rack_position, rack_position + rack_height) WITH &&
+        ) WHERE (rack_position IS NOT NULL AND deleted_at IS NULL);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE devices
+        DROP CONSTRAINT IF EXISTS devices_rack_no_overlap,
+        DROP COLUMN IF EXISTS rack_face,
+        DROP COLUMN IF EXISTS rack_height,
+        DROP COLUMN IF EXISTS rack_position;
+      ALTER TABLE locations DROP COLUMN IF EXISTS rack_units;
+    `);
+  }
+};
@@ -0,0 +1,44 @@
+// Physical cabling between device interfaces
+// A cable has exactly two ends (side 'a' and 'b'), each plugged into one interface; the unique index on
+// cable_ends.interface_id keeps a port to at most one cable. Patch panel ports are interfaces too: pass_through_id
+// pairs a front port with its rear port (both directions) so a path can be traced through the panel.
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS cables (
+        id SERIAL PRIMARY KEY,
+        label VARCHAR(50),
+        cable_type VARCHAR(20) NOT NULL DEFAULT 'cat6'
+          CHECK (cable_type IN ('cat5e', 'cat6', 'cat6a', 'cat8', 'fiber_sm', 'fiber_mm', 'dac', 'coax', 'console', 'power', 'other')),
+        color VARCHAR(30),
+        length_m NUMERIC(7, 2) CHECK (length_m > 0),
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS cables_label_key ON cables (LOWER(label)) WHERE label IS NOT NULL;
+
+      CREATE TABLE IF NOT EXISTS cable_ends (
+        cable_id INT NOT NULL REFERENCES cables(id) ON DELETE CASCADE,
+        side CHAR(1) NOT NULL CHECK (side IN ('a', 'b')),
+        interface_id INT NOT NULL REFERENCES device_interfaces(id) ON DELETE CASCADE,
+        PRIMARY KEY (cable_id, side)
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS cable_ends_interface_key ON cable_ends (interface_id);
+
+      ALTER TABLE device_interfaces
+        ADD COLUMN IF NOT EXISTS pass_through_id INT REFERENCES device_interfaces(id) ON DELETE SET NULL
+          CHECK (pass_through_id <> id);
+      CREATE UNIQUE INDEX IF NOT EXISTS device_interfaces_pass_through_key ON device_interfaces (pass_through_id);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS device_interfaces_pass_through_key;
+      ALTER TABLE device_interfaces DROP COLUMN IF EXISTS pass_through_id;
+      DROP TABLE IF EXISTS cable_ends;
+      DROP TABLE IF EXISTS cables;
+    `);
+  }
+};
@@ -0,0 +1,28 @@
+// LLDP/CDP neighbors seen on device interfaces, as reported by a collector or entered by hand
+// Each row is what one local interface advertises about the far side; remote_device_id is the inventory
+// device it was matched to (by management IP, then by hostname) so the topology map can draw the link.
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS interface_neighbors (
+        id SERIAL PRIMARY KEY,
+        interface_id INT NOT NULL REFERENCES device_interfaces(id) ON DELETE CASCADE,
+        protocol VARCHAR(4) NOT NULL CHECK (protocol IN ('lldp', 'cdp')),
+        remote_system_name VARCHAR(255),
+        remote_port VARCHAR(100),
+        remote_chassis_id VARCHAR(100),
+        remote_mgmt_ip inet,
+        remote_device_id INT REFERENCES devices(id) ON DELETE SET NULL,
+        last_seen TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CHECK (remote_system_name IS NOT NULL OR remote_chassis_id IS NOT NULL OR remote_mgmt_ip IS NOT NULL)
+      );
+      CREATE INDEX IF NOT EXISTS interface_neighbors_interface_idx ON interface_neighbors (interface_id);
+      CREATE INDEX IF NOT EXISTS interface_neighbors_remote_device_idx ON interface_neighbors (remote_device_id);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query('DROP TABLE IF EXISTS interface_neighbors;');
+  }
+};
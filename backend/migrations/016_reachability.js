@@ -0,0 +1,47 @@
+// Reachability monitoring: the poller probes each device's ip_address (ICMP echo or a TCP connect)
+// reachability_checks keeps every probe result as a time series (pruned after POLL_RETENTION_DAYS);
+// device_reachability holds the latest state per device so device payloads can show it without scanning history.
+// probe_method/probe_port override the poller defaults per device ('none' leaves a device out).
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE devices
+        ADD COLUMN IF NOT EXISTS probe_method VARCHAR(4) CHECK (probe_method IN ('icmp', 'tcp', 'none')),
+        ADD COLUMN IF NOT EXISTS probe_port INT CHECK (probe_port BETWEEN 1 AND 65535);
+
+      CREATE TABLE IF NOT EXISTS reachability_checks (
+        id BIGSERIAL PRIMARY KEY,
+        device_id INT NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+        checked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        method VARCHAR(4) NOT NULL CHECK (method IN ('icmp', 'tcp')),
+        port INT,
+        up BOOLEAN NOT NULL,
+        latency_ms NUMERIC(10, 2),
+        error TEXT
+      );
+      CREATE INDEX IF NOT EXISTS reachability_checks_device_idx ON reachability_checks (device_id, checked_at DESC);
+      CREATE INDEX IF NOT EXISTS reachability_checks_checked_at_idx ON reachability_checks (checked_at);
+
+      CREATE TABLE IF NOT EXISTS device_reachability (
+        device_id INT PRIMARY KEY REFERENCES devices(id) ON DELETE CASCADE,
+        up BOOLEAN NOT NULL,
+        latency_ms NUMERIC(10, 2),
+        last_checked TIMESTAMP NOT NULL,
+        last_seen TIMESTAMP,
+        changed_at TIMESTAMP NOT NULL,
+        error TEXT
+      );
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS device_reachability;
+      DROP TABLE IF EXISTS reachability_checks;
+      ALTER TABLE devices
+        DROP COLUMN IF EXISTS probe_port,
+        DROP COLUMN IF EXISTS probe_method;
+    `);
+  }
+};
@@ -0,0 +1,77 @@
+// SNMP polling: credentials, what each device reported and its interface table with counters
+// A device uses its own snmp_credential_id, else the nearest location above it that has one. device_snmp_facts
+// keeps the last poll (system group and chassis serial); snmp_interfaces is the interface table from that poll,
+// with octet rates computed against the poll before it.
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS snmp_credentials (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        version VARCHAR(2) NOT NULL CHECK (version IN ('2c', '3')),
+        port INT NOT NULL DEFAULT 161 CHECK (port BETWEEN 1 AND 65535),
+        community VARCHAR(255),
+        username VARCHAR(100),
+        security_level VARCHAR(12) CHECK (security_level IN ('noAuthNoPriv', 'authNoPriv', 'authPriv')),
+        auth_protocol VARCHAR(6) CHECK (auth_protocol IN ('md5', 'sha', 'sha224', 'sha256', 'sha384', 'sha512')),
+        auth_key VARCHAR(255),
+        priv_protocol VARCHAR(8) CHECK (priv_protocol IN ('des', 'aes', 'aes256b', 'aes256r')),
+        priv_key VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (version <> '2c' OR community IS NOT NULL),
+        CHECK (version <> '3' OR (username IS NOT NULL AND security_level IS NOT NULL))
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS snmp_credentials_name_key ON snmp_credentials (LOWER(name));
+
+      ALTER TABLE devices
+        ADD COLUMN IF NOT EXISTS snmp_credential_id INT REFERENCES snmp_credentials(id);
+      ALTER TABLE locations
+        ADD COLUMN IF NOT EXISTS snmp_credential_id INT REFERENCES snmp_credentials(id);
+
+      CREATE TABLE IF NOT EXISTS device_snmp_facts (
+        device_id INT PRIMARY KEY REFERENCES devices(id) ON DELETE CASCADE,
+        credential_id INT REFERENCES snmp_credentials(id) ON DELETE SET NULL,
+        sys_name VARCHAR(255),
+        sys_descr TEXT,
+        sys_object_id VARCHAR(255),
+        uptime_seconds BIGINT,
+        serial_number VARCHAR(100),
+        polled_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_success_at TIMESTAMP,
+        error TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS snmp_interfaces (
+        device_id INT NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+        if_index INT NOT NULL,
+        name VARCHAR(100),
+        descr VARCHAR(255),
+        alias VARCHAR(255),
+        if_type INT,
+        speed_mbps BIGINT,
+        mac_address macaddr,
+        admin_status VARCHAR(10),
+        oper_status VARCHAR(20),
+        in_octets NUMERIC(20),
+        out_octets NUMERIC(20),
+        in_errors BIGINT,
+        out_errors BIGINT,
+        in_bps BIGINT,
+        out_bps BIGINT,
+        polled_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (device_id, if_index)
+      );
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS snmp_interfaces;
+      DROP TABLE IF EXISTS device_snmp_facts;
+      ALTER TABLE locations DROP COLUMN IF EXISTS snmp_credential_id;
+      ALTER TABLE devices DROP COLUMN IF EXISTS snmp_credential_id;
+      DROP TABLE IF EXISTS snmp_credentials;
+    `);
+  }
+};
@@ -0,0 +1,57 @@
+// Network discovery: scans of CIDR ranges and the review queue they produce
+// A scan probes every address (ping or TCP, optionally SNMP) in the background and, when done, queues hosts that
+// are new to the inventory, known devices whose details differ, and active devices that did not answer.
+// Hosts stay queued until an operator accepts (creating or updating the device) or dismisses them.
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS discovery_scans (
+        id SERIAL PRIMARY KEY,
+        ranges TEXT[] NOT NULL,
+        method VARCHAR(4) NOT NULL CHECK (method IN ('icmp', 'tcp')),
+        tcp_ports INT[] NOT NULL DEFAULT '{}',
+        snmp_credential_id INT REFERENCES snmp_credentials(id) ON DELETE SET NULL,
+        status VARCHAR(10) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+        address_count INT NOT NULL,
+        scanned_count INT NOT NULL DEFAULT 0,
+        responded_count INT NOT NULL DEFAULT 0,
+        error TEXT,
+        created_by INT REFERENCES users(id) ON DELETE SET NULL,
+        started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS discovery_hosts (
+        id SERIAL PRIMARY KEY,
+        scan_id INT NOT NULL REFERENCES discovery_scans(id) ON DELETE CASCADE,
+        ip_address INET NOT NULL,
+        kind VARCHAR(7) NOT NULL CHECK (kind IN ('new', 'changed', 'missing')),
+        device_id INT REFERENCES devices(id) ON DELETE SET NULL,
+        latency_ms NUMERIC(10, 2),
+        open_ports INT[] NOT NULL DEFAULT '{}',
+        dns_name VARCHAR(255),
+        sys_name VARCHAR(255),
+        sys_descr TEXT,
+        sys_object_id VARCHAR(255),
+        serial_number VARCHAR(100),
+        vendor VARCHAR(100),
+        guessed_type_id INT REFERENCES device_types(id) ON DELETE SET NULL,
+        guessed_manufacturer_id INT REFERENCES manufacturers(id) ON DELETE SET NULL,
+        changes JSONB,
+        review_status VARCHAR(9) NOT NULL DEFAULT 'pending' CHECK (review_status IN ('pending', 'accepted', 'dismissed')),
+        reviewed_by INT REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMP,
+        UNIQUE (scan_id, ip_address)
+      );
+      CREATE INDEX IF NOT EXISTS discovery_hosts_pending_idx ON discovery_hosts (scan_id) WHERE review_status = 'pending';
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS discovery_hosts;
+      DROP TABLE IF EXISTS discovery_scans;
+    `);
+  }
+};
@@ -0,0 +1,76 @@
+// Alerting: delivery channels (email, webhook, Slack-compatible webhook), rules that pick an event and filter devices
+// by type and location, the alerts rules raised and one delivery per alert and channel.
+// Deliveries double as the send queue: pending ones are retried with backoff until sent or out of attempts.
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS alert_channels (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        kind VARCHAR(7) NOT NULL CHECK (kind IN ('email', 'webhook', 'slack')),
+        target TEXT NOT NULL,
+        secret VARCHAR(255),
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS alert_channels_name_key ON alert_channels (LOWER(name));
+
+      CREATE TABLE IF NOT EXISTS alert_rules (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        event VARCHAR(30) NOT NULL
+          CHECK (event IN ('device_inactive', 'device_unreachable', 'warranty_expiring', 'assigned_to_inactive_user')),
+        device_type_ids INT[] NOT NULL DEFAULT '{}',
+        location_ids INT[] NOT NULL DEFAULT '{}',
+        warranty_days INT NOT NULL DEFAULT 30 CHECK (warranty_days BETWEEN 1 AND 365),
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        created_by INT REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS alert_rules_name_key ON alert_rules (LOWER(name));
+
+      CREATE TABLE IF NOT EXISTS alert_rule_channels (
+        rule_id INT NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+        channel_id INT NOT NULL REFERENCES alert_channels(id) ON DELETE CASCADE,
+        PRIMARY KEY (rule_id, channel_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS alert_events (
+        id SERIAL PRIMARY KEY,
+        rule_id INT NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+        event VARCHAR(30) NOT NULL,
+        device_id INT REFERENCES devices(id) ON DELETE SET NULL,
+        dedupe_key VARCHAR(200) NOT NULL,
+        subject TEXT NOT NULL,
+        details JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (rule_id, dedupe_key)
+      );
+
+      CREATE TABLE IF NOT EXISTS alert_deliveries (
+        id SERIAL PRIMARY KEY,
+        event_id INT NOT NULL REFERENCES alert_events(id) ON DELETE CASCADE,
+        channel_id INT NOT NULL REFERENCES alert_channels(id) ON DELETE CASCADE,
+        status VARCHAR(7) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (event_id, channel_id)
+      );
+      CREATE INDEX IF NOT EXISTS alert_deliveries_due_idx ON alert_deliveries (next_attempt_at) WHERE status = 'pending';
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS alert_deliveries;
+      DROP TABLE IF EXISTS alert_events;
+      DROP TABLE IF EXISTS alert_rule_channels;
+      DROP TABLE IF EXISTS alert_rules;
+      DROP TABLE IF EXISTS alert_channels;
+    `);
+  }
+};
@@ -0,0 +1,47 @@
+// Outbound webhooks: subscriptions to device change events and the outbox their deliveries go through
+// addHistoryEntry queues one outbox row per matching subscription in the same transaction as the change, so an event
+// is sent if and only if the change was committed. webhooks.js sends pending rows, retrying failures with backoff;
+// delivered and failed rows stay as the delivery log and can be replayed as new rows.
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        url TEXT NOT NULL,
+        secret VARCHAR(255) NOT NULL,
+        events TEXT[] NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_by INT REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS webhooks_name_key ON webhooks (LOWER(name));
+
+      CREATE TABLE IF NOT EXISTS webhook_outbox (
+        id SERIAL PRIMARY KEY,
+        webhook_id INT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event VARCHAR(40) NOT NULL,
+        history_id INT REFERENCES device_history(id) ON DELETE SET NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(9) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        response_status INT,
+        last_error TEXT,
+        delivered_at TIMESTAMP,
+        replay_of INT REFERENCES webhook_outbox(id) ON DELETE SET NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS webhook_outbox_due_idx ON webhook_outbox (next_attempt_at, id) WHERE status = 'pending';
+      CREATE INDEX IF NOT EXISTS webhook_outbox_webhook_idx ON webhook_outbox (webhook_id, id DESC);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS webhook_outbox;
+      DROP TABLE IF EXISTS webhooks;
+    `);
+  }
+};
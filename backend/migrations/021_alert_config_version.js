@@ -0,0 +1,22 @@
+// Alert rules on new config file versions (file uploads), added to the events alert_rules accepts
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE alert_rules DROP CONSTRAINT IF EXISTS alert_rules_event_check;
+      ALTER TABLE alert_rules ADD CONSTRAINT alert_rules_event_check CHECK (event IN (
+        'device_inactive', 'device_unreachable', 'warranty_expiring', 'assigned_to_inactive_user', 'config_version'
+      ));
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DELETE FROM alert_rules WHERE event = 'config_version';
+      ALTER TABLE alert_rules DROP CONSTRAINT IF EXISTS alert_rules_event_check;
+      ALTER TABLE alert_rules ADD CONSTRAINT alert_rules_event_check CHECK (event IN (
+        'device_inactive', 'device_unreachable', 'warranty_expiring', 'assigned_to_inactive_user'
+      ));
+    `);
+  }
+};
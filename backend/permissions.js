@@ -0,0 +1,73 @@
+// Role-based access control for Network Device Inventory
+// Maps each role to the capabilities it grants; routes check capabilities, never role names
+
+const ROLES = ['admin', 'operator', 'viewer'];
+
+// Legacy role names still present in older databases
+const ROLE_ALIASES = {
+  user: 'viewer'
+};
+
+/**
+ * Capability -> roles allowed to use it
+ */
+const CAPABILITIES = {
+  'devices:read': ['admin', 'operator', 'viewer'],
+  'devices:write': ['admin', 'operator'],
+  'devices:assign': ['admin', 'operator'],
+  'devices:delete': ['admin'],
+  'devices:purge': ['admin'],
+  'files:read': ['admin', 'operator', 'viewer'],
+  'files:write': ['admin', 'operator'],
+  'ipam:manage': ['admin', 'operator'],
+  'contracts:manage': ['admin', 'operator'],
+  'locations:manage': ['admin', 'operator'],
+  'snmp:manage': ['admin'],
+  'discovery:run': ['admin', 'operator'],
+  'alerts:manage': ['admin'],
+  'webhooks:manage': ['admin'],
+  'lookups:read': ['admin', 'operator', 'viewer'],
+  'lookups:manage': ['admin'],
+  'users:read': ['admin', 'operator', 'viewer'],
+  'users:manage': ['admin'],
+  'audit:read': ['admin', 'operator']
+};
+
+/**
+ * Normalize a stored role to one of ROLES (unknown roles get the least privilege)
+ * @param {string} role
+ * @returns {string}
+ */
+const normalizeRole = (role) => {
+  const value = String(role || '').toLowerCase();
+  if (ROLES.includes(value)) return value;
+  return ROLE_ALIASES[value] || 'viewer';
+};
+
+/**
+ * Check whether a role grants a capability
+ * @param {string} role
+ * @param {string} capability
+ * @returns {boolean}
+ */
+const hasPermission = (role, capability) => {
+  const allowed = CAPABILITIES[capability];
+  if (!allowed) return false;
+  return allowed.includes(normalizeRole(role));
+};
+
+/**
+ * List every capability granted to a role (sent to the frontend)
+ * @param {string} role
+ * @returns {Array<string>}
+ */
+const getPermissionsForRole = (role) =>
+  Object.keys(CAPABILITIES).filter((capability) => hasPermission(role, capability));
+
+module.exports = {
+  ROLES,
+  CAPABILITIES,
+  normalizeRole,
+  hasPermission,
+  getPermissionsForRole
+};
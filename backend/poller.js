@@ -0,0 +1,233 @@
+// Reachability poller for Network Device Inventory
+// Probes each device's ip_address on a timer, with an ICMP echo (the system ping command) or a TCP connect,
+// and stores the results through queries.js. Configured from the environment (see getPollerConfig).
+
+const net = require('net');
+const { execFile } = require('child_process');
+const {
+  getProbeTargets,
+  recordReachabilityResults,
+  pruneReachabilityChecks
+} = require('./queries');
+
+const PROBE_METHODS = ['icmp', 'tcp'];
+
+/**
+ * Read the poller settings from the environment
+ * @param {Object} [env=process.env]
+ * @returns {{interval_seconds: number, method: string, tcp_port: number, timeout_ms: number, concurrency: number,
+ *   retention_days: number, ping_command: string}} interval_seconds 0 disables the timer (manual runs still work)
+ */
+const getPollerConfig = (env = process.env) => {
+  const number = (value, fallback, min) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isInteger(parsed) && parsed >= min ? parsed : fallback;
+  };
+  const method = String(env.POLL_METHOD || 'icmp').toLowerCase();
+  return {
+    interval_seconds: number(env.POLL_INTERVAL_SECONDS, 300, 0),
+    method: PROBE_METHODS.includes(method) ? method : 'icmp',
+    tcp_port: Math.min(number(env.POLL_TCP_PORT, 22, 1), 65535),
+    timeout_ms: number(env.POLL_TIMEOUT_MS, 2000, 100),
+    concurrency: number(env.POLL_CONCURRENCY, 20, 1),
+    retention_days: number(env.POLL_RETENTION_DAYS, 30, 1),
+    ping_command: env.POLL_PING_COMMAND || 'ping'
+  };
+};
+
+/**
+ * Send one ICMP echo with the system ping command (Linux iputils options)
+ * @param {string} address
+ * @param {Object} config - From getPollerConfig
+ * @returns {Promise<{up: boolean, latency_ms: number|null, error: string|null}>}
+ * @throws {Error} When ping cannot be run at all (not installed), so no result is recorded
+ */
+const probeIcmp = (address, config) =>
+  new Promise((resolve, reject) => {
+    const waitSeconds = String(Math.max(1, Math.ceil(config.timeout_ms / 1000)));
+    const args = ['-n', '-c', '1', '-W', waitSeconds, ...(net.isIPv6(address) ? ['-6'] : []), address];
+    execFile(config.ping_command, args, { timeout: config.timeout_ms + 1000 }, (error, stdout, stderr) => {
+      if (error && (error.code === 'ENOENT' || error.code === 'EACCES')) {
+        reject(new Error(`Cannot run ${config.ping_command}: ${error.code}`));
+        return;
+      }
+      const time = String(stdout).match(/time[=<]\s*([\d.]+)\s*ms/);
+      if (!error) {
+        resolve({ up: true, latency_ms: time ? Number(time[1]) : null, error: null });
+        return;
+      }
+      const reason = String(stderr).trim().split('\n')[0] || (error.killed ? 'ping timed out' : 'no echo reply');
+      resolve({ up: false, latency_ms: null, error: reason });
+    });
+  });
+
+/**
+ * Open (and close) a TCP connection; a refused connection counts as down since the service is not answering
+ * @param {string} address
+ * @param {number} port
+ * @param {Object} config - From getPollerConfig
+ * @returns {Promise<{up: boolean, latency_ms: number|null, error: string|null}>}
+ */
+const probeTcp = (address, port, config) =>
+  new Promise((resolve) => {
+    const started = process.hrtime.bigint();
+    const socket = net.connect({ host: address, port });
+    let done = false;
+    const finish = (up, error) => {
+      if (done) return;
+      done = true;
+      socket.destroy();
+      const elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+      resolve({ up, latency_ms: up ? Math.round(elapsed * 100) / 100 : null, error });
+    };
+    socket.setTimeout(config.timeout_ms);
+    socket.once('connect', () => finish(true, null));
+    socket.once('timeout', () => finish(false, `No answer on TCP ${port} within ${config.timeout_ms} ms`));
+    socket.once('error', (err) =>
+      finish(false, err.code === 'ECONNREFUSED' ? `TCP ${port} refused` : `${err.code || err.message}`)
+    );
+  });
+
+/**
+ * Probe one device with its own method and port, or the poller defaults
+ * @param {Object} device - From getProbeTargets
+ * @param {Object} config - From getPollerConfig
+ * @returns {Promise<Object>} A result for recordReachabilityResults
+ */
+const probeDevice = async (device, config) => {
+  const method = device.probe_method || config.method;
+  const port = method === 'tcp' ? device.probe_port || config.tcp_port : null;
+  const outcome = method === 'tcp'
+    ? await probeTcp(device.ip_address, port, config)
+    : await probeIcmp(device.ip_address, config);
+  return { device_id: device.id, method, port, ...outcome };
+};
+
+/**
+ * Run fn over items with at most `limit` calls in flight
+ */
+const mapWithLimit = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Poller state: the timer, the running full cycle (one at a time) and the outcome of the last one
+let timer = null;
+let running = null;
+let lastRun = null;
+
+/**
+ * Probe devices and record the results
+ * @param {Object} [options]
+ * @param {Array<number>} [options.deviceIds] - Only these devices (a "probe now"); omitted probes every device
+ * @param {Object} [options.config] - Defaults to getPollerConfig()
+ * @returns {Promise<{started_at: string, finished_at: string, probed: number, up: number, down: number,
+ *   failed: number, errors: Array<string>, transitions: Array<Object>, results: Array<Object>}>}
+ */
+const runPollCycle = async ({ deviceIds, config = getPollerConfig() } = {}) => {
+  const startedAt = new Date();
+  const targets = await getProbeTargets(deviceIds);
+  const errors = new Set();
+  const probed = await mapWithLimit(targets, config.concurrency, (device) =>
+    probeDevice(device, config).catch((error) => {
+      errors.add(error.message);
+      return null;
+    })
+  );
+  const results = probed.filter(Boolean);
+  const transitions = await recordReachabilityResults(results);
+  const hostnames = new Map(targets.map((t) => [t.id, t.hostname]));
+  const named = transitions.map((t) => ({ ...t, hostname: hostnames.get(t.device_id) }));
+  return {
+    started_at: startedAt.toISOString(),
+    finished_at: new Date().toISOString(),
+    probed: results.length,
+    up: results.filter((r) => r.up).length,
+    down: results.filter((r) => !r.up).length,
+    failed: targets.length - results.length,
+    errors: [...errors],
+    transitions: named,
+    results
+  };
+};
+
+/**
+ * Run a full cycle unless one is already running, then prune old results
+ * @returns {Promise<Object|null>} The cycle summary, or null when a cycle was already running
+ */
+const runFullCycle = async () => {
+  if (running) return null;
+  const config = getPollerConfig();
+  running = (async () => {
+    try {
+      const summary = await runPollCycle({ config });
+      const pruned = await pruneReachabilityChecks(config.retention_days);
+      const { results, ...rest } = summary;
+      lastRun = { ...rest, pruned };
+      if (summary.errors.length > 0) console.error('Reachability poll errors:', summary.errors.join('; '));
+      return summary;
+    } catch (error) {
+      lastRun = { started_at: new Date().toISOString(), error: error.message };
+      throw error;
+    } finally {
+      running = null;
+    }
+  })();
+  return running;
+};
+
+/**
+ * Start polling every interval_seconds (no-op when 0); the first cycle runs one interval after start
+ */
+const startPoller = () => {
+  const config = getPollerConfig();
+  if (timer || config.interval_seconds === 0) return;
+  const schedule = () => {
+    timer = setTimeout(async () => {
+      try {
+        await runFullCycle();
+      } catch (error) {
+        console.error('Reachability poll failed:', error.message);
+      }
+      if (timer) schedule();
+    }, config.interval_seconds * 1000);
+  };
+  schedule();
+  console.log(`📶 Reachability poller every ${config.interval_seconds}s (${config.method}${config.method === 'tcp' ? `/${config.tcp_port}` : ''})`);
+};
+
+const stopPoller = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+/**
+ * Poller settings, whether a cycle is running and the outcome of the last full cycle
+ */
+const getPollerStatus = () => ({
+  ...getPollerConfig(),
+  enabled: Boolean(timer),
+  running: Boolean(running),
+  last_run: lastRun
+});
+
+module.exports = {
+  PROBE_METHODS,
+  getPollerConfig,
+  probeIcmp,
+  probeTcp,
+  mapWithLimit,
+  runPollCycle,
+  runFullCycle,
+  startPoller,
+  stopPoller,
+  getPollerStatus
+};
@@ -1,8 +1,10 @@
 // PostgreSQL database operations for Network Device Inventory
 // Uses pg Pool for connection management and parameterized queries for security
 
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 const bcrypt = require('bcryptjs');
+const { parseIpQuery, parseMacAddress } = require('./ip');
+const { diffFields, snapshotDevice } = require('./audit');
 require('dotenv').config();
 
 // Configure database connection pool using environment variables
@@ -25,6 +27,9 @@ const poolConfig = process.env.DATABASE_URL
 
 const pool = new Pool(poolConfig);
 
+// DATE columns (purchase dates) stay 'YYYY-MM-DD' strings instead of local-midnight Date objects
+types.setTypeParser(1082, (value) => value);
+
 // Test database connection
 pool.on('connect', () => {
   console.log('✅ Connected to PostgreSQL database');
@@ -35,6 +40,26 @@ pool.on('error', (err) => {
   process.exit(-1);
 });
 
+/**
+ * Run a function inside a transaction
+ * @param {Function} fn - Receives a dedicated client; its return value is passed through
+ * @returns {Promise<*>}
+ */
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 /**
  * Get device type name by id
  */
@@ -59,41 +84,252 @@ const getManufacturerName = async (id) => {
   return result.rows[0]?.name || null;
 };
 
+// Columns GET /devices can return via fields=; joined names come from users and the lookup tables
+const DEVICE_FIELD_SQL = {
+  id: 'd.id',
+  hostname: 'd.hostname',
+  ip_address: 'd.ip_address',
+  device_type: 'd.device_type',
+  device_type_id: 'd.device_type_id',
+  manufacturer_id: 'd.manufacturer_id',
+  location: 'd.location',
+  location_id: 'd.location_id',
+  status: 'd.status',
+  notes: 'd.notes',
+  assigned_user_id: 'd.assigned_user_id',
+  assigned_at: 'd.assigned_at',
+  created_at: 'd.created_at',
+  deleted_at: 'd.deleted_at',
+  deleted_by: 'd.deleted_by',
+  model_id: 'd.model_id',
+  serial_number: 'd.serial_number',
+  asset_tag: 'd.asset_tag',
+  purchase_date: 'd.purchase_date',
+  purchase_order: 'd.purchase_order',
+  purchase_cost: 'd.purchase_cost',
+  rack_position: 'd.rack_position',
+  rack_height: 'd.rack_height',
+  rack_face: 'd.rack_face',
+  probe_method: 'd.probe_method',
+  probe_port: 'd.probe_port',
+  reachable: 'r.up',
+  latency_ms: 'r.latency_ms::float',
+  last_seen: 'r.last_seen',
+  last_checked: 'r.last_checked',
+  assigned_to_name: 'u.name',
+  assigned_to_email: 'u.email',
+  device_type_name: 'dt.name',
+  manufacturer_name: 'm.name',
+  model_name: 'md.name',
+  deleted_by_name: 'del.name'
+};
+
+// Sortable columns; text sorts ignore case and ip_address sorts numerically (inet ordering)
+const DEVICE_SORT_SQL = {
+  id: 'd.id',
+  hostname: 'LOWER(d.hostname)',
+  ip_address: 'd.ip_address',
+  status: 'LOWER(d.status)',
+  location: 'LOWER(d.location)',
+  created_at: 'd.created_at',
+  model_name: 'LOWER(md.name)',
+  serial_number: 'LOWER(d.serial_number)',
+  asset_tag: 'LOWER(d.asset_tag)',
+  purchase_date: 'd.purchase_date',
+  rack_position: 'd.rack_position',
+  last_seen: 'r.last_seen',
+  latency_ms: 'r.latency_ms'
+};
+
+const DEVICE_FROM = `FROM devices d
+       LEFT JOIN users u ON d.assigned_user_id = u.id
+       LEFT JOIN device_types dt ON d.device_type_id = dt.id
+       LEFT JOIN manufacturers m ON d.manufacturer_id = m.id
+       LEFT JOIN models md ON d.model_id = md.id
+       LEFT JOIN users del ON d.deleted_by = del.id
+       LEFT JOIN device_reachability r ON r.device_id = d.id`;
+
+// Latest poller result on device payloads (see device_reachability); reachable is null until the first probe
+const DEVICE_REACHABILITY_COLUMNS = `r.up AS reachable, r.latency_ms::float AS latency_ms, r.last_seen, r.last_checked,
+              r.changed_at AS reachability_changed_at, r.error AS probe_error`;
+
+// SQL behind each search field (see search.js); text fields may match any of several columns
+const SEARCH_FIELD_SQL = {
+  hostname: ['d.hostname'],
+  ip: 'd.ip_address',
+  type: ['COALESCE(dt.name, d.device_type)'],
+  manufacturer: ['m.name'],
+  location: ['d.location'],
+  status: ['d.status'],
+  notes: ['d.notes'],
+  assigned: ['u.name', 'u.email'],
+  model: ['md.name'],
+  serial: ['d.serial_number'],
+  asset_tag: ['d.asset_tag'],
+  purchase_order: ['d.purchase_order'],
+  id: 'd.id',
+  device_type_id: 'd.device_type_id',
+  manufacturer_id: 'd.manufacturer_id',
+  assigned_user_id: 'd.assigned_user_id',
+  model_id: 'd.model_id',
+  location_id: 'd.location_id',
+  rack_position: 'd.rack_position',
+  cost: 'd.purchase_cost',
+  created: 'd.created_at',
+  assigned_at: 'd.assigned_at',
+  purchase_date: 'd.purchase_date',
+  reachability: [`CASE WHEN r.up THEN 'up' WHEN NOT r.up THEN 'down' END`],
+  last_seen: 'r.last_seen',
+  latency: 'r.latency_ms'
+};
+
+const interfaceMatch = (condition) =>
+  `EXISTS (SELECT 1 FROM device_interfaces di
+           LEFT JOIN LATERAL unnest(di.ip_addresses) AS a(addr) ON TRUE
+           WHERE di.device_id = d.id AND ${condition})`;
+
 /**
- * Get all devices from the database
- * @returns {Promise<Array>} Array of device objects
+ * Build the WHERE clause shared by the device list, its count and the stats
+ * @param {Object} filters - See getDevices
+ * @returns {{where: string, values: Array}}
  */
-const getDevices = async (filters = {}) => {
-  try {
-    const conditions = [];
-    const values = [];
-    let paramIndex = 1;
+const buildDeviceWhere = (filters = {}) => {
+  const conditions = [filters.deleted ? 'd.deleted_at IS NOT NULL' : 'd.deleted_at IS NULL'];
+  const values = [];
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+  const likePattern = (value) => value.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%');
 
-    if (filters.search) {
-      conditions.push(`(d.hostname ILIKE $${paramIndex} OR d.ip_address ILIKE $${paramIndex})`);
-      values.push(`%${filters.search}%`);
-      paramIndex++;
+  // Bare words: IPs and CIDR prefixes match by address containment, MACs exactly, anything else by substring.
+  // Interface addresses and MACs count as well as the primary address.
+  const termCondition = (term) => {
+    const ipQuery = parseIpQuery(term);
+    const mac = parseMacAddress(term);
+    if (ipQuery?.type === 'cidr') {
+      const p = param(ipQuery.value);
+      return `d.ip_address <<= network(${p}::inet)
+        OR ${interfaceMatch(`host(a.addr)::inet <<= network(${p}::inet)`)}`;
     }
+    if (ipQuery?.type === 'address') {
+      const p = param(ipQuery.value);
+      return `d.ip_address = ${p}::inet OR d.hostname ILIKE ${param(`%${term}%`)}
+        OR ${interfaceMatch(`host(a.addr)::inet = ${p}::inet`)}`;
+    }
+    if (mac) return interfaceMatch(`di.mac_address = ${param(mac)}::macaddr`);
+    const p = param(`%${term}%`);
+    return `d.hostname ILIKE ${p} OR host(d.ip_address) ILIKE ${p}
+      OR d.serial_number ILIKE ${p} OR d.asset_tag ILIKE ${p} OR md.name ILIKE ${p}
+      OR ${interfaceMatch(`(host(a.addr) ILIKE ${p} OR di.mac_address::text ILIKE ${p})`)}`;
+  };
 
-    if (filters.status) {
-      conditions.push(`LOWER(d.status) = LOWER($${paramIndex})`);
-      values.push(filters.status);
-      paramIndex++;
+  // field:value pairs; several values are alternatives
+  const valueCondition = (clause, { op, value }) => {
+    if (clause.field === 'mac') {
+      if (op === 'none') return `NOT ${interfaceMatch('di.mac_address IS NOT NULL')}`;
+      if (op === 'any') return interfaceMatch('di.mac_address IS NOT NULL');
+      return interfaceMatch(`di.mac_address = ${param(value)}::macaddr`);
+    }
+    // Locations match by ancestry: the node itself or anything below it
+    if (clause.field === 'location_id' && op === '=') {
+      return `d.location_id IN (SELECT id FROM locations WHERE ${param(value)}::numeric = ANY(ancestor_ids))`;
+    }
+    if (clause.field === 'location' && (op === '=' || op === 'like')) {
+      const p = param(op === 'like' ? likePattern(value) : value);
+      const match = (e) => (op === 'like' ? `${e} ILIKE ${p}` : `LOWER(${e}) = LOWER(${p})`);
+      return `${match('d.location')} OR d.location_id IN (
+        SELECT l.id FROM locations l JOIN locations a ON a.id = ANY(l.ancestor_ids) WHERE ${match('a.name')})`;
     }
 
-    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const exprs = [].concat(SEARCH_FIELD_SQL[clause.field]);
+    const cast = { date: '::timestamptz', number: '::numeric' }[clause.type] || '';
+    switch (op) {
+      case 'none':
+        return `NULLIF(${exprs[0]}::text, '') IS NULL`;
+      case 'any':
+        return `NULLIF(${exprs[0]}::text, '') IS NOT NULL`;
+      case 'like': {
+        const p = param(likePattern(value));
+        return exprs.map((e) => `${clause.type === 'ip' ? `host(${e})` : e} ILIKE ${p}`).join(' OR ');
+      }
+      case 'cidr':
+        return `${exprs[0]} <<= network(${param(value)}::inet)`;
+      case 'address':
+        return `${exprs[0]} = ${param(value)}::inet`;
+      case 'between':
+        return `${exprs[0]} >= ${param(value[0])}${cast} AND ${exprs[0]} < ${param(value[1])}${cast}`;
+      default: {
+        const p = param(value);
+        if (clause.type === 'text') return exprs.map((e) => `LOWER(${e}) = LOWER(${p})`).join(' OR ');
+        return `${exprs[0]} ${op} ${p}${cast}`;
+      }
+    }
+  };
 
-    const result = await pool.query(
-      `SELECT d.*, 
+  (filters.query || []).forEach((clause) => {
+    const condition = clause.term !== undefined
+      ? termCondition(clause.term)
+      : clause.values.map((value) => `(${valueCondition(clause, value)})`).join(' OR ');
+    // Negation keeps devices where the field is empty (-location:Lab includes unlocated devices)
+    conditions.push(clause.negate ? `NOT COALESCE((${condition}), FALSE)` : `(${condition})`);
+  });
+
+  if (filters.status) {
+    conditions.push(`LOWER(d.status) = LOWER(${param(filters.status)})`);
+  }
+
+  return { where: `WHERE ${conditions.join(' AND ')}`, values };
+};
+
+/**
+ * Get all devices from the database
+ * @param {Object} [filters]
+ * @param {Array<Object>} [filters.query] - Clauses from parseDeviceSearch; bare words match hostname/IP/MAC
+ *   substring, exact IP or MAC, or CIDR prefix (10.20.0.0/16, 2001:db8::/32), interface addresses and MACs too
+ * @param {string} [filters.status]
+ * @param {boolean} [filters.deleted=false] - true lists the trash instead of live devices
+ * @param {Object} [options]
+ * @param {Array<{field: string, desc: boolean}>} [options.sort] - Keys of DEVICE_SORT_SQL, applied in order
+ * @param {Array<string>} [options.fields] - Keys of DEVICE_FIELD_SQL to return (id is always included)
+ * @param {number} [options.limit] - Page size; omitted returns every match
+ * @param {number} [options.offset=0]
+ * @returns {Promise<Array>} Array of device objects
+ */
+const getDevices = async (filters = {}, options = {}) => {
+  try {
+    const { where, values } = buildDeviceWhere(filters);
+
+    const columns = options.fields?.length
+      ? ['id', ...options.fields.filter((field) => field !== 'id')]
+        .map((field) => `${DEVICE_FIELD_SQL[field]} AS ${field}`)
+        .join(', ')
+      : `d.*,
               u.name AS assigned_to_name, u.email AS assigned_to_email,
               dt.name AS device_type_name,
-              m.name AS manufacturer_name
-       FROM devices d
-       LEFT JOIN users u ON d.assigned_user_id = u.id
-       LEFT JOIN device_types dt ON d.device_type_id = dt.id
-       LEFT JOIN manufacturers m ON d.manufacturer_id = m.id
-       ${whereClause}
-       ORDER BY d.id ASC`,
+              m.name AS manufacturer_name,
+              md.name AS model_name,
+              del.name AS deleted_by_name,
+              ${DEVICE_REACHABILITY_COLUMNS}`;
+
+    // The trash defaults to most recently deleted; the id tie-break keeps pages stable
+    const order = options.sort?.length
+      ? options.sort.map(({ field, desc }) => `${DEVICE_SORT_SQL[field]} ${desc ? 'DESC' : 'ASC'} NULLS LAST`)
+      : [filters.deleted ? 'd.deleted_at DESC' : 'd.id ASC'];
+    if (!order.some((clause) => clause.startsWith('d.id '))) order.push('d.id ASC');
+
+    let pageClause = '';
+    if (options.limit) {
+      pageClause = `LIMIT $${values.length + 1} OFFSET $${values.length + 2}`;
+      values.push(options.limit, options.offset || 0);
+    }
+
+    const result = await pool.query(
+      `SELECT ${columns}
+       ${DEVICE_FROM}
+       ${where}
+       ORDER BY ${order.join(', ')}
+       ${pageClause}`,
       values
     );
     return result.rows;
@@ -103,24 +339,115 @@ const getDevices = async (filters = {}) => {
   }
 };
 
+/**
+ * Count the devices matching a filter (the total behind a page of getDevices)
+ * @param {Object} [filters] - See getDevices
+ * @returns {Promise<number>}
+ */
+const countDevices = async (filters = {}) => {
+  const { where, values } = buildDeviceWhere(filters);
+  const result = await pool.query(`SELECT COUNT(*)::int AS total ${DEVICE_FROM} ${where}`, values);
+  return result.rows[0].total;
+};
+
+/**
+ * Dashboard statistics over every device matching a filter
+ * @param {Object} [filters] - See getDevices
+ * @param {Object} [options]
+ * @param {string} [options.locationLevel] - One of LOCATION_KINDS: count each device at its nearest location of
+ *   that level or above (a rack counts toward its room, floor, building or site); omitted counts the exact location
+ * @returns {Promise<{total: number, assigned: number, by_status: Object<string, number>,
+ *   by_location: Array<{location_id: number|null, location: string|null, count: number}>,
+ *   by_type: Array<{device_type: string, count: number}>}>}
+ */
+const getDeviceStats = async (filters = {}, { locationLevel } = {}) => {
+  const { where, values } = buildDeviceWhere(filters);
+  const rank = LOCATION_KINDS.indexOf(locationLevel) + 1;
+  const kinds = `ARRAY[${LOCATION_KINDS.map((kind) => `'${kind}'`).join(', ')}]`;
+  const locationJoin = rank > 0
+    ? `LEFT JOIN locations dl ON dl.id = d.location_id
+       LEFT JOIN LATERAL (
+         SELECT a.id, a.path FROM locations a
+         WHERE a.id = ANY(dl.ancestor_ids) AND array_position(${kinds}, a.kind::text) <= ${rank}
+         ORDER BY a.depth DESC LIMIT 1
+       ) loc ON TRUE`
+    : 'LEFT JOIN locations loc ON loc.id = d.location_id';
+  const [totals, statuses, locations, types] = await Promise.all([
+    pool.query(
+      `SELECT COUNT(*)::int AS total, COUNT(d.assigned_user_id)::int AS assigned
+       ${DEVICE_FROM}
+       ${where}`,
+      values
+    ),
+    pool.query(
+      `SELECT LOWER(d.status) AS status, COUNT(*)::int AS count
+       ${DEVICE_FROM}
+       ${where}
+       GROUP BY LOWER(d.status)`,
+      values
+    ),
+    pool.query(
+      `SELECT loc.id AS location_id, loc.path AS location, COUNT(*)::int AS count
+       ${DEVICE_FROM}
+       ${locationJoin}
+       ${where}
+       GROUP BY loc.id, loc.path
+       ORDER BY count DESC, location ASC`,
+      values
+    ),
+    pool.query(
+      `SELECT COALESCE(dt.name, d.device_type) AS device_type, COUNT(*)::int AS count
+       ${DEVICE_FROM}
+       ${where}
+       GROUP BY COALESCE(dt.name, d.device_type)
+       ORDER BY count DESC, device_type ASC`,
+      values
+    )
+  ]);
+  return {
+    ...totals.rows[0],
+    by_status: Object.fromEntries(statuses.rows.map((row) => [row.status || 'unknown', row.count])),
+    by_location: locations.rows,
+    by_type: types.rows
+  };
+};
+
+// Model, asset and purchase columns (all optional)
+const DEVICE_ASSET_FIELDS = ['model_id', 'serial_number', 'asset_tag', 'purchase_date', 'purchase_order', 'purchase_cost'];
+
+// Rack placement columns: lowest U occupied (null = not placed), height in U and front/rear face
+const DEVICE_RACK_FIELDS = ['rack_position', 'rack_height', 'rack_face'];
+
+// Reachability probe overrides: method (icmp, tcp, none) and TCP port; null uses the poller defaults
+const DEVICE_PROBE_FIELDS = ['probe_method', 'probe_port'];
+
+// SNMP credential of the device itself; null inherits one from the nearest location above it
+const DEVICE_SNMP_FIELDS = ['snmp_credential_id'];
+
 /**
  * Get a single device by ID
  * @param {number} id - Device ID
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDeleted=false] - Also return a device that is in the trash
  * @returns {Promise<Object|null>} Device object or null if not found
  */
-const getDeviceById = async (id) => {
+const getDeviceById = async (id, { includeDeleted = false } = {}) => {
   try {
     const result = await pool.query(
       `SELECT d.*, 
               u.name AS assigned_to_name, u.email AS assigned_to_email,
               dt.name AS device_type_name,
-              m.name AS manufacturer_name
+              m.name AS manufacturer_name,
+              md.name AS model_name, md.eos_date AS model_eos_date, md.eol_date AS model_eol_date,
+              ${DEVICE_REACHABILITY_COLUMNS}
        FROM devices d
        LEFT JOIN users u ON d.assigned_user_id = u.id
        LEFT JOIN device_types dt ON d.device_type_id = dt.id
        LEFT JOIN manufacturers m ON d.manufacturer_id = m.id
-       WHERE d.id = $1`,
-      [id]
+       LEFT JOIN models md ON d.model_id = md.id
+       LEFT JOIN device_reachability r ON r.device_id = d.id
+       WHERE d.id = $1 AND ($2 OR d.deleted_at IS NULL)`,
+      [id, includeDeleted]
     );
     return result.rows[0] || null;
   } catch (error) {
@@ -135,12 +462,25 @@ const getDeviceById = async (id) => {
  * @param {string} data.hostname - Device hostname (required)
  * @param {string} data.ip_address - IP address (required)
  * @param {string} data.device_type - Device type (required)
- * @param {string} [data.location] - Device location
+ * @param {number} [data.location_id] - Location node (see locations)
+ * @param {string} [data.location] - Path text of location_id
  * @param {string} [data.status] - Device status (default: 'active')
  * @param {string} [data.notes] - Additional notes
+ * @param {number} [data.model_id] - Hardware model (see models)
+ * @param {string} [data.serial_number] - Unique ignoring case
+ * @param {string} [data.asset_tag] - Unique ignoring case
+ * @param {string} [data.purchase_date] - YYYY-MM-DD
+ * @param {string} [data.purchase_order]
+ * @param {number} [data.purchase_cost]
+ * @param {number} [data.rack_position] - Lowest rack unit occupied (location_id must be a rack)
+ * @param {number} [data.rack_height=1] - Height in U
+ * @param {string} [data.rack_face='front'] - 'front' or 'rear'
+ * @param {number} [data.snmp_credential_id] - Omitted inherits the location's
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Audit context; the 'created' history entry commits with the device
  * @returns {Promise<Object>} Created device object with all fields including id and created_at
  */
-const createDevice = async (data) => {
+const createDevice = async (data, { actor = {} } = {}) => {
   try {
     const {
       hostname,
@@ -148,9 +488,22 @@ const createDevice = async (data) => {
       device_type,
       device_type_id,
       manufacturer_id,
+      location_id,
       location,
       status,
-      notes
+      notes,
+      model_id,
+      serial_number,
+      asset_tag,
+      purchase_date,
+      purchase_order,
+      purchase_cost,
+      rack_position,
+      rack_height,
+      rack_face,
+      probe_method,
+      probe_port,
+      snmp_credential_id
     } = data;
 
     let resolvedType = device_type;
@@ -159,36 +512,255 @@ const createDevice = async (data) => {
     }
     
     // Use DEFAULT for status if not provided, and handle NULL for optional fields
-    const result = await pool.query(
-      `INSERT INTO devices (hostname, ip_address, device_type, device_type_id, manufacturer_id, location, status, notes)
-       VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 'active'), $8)
-       RETURNING *`,
-      [
-        hostname,
-        ip_address,
-        resolvedType || 'Other',
-        device_type_id || null,
-        manufacturer_id || null,
-        location || null,
-        status || 'active',
-        notes || null
-      ]
-    );
-    
-    return result.rows[0];
+    return await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO devices (hostname, ip_address, device_type, device_type_id, manufacturer_id, location, status, notes,
+                              model_id, serial_number, asset_tag, purchase_date, purchase_order, purchase_cost, location_id,
+                              rack_position, rack_height, rack_face, probe_method, probe_port, snmp_credential_id)
+         VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 'active'), $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18,
+                 $19, $20, $21)
+         RETURNING *`,
+        [
+          hostname,
+          ip_address,
+          resolvedType || 'Other',
+          device_type_id || null,
+          manufacturer_id || null,
+          location || null,
+          status || 'active',
+          notes || null,
+          model_id || null,
+          serial_number || null,
+          asset_tag || null,
+          purchase_date || null,
+          purchase_order || null,
+          purchase_cost ?? null,
+          location_id || null,
+          rack_position || null,
+          rack_height || 1,
+          rack_face || 'front',
+          probe_method || null,
+          probe_port || null,
+          snmp_credential_id || null
+        ]
+      );
+      const device = result.rows[0];
+      await addHistoryEntry(
+        { ...actor, device_id: device.id, action: 'created', details: { device: snapshotDevice(device) } },
+        client
+      );
+      return device;
+    });
   } catch (error) {
     console.error('Error creating device:', error);
     throw error;
   }
 };
 
+/**
+ * Find existing devices that share a hostname (case-insensitive) or IP with import candidates
+ * @param {Array<string>} hostnames
+ * @param {Array<string>} ipAddresses - Validated addresses
+ * @returns {Promise<Array<{id: number, hostname: string, ip_address: string}>>}
+ */
+const findDevicesByIdentity = async (hostnames, ipAddresses) => {
+  if (hostnames.length === 0 && ipAddresses.length === 0) return [];
+  const result = await pool.query(
+    `SELECT id, hostname, host(ip_address) AS ip_address
+     FROM devices
+     WHERE deleted_at IS NULL AND (LOWER(hostname) = ANY($1::text[]) OR ip_address = ANY($2::inet[]))`,
+    [hostnames.map((h) => h.toLowerCase()), ipAddresses]
+  );
+  return result.rows;
+};
+
+/**
+ * Find devices (trashed ones included) holding any of the given serial numbers or asset tags, ignoring case
+ * @param {Array<string>} serials
+ * @param {Array<string>} assetTags
+ * @returns {Promise<Array<{id: number, hostname: string, serial_number: string, asset_tag: string, trashed: boolean}>>}
+ */
+const findDevicesByAssetIds = async (serials, assetTags) => {
+  if (serials.length === 0 && assetTags.length === 0) return [];
+  const result = await pool.query(
+    `SELECT id, hostname, serial_number, asset_tag, deleted_at IS NOT NULL AS trashed
+     FROM devices
+     WHERE LOWER(serial_number) = ANY($1::text[]) OR LOWER(asset_tag) = ANY($2::text[])`,
+    [serials.map((s) => s.toLowerCase()), assetTags.map((t) => t.toLowerCase())]
+  );
+  return result.rows;
+};
+
+/**
+ * Insert imported devices in a single transaction (all or nothing)
+ * @param {Array<Object>} rows - Validated rows: createDevice fields (asset and purchase fields included) plus optional
+ *   assigned_user_id
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Audit context of the user running the import (see audit.js)
+ * @returns {Promise<Array<Object>>} Created devices
+ */
+const importDevices = async (rows, { actor = {} } = {}) =>
+  withTransaction(async (client) => {
+    const created = [];
+    for (const row of rows) {
+      const result = await client.query(
+        `INSERT INTO devices
+           (hostname, ip_address, device_type, device_type_id, manufacturer_id, location, status, notes,
+            assigned_user_id, assigned_at, location_id, model_id, serial_number, asset_tag, purchase_date,
+            purchase_order, purchase_cost)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CASE WHEN $9::int IS NULL THEN NULL ELSE NOW() END, $10,
+                 $11, $12, $13, $14, $15, $16)
+         RETURNING *`,
+        [
+          row.hostname,
+          row.ip_address,
+          row.device_type,
+          row.device_type_id,
+          row.manufacturer_id || null,
+          row.location || null,
+          row.status || 'active',
+          row.notes || null,
+          row.assigned_user_id || null,
+          row.location_id || null,
+          row.model_id || null,
+          row.serial_number || null,
+          row.asset_tag || null,
+          row.purchase_date || null,
+          row.purchase_order || null,
+          row.purchase_cost || null
+        ]
+      );
+      const device = result.rows[0];
+      await addHistoryEntry(
+        { ...actor, device_id: device.id, action: 'imported', details: { line: row.line, device: snapshotDevice(device) } },
+        client
+      );
+      if (row.assigned_user_id) {
+        await addHistoryEntry(
+          {
+            ...actor,
+            device_id: device.id,
+            action: 'assigned',
+            details: { assigned_user_id: row.assigned_user_id, reason: 'import' }
+          },
+          client
+        );
+      }
+      created.push(device);
+    }
+    return created;
+  });
+
+// Columns a bulk "update" may change (location always travels with location_id)
+const BULK_UPDATE_FIELDS = ['status', 'location_id', 'location', 'device_type_id', 'manufacturer_id'];
+
+/**
+ * Apply one action to many devices in a single transaction, with a history entry per affected device
+ * @param {Array<number>} ids - Device IDs (all must exist, otherwise nothing changes)
+ * @param {string} action - 'update' | 'assign' | 'checkin' | 'delete'
+ * @param {Object} [payload]
+ * @param {Object} [payload.changes] - For 'update': any of status, location_id (with its location path),
+ *   device_type_id, manufacturer_id
+ * @param {number} [payload.userId] - For 'assign': user receiving the devices
+ * @param {Object} [payload.actor] - Audit context of the user performing the operation
+ * @returns {Promise<{missing: Array<number>, affected: Array<number>}>} missing is non-empty when nothing ran
+ */
+const bulkUpdateDevices = async (ids, action, { changes = {}, userId = null, actor = {} } = {}) =>
+  withTransaction(async (client) => {
+    const locked = await client.query(
+      'SELECT * FROM devices WHERE id = ANY($1::int[]) AND deleted_at IS NULL ORDER BY id FOR UPDATE',
+      [ids]
+    );
+    const found = new Set(locked.rows.map((d) => d.id));
+    const missing = ids.filter((id) => !found.has(id));
+    if (missing.length > 0) return { missing, affected: [] };
+
+    const affected = [];
+    for (const device of locked.rows) {
+      if (action === 'update') {
+        const diff = {};
+        BULK_UPDATE_FIELDS.forEach((field) => {
+          if (changes[field] !== undefined && changes[field] !== device[field]) {
+            diff[field] = { from: device[field], to: changes[field] };
+          }
+        });
+        if (Object.keys(diff).length === 0) continue;
+        // A device moved to another location leaves its rack slot
+        if (diff.location_id && device.rack_position !== null) {
+          diff.rack_position = { from: device.rack_position, to: null };
+        }
+        const sets = Object.keys(diff).map((field, i) => `${field} = $${i + 2}`);
+        // Keep the legacy device_type text column in step with the lookup
+        if (diff.device_type_id) {
+          sets.push(`device_type = (SELECT name FROM device_types WHERE id = $${sets.length + 2})`);
+        }
+        await client.query(
+          `UPDATE devices SET ${sets.join(', ')} WHERE id = $1`,
+          [
+            device.id,
+            ...Object.values(diff).map((change) => change.to),
+            ...(diff.device_type_id ? [diff.device_type_id.to] : [])
+          ]
+        );
+        await addHistoryEntry(
+          { ...actor, device_id: device.id, action: 'updated', details: { changes: diff, reason: 'bulk' } },
+          client
+        );
+      } else if (action === 'assign') {
+        if (device.assigned_user_id === userId) continue;
+        await client.query(
+          'UPDATE devices SET assigned_user_id = $1, assigned_at = NOW() WHERE id = $2',
+          [userId, device.id]
+        );
+        await addHistoryEntry(
+          {
+            ...actor,
+            device_id: device.id,
+            action: 'assigned',
+            details: { assigned_user_id: userId, previous_user_id: device.assigned_user_id, reason: 'bulk' }
+          },
+          client
+        );
+      } else if (action === 'checkin') {
+        if (!device.assigned_user_id) continue;
+        await client.query(
+          'UPDATE devices SET assigned_user_id = NULL, assigned_at = NULL WHERE id = $1',
+          [device.id]
+        );
+        await addHistoryEntry(
+          {
+            ...actor,
+            device_id: device.id,
+            action: 'checked_in',
+            details: { previous_user_id: device.assigned_user_id, reason: 'bulk' }
+          },
+          client
+        );
+      } else if (action === 'delete') {
+        await client.query(
+          'UPDATE devices SET deleted_at = NOW(), deleted_by = $2 WHERE id = $1',
+          [device.id, actor.user_id || null]
+        );
+        await addHistoryEntry(
+          { ...actor, device_id: device.id, action: 'deleted', details: { device: snapshotDevice(device), reason: 'bulk' } },
+          client
+        );
+      } else {
+        throw new Error(`Unknown bulk action "${action}"`);
+      }
+      affected.push(device.id);
+    }
+    return { missing, affected };
+  });
+
 /**
  * Get the next version number for a device file
  * @param {number} deviceId - Device ID
+ * @param {Object} [client=pool] - Transaction client when called inside withTransaction
  * @returns {Promise<number>} Next version number
  */
-const getNextFileVersion = async (deviceId) => {
-  const result = await pool.query(
+const getNextFileVersion = async (deviceId, client = pool) => {
+  const result = await client.query(
     'SELECT COALESCE(MAX(version), 0) + 1 AS next_version FROM device_files WHERE device_id = $1',
     [deviceId]
   );
@@ -203,19 +775,32 @@ const getNextFileVersion = async (deviceId) => {
  * @param {string} data.storage_path
  * @param {string} [data.content_type]
  * @param {number} [data.file_size]
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Audit context; the 'file_uploaded' history entry commits with the file
  * @returns {Promise<Object>} Created file record
  */
-const addDeviceFile = async (data) => {
-  const { device_id, filename, storage_path, content_type, file_size } = data;
-  const version = await getNextFileVersion(device_id);
-  const result = await pool.query(
-    `INSERT INTO device_files (device_id, filename, storage_path, version, content_type, file_size)
-     VALUES ($1, $2, $3, $4, $5, $6)
-     RETURNING *`,
-    [device_id, filename, storage_path, version, content_type || null, file_size || null]
-  );
-  return result.rows[0];
-};
+const addDeviceFile = async (data, { actor = {} } = {}) =>
+  withTransaction(async (client) => {
+    const { device_id, filename, storage_path, content_type, file_size } = data;
+    const version = await getNextFileVersion(device_id, client);
+    const result = await client.query(
+      `INSERT INTO device_files (device_id, filename, storage_path, version, content_type, file_size)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [device_id, filename, storage_path, version, content_type || null, file_size || null]
+    );
+    const file = result.rows[0];
+    await addHistoryEntry(
+      {
+        ...actor,
+        device_id,
+        action: 'file_uploaded',
+        details: { file_id: file.id, filename: file.filename, version: file.version, file_size: file.file_size }
+      },
+      client
+    );
+    return file;
+  });
 
 /**
  * Get device files
@@ -235,11 +820,15 @@ const getDeviceFiles = async (deviceId) => {
 
 /**
  * Update an existing device
+ * An 'updated' history entry with the changed fields commits with the update (none when nothing changed).
  * @param {number} id - Device ID
  * @param {Object} data - Updated device data
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Audit context of the user making the change
+ * @param {string} [options.reason] - Recorded in the history entry (e.g. 'snmp')
  * @returns {Promise<Object|null>} Updated device object or null if not found
  */
-const updateDevice = async (id, data) => {
+const updateDevice = async (id, data, { actor = {}, reason = null } = {}) => {
   try {
     const { hostname, ip_address, device_type, location, status, notes } = data;
     
@@ -272,6 +861,10 @@ const updateDevice = async (id, data) => {
       fields.push(`location = $${paramIndex++}`);
       values.push(location);
     }
+    if (data.location_id !== undefined) {
+      fields.push(`location_id = $${paramIndex++}`);
+      values.push(data.location_id);
+    }
     if (status !== undefined) {
       fields.push(`status = $${paramIndex++}`);
       values.push(status);
@@ -288,6 +881,12 @@ const updateDevice = async (id, data) => {
       fields.push(`assigned_at = $${paramIndex++}`);
       values.push(data.assigned_at);
     }
+    [...DEVICE_ASSET_FIELDS, ...DEVICE_RACK_FIELDS, ...DEVICE_PROBE_FIELDS, ...DEVICE_SNMP_FIELDS].forEach((key) => {
+      if (data[key] !== undefined) {
+        fields.push(`${key} = $${paramIndex++}`);
+        values.push(data[key] === '' ? null : data[key]);
+      }
+    });
     
     if (fields.length === 0) {
       // No fields to update, just return the existing device
@@ -296,15 +895,25 @@ const updateDevice = async (id, data) => {
     
     // Add id as the last parameter
     values.push(id);
-    const result = await pool.query(
-      `UPDATE devices 
-       SET ${fields.join(', ')}
-       WHERE id = $${paramIndex}
-       RETURNING *`,
-      values
-    );
-    
-    return result.rows[0] || null;
+    return await withTransaction(async (client) => {
+      const before = await client.query('SELECT * FROM devices WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+      if (!before.rows[0]) return null;
+      const result = await client.query(
+        `UPDATE devices 
+         SET ${fields.join(', ')}
+         WHERE id = $${paramIndex}
+         RETURNING *`,
+        values
+      );
+      const changes = diffFields(before.rows[0], result.rows[0]);
+      if (Object.keys(changes).length > 0) {
+        await addHistoryEntry(
+          { ...actor, device_id: id, action: 'updated', details: reason ? { changes, reason } : { changes } },
+          client
+        );
+      }
+      return result.rows[0];
+    });
   } catch (error) {
     console.error(`Error updating device with id ${id}:`, error);
     throw error;
@@ -312,82 +921,300 @@ const updateDevice = async (id, data) => {
 };
 
 /**
- * Assign a device to a user
+ * Assign a device to a user, with its 'assigned' history entry in the same transaction
  * @param {number} deviceId
  * @param {number} userId
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Audit context of the user making the change
  * @returns {Promise<Object|null>} Updated device with join fields
  */
-const assignDeviceToUser = async (deviceId, userId) => {
-  await pool.query(
-    `UPDATE devices
-     SET assigned_user_id = $1, assigned_at = NOW()
-     WHERE id = $2`,
-    [userId, deviceId]
-  );
+const assignDeviceToUser = async (deviceId, userId, { actor = {} } = {}) => {
+  await withTransaction(async (client) => {
+    const previous = await client.query(
+      `UPDATE devices d
+       SET assigned_user_id = $1, assigned_at = NOW()
+       FROM (SELECT id, assigned_user_id FROM devices WHERE id = $2 FOR UPDATE) old
+       WHERE d.id = old.id
+       RETURNING old.assigned_user_id`,
+      [userId, deviceId]
+    );
+    if (!previous.rows[0]) return;
+    await addHistoryEntry(
+      {
+        ...actor,
+        device_id: deviceId,
+        action: 'assigned',
+        details: { assigned_user_id: userId, previous_user_id: previous.rows[0].assigned_user_id }
+      },
+      client
+    );
+  });
   return getDeviceById(deviceId);
 };
 
 /**
- * Check in (unassign) a device
+ * Check in (unassign) a device, with its 'checked_in' history entry in the same transaction
  * @param {number} deviceId
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Audit context of the user making the change
  * @returns {Promise<Object|null>} Updated device with join fields
  */
-const unassignDevice = async (deviceId) => {
-  await pool.query(
-    `UPDATE devices
-     SET assigned_user_id = NULL, assigned_at = NULL
-     WHERE id = $1`,
-    [deviceId]
-  );
+const unassignDevice = async (deviceId, { actor = {} } = {}) => {
+  await withTransaction(async (client) => {
+    const previous = await client.query(
+      `UPDATE devices d
+       SET assigned_user_id = NULL, assigned_at = NULL
+       FROM (SELECT id, assigned_user_id FROM devices WHERE id = $1 FOR UPDATE) old
+       WHERE d.id = old.id
+       RETURNING old.assigned_user_id`,
+      [deviceId]
+    );
+    if (!previous.rows[0]) return;
+    await addHistoryEntry(
+      {
+        ...actor,
+        device_id: deviceId,
+        action: 'checked_in',
+        details: { previous_user_id: previous.rows[0].assigned_user_id }
+      },
+      client
+    );
+  });
   return getDeviceById(deviceId);
 };
 
 /**
- * Add a history entry
+ * Add a history (audit) entry
+ * device_hostname is filled from the device when omitted, so the entry stays readable after a delete.
+ * Device changes webhooks subscribe to are queued in the webhook outbox on the same client; without a transaction
+ * client, the entry and its outbox rows get a transaction of their own.
+ * @param {Object} entry
+ * @param {number} [entry.device_id] - Device concerned (null for lookup changes)
+ * @param {string} entry.action - e.g. created, updated, deleted, assigned, file_uploaded
+ * @param {number} [entry.user_id] - Acting session user
+ * @param {Object} [entry.details] - Action-specific data; updates carry { changes: { field: { from, to } } }
+ * @param {string} [entry.entity_type='device'] - device, device_type, manufacturer, ...
+ * @param {number} [entry.entity_id] - Defaults to device_id
+ * @param {string} [entry.ip_address] - Client IP
+ * @param {string} [entry.user_agent] - Client user agent
+ * @param {Object} [client=pool] - Transaction client when called inside withTransaction
  */
-const addHistoryEntry = async ({ device_id, action, user_id = null, details = null }) => {
-  const result = await pool.query(
-    `INSERT INTO device_history (device_id, action, user_id, details)
-     VALUES ($1, $2, $3, $4)
+const addHistoryEntry = async (entry, client = pool) => {
+  if (client === pool) return withTransaction((transaction) => addHistoryEntry(entry, transaction));
+  const {
+    device_id = null,
+    action,
+    user_id = null,
+    details = null,
+    entity_type = 'device',
+    entity_id = null,
+    device_hostname = null,
+    ip_address = null,
+    user_agent = null
+  } = entry;
+  const result = await client.query(
+    `INSERT INTO device_history
+       (device_id, action, user_id, details, entity_type, entity_id, device_hostname, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6,
+             COALESCE($7, (SELECT hostname FROM devices WHERE id = $1)), $8, $9)
      RETURNING *`,
-    [device_id, action, user_id, details ? JSON.stringify(details) : null]
+    [
+      device_id,
+      action,
+      user_id,
+      details ? JSON.stringify(details) : null,
+      entity_type,
+      entity_id ?? device_id,
+      device_hostname,
+      ip_address,
+      user_agent
+    ]
   );
+  await queueWebhookEvent(result.rows[0], client);
   return result.rows[0];
 };
 
+const HISTORY_SELECT = `
+  SELECT h.id, h.device_id, h.action, h.user_id, h.details, h.entity_type, h.entity_id,
+         h.device_hostname, host(h.ip_address) AS ip_address, h.user_agent, h.created_at,
+         u.name AS user_name, u.email AS user_email
+  FROM device_history h
+  LEFT JOIN users u ON h.user_id = u.id`;
+
 /**
- * Get device history
+ * Get device history (also works for deleted devices)
  */
 const getDeviceHistory = async (deviceId) => {
   const result = await pool.query(
-    `SELECT h.*, u.name AS user_name, u.email AS user_email
-     FROM device_history h
-     LEFT JOIN users u ON h.user_id = u.id
+    `${HISTORY_SELECT}
      WHERE h.device_id = $1
-     ORDER BY h.created_at DESC`,
+     ORDER BY h.created_at DESC, h.id DESC`,
     [deviceId]
   );
   return result.rows;
 };
 
 /**
- * Delete a device by ID
+ * Search the audit trail
+ * @param {Object} [filters]
+ * @param {number} [filters.userId]
+ * @param {Array<string>} [filters.actions]
+ * @param {number} [filters.deviceId]
+ * @param {string} [filters.entityType]
+ * @param {string} [filters.from] - ISO date/time, inclusive
+ * @param {string} [filters.to] - ISO date/time, exclusive
+ * @param {number} [filters.limit=100]
+ * @param {number} [filters.offset=0]
+ * @returns {Promise<{total: number, entries: Array<Object>}>}
+ */
+const getAuditEntries = async (filters = {}) => {
+  const conditions = [];
+  const values = [];
+  const add = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+
+  if (filters.userId) add('h.user_id = ?', filters.userId);
+  if (filters.actions?.length) add('h.action = ANY(?::text[])', filters.actions);
+  if (filters.deviceId) add('h.device_id = ?', filters.deviceId);
+  if (filters.entityType) add('h.entity_type = ?', filters.entityType);
+  if (filters.from) add('h.created_at >= ?::timestamptz', filters.from);
+  if (filters.to) add('h.created_at < ?::timestamptz', filters.to);
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM device_history h ${where}`, values);
+
+  const limit = filters.limit || 100;
+  const offset = filters.offset || 0;
+  const result = await pool.query(
+    `${HISTORY_SELECT}
+     ${where}
+     ORDER BY h.created_at DESC, h.id DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, offset]
+  );
+  return { total: countResult.rows[0].total, entries: result.rows };
+};
+
+/**
+ * Move a device to the trash (soft delete); files, interfaces and history are kept
  * @param {number} id - Device ID
- * @returns {Promise<Object|null>} Deleted device object or null if not found
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Audit context of the user deleting the device (also recorded as deleted_by);
+ *   the 'deleted' history entry commits with the delete
+ * @returns {Promise<Object|null>} Deleted device object or null if not found (or already in the trash)
  */
-const deleteDevice = async (id) => {
+const deleteDevice = async (id, { actor = {} } = {}) => {
   try {
-    const result = await pool.query(
-      'DELETE FROM devices WHERE id = $1 RETURNING *',
-      [id]
-    );
-    return result.rows[0] || null;
+    return await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE devices
+         SET deleted_at = NOW(), deleted_by = $2
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING *`,
+        [id, actor.user_id || null]
+      );
+      const device = result.rows[0];
+      if (!device) return null;
+      await addHistoryEntry(
+        {
+          ...actor,
+          device_id: id,
+          action: 'deleted',
+          device_hostname: device.hostname,
+          details: { device: snapshotDevice(device) }
+        },
+        client
+      );
+      return device;
+    });
   } catch (error) {
     console.error(`Error deleting device with id ${id}:`, error);
     throw error;
   }
 };
 
+// Another live device on the same rack face whose units overlap those of device d
+const RACK_CONFLICT_SQL = `
+  SELECT 1 FROM devices o
+  WHERE o.location_id = d.location_id AND o.rack_face = d.rack_face AND o.id <> d.id
+    AND o.deleted_at IS NULL AND o.rack_position IS NOT NULL AND d.rack_position IS NOT NULL
+    AND int4range(o.rack_position, o.rack_position + o.rack_height) && int4range(d.rack_position, d.rack_position + d.rack_height)`;
+
+// The location of device d is (still) a rack with room for its units
+const RACK_FITS_SQL = `
+  SELECT 1 FROM locations l
+  WHERE l.id = d.location_id AND l.kind = 'rack' AND d.rack_position + d.rack_height - 1 <= l.rack_units`;
+
+/**
+ * Restore a device from the trash
+ * If its rack slot has been taken in the meantime, or its location is no longer a rack tall enough for it, it is
+ * restored without a rack position.
+ * @param {number} id - Device ID
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Audit context; the 'restored' history entry commits with the restore
+ * @returns {Promise<Object|null>} Restored device or null if it is not in the trash
+ */
+const restoreDevice = async (id, { actor = {} } = {}) => {
+  const restored = await withTransaction(async (client) => {
+    // Rack edits only check live devices: while it was in the trash its slot may have been taken, or the rack shrunk
+    // or changed kind. It then comes back unplaced
+    const result = await client.query(
+      `UPDATE devices d
+       SET deleted_at = NULL, deleted_by = NULL,
+           rack_position = CASE WHEN EXISTS (${RACK_CONFLICT_SQL}) OR NOT EXISTS (${RACK_FITS_SQL}) THEN NULL
+                                ELSE d.rack_position END
+       FROM (SELECT id, rack_position FROM devices WHERE id = $1 FOR UPDATE) old
+       WHERE d.id = old.id AND d.deleted_at IS NOT NULL
+       RETURNING d.rack_position, old.rack_position AS previous_rack_position`,
+      [id]
+    );
+    const row = result.rows[0];
+    if (!row) return false;
+    const unplaced = row.previous_rack_position !== null && row.rack_position === null;
+    await addHistoryEntry(
+      {
+        ...actor,
+        device_id: id,
+        action: 'restored',
+        details: unplaced ? { changes: { rack_position: { from: row.previous_rack_position, to: null } } } : null
+      },
+      client
+    );
+    return true;
+  });
+  return restored ? getDeviceById(id) : null;
+};
+
+/**
+ * Permanently remove a trashed device with its file records, interfaces and their cables (history is kept)
+ * @param {number} id - Device ID
+ * @returns {Promise<{device: Object, files: Array<Object>}|null>} Purged device and its file records,
+ *   or null if the device is not in the trash. The caller removes the stored files.
+ */
+const purgeDevice = async (id) =>
+  withTransaction(async (client) => {
+    const files = await client.query(
+      'SELECT id, filename, storage_path FROM device_files WHERE device_id = $1',
+      [id]
+    );
+    // Cables end with the device's interfaces; remove them whole rather than leave one-ended cables behind
+    await client.query(
+      `DELETE FROM cables c
+       USING cable_ends e, device_interfaces i, devices d
+       WHERE e.cable_id = c.id AND i.id = e.interface_id AND d.id = i.device_id
+         AND d.id = $1 AND d.deleted_at IS NOT NULL`,
+      [id]
+    );
+    const result = await client.query(
+      'DELETE FROM devices WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *',
+      [id]
+    );
+    if (!result.rows[0]) return null;
+    return { device: result.rows[0], files: files.rows };
+  });
+
 /**
  * Get a user by email (for authentication)
  * @param {string} email - User email
@@ -396,7 +1223,8 @@ const deleteDevice = async (id) => {
 const getUserByEmail = async (email) => {
   try {
     const result = await pool.query(
-      'SELECT id, name, email, password_hash, role, active, created_at FROM users WHERE email = $1 LIMIT 1',
+      `SELECT id, name, email, password_hash, role, active, must_change_password, created_at
+       FROM users WHERE email = $1 LIMIT 1`,
       [email]
     );
     return result.rows[0] || null;
@@ -414,7 +1242,8 @@ const getUserByEmail = async (email) => {
 const getUserById = async (id) => {
   try {
     const result = await pool.query(
-      'SELECT id, name, email, role, active, created_at FROM users WHERE id = $1 LIMIT 1',
+      `SELECT id, name, email, role, active, must_change_password, created_at
+       FROM users WHERE id = $1 LIMIT 1`,
       [id]
     );
     return result.rows[0] || null;
@@ -431,7 +1260,12 @@ const getUserById = async (id) => {
 const getUsers = async () => {
   try {
     const result = await pool.query(
-      'SELECT id, name, email, role, active, created_at FROM users ORDER BY id ASC'
+      `SELECT u.id, u.name, u.email, u.role, u.active, u.must_change_password, u.created_at,
+              COUNT(d.id)::int AS assigned_device_count
+       FROM users u
+       LEFT JOIN devices d ON d.assigned_user_id = u.id AND d.deleted_at IS NULL
+       GROUP BY u.id
+       ORDER BY u.id ASC`
     );
     return result.rows;
   } catch (error) {
@@ -446,19 +1280,27 @@ const getUsers = async () => {
  * @param {string} data.name
  * @param {string} data.email
  * @param {string} data.password
- * @param {string} [data.role='admin']
+ * @param {string} [data.role='viewer'] - admin, operator or viewer
  * @param {boolean} [data.active=true]
+ * @param {boolean} [data.must_change_password=false] - Force a password change at next login
  * @returns {Promise<Object>} Created user (without password hash)
  */
 const createUser = async (data) => {
   try {
-    const { name, email, password, role = 'admin', active = true } = data;
+    const {
+      name,
+      email,
+      password,
+      role = 'viewer',
+      active = true,
+      must_change_password = false
+    } = data;
     const passwordHash = await bcrypt.hash(password, 10);
     const result = await pool.query(
-      `INSERT INTO users (name, email, password_hash, role, active)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, name, email, role, active, created_at`,
-      [name, email, passwordHash, role, active]
+      `INSERT INTO users (name, email, password_hash, role, active, must_change_password)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, name, email, role, active, must_change_password, created_at`,
+      [name, email, passwordHash, role, active, must_change_password]
     );
     return result.rows[0];
   } catch (error) {
@@ -467,6 +1309,167 @@ const createUser = async (data) => {
   }
 };
 
+/**
+ * Update a user's profile, role or flags (only provided fields are changed)
+ * @param {number} id - User ID
+ * @param {Object} data - name, email, role, active, must_change_password
+ * @param {Object} [client=pool] - Transaction client when called inside withTransaction
+ * @returns {Promise<Object|null>} Updated user or null if not found
+ */
+const updateUser = async (id, data, client = pool) => {
+  try {
+    const fields = ['id = id'];
+    const values = [];
+    let paramIndex = 1;
+
+    ['name', 'email', 'role', 'active', 'must_change_password'].forEach((key) => {
+      if (data[key] !== undefined) {
+        fields.push(`${key} = $${paramIndex++}`);
+        values.push(data[key]);
+      }
+    });
+
+    values.push(id);
+    const result = await client.query(
+      `UPDATE users
+       SET ${fields.join(', ')}
+       WHERE id = $${paramIndex}
+       RETURNING id, name, email, role, active, must_change_password, created_at`,
+      values
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error(`Error updating user with id ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Replace a user's password
+ * @param {number} id - User ID
+ * @param {string} password - New plain-text password
+ * @param {boolean} [mustChange=false] - Require another change at next login (admin resets)
+ * @param {Object} [client=pool] - Transaction client when called inside withTransaction
+ * @returns {Promise<Object|null>} Updated user or null if not found
+ */
+const setUserPassword = async (id, password, mustChange = false, client = pool) => {
+  const passwordHash = await bcrypt.hash(password, 10);
+  const result = await client.query(
+    `UPDATE users
+     SET password_hash = $1, must_change_password = $2
+     WHERE id = $3
+     RETURNING id, name, email, role, active, must_change_password, created_at`,
+    [passwordHash, mustChange, id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Get the stored password hash for a user (self-service password change)
+ * @param {number} id - User ID
+ * @returns {Promise<string|null>}
+ */
+const getUserPasswordHash = async (id) => {
+  const result = await pool.query(
+    'SELECT password_hash FROM users WHERE id = $1 LIMIT 1',
+    [id]
+  );
+  return result.rows[0]?.password_hash || null;
+};
+
+/**
+ * Count active admins, optionally ignoring one user (guards against locking everyone out)
+ * @param {number} [excludeId]
+ * @returns {Promise<number>}
+ */
+const countActiveAdmins = async (excludeId = null) => {
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS count
+     FROM users
+     WHERE role = 'admin' AND active = TRUE AND ($1::int IS NULL OR id <> $1)`,
+    [excludeId]
+  );
+  return result.rows[0].count;
+};
+
+/**
+ * Deactivate a user and hand back the devices assigned to them
+ * Devices are checked in, or reassigned when reassignToUserId is given
+ * @param {number} id - User ID to deactivate
+ * @param {Object} [options]
+ * @param {number} [options.reassignToUserId] - Active user who takes over the devices
+ * @param {Object} [options.actor] - Audit context of the session user performing the change
+ * @returns {Promise<Object|null>} { user, devices } or null if the user does not exist
+ */
+const deactivateUser = async (id, options = {}) => withTransaction((client) => deactivateUserWith(client, id, options));
+
+// deactivateUser on a caller's transaction client
+const deactivateUserWith = async (client, id, { reassignToUserId = null, actor = {} } = {}) => {
+  const userResult = await client.query(
+    `UPDATE users
+     SET active = FALSE
+     WHERE id = $1
+     RETURNING id, name, email, role, active, must_change_password, created_at`,
+    [id]
+  );
+  const user = userResult.rows[0];
+  if (!user) return null;
+
+  const deviceResult = await client.query(
+    `UPDATE devices
+     SET assigned_user_id = $1, assigned_at = CASE WHEN $1::int IS NULL THEN NULL ELSE NOW() END
+     WHERE assigned_user_id = $2
+     RETURNING id, hostname`,
+    [reassignToUserId, id]
+  );
+
+  for (const device of deviceResult.rows) {
+    await addHistoryEntry(
+      {
+        ...actor,
+        device_id: device.id,
+        action: reassignToUserId ? 'assigned' : 'checked_in',
+        details: reassignToUserId
+          ? { assigned_user_id: reassignToUserId, previous_user_id: id, reason: 'user_deactivated' }
+          : { previous_user_id: id, reason: 'user_deactivated' }
+      },
+      client
+    );
+  }
+
+  return { user, devices: deviceResult.rows };
+};
+
+/**
+ * Apply an admin's edit of a user in one transaction: deactivation (releasing their devices), password reset and
+ * profile fields, so a failure in any part (e.g. a duplicate email) leaves the user untouched
+ * @param {number} id - User ID
+ * @param {Object} edit
+ * @param {boolean} [edit.deactivate] - Deactivate and hand back their devices
+ * @param {number} [edit.reassignToUserId] - Active user who takes over the devices
+ * @param {string} [edit.password] - New plain-text password
+ * @param {boolean} [edit.mustChangePassword=true] - With a new password: require another change at next login
+ * @param {Object} [edit.changes] - name, email, role, active, must_change_password
+ * @param {Object} [actor] - Audit context of the session user performing the change
+ * @returns {Promise<Object|null>} { user, devices } or null if the user does not exist
+ */
+const updateUserAccount = async (
+  id,
+  { deactivate = false, reassignToUserId = null, password, mustChangePassword = true, changes = {} },
+  actor = {}
+) =>
+  withTransaction(async (client) => {
+    let devices = [];
+    if (deactivate) {
+      const result = await deactivateUserWith(client, id, { reassignToUserId, actor });
+      if (!result) return null;
+      devices = result.devices;
+    }
+    if (password !== undefined) await setUserPassword(id, password, mustChangePassword, client);
+    const user = await updateUser(id, changes, client);
+    return user ? { user, devices } : null;
+  });
+
 /**
  * Ensure a default admin user exists (for demo/login)
  */
@@ -490,22 +1493,6 @@ const ensureDefaultAdmin = async () => {
   });
 };
 
-/**
- * Ensure default device types and manufacturers are present
- */
-const ensureDefaultLookups = async () => {
-  await pool.query(
-    `INSERT INTO device_types (name) VALUES
-      ('Router'), ('Switch'), ('Firewall'), ('Server'), ('Access Point'), ('Other')
-     ON CONFLICT (name) DO NOTHING`
-  );
-  await pool.query(
-    `INSERT INTO manufacturers (name) VALUES
-      ('Cisco'), ('Dell'), ('HP'), ('Juniper'), ('Ubiquiti'), ('Aruba')
-     ON CONFLICT (name) DO NOTHING`
-  );
-};
-
 const getDeviceTypes = async () => {
   const result = await pool.query(
     'SELECT id, name FROM device_types ORDER BY name ASC'
@@ -520,26 +1507,3010 @@ const getManufacturers = async () => {
   return result.rows;
 };
 
+// Lookup tables by audit entity type, with the device column that references each
+const LOOKUP_TABLES = {
+  device_type: { table: 'device_types', column: 'device_type_id' },
+  manufacturer: { table: 'manufacturers', column: 'manufacturer_id' },
+  model: {
+    table: 'models',
+    column: 'model_id',
+    extraColumns: 'l.manufacturer_id, mf.name AS manufacturer_name, l.eos_date, l.eol_date,',
+    extraJoin: 'LEFT JOIN manufacturers mf ON l.manufacturer_id = mf.id'
+  }
+};
+
+const lookupSelect = (kind) => {
+  const { table, column, extraColumns = '', extraJoin = '' } = LOOKUP_TABLES[kind];
+  return `
+    SELECT l.id, l.name, ${extraColumns}
+           COUNT(d.id) FILTER (WHERE d.deleted_at IS NULL)::int AS device_count,
+           COUNT(d.id) FILTER (WHERE d.deleted_at IS NOT NULL)::int AS trashed_count
+    FROM ${table} l
+    ${extraJoin}
+    LEFT JOIN devices d ON d.${column} = l.id`;
+};
+
+/**
+ * Get a lookup's entries with how many devices use each
+ * @param {'device_type'|'manufacturer'|'model'} kind - Models also carry manufacturer_id and manufacturer_name
+ * @returns {Promise<Array<{id: number, name: string, device_count: number, trashed_count: number}>>}
+ */
+const getLookupUsage = async (kind) => {
+  const order = kind === 'model' ? 'mf.name ASC, l.name ASC' : 'l.name ASC';
+  const result = await pool.query(`${lookupSelect(kind)} GROUP BY l.id${kind === 'model' ? ', mf.name' : ''} ORDER BY ${order}`);
+  return result.rows;
+};
+
+/**
+ * Get one lookup entry with its usage counts
+ * @param {'device_type'|'manufacturer'|'model'} kind
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const getLookupById = async (kind, id) => {
+  const result = await pool.query(
+    `${lookupSelect(kind)} WHERE l.id = $1 GROUP BY l.id${kind === 'model' ? ', mf.name' : ''}`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Find a lookup entry by name, ignoring case
+ * @param {'device_type'|'manufacturer'} kind
+ * @param {string} name
+ * @returns {Promise<Object|null>}
+ */
+const findLookupByName = async (kind, name) => {
+  const result = await pool.query(
+    `SELECT id, name FROM ${LOOKUP_TABLES[kind].table} WHERE LOWER(name) = LOWER($1)`,
+    [name]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Add a lookup entry
+ * @param {'device_type'|'manufacturer'} kind
+ * @param {string} name
+ * @returns {Promise<Object>}
+ */
+const createLookup = async (kind, name) => {
+  const result = await pool.query(
+    `INSERT INTO ${LOOKUP_TABLES[kind].table} (name) VALUES ($1) RETURNING id`,
+    [name]
+  );
+  return getLookupById(kind, result.rows[0].id);
+};
+
+/**
+ * Rename a lookup entry; renaming a device type also updates the legacy devices.device_type text
+ * @param {'device_type'|'manufacturer'} kind
+ * @param {number} id
+ * @param {string} name
+ * @returns {Promise<Object|null>}
+ */
+const renameLookup = async (kind, id, name) => {
+  const renamed = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE ${LOOKUP_TABLES[kind].table} SET name = $2 WHERE id = $1 RETURNING id`,
+      [id, name]
+    );
+    if (!result.rows[0]) return false;
+    if (kind === 'device_type') {
+      await client.query('UPDATE devices SET device_type = $2 WHERE device_type_id = $1', [id, name]);
+    }
+    return true;
+  });
+  return renamed ? getLookupById(kind, id) : null;
+};
+
+/**
+ * Delete a lookup entry that no device (live or trashed) references
+ * @param {'device_type'|'manufacturer'|'model'} kind
+ * @param {number} id
+ * @returns {Promise<Object|null>} Deleted entry, or null if missing or still in use
+ */
+const deleteLookup = async (kind, id) => {
+  const { table, column } = LOOKUP_TABLES[kind];
+  const result = await pool.query(
+    `DELETE FROM ${table} l
+     WHERE l.id = $1 AND NOT EXISTS (SELECT 1 FROM devices d WHERE d.${column} = l.id)
+     RETURNING id, name`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Find a manufacturer's model by name, ignoring case
+ * @param {number} manufacturerId
+ * @param {string} name
+ * @returns {Promise<Object|null>}
+ */
+const findModelByName = async (manufacturerId, name) => {
+  const result = await pool.query(
+    'SELECT id, name, manufacturer_id FROM models WHERE manufacturer_id = $1 AND LOWER(name) = LOWER($2)',
+    [manufacturerId, name]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Add a hardware model
+ * @param {Object} data
+ * @param {number} data.manufacturer_id
+ * @param {string} data.name - e.g. Catalyst 9300-48P
+ * @param {string} [data.eos_date] - Vendor end of support (YYYY-MM-DD)
+ * @param {string} [data.eol_date] - Vendor end of life / end of sale
+ * @returns {Promise<Object>}
+ */
+const createModel = async ({ manufacturer_id, name, eos_date, eol_date }) => {
+  const result = await pool.query(
+    'INSERT INTO models (manufacturer_id, name, eos_date, eol_date) VALUES ($1, $2, $3, $4) RETURNING id',
+    [manufacturer_id, name, eos_date || null, eol_date || null]
+  );
+  return getLookupById('model', result.rows[0].id);
+};
+
+/**
+ * Update a model (only provided fields are changed); devices using it follow a new manufacturer
+ * @param {number} id
+ * @param {Object} data - name, manufacturer_id, eos_date, eol_date
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Audit context for the per-device history entries
+ * @returns {Promise<Object|null>}
+ */
+const updateModel = async (id, data, { actor = {} } = {}) => {
+  const { manufacturer_id } = data;
+  const fields = ['id = id'];
+  const values = [id];
+  ['name', 'manufacturer_id', 'eos_date', 'eol_date'].forEach((key) => {
+    if (data[key] !== undefined) {
+      values.push(data[key] === '' ? null : data[key]);
+      fields.push(`${key} = $${values.length}`);
+    }
+  });
+
+  const updated = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE models SET ${fields.join(', ')} WHERE id = $1 RETURNING manufacturer_id`,
+      values
+    );
+    if (!result.rows[0]) return false;
+    if (manufacturer_id) {
+      const moved = await client.query(
+        `UPDATE devices d SET manufacturer_id = $2
+         FROM devices old
+         WHERE d.id = old.id AND d.model_id = $1 AND d.manufacturer_id IS DISTINCT FROM $2
+         RETURNING d.id, old.manufacturer_id AS previous`,
+        [id, manufacturer_id]
+      );
+      for (const device of moved.rows) {
+        await addHistoryEntry(
+          {
+            ...actor,
+            device_id: device.id,
+            action: 'updated',
+            details: { changes: { manufacturer_id: { from: device.previous, to: manufacturer_id } }, reason: 'model_moved' }
+          },
+          client
+        );
+      }
+    }
+    return true;
+  });
+  return updated ? getLookupById('model', id) : null;
+};
+
+/**
+ * Merge one manufacturer into another: re-point every device (trashed ones too) and model, then delete the source
+ * Writes an 'updated' entry per device and a 'merged' entry for the manufacturer, all in one transaction
+ * @param {number} sourceId - Manufacturer to remove
+ * @param {number} targetId - Manufacturer to keep
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Audit context of the user performing the merge
+ * @returns {Promise<{source: Object, target: Object, devices: Array<number>}|null>} null if either is missing
+ */
+const mergeManufacturers = async (sourceId, targetId, { actor = {} } = {}) =>
+  withTransaction(async (client) => {
+    const locked = await client.query(
+      'SELECT id, name FROM manufacturers WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+      [[sourceId, targetId]]
+    );
+    const source = locked.rows.find((m) => m.id === sourceId);
+    const target = locked.rows.find((m) => m.id === targetId);
+    if (!source || !target) return null;
+
+    // Source models whose name the target already has fold into the target's model; the rest move across
+    const sameName = await client.query(
+      `SELECT s.id AS from_id, t.id AS to_id
+       FROM models s JOIN models t ON t.manufacturer_id = $2 AND LOWER(t.name) = LOWER(s.name)
+       WHERE s.manufacturer_id = $1`,
+      [sourceId, targetId]
+    );
+    const modelMap = new Map(sameName.rows.map((row) => [row.from_id, row.to_id]));
+
+    const moved = await client.query(
+      'SELECT id, model_id FROM devices WHERE manufacturer_id = $1 ORDER BY id FOR UPDATE',
+      [sourceId]
+    );
+    const devices = [];
+    for (const device of moved.rows) {
+      const modelId = modelMap.get(device.model_id) ?? device.model_id;
+      await client.query('UPDATE devices SET manufacturer_id = $2, model_id = $3 WHERE id = $1', [device.id, targetId, modelId]);
+      const changes = { manufacturer_id: { from: sourceId, to: targetId } };
+      if (modelId !== device.model_id) changes.model_id = { from: device.model_id, to: modelId };
+      await addHistoryEntry(
+        { ...actor, device_id: device.id, action: 'updated', details: { changes, reason: 'manufacturer_merge' } },
+        client
+      );
+      devices.push(device.id);
+    }
+
+    await client.query('DELETE FROM models WHERE id = ANY($1::int[])', [[...modelMap.keys()]]);
+    await client.query('UPDATE models SET manufacturer_id = $2 WHERE manufacturer_id = $1', [sourceId, targetId]);
+    await client.query('DELETE FROM manufacturers WHERE id = $1', [sourceId]);
+    await addHistoryEntry(
+      {
+        ...actor,
+        entity_type: 'manufacturer',
+        entity_id: sourceId,
+        action: 'merged',
+        details: { name: source.name, into: target, devices: devices.length }
+      },
+      client
+    );
+    return { source, target, devices };
+  });
+
+// Location levels from the top down; a child's kind must come after its parent's
+const LOCATION_KINDS = ['site', 'building', 'floor', 'room', 'rack'];
+
+// Location columns plus device counts: device_count at the node itself, total_device_count including sub-locations
+const LOCATION_SELECT = `
+  SELECT l.id, l.parent_id, l.name, l.kind, l.description, l.rack_units, l.path, l.depth, l.ancestor_ids, l.created_at,
+         l.snmp_credential_id,
+         (SELECT COUNT(*) FROM devices d WHERE d.location_id = l.id AND d.deleted_at IS NULL)::int AS device_count,
+         (SELECT COUNT(*) FROM devices d WHERE d.location_id = l.id AND d.deleted_at IS NOT NULL)::int AS trashed_count,
+         (SELECT COUNT(*) FROM devices d JOIN locations sub ON sub.id = d.location_id
+          WHERE l.id = ANY(sub.ancestor_ids) AND d.deleted_at IS NULL)::int AS total_device_count,
+         (SELECT COUNT(*) FROM locations c WHERE c.parent_id = l.id)::int AS child_count
+  FROM locations l`;
+
+/**
+ * Recompute path, depth and ancestor_ids for every location, then the devices.location path text
+ * Run after any insert, rename, move or merge (inside the same transaction)
+ * @param {Object} client - Transaction client
+ */
+const refreshLocationTree = async (client) => {
+  await client.query(`
+    WITH RECURSIVE tree AS (
+      SELECT id, name::text AS path, 0 AS depth, ARRAY[id] AS ancestor_ids
+      FROM locations WHERE parent_id IS NULL
+      UNION ALL
+      SELECT l.id, tree.path || ' / ' || l.name, tree.depth + 1, tree.ancestor_ids || l.id
+      FROM locations l JOIN tree ON l.parent_id = tree.id
+    )
+    UPDATE locations l
+    SET path = tree.path, depth = tree.depth, ancestor_ids = tree.ancestor_ids
+    FROM tree
+    WHERE l.id = tree.id AND (l.path, l.depth, l.ancestor_ids) IS DISTINCT FROM (tree.path, tree.depth, tree.ancestor_ids)`);
+  await client.query(
+    `UPDATE devices d SET location = l.path
+     FROM locations l
+     WHERE d.location_id = l.id AND d.location IS DISTINCT FROM l.path`
+  );
+};
+
+/**
+ * Get every location in tree order (each parent followed by its children, by name) with device counts
+ * @returns {Promise<Array<Object>>}
+ */
+const getLocations = async () => {
+  const result = await pool.query(
+    `${LOCATION_SELECT}
+     ORDER BY (SELECT array_agg(LOWER(a.name) ORDER BY a.depth) FROM locations a WHERE a.id = ANY(l.ancestor_ids)) ASC`
+  );
+  return result.rows;
+};
+
+/**
+ * Get one location with device counts
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const getLocationById = async (id) => {
+  const result = await pool.query(`${LOCATION_SELECT} WHERE l.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Find a location by name among the children of a parent (null for sites), ignoring case
+ * @param {number|null} parentId
+ * @param {string} name
+ * @returns {Promise<Object|null>}
+ */
+const findLocationByName = async (parentId, name) => {
+  const result = await pool.query(
+    'SELECT id, name, path FROM locations WHERE COALESCE(parent_id, 0) = COALESCE($1, 0) AND LOWER(name) = LOWER($2)',
+    [parentId, name]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Add a location
+ * @param {Object} data
+ * @param {string} data.name - e.g. Rack A
+ * @param {string} data.kind - One of LOCATION_KINDS
+ * @param {number} [data.parent_id] - Omitted for a site
+ * @param {string} [data.description]
+ * @param {number} [data.rack_units] - Height in U (racks only)
+ * @param {number} [data.snmp_credential_id] - SNMP credential for devices at or below it
+ * @returns {Promise<Object>}
+ */
+const createLocation = async ({ name, kind, parent_id, description, rack_units, snmp_credential_id }) => {
+  const id = await withTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO locations (parent_id, name, kind, description, rack_units, snmp_credential_id)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+      [parent_id || null, name, kind, description || null, rack_units || null, snmp_credential_id || null]
+    );
+    await refreshLocationTree(client);
+    return result.rows[0].id;
+  });
+  return getLocationById(id);
+};
+
+/**
+ * Update a location (only provided fields are changed); moving or renaming it updates the paths below it
+ * @param {number} id
+ * @param {Object} data - name, kind, parent_id, description, rack_units, snmp_credential_id
+ * @returns {Promise<Object|null>}
+ */
+const updateLocation = async (id, data) => {
+  const fields = ['id = id'];
+  const values = [id];
+  ['name', 'kind', 'parent_id', 'description', 'rack_units', 'snmp_credential_id'].forEach((key) => {
+    if (data[key] !== undefined) {
+      values.push(data[key] === '' ? null : data[key]);
+      fields.push(`${key} = $${values.length}`);
+    }
+  });
+
+  const updated = await withTransaction(async (client) => {
+    const result = await client.query(`UPDATE locations SET ${fields.join(', ')} WHERE id = $1 RETURNING id`, values);
+    if (!result.rows[0]) return false;
+    await refreshLocationTree(client);
+    return true;
+  });
+  return updated ? getLocationById(id) : null;
+};
+
+/**
+ * Delete a location with no sub-locations and no devices (live or trashed)
+ * @param {number} id
+ * @returns {Promise<Object|null>} Deleted location, or null if missing or still in use
+ */
+const deleteLocation = async (id) => {
+  const result = await pool.query(
+    `DELETE FROM locations l
+     WHERE l.id = $1
+       AND NOT EXISTS (SELECT 1 FROM locations c WHERE c.parent_id = l.id)
+       AND NOT EXISTS (SELECT 1 FROM devices d WHERE d.location_id = l.id)
+     RETURNING id, name, kind, path`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Merge one location into another: its devices (trashed ones too) and sub-locations move to the target,
+ * then it is deleted. Writes an 'updated' entry per device and a 'merged' entry for the location.
+ * @param {number} sourceId - Location to remove
+ * @param {number} targetId - Location to keep
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Audit context of the user performing the merge
+ * @returns {Promise<{source: Object, target: Object, devices: Array<number>}|null>} null if either is missing
+ */
+const mergeLocations = async (sourceId, targetId, { actor = {} } = {}) =>
+  withTransaction(async (client) => {
+    const locked = await client.query(
+      'SELECT id, name, path FROM locations WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+      [[sourceId, targetId]]
+    );
+    const source = locked.rows.find((l) => l.id === sourceId);
+    const target = locked.rows.find((l) => l.id === targetId);
+    if (!source || !target) return null;
+
+    // Rack positions do not carry over to another location
+    const moved = await client.query(
+      `UPDATE devices d SET location_id = $2, rack_position = NULL
+       FROM devices old
+       WHERE old.id = d.id AND d.location_id = $1
+       RETURNING d.id, old.rack_position`,
+      [sourceId, targetId]
+    );
+    moved.rows.sort((a, b) => a.id - b.id);
+    const devices = moved.rows.map((d) => d.id);
+    for (const row of moved.rows) {
+      const changes = {
+        location_id: { from: sourceId, to: targetId },
+        location: { from: source.path, to: target.path }
+      };
+      if (row.rack_position !== null) changes.rack_position = { from: row.rack_position, to: null };
+      await addHistoryEntry(
+        {
+          ...actor,
+          device_id: row.id,
+          action: 'updated',
+          details: { changes, reason: 'location_merge' }
+        },
+        client
+      );
+    }
+
+    await client.query('UPDATE locations SET parent_id = $2 WHERE parent_id = $1', [sourceId, targetId]);
+    await client.query('DELETE FROM locations WHERE id = $1', [sourceId]);
+    await refreshLocationTree(client);
+    await addHistoryEntry(
+      {
+        ...actor,
+        entity_type: 'location',
+        entity_id: sourceId,
+        action: 'merged',
+        details: { name: source.path, into: { id: target.id, name: target.path }, devices: devices.length }
+      },
+      client
+    );
+    return { source, target, devices };
+  });
+
+/**
+ * Get every rack with its height and the U still free on each face
+ * @returns {Promise<Array<Object>>} Racks in path order with device_count, placed_count, used_front/rear, free_front/rear
+ */
+const getRacks = async () => {
+  const result = await pool.query(
+    `SELECT l.id, l.name, l.path, l.rack_units,
+            COUNT(d.id)::int AS device_count,
+            COUNT(d.rack_position)::int AS placed_count,
+            COALESCE(SUM(d.rack_height) FILTER (WHERE d.rack_position IS NOT NULL AND d.rack_face = 'front'), 0)::int AS used_front,
+            COALESCE(SUM(d.rack_height) FILTER (WHERE d.rack_position IS NOT NULL AND d.rack_face = 'rear'), 0)::int AS used_rear
+     FROM locations l
+     LEFT JOIN devices d ON d.location_id = l.id AND d.deleted_at IS NULL
+     WHERE l.kind = 'rack'
+     GROUP BY l.id
+     ORDER BY LOWER(l.path) ASC`
+  );
+  return result.rows.map((rack) => ({
+    ...rack,
+    free_front: rack.rack_units - rack.used_front,
+    free_rear: rack.rack_units - rack.used_rear
+  }));
+};
+
+/**
+ * Get the live devices at a rack location, placed ones from the top down, then unplaced ones by hostname
+ * @param {number} locationId
+ * @returns {Promise<Array<Object>>}
+ */
+const getRackDevices = async (locationId) => {
+  const result = await pool.query(
+    `SELECT d.id, d.hostname, d.ip_address, d.status, d.rack_position, d.rack_height, d.rack_face,
+            COALESCE(dt.name, d.device_type) AS device_type, m.name AS manufacturer_name, md.name AS model_name
+     FROM devices d
+     LEFT JOIN device_types dt ON d.device_type_id = dt.id
+     LEFT JOIN manufacturers m ON d.manufacturer_id = m.id
+     LEFT JOIN models md ON d.model_id = md.id
+     WHERE d.location_id = $1 AND d.deleted_at IS NULL
+     ORDER BY d.rack_position DESC NULLS LAST, LOWER(d.hostname) ASC`,
+    [locationId]
+  );
+  return result.rows;
+};
+
+/**
+ * Find a live device occupying any of the given units on one face of a rack
+ * @param {Object} placement
+ * @param {number} placement.locationId
+ * @param {string} placement.face - 'front' or 'rear'
+ * @param {number} placement.position - Lowest U
+ * @param {number} placement.height - Height in U
+ * @param {number} [placement.excludeId] - Device being moved
+ * @returns {Promise<Object|null>} { id, hostname, rack_position, rack_height } of the first overlap
+ */
+const findRackConflict = async ({ locationId, face, position, height, excludeId = null }) => {
+  const result = await pool.query(
+    `SELECT id, hostname, rack_position, rack_height
+     FROM devices
+     WHERE location_id = $1 AND rack_face = $2::text AND deleted_at IS NULL AND rack_position IS NOT NULL
+       AND ($5::int IS NULL OR id <> $5)
+       AND int4range(rack_position, rack_position + rack_height) && int4range($3::int, $3::int + $4::int)
+     ORDER BY rack_position ASC
+     LIMIT 1`,
+    [locationId, face, position, height, excludeId]
+  );
+  return result.rows[0] || null;
+};
+
+const INTERFACE_COLUMNS = `id, device_id, name, mac_address::text AS mac_address, ip_addresses,
+  speed_mbps, admin_status, oper_status, description, pass_through_id, created_at`;
+
+/**
+ * Get the interfaces of a device
+ * @param {number} deviceId
+ * @returns {Promise<Array>}
+ */
+const getDeviceInterfaces = async (deviceId) => {
+  const result = await pool.query(
+    `SELECT ${INTERFACE_COLUMNS}
+     FROM device_interfaces
+     WHERE device_id = $1
+     ORDER BY name ASC`,
+    [deviceId]
+  );
+  return result.rows;
+};
+
+/**
+ * Get one interface of a device
+ * @param {number} deviceId
+ * @param {number} id - Interface ID
+ * @returns {Promise<Object|null>}
+ */
+const getDeviceInterface = async (deviceId, id) => {
+  const result = await pool.query(
+    `SELECT ${INTERFACE_COLUMNS} FROM device_interfaces WHERE device_id = $1 AND id = $2`,
+    [deviceId, id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Create an interface on a device
+ * @param {number} deviceId
+ * @param {Object} data
+ * @param {string} data.name - e.g. GigabitEthernet1/0/1
+ * @param {string} [data.mac_address]
+ * @param {Array<string>} [data.ip_addresses] - Addresses with optional prefix length
+ * @param {number} [data.speed_mbps]
+ * @param {string} [data.admin_status='up']
+ * @param {string} [data.oper_status='unknown']
+ * @param {string} [data.description]
+ * @returns {Promise<Object>}
+ */
+const createDeviceInterface = async (deviceId, data) => {
+  const result = await pool.query(
+    `INSERT INTO device_interfaces
+       (device_id, name, mac_address, ip_addresses, speed_mbps, admin_status, oper_status, description)
+     VALUES ($1, $2, $3, $4::inet[], $5, COALESCE($6, 'up'), COALESCE($7, 'unknown'), $8)
+     RETURNING ${INTERFACE_COLUMNS}`,
+    [
+      deviceId,
+      data.name,
+      data.mac_address || null,
+      data.ip_addresses || [],
+      data.speed_mbps ?? null,
+      data.admin_status || null,
+      data.oper_status || null,
+      data.description || null
+    ]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Update an interface (only provided fields are changed)
+ * @param {number} deviceId
+ * @param {number} id - Interface ID
+ * @param {Object} data
+ * @returns {Promise<Object|null>}
+ */
+const updateDeviceInterface = async (deviceId, id, data) => {
+  const fields = [];
+  const values = [];
+  let paramIndex = 1;
+
+  ['name', 'mac_address', 'ip_addresses', 'speed_mbps', 'admin_status', 'oper_status', 'description']
+    .forEach((key) => {
+      if (data[key] !== undefined) {
+        const cast = key === 'ip_addresses' ? '::inet[]' : '';
+        fields.push(`${key} = $${paramIndex++}${cast}`);
+        values.push(data[key]);
+      }
+    });
+
+  if (fields.length === 0) {
+    return getDeviceInterface(deviceId, id);
+  }
+
+  values.push(deviceId, id);
+  const result = await pool.query(
+    `UPDATE device_interfaces
+     SET ${fields.join(', ')}
+     WHERE device_id = $${paramIndex} AND id = $${paramIndex + 1}
+     RETURNING ${INTERFACE_COLUMNS}`,
+    values
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Delete an interface
+ * @param {number} deviceId
+ * @param {number} id - Interface ID
+ * @returns {Promise<Object|null>}
+ */
+const deleteDeviceInterface = async (deviceId, id) => {
+  const result = await pool.query(
+    `DELETE FROM device_interfaces WHERE device_id = $1 AND id = $2 RETURNING ${INTERFACE_COLUMNS}`,
+    [deviceId, id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Pair an interface with its pass-through peer on the same device (a patch panel's front and rear port),
+ * in both directions; earlier pairings of either port are dropped. peerId null only unpairs.
+ * @param {number} id - Interface ID
+ * @param {number|null} peerId
+ */
+const setInterfacePassThrough = async (id, peerId) =>
+  withTransaction(async (client) => {
+    const ids = peerId ? [id, peerId] : [id];
+    await client.query(
+      'UPDATE device_interfaces SET pass_through_id = NULL WHERE id = ANY($1::int[]) OR pass_through_id = ANY($1::int[])',
+      [ids]
+    );
+    if (peerId) {
+      await client.query(
+        'UPDATE device_interfaces SET pass_through_id = CASE WHEN id = $1 THEN $2 ELSE $1 END WHERE id IN ($1, $2)',
+        [id, peerId]
+      );
+    }
+  });
+
+// Cable attribute columns that can be set on create and update
+const CABLE_FIELDS = ['label', 'cable_type', 'color', 'length_m', 'notes'];
+
+// Cables with both ends resolved to interface and device
+const CABLE_SELECT = `
+  SELECT c.id, c.label, c.cable_type, c.color, c.length_m::float AS length_m, c.notes, c.created_at,
+         ea.interface_id AS a_interface_id, ia.name AS a_interface, da.id AS a_device_id, da.hostname AS a_hostname,
+         eb.interface_id AS b_interface_id, ib.name AS b_interface, db.id AS b_device_id, db.hostname AS b_hostname
+  FROM cables c
+  JOIN cable_ends ea ON ea.cable_id = c.id AND ea.side = 'a'
+  JOIN device_interfaces ia ON ia.id = ea.interface_id
+  JOIN devices da ON da.id = ia.device_id
+  JOIN cable_ends eb ON eb.cable_id = c.id AND eb.side = 'b'
+  JOIN device_interfaces ib ON ib.id = eb.interface_id
+  JOIN devices db ON db.id = ib.device_id`;
+
+/**
+ * Get cables, optionally only those with an end on one device
+ * @param {Object} [filters]
+ * @param {number} [filters.deviceId]
+ * @returns {Promise<Array<Object>>}
+ */
+const getCables = async ({ deviceId } = {}) => {
+  const result = await pool.query(
+    `${CABLE_SELECT}
+     WHERE $1::int IS NULL OR da.id = $1 OR db.id = $1
+     ORDER BY LOWER(c.label) ASC NULLS LAST, c.id ASC`,
+    [deviceId || null]
+  );
+  return result.rows;
+};
+
+/**
+ * Get one cable with both ends
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const getCableById = async (id) => {
+  const result = await pool.query(`${CABLE_SELECT} WHERE c.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Get the cable plugged into an interface
+ * @param {number} interfaceId
+ * @returns {Promise<Object|null>}
+ */
+const getInterfaceCable = async (interfaceId) => {
+  const result = await pool.query(
+    `${CABLE_SELECT} WHERE ea.interface_id = $1 OR eb.interface_id = $1`,
+    [interfaceId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Get an interface with its device, for choosing cable ends
+ * @param {number} id - Interface ID
+ * @returns {Promise<Object|null>} { id, name, device_id, hostname, device_type, pass_through_id, deleted }
+ */
+const getInterfaceEndpoint = async (id) => {
+  const result = await pool.query(
+    `SELECT i.id, i.name, i.pass_through_id, d.id AS device_id, d.hostname,
+            COALESCE(dt.name, d.device_type) AS device_type, d.deleted_at IS NOT NULL AS deleted
+     FROM device_interfaces i
+     JOIN devices d ON d.id = i.device_id
+     LEFT JOIN device_types dt ON dt.id = d.device_type_id
+     WHERE i.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Connect two interfaces with a cable
+ * @param {Object} data
+ * @param {number} data.a_interface_id
+ * @param {number} data.b_interface_id
+ * @param {string} [data.label] - Cable ID printed on the cable (unique, ignoring case)
+ * @param {string} [data.cable_type='cat6']
+ * @param {string} [data.color]
+ * @param {number} [data.length_m]
+ * @param {string} [data.notes]
+ * @returns {Promise<Object>}
+ */
+const createCable = async (data) => {
+  const id = await withTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO cables (label, cable_type, color, length_m, notes)
+       VALUES ($1, COALESCE($2, 'cat6'), $3, $4, $5) RETURNING id`,
+      [data.label || null, data.cable_type || null, data.color || null, data.length_m ?? null, data.notes || null]
+    );
+    const cableId = result.rows[0].id;
+    await client.query(
+      `INSERT INTO cable_ends (cable_id, side, interface_id) VALUES ($1, 'a', $2), ($1, 'b', $3)`,
+      [cableId, data.a_interface_id, data.b_interface_id]
+    );
+    return cableId;
+  });
+  return getCableById(id);
+};
+
+/**
+ * Update a cable's attributes and/or re-plug either end (only provided fields are changed)
+ * @param {number} id
+ * @param {Object} data - label, cable_type, color, length_m, notes, a_interface_id, b_interface_id
+ * @returns {Promise<Object|null>}
+ */
+const updateCable = async (id, data) => {
+  const updated = await withTransaction(async (client) => {
+    const fields = ['id = id'];
+    const values = [id];
+    CABLE_FIELDS.forEach((key) => {
+      if (data[key] !== undefined) {
+        values.push(data[key] === '' ? null : data[key]);
+        fields.push(`${key} = $${values.length}`);
+      }
+    });
+    const result = await client.query(`UPDATE cables SET ${fields.join(', ')} WHERE id = $1 RETURNING id`, values);
+    if (!result.rows[0]) return false;
+    for (const side of ['a', 'b']) {
+      const interfaceId = data[`${side}_interface_id`];
+      if (interfaceId !== undefined) {
+        await client.query('UPDATE cable_ends SET interface_id = $3 WHERE cable_id = $1 AND side = $2', [id, side, interfaceId]);
+      }
+    }
+    return true;
+  });
+  return updated ? getCableById(id) : null;
+};
+
+/**
+ * Remove a cable (both ends)
+ * @param {number} id
+ * @returns {Promise<Object|null>} The removed cable
+ */
+const deleteCable = async (id) => {
+  const cable = await getCableById(id);
+  if (!cable) return null;
+  await pool.query('DELETE FROM cables WHERE id = $1', [id]);
+  return cable;
+};
+
+/**
+ * Get every interface of a device with the cable plugged into it and what is at the other end
+ * @param {number} deviceId
+ * @returns {Promise<Array<Object>>} Interfaces by name; cable fields and far_* are null for unplugged ports
+ */
+const getDeviceConnections = async (deviceId) => {
+  const result = await pool.query(
+    `SELECT i.id AS interface_id, i.name AS interface, i.oper_status, i.admin_status,
+            i.pass_through_id, pt.name AS pass_through,
+            c.id AS cable_id, c.label AS cable_label, c.cable_type, c.color, c.length_m::float AS length_m,
+            fi.id AS far_interface_id, fi.name AS far_interface, fd.id AS far_device_id, fd.hostname AS far_hostname,
+            COALESCE(fdt.name, fd.device_type) AS far_device_type, fi.pass_through_id IS NOT NULL AS far_passes_through
+     FROM device_interfaces i
+     LEFT JOIN device_interfaces pt ON pt.id = i.pass_through_id
+     LEFT JOIN cable_ends e ON e.interface_id = i.id
+     LEFT JOIN cables c ON c.id = e.cable_id
+     LEFT JOIN cable_ends fe ON fe.cable_id = e.cable_id AND fe.side <> e.side
+     LEFT JOIN device_interfaces fi ON fi.id = fe.interface_id
+     LEFT JOIN devices fd ON fd.id = fi.device_id
+     LEFT JOIN device_types fdt ON fdt.id = fd.device_type_id
+     WHERE i.device_id = $1
+     ORDER BY i.name ASC`,
+    [deviceId]
+  );
+  return result.rows;
+};
+
+// Longest chain of cables a trace follows before giving up
+const TRACE_MAX_SEGMENTS = 64;
+
+/**
+ * Follow cables out of an interface: across the cable, and on through every pass-through port (patch panels)
+ * @param {Object} start - Endpoint from getInterfaceEndpoint
+ * @param {Set<number>} visited - Interface IDs already on the path (updated)
+ * @returns {Promise<{segments: Array<Object>, loop: boolean}>}
+ */
+const followCables = async (start, visited) => {
+  const segments = [];
+  let current = start;
+  while (segments.length < TRACE_MAX_SEGMENTS) {
+    const cable = await pool.query(
+      `SELECT c.id, c.label, c.cable_type, c.color, c.length_m::float AS length_m, fe.interface_id AS far_interface_id
+       FROM cable_ends e
+       JOIN cables c ON c.id = e.cable_id
+       JOIN cable_ends fe ON fe.cable_id = e.cable_id AND fe.side <> e.side
+       WHERE e.interface_id = $1`,
+      [current.id]
+    );
+    if (!cable.rows[0]) break;
+    const { far_interface_id: farId, ...details } = cable.rows[0];
+    if (visited.has(farId)) return { segments, loop: true };
+    const far = await getInterfaceEndpoint(farId);
+    visited.add(farId);
+    segments.push({ from: current, cable: details, to: far });
+    if (!far.pass_through_id) break;
+    if (visited.has(far.pass_through_id)) return { segments, loop: true };
+    current = await getInterfaceEndpoint(far.pass_through_id);
+    visited.add(current.id);
+  }
+  return { segments, loop: false };
+};
+
+/**
+ * Trace the cable path an interface is on, end to end: starting from a patch panel port the path is
+ * followed in both directions, through any further panels, to the devices at either end
+ * @param {number} interfaceId
+ * @returns {Promise<Object|null>} { segments: [{ from, cable, to }], a_end, b_end, total_length_m, loop } in order
+ *   from a_end to b_end; null if the interface does not exist
+ */
+const traceInterfacePath = async (interfaceId) => {
+  const start = await getInterfaceEndpoint(interfaceId);
+  if (!start) return null;
+  const visited = new Set([start.id]);
+  const outward = await followCables(start, visited);
+
+  let inward = { segments: [], loop: false };
+  if (start.pass_through_id && !visited.has(start.pass_through_id)) {
+    const peer = await getInterfaceEndpoint(start.pass_through_id);
+    visited.add(peer.id);
+    inward = await followCables(peer, visited);
+  }
+
+  // The inward half runs away from the start; turn it around so the whole path reads a_end -> b_end
+  const segments = [
+    ...inward.segments.reverse().map(({ from, cable, to }) => ({ from: to, cable, to: from })),
+    ...outward.segments
+  ];
+  const lengths = segments.map((s) => s.cable.length_m);
+  return {
+    start,
+    segments,
+    a_end: segments.length ? segments[0].from : start,
+    b_end: segments.length ? segments[segments.length - 1].to : start,
+    total_length_m: lengths.every((l) => l !== null) ? lengths.reduce((sum, l) => sum + l, 0) : null,
+    loop: outward.loop || inward.loop
+  };
+};
+
+// Neighbor columns with the local interface name and the matched inventory device
+const NEIGHBOR_SELECT = `
+  SELECT n.id, n.interface_id, i.name AS interface, i.device_id, n.protocol, n.remote_system_name, n.remote_port,
+         n.remote_chassis_id, host(n.remote_mgmt_ip) AS remote_mgmt_ip, n.remote_device_id, rd.hostname AS remote_hostname,
+         n.last_seen
+  FROM interface_neighbors n
+  JOIN device_interfaces i ON i.id = n.interface_id
+  LEFT JOIN devices rd ON rd.id = n.remote_device_id`;
+
+/**
+ * Get the LLDP/CDP neighbors seen on a device's interfaces
+ * @param {number} deviceId
+ * @returns {Promise<Array<Object>>}
+ */
+const getDeviceNeighbors = async (deviceId) => {
+  const result = await pool.query(
+    `${NEIGHBOR_SELECT} WHERE i.device_id = $1 ORDER BY i.name ASC, n.protocol ASC, n.id ASC`,
+    [deviceId]
+  );
+  return result.rows;
+};
+
+/**
+ * Replace the neighbor table of a device with a fresh report (what a collector saw on its last run)
+ * Each neighbor is matched to a live inventory device by management IP, else by hostname (with or without domain).
+ * @param {number} deviceId
+ * @param {Array<Object>} neighbors - { interface_id, protocol, remote_system_name, remote_port, remote_chassis_id,
+ *   remote_mgmt_ip }
+ * @returns {Promise<Array<Object>>} The stored neighbors
+ */
+const replaceDeviceNeighbors = async (deviceId, neighbors) => {
+  await withTransaction(async (client) => {
+    await client.query(
+      `DELETE FROM interface_neighbors n
+       USING device_interfaces i
+       WHERE i.id = n.interface_id AND i.device_id = $1`,
+      [deviceId]
+    );
+    for (const n of neighbors) {
+      await client.query(
+        `INSERT INTO interface_neighbors
+           (interface_id, protocol, remote_system_name, remote_port, remote_chassis_id, remote_mgmt_ip, remote_device_id)
+         VALUES ($2, $3, $4::text, $5, $6, $7::inet, (
+           SELECT d.id FROM devices d
+           WHERE d.deleted_at IS NULL AND d.id <> $1
+             AND (d.ip_address = $7::inet
+                  OR LOWER(d.hostname) = LOWER($4::text)
+                  OR LOWER(d.hostname) = LOWER(split_part($4::text, '.', 1)))
+           ORDER BY (d.ip_address = $7::inet) DESC NULLS LAST, d.id ASC
+           LIMIT 1))`,
+        [
+          deviceId,
+          n.interface_id,
+          n.protocol,
+          n.remote_system_name || null,
+          n.remote_port || null,
+          n.remote_chassis_id || null,
+          n.remote_mgmt_ip || null
+        ]
+      );
+    }
+  });
+  return getDeviceNeighbors(deviceId);
+};
+
+/**
+ * Everything the topology map draws links from: cables, patch panel pass-throughs and matched neighbors
+ * @returns {Promise<{cables: Array<Object>, passThrough: Array<Object>, neighbors: Array<Object>}>}
+ */
+const getTopologyLinks = async () => {
+  const [cables, passThrough, neighbors] = await Promise.all([
+    getCables(),
+    pool.query(
+      `SELECT id, device_id, name, pass_through_id FROM device_interfaces WHERE pass_through_id IS NOT NULL`
+    ),
+    pool.query(`${NEIGHBOR_SELECT} WHERE n.remote_device_id IS NOT NULL ORDER BY n.id ASC`)
+  ]);
+  return { cables, passThrough: passThrough.rows, neighbors: neighbors.rows };
+};
+
+/**
+ * Live devices the reachability poller should probe (probe_method 'none' opts a device out)
+ * @param {Array<number>} [deviceIds] - Only these devices; omitted probes every device
+ * @returns {Promise<Array<{id: number, hostname: string, ip_address: string, probe_method: string|null,
+ *   probe_port: number|null}>>}
+ */
+const getProbeTargets = async (deviceIds) => {
+  const result = await pool.query(
+    `SELECT id, hostname, host(ip_address) AS ip_address, probe_method, probe_port
+     FROM devices
+     WHERE deleted_at IS NULL AND ip_address IS NOT NULL AND probe_method IS DISTINCT FROM 'none'
+       AND ($1::int[] IS NULL OR id = ANY($1::int[]))
+     ORDER BY id ASC`,
+    [deviceIds || null]
+  );
+  return result.rows;
+};
+
+/**
+ * Store probe results: one row per probe in reachability_checks, and the latest state in device_reachability
+ * The rows of one call share the transaction's timestamp.
+ * @param {Array<Object>} results - { device_id, method, port, up, latency_ms, error }
+ * @returns {Promise<Array<{device_id: number, from: boolean|null, to: boolean}>>} Devices whose up/down state
+ *   changed (from is null on a device's first probe)
+ */
+const recordReachabilityResults = async (results) => {
+  if (results.length === 0) return [];
+  return withTransaction(async (client) => {
+    const previous = await client.query(
+      'SELECT device_id, up FROM device_reachability WHERE device_id = ANY($1::int[]) FOR UPDATE',
+      [results.map((r) => r.device_id)]
+    );
+    const before = new Map(previous.rows.map((row) => [row.device_id, row.up]));
+    const transitions = [];
+    for (const r of results) {
+      await client.query(
+        `INSERT INTO reachability_checks (device_id, method, port, up, latency_ms, error)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [r.device_id, r.method, r.port ?? null, r.up, r.latency_ms ?? null, r.error || null]
+      );
+      await client.query(
+        `INSERT INTO device_reachability (device_id, up, latency_ms, last_checked, last_seen, changed_at, error)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CASE WHEN $2 THEN CURRENT_TIMESTAMP END, CURRENT_TIMESTAMP, $4)
+         ON CONFLICT (device_id) DO UPDATE SET
+           up = EXCLUDED.up,
+           latency_ms = EXCLUDED.latency_ms,
+           last_checked = EXCLUDED.last_checked,
+           last_seen = COALESCE(EXCLUDED.last_seen, device_reachability.last_seen),
+           changed_at = CASE WHEN device_reachability.up = EXCLUDED.up
+                             THEN device_reachability.changed_at ELSE EXCLUDED.changed_at END,
+           error = EXCLUDED.error`,
+        [r.device_id, r.up, r.latency_ms ?? null, r.error || null]
+      );
+      const from = before.has(r.device_id) ? before.get(r.device_id) : null;
+      if (from !== r.up) transitions.push({ device_id: r.device_id, from, to: r.up });
+    }
+    return transitions;
+  });
+};
+
+/**
+ * Probe history of a device over the last hours, newest first, with uptime and average latency
+ * @param {number} deviceId
+ * @param {Object} [options]
+ * @param {number} [options.hours=24]
+ * @returns {Promise<{checks: Array<Object>, summary: {checks: number, up: number, uptime_pct: number|null,
+ *   avg_latency_ms: number|null}}>}
+ */
+const getReachabilityHistory = async (deviceId, { hours = 24 } = {}) => {
+  const since = `CURRENT_TIMESTAMP - make_interval(hours => $2)`;
+  const [checks, summary] = await Promise.all([
+    pool.query(
+      `SELECT checked_at, method, port, up, latency_ms::float AS latency_ms, error
+       FROM reachability_checks
+       WHERE device_id = $1 AND checked_at >= ${since}
+       ORDER BY checked_at DESC, id DESC`,
+      [deviceId, hours]
+    ),
+    pool.query(
+      `SELECT COUNT(*)::int AS checks, COUNT(*) FILTER (WHERE up)::int AS up,
+              ROUND(100.0 * COUNT(*) FILTER (WHERE up) / NULLIF(COUNT(*), 0), 1)::float AS uptime_pct,
+              ROUND(AVG(latency_ms), 2)::float AS avg_latency_ms
+       FROM reachability_checks
+       WHERE device_id = $1 AND checked_at >= ${since}`,
+      [deviceId, hours]
+    )
+  ]);
+  return { checks: checks.rows, summary: summary.rows[0] };
+};
+
+/**
+ * Delete probe results older than the retention period
+ * @param {number} days
+ * @returns {Promise<number>} Rows deleted
+ */
+const pruneReachabilityChecks = async (days) => {
+  const result = await pool.query(
+    `DELETE FROM reachability_checks WHERE checked_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+    [days]
+  );
+  return result.rowCount;
+};
+
+/**
+ * Up/down/unknown counts over live, probed devices
+ * @returns {Promise<{up: number, down: number, unknown: number}>}
+ */
+const getReachabilityCounts = async () => {
+  const result = await pool.query(
+    `SELECT COUNT(*) FILTER (WHERE r.up)::int AS up,
+            COUNT(*) FILTER (WHERE NOT r.up)::int AS down,
+            COUNT(*) FILTER (WHERE r.up IS NULL)::int AS unknown
+     FROM devices d
+     LEFT JOIN device_reachability r ON r.device_id = d.id
+     WHERE d.deleted_at IS NULL AND d.probe_method IS DISTINCT FROM 'none'`
+  );
+  return result.rows[0];
+};
+
+/**
+ * Devices whose recorded status disagrees with what the poller has seen for at least `minutes`:
+ * marked active but unreachable ('active_unreachable'), or marked inactive but answering ('inactive_reachable')
+ * @param {Object} [options]
+ * @param {number} [options.minutes=60]
+ * @returns {Promise<Array<Object>>}
+ */
+const getReachabilityMismatches = async ({ minutes = 60 } = {}) => {
+  const result = await pool.query(
+    `SELECT d.id AS device_id, d.hostname, host(d.ip_address) AS ip_address, d.status, d.location,
+            r.up AS reachable, r.last_seen, r.last_checked, r.changed_at, r.error AS probe_error,
+            CASE WHEN r.up THEN 'inactive_reachable' ELSE 'active_unreachable' END AS kind,
+            FLOOR(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - r.changed_at)) / 60)::int AS minutes
+     FROM devices d
+     JOIN device_reachability r ON r.device_id = d.id
+     WHERE d.deleted_at IS NULL AND d.probe_method IS DISTINCT FROM 'none'
+       AND r.changed_at <= CURRENT_TIMESTAMP - make_interval(mins => $1)
+       AND ((LOWER(d.status) = 'active' AND NOT r.up) OR (LOWER(d.status) = 'inactive' AND r.up))
+     ORDER BY r.changed_at ASC, d.hostname ASC`,
+    [minutes]
+  );
+  return result.rows;
+};
+
+// SNMP credential columns without the secrets (community and keys are write-only), plus where each is used
+const SNMP_CREDENTIAL_SELECT = `
+  SELECT c.id, c.name, c.version, c.port, c.username, c.security_level, c.auth_protocol, c.priv_protocol, c.created_at,
+         c.community IS NOT NULL AS has_community, c.auth_key IS NOT NULL AS has_auth_key,
+         c.priv_key IS NOT NULL AS has_priv_key,
+         (SELECT COUNT(*) FROM devices d WHERE d.snmp_credential_id = c.id AND d.deleted_at IS NULL)::int AS device_count,
+         (SELECT COUNT(*) FROM locations l WHERE l.snmp_credential_id = c.id)::int AS location_count
+  FROM snmp_credentials c`;
+
+const SNMP_CREDENTIAL_FIELDS = [
+  'name', 'version', 'port', 'community', 'username', 'security_level',
+  'auth_protocol', 'auth_key', 'priv_protocol', 'priv_key'
+];
+
+/**
+ * Get every SNMP credential by name (no secrets)
+ * @returns {Promise<Array<Object>>}
+ */
+const getSnmpCredentials = async () => {
+  const result = await pool.query(`${SNMP_CREDENTIAL_SELECT} ORDER BY LOWER(c.name) ASC`);
+  return result.rows;
+};
+
+/**
+ * Get one SNMP credential (no secrets)
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const getSnmpCredentialById = async (id) => {
+  const result = await pool.query(`${SNMP_CREDENTIAL_SELECT} WHERE c.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Add an SNMP credential
+ * @param {Object} data - name, version ('2c' or '3'), port, community (v2c), username, security_level,
+ *   auth_protocol, auth_key, priv_protocol, priv_key (v3)
+ * @returns {Promise<Object>} Without secrets
+ */
+const createSnmpCredential = async (data) => {
+  const columns = SNMP_CREDENTIAL_FIELDS.filter((key) => data[key] !== undefined && data[key] !== null);
+  const result = await pool.query(
+    `INSERT INTO snmp_credentials (${columns.join(', ')})
+     VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING id`,
+    columns.map((key) => data[key])
+  );
+  return getSnmpCredentialById(result.rows[0].id);
+};
+
+/**
+ * Update an SNMP credential (only provided fields are changed; null clears a field)
+ * @param {number} id
+ * @param {Object} data
+ * @returns {Promise<Object|null>} Without secrets
+ */
+const updateSnmpCredential = async (id, data) => {
+  const fields = ['id = id'];
+  const values = [id];
+  SNMP_CREDENTIAL_FIELDS.forEach((key) => {
+    if (data[key] !== undefined) {
+      values.push(data[key]);
+      fields.push(`${key} = $${values.length}`);
+    }
+  });
+  const result = await pool.query(`UPDATE snmp_credentials SET ${fields.join(', ')} WHERE id = $1 RETURNING id`, values);
+  return result.rows[0] ? getSnmpCredentialById(id) : null;
+};
+
+/**
+ * Delete an SNMP credential no device (live or trashed) or location uses
+ * @param {number} id
+ * @returns {Promise<Object|null>} Deleted credential, or null if missing or still in use
+ */
+const deleteSnmpCredential = async (id) => {
+  const result = await pool.query(
+    `DELETE FROM snmp_credentials c
+     WHERE c.id = $1
+       AND NOT EXISTS (SELECT 1 FROM devices d WHERE d.snmp_credential_id = c.id)
+       AND NOT EXISTS (SELECT 1 FROM locations l WHERE l.snmp_credential_id = c.id)
+     RETURNING id, name`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+// Effective credential of a device: its own, else the deepest location in its tree that has one
+const SNMP_EFFECTIVE_CREDENTIAL_JOIN = `
+  LEFT JOIN locations dl ON dl.id = d.location_id
+  LEFT JOIN LATERAL (
+    SELECT a.id AS location_id, a.path AS location_path, a.snmp_credential_id
+    FROM locations a
+    WHERE a.id = ANY(dl.ancestor_ids) AND a.snmp_credential_id IS NOT NULL
+    ORDER BY a.depth DESC
+    LIMIT 1
+  ) inherited ON d.snmp_credential_id IS NULL
+  LEFT JOIN snmp_credentials c ON c.id = COALESCE(d.snmp_credential_id, inherited.snmp_credential_id)`;
+
+/**
+ * Live devices with an effective SNMP credential, secrets included (for snmp.js only, never sent to clients)
+ * @param {Array<number>} [deviceIds] - Only these devices; omitted returns every device with credentials
+ * @returns {Promise<Array<{id: number, hostname: string, ip_address: string, credential: Object}>>}
+ */
+const getSnmpTargets = async (deviceIds) => {
+  const result = await pool.query(
+    `SELECT d.id, d.hostname, host(d.ip_address) AS ip_address, row_to_json(c) AS credential
+     FROM devices d
+     ${SNMP_EFFECTIVE_CREDENTIAL_JOIN}
+     WHERE d.deleted_at IS NULL AND d.ip_address IS NOT NULL AND c.id IS NOT NULL
+       AND ($1::int[] IS NULL OR d.id = ANY($1::int[]))
+     ORDER BY d.id ASC`,
+    [deviceIds || null]
+  );
+  return result.rows;
+};
+
+/**
+ * Which credential a device polls with and where it comes from (no secrets)
+ * @param {number} deviceId
+ * @returns {Promise<{id: number, name: string, version: string, source: 'device'|'location',
+ *   location_id: number|null, location_path: string|null}|null>} null when the device has none
+ */
+const getDeviceSnmpCredential = async (deviceId) => {
+  const result = await pool.query(
+    `SELECT c.id, c.name, c.version, c.port,
+            CASE WHEN d.snmp_credential_id IS NOT NULL THEN 'device' ELSE 'location' END AS source,
+            inherited.location_id, inherited.location_path
+     FROM devices d
+     ${SNMP_EFFECTIVE_CREDENTIAL_JOIN}
+     WHERE d.id = $1 AND c.id IS NOT NULL`,
+    [deviceId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Store a successful SNMP poll: the device facts and its interface table (replacing the previous one)
+ * in_bps/out_bps come from the octet counters of the previous poll; a counter that went backwards
+ * (wrap or reboot) leaves the rate empty for this poll.
+ * @param {number} deviceId
+ * @param {number} credentialId
+ * @param {{facts: Object, interfaces: Array<Object>}} result - From snmp.pollSnmpDevice (octets as BigInts)
+ */
+const saveSnmpPoll = async (deviceId, credentialId, { facts, interfaces }) =>
+  withTransaction(async (client) => {
+    const previous = await client.query(
+      `SELECT if_index, in_octets::text AS in_octets, out_octets::text AS out_octets,
+              EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - polled_at))::float AS age_seconds
+       FROM snmp_interfaces WHERE device_id = $1`,
+      [deviceId]
+    );
+    const before = new Map(previous.rows.map((row) => [row.if_index, row]));
+    const rate = (now, then, seconds) => {
+      if (now === null || then === null || !(seconds > 0)) return null;
+      const delta = now - BigInt(then);
+      return delta < 0n ? null : Math.round((Number(delta) * 8) / seconds);
+    };
+
+    await client.query(
+      `INSERT INTO device_snmp_facts
+         (device_id, credential_id, sys_name, sys_descr, sys_object_id, uptime_seconds, serial_number,
+          polled_at, last_success_at, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, NULL)
+       ON CONFLICT (device_id) DO UPDATE SET
+         credential_id = EXCLUDED.credential_id, sys_name = EXCLUDED.sys_name, sys_descr = EXCLUDED.sys_descr,
+         sys_object_id = EXCLUDED.sys_object_id, uptime_seconds = EXCLUDED.uptime_seconds,
+         serial_number = EXCLUDED.serial_number, polled_at = EXCLUDED.polled_at,
+         last_success_at = EXCLUDED.last_success_at, error = NULL`,
+      [deviceId, credentialId, facts.sys_name, facts.sys_descr, facts.sys_object_id, facts.uptime_seconds,
+        facts.serial_number]
+    );
+
+    await client.query('DELETE FROM snmp_interfaces WHERE device_id = $1', [deviceId]);
+    for (const i of interfaces) {
+      const last = before.get(i.if_index);
+      await client.query(
+        `INSERT INTO snmp_interfaces
+           (device_id, if_index, name, descr, alias, if_type, speed_mbps, mac_address, admin_status, oper_status,
+            in_octets, out_octets, in_errors, out_errors, in_bps, out_bps)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
+        [
+          deviceId, i.if_index, i.name, i.descr, i.alias, i.if_type, i.speed_mbps, i.mac_address,
+          i.admin_status, i.oper_status,
+          i.in_octets?.toString() ?? null, i.out_octets?.toString() ?? null,
+          i.in_errors?.toString() ?? null, i.out_errors?.toString() ?? null,
+          last ? rate(i.in_octets, last.in_octets, last.age_seconds) : null,
+          last ? rate(i.out_octets, last.out_octets, last.age_seconds) : null
+        ]
+      );
+    }
+  });
+
+/**
+ * Record a failed SNMP poll; the facts and interfaces of the last successful poll are kept
+ * @param {number} deviceId
+ * @param {number} credentialId
+ * @param {string} message
+ */
+const recordSnmpFailure = async (deviceId, credentialId, message) => {
+  await pool.query(
+    `INSERT INTO device_snmp_facts (device_id, credential_id, polled_at, error)
+     VALUES ($1, $2, CURRENT_TIMESTAMP, $3)
+     ON CONFLICT (device_id) DO UPDATE SET
+       credential_id = EXCLUDED.credential_id, polled_at = EXCLUDED.polled_at, error = EXCLUDED.error`,
+    [deviceId, credentialId, message]
+  );
+};
+
+/**
+ * Last SNMP poll of a device: facts and interface table
+ * @param {number} deviceId
+ * @returns {Promise<{facts: Object|null, interfaces: Array<Object>}>}
+ */
+const getDeviceSnmp = async (deviceId) => {
+  const [facts, interfaces] = await Promise.all([
+    pool.query(
+      `SELECT f.credential_id, f.sys_name, f.sys_descr, f.sys_object_id, f.uptime_seconds::float AS uptime_seconds,
+              f.serial_number, f.polled_at, f.last_success_at, f.error
+       FROM device_snmp_facts f WHERE f.device_id = $1`,
+      [deviceId]
+    ),
+    pool.query(
+      `SELECT if_index, name, descr, alias, if_type, speed_mbps::float AS speed_mbps, mac_address::text AS mac_address,
+              admin_status, oper_status, in_octets::text AS in_octets, out_octets::text AS out_octets,
+              in_errors::float AS in_errors, out_errors::float AS out_errors,
+              in_bps::float AS in_bps, out_bps::float AS out_bps, polled_at
+       FROM snmp_interfaces WHERE device_id = $1
+       ORDER BY if_index ASC`,
+      [deviceId]
+    )
+  ]);
+  return { facts: facts.rows[0] || null, interfaces: interfaces.rows };
+};
+
+/**
+ * One SNMP credential with its secrets (for discovery scans only, never sent to clients)
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const getSnmpCredentialSecrets = async (id) => {
+  const result = await pool.query('SELECT * FROM snmp_credentials WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+// Discovery scan columns plus who started it and how much of its queue is still pending
+const DISCOVERY_SCAN_SELECT = `
+  SELECT s.id, s.ranges, s.method, s.tcp_ports, s.snmp_credential_id, c.name AS snmp_credential_name,
+         s.status, s.address_count, s.scanned_count, s.responded_count, s.error,
+         s.created_by, u.name AS created_by_name, s.started_at, s.finished_at,
+         (SELECT COUNT(*) FROM discovery_hosts h WHERE h.scan_id = s.id)::int AS host_count,
+         (SELECT COUNT(*) FROM discovery_hosts h
+          WHERE h.scan_id = s.id AND h.review_status = 'pending' AND h.kind = 'new')::int AS pending_new,
+         (SELECT COUNT(*) FROM discovery_hosts h
+          WHERE h.scan_id = s.id AND h.review_status = 'pending' AND h.kind = 'changed')::int AS pending_changed,
+         (SELECT COUNT(*) FROM discovery_hosts h
+          WHERE h.scan_id = s.id AND h.review_status = 'pending' AND h.kind = 'missing')::int AS pending_missing
+  FROM discovery_scans s
+  LEFT JOIN snmp_credentials c ON c.id = s.snmp_credential_id
+  LEFT JOIN users u ON u.id = s.created_by`;
+
+/**
+ * Get the most recent discovery scans
+ * @param {number} [limit=50]
+ * @returns {Promise<Array<Object>>}
+ */
+const getDiscoveryScans = async (limit = 50) => {
+  const result = await pool.query(`${DISCOVERY_SCAN_SELECT} ORDER BY s.started_at DESC, s.id DESC LIMIT $1`, [limit]);
+  return result.rows;
+};
+
+/**
+ * Get one discovery scan
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const getDiscoveryScanById = async (id) => {
+  const result = await pool.query(`${DISCOVERY_SCAN_SELECT} WHERE s.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Record a scan that is about to run
+ * @param {Object} data - ranges (canonical CIDRs), method, tcp_ports, snmp_credential_id, address_count, created_by
+ * @returns {Promise<Object>}
+ */
+const createDiscoveryScan = async (data) => {
+  const result = await pool.query(
+    `INSERT INTO discovery_scans (ranges, method, tcp_ports, snmp_credential_id, address_count, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+    [data.ranges, data.method, data.tcp_ports, data.snmp_credential_id || null, data.address_count, data.created_by || null]
+  );
+  return getDiscoveryScanById(result.rows[0].id);
+};
+
+/**
+ * Store how far a running scan has got
+ * @param {number} id
+ * @param {{scanned: number, responded: number}} progress
+ */
+const updateDiscoveryProgress = async (id, { scanned, responded }) => {
+  await pool.query(
+    `UPDATE discovery_scans SET scanned_count = $2, responded_count = $3 WHERE id = $1 AND status = 'running'`,
+    [id, scanned, responded]
+  );
+};
+
+/**
+ * Queue the hosts a scan produced and mark it completed, in one transaction
+ * @param {number} id
+ * @param {Array<Object>} hosts - From discovery.classifyHosts
+ * @param {{scanned: number, responded: number}} progress
+ */
+const finishDiscoveryScan = async (id, hosts, { scanned, responded }) =>
+  withTransaction(async (client) => {
+    for (const host of hosts) {
+      await client.query(
+        `INSERT INTO discovery_hosts
+           (scan_id, ip_address, kind, device_id, latency_ms, open_ports, dns_name, sys_name, sys_descr, sys_object_id,
+            serial_number, vendor, guessed_type_id, guessed_manufacturer_id, changes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+        [
+          id,
+          host.ip_address,
+          host.kind,
+          host.device_id || null,
+          host.latency_ms ?? null,
+          host.open_ports || [],
+          host.dns_name || null,
+          host.sys_name || null,
+          host.sys_descr || null,
+          host.sys_object_id || null,
+          host.serial_number || null,
+          host.vendor || null,
+          host.guessed_type_id || null,
+          host.guessed_manufacturer_id || null,
+          host.changes ? JSON.stringify(host.changes) : null
+        ]
+      );
+    }
+    await client.query(
+      `UPDATE discovery_scans
+       SET status = 'completed', scanned_count = $2, responded_count = $3, finished_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id, scanned, responded]
+    );
+  });
+
+/**
+ * Mark a scan failed
+ * @param {number} id
+ * @param {string} error
+ */
+const failDiscoveryScan = async (id, error) => {
+  await pool.query(
+    `UPDATE discovery_scans SET status = 'failed', error = $2, finished_at = CURRENT_TIMESTAMP WHERE id = $1`,
+    [id, error]
+  );
+};
+
+/**
+ * Fail scans left running by a previous server process (scans run in memory)
+ * @returns {Promise<number>} Scans marked failed
+ */
+const failInterruptedDiscoveryScans = async () => {
+  const result = await pool.query(
+    `UPDATE discovery_scans SET status = 'failed', error = 'Interrupted by a server restart', finished_at = CURRENT_TIMESTAMP
+     WHERE status = 'running'`
+  );
+  return result.rowCount;
+};
+
+/**
+ * Delete a finished scan and its queue
+ * @param {number} id
+ * @returns {Promise<Object|null>} null when missing or still running
+ */
+const deleteDiscoveryScan = async (id) => {
+  const result = await pool.query(
+    `DELETE FROM discovery_scans WHERE id = $1 AND status <> 'running' RETURNING id`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Live devices whose ip_address falls inside any of the ranges (what a scan compares against)
+ * @param {Array<string>} ranges - CIDRs
+ * @returns {Promise<Array<Object>>}
+ */
+const getDevicesInRanges = async (ranges) => {
+  const result = await pool.query(
+    `SELECT d.id, d.hostname, host(d.ip_address) AS ip_address, d.status, d.serial_number,
+            d.manufacturer_id, m.name AS manufacturer_name, d.device_type_id
+     FROM devices d
+     LEFT JOIN manufacturers m ON m.id = d.manufacturer_id
+     WHERE d.deleted_at IS NULL AND d.ip_address <<= ANY($1::cidr[])
+     ORDER BY d.ip_address ASC, d.id ASC`,
+    [ranges]
+  );
+  return result.rows;
+};
+
+// Queued host columns with the names of the matched device and of the guesses
+const DISCOVERY_HOST_SELECT = `
+  SELECT h.id, h.scan_id, host(h.ip_address) AS ip_address, h.kind, h.device_id, d.hostname AS device_hostname,
+         d.status AS device_status, h.latency_ms::float AS latency_ms, h.open_ports, h.dns_name, h.sys_name,
+         h.sys_descr, h.sys_object_id, h.serial_number, h.vendor,
+         h.guessed_type_id, dt.name AS guessed_type_name, h.guessed_manufacturer_id, m.name AS guessed_manufacturer_name,
+         h.changes, h.review_status, h.reviewed_by, u.name AS reviewed_by_name, h.reviewed_at
+  FROM discovery_hosts h
+  LEFT JOIN devices d ON d.id = h.device_id
+  LEFT JOIN device_types dt ON dt.id = h.guessed_type_id
+  LEFT JOIN manufacturers m ON m.id = h.guessed_manufacturer_id
+  LEFT JOIN users u ON u.id = h.reviewed_by`;
+
+/**
+ * Get the queue of a scan in address order
+ * @param {number} scanId
+ * @param {Object} [filters]
+ * @param {string} [filters.kind] - new, changed or missing
+ * @param {string} [filters.reviewStatus] - pending, accepted or dismissed
+ * @param {Array<number>} [filters.ids] - Only these hosts
+ * @returns {Promise<Array<Object>>}
+ */
+const getDiscoveryHosts = async (scanId, { kind = null, reviewStatus = null, ids = null } = {}) => {
+  const result = await pool.query(
+    `${DISCOVERY_HOST_SELECT}
+     WHERE h.scan_id = $1
+       AND ($2::text IS NULL OR h.kind = $2)
+       AND ($3::text IS NULL OR h.review_status = $3)
+       AND ($4::int[] IS NULL OR h.id = ANY($4::int[]))
+     ORDER BY h.ip_address ASC`,
+    [scanId, kind, reviewStatus, ids]
+  );
+  return result.rows;
+};
+
+/**
+ * Live devices (and, for serial numbers, trashed ones too) that would clash with devices created from discovery
+ * @param {Array<string>} hostnames
+ * @param {Array<string>} serialNumbers
+ * @returns {Promise<Array<{id: number, hostname: string, serial_number: string|null, deleted: boolean}>>}
+ */
+const findDiscoveryConflicts = async (hostnames, serialNumbers) => {
+  if (hostnames.length === 0 && serialNumbers.length === 0) return [];
+  const result = await pool.query(
+    `SELECT id, hostname, serial_number, deleted_at IS NOT NULL AS deleted
+     FROM devices
+     WHERE (deleted_at IS NULL AND LOWER(hostname) = ANY($1::text[])) OR LOWER(serial_number) = ANY($2::text[])`,
+    [hostnames.map((h) => h.toLowerCase()), serialNumbers.map((s) => s.toLowerCase())]
+  );
+  return result.rows;
+};
+
+// Device columns a "changed" discovery host may update
+const DISCOVERY_UPDATE_FIELDS = ['hostname', 'serial_number', 'manufacturer_id', 'status'];
+
+/**
+ * Accept queued hosts in one transaction: new hosts become devices, changed ones update their device and
+ * missing ones mark their device inactive. Each change gets a history entry with reason discovery.
+ * @param {Array<{host: Object, values?: Object}>} entries - Pending hosts; values (createDevice fields) for new ones
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Audit context of the reviewer
+ * @returns {Promise<{created: Array<Object>, updated: Array<number>, unchanged: Array<number>}>} unchanged lists
+ *   hosts whose device was deleted or already matches
+ */
+const acceptDiscoveryHosts = async (entries, { actor = {} } = {}) =>
+  withTransaction(async (client) => {
+    const created = [];
+    const updated = [];
+    const unchanged = [];
+    for (const { host, values } of entries) {
+      let deviceId = host.device_id;
+      if (host.kind === 'new') {
+        const result = await client.query(
+          `INSERT INTO devices
+             (hostname, ip_address, device_type, device_type_id, manufacturer_id, location, location_id, status,
+              serial_number, snmp_credential_id, notes)
+           VALUES ($1, $2, (SELECT name FROM device_types WHERE id = $3), $3, $4, $5, $6, 'active', $7, $8, $9)
+           RETURNING *`,
+          [
+            values.hostname,
+            host.ip_address,
+            values.device_type_id,
+            values.manufacturer_id || null,
+            values.location || null,
+            values.location_id || null,
+            values.serial_number || null,
+            values.snmp_credential_id || null,
+            values.notes || null
+          ]
+        );
+        const device = result.rows[0];
+        deviceId = device.id;
+        await addHistoryEntry(
+          {
+            ...actor,
+            device_id: device.id,
+            action: 'created',
+            details: { device: snapshotDevice(device), reason: 'discovery', scan_id: host.scan_id }
+          },
+          client
+        );
+        created.push(device);
+      } else {
+        const locked = await client.query(
+          'SELECT * FROM devices WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+          [host.device_id]
+        );
+        const device = locked.rows[0];
+        const target = host.kind === 'missing'
+          ? { status: 'inactive' }
+          : Object.fromEntries(Object.entries(host.changes || {}).map(([field, change]) => [field, change.to]));
+        const diff = {};
+        if (device) {
+          DISCOVERY_UPDATE_FIELDS.forEach((field) => {
+            if (target[field] !== undefined && target[field] !== device[field]) {
+              diff[field] = { from: device[field], to: target[field] };
+            }
+          });
+          // A model belongs to its manufacturer, so a new manufacturer clears it
+          if (diff.manufacturer_id && device.model_id) diff.model_id = { from: device.model_id, to: null };
+        }
+        if (Object.keys(diff).length === 0) {
+          unchanged.push(host.id);
+        } else {
+          const sets = Object.keys(diff).map((field, i) => `${field} = $${i + 2}`);
+          await client.query(
+            `UPDATE devices SET ${sets.join(', ')} WHERE id = $1`,
+            [device.id, ...Object.values(diff).map((change) => change.to)]
+          );
+          await addHistoryEntry(
+            {
+              ...actor,
+              device_id: device.id,
+              action: 'updated',
+              details: { changes: diff, reason: 'discovery', scan_id: host.scan_id }
+            },
+            client
+          );
+          updated.push(device.id);
+        }
+      }
+      await client.query(
+        `UPDATE discovery_hosts
+         SET review_status = 'accepted', reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, device_id = $3
+         WHERE id = $1`,
+        [host.id, actor.user_id || null, deviceId]
+      );
+    }
+    return { created, updated, unchanged };
+  });
+
+/**
+ * Dismiss pending hosts of a scan (they stay in the queue as dismissed)
+ * @param {number} scanId
+ * @param {Array<number>} ids
+ * @param {number|null} userId - Reviewer
+ * @returns {Promise<Array<number>>} Hosts dismissed
+ */
+const dismissDiscoveryHosts = async (scanId, ids, userId) => {
+  const result = await pool.query(
+    `UPDATE discovery_hosts
+     SET review_status = 'dismissed', reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP
+     WHERE scan_id = $1 AND id = ANY($2::int[]) AND review_status = 'pending'
+     RETURNING id`,
+    [scanId, ids, userId || null]
+  );
+  return result.rows.map((row) => row.id);
+};
+
+// Alert channel columns without the webhook signing secret (write-only), plus how many rules use each
+const ALERT_CHANNEL_SELECT = `
+  SELECT ch.id, ch.name, ch.kind, ch.target, ch.enabled, ch.created_at, ch.secret IS NOT NULL AS has_secret,
+         (SELECT COUNT(*) FROM alert_rule_channels rc WHERE rc.channel_id = ch.id)::int AS rule_count
+  FROM alert_channels ch`;
+
+const ALERT_CHANNEL_FIELDS = ['name', 'kind', 'target', 'secret', 'enabled'];
+
+/**
+ * Get every alert channel by name (no secrets)
+ * @returns {Promise<Array<Object>>}
+ */
+const getAlertChannels = async () => {
+  const result = await pool.query(`${ALERT_CHANNEL_SELECT} ORDER BY LOWER(ch.name) ASC`);
+  return result.rows;
+};
+
+/**
+ * Get one alert channel (no secret)
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const getAlertChannelById = async (id) => {
+  const result = await pool.query(`${ALERT_CHANNEL_SELECT} WHERE ch.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Get one alert channel with its secret (for alerts.js only, never sent to clients)
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const getAlertChannelSecrets = async (id) => {
+  const result = await pool.query('SELECT * FROM alert_channels WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Add an alert channel
+ * @param {Object} data - name, kind (email, webhook, slack), target (recipients or URL), secret, enabled
+ * @returns {Promise<Object>} Without the secret
+ */
+const createAlertChannel = async (data) => {
+  const columns = ALERT_CHANNEL_FIELDS.filter((key) => data[key] !== undefined && data[key] !== null);
+  const result = await pool.query(
+    `INSERT INTO alert_channels (${columns.join(', ')})
+     VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING id`,
+    columns.map((key) => data[key])
+  );
+  return getAlertChannelById(result.rows[0].id);
+};
+
+/**
+ * Update an alert channel (only provided fields are changed; null clears the secret)
+ * @param {number} id
+ * @param {Object} data
+ * @returns {Promise<Object|null>} Without the secret
+ */
+const updateAlertChannel = async (id, data) => {
+  const fields = ['id = id'];
+  const values = [id];
+  ALERT_CHANNEL_FIELDS.forEach((key) => {
+    if (data[key] !== undefined) {
+      values.push(data[key]);
+      fields.push(`${key} = $${values.length}`);
+    }
+  });
+  const result = await pool.query(`UPDATE alert_channels SET ${fields.join(', ')} WHERE id = $1 RETURNING id`, values);
+  return result.rows[0] ? getAlertChannelById(id) : null;
+};
+
+/**
+ * Delete an alert channel no rule uses (its delivery log goes with it)
+ * @param {number} id
+ * @returns {Promise<Object|null>} Deleted channel, or null if missing or still in use
+ */
+const deleteAlertChannel = async (id) => {
+  const result = await pool.query(
+    `DELETE FROM alert_channels ch
+     WHERE ch.id = $1 AND NOT EXISTS (SELECT 1 FROM alert_rule_channels rc WHERE rc.channel_id = ch.id)
+     RETURNING id, name`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+// Alert rule columns plus its channels and how often it fired
+const ALERT_RULE_SELECT = `
+  SELECT r.id, r.name, r.event, r.device_type_ids, r.location_ids, r.warranty_days, r.enabled,
+         r.created_by, u.name AS created_by_name, r.created_at,
+         COALESCE((SELECT array_agg(rc.channel_id ORDER BY rc.channel_id)
+                   FROM alert_rule_channels rc WHERE rc.rule_id = r.id), '{}') AS channel_ids,
+         (SELECT COUNT(*) FROM alert_events e WHERE e.rule_id = r.id)::int AS alert_count,
+         (SELECT MAX(e.created_at) FROM alert_events e WHERE e.rule_id = r.id) AS last_alert_at
+  FROM alert_rules r
+  LEFT JOIN users u ON u.id = r.created_by`;
+
+const ALERT_RULE_FIELDS = ['name', 'event', 'device_type_ids', 'location_ids', 'warranty_days', 'enabled'];
+
+/**
+ * Get every alert rule by name
+ * @returns {Promise<Array<Object>>}
+ */
+const getAlertRules = async () => {
+  const result = await pool.query(`${ALERT_RULE_SELECT} ORDER BY LOWER(r.name) ASC`);
+  return result.rows;
+};
+
+/**
+ * Get one alert rule
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const getAlertRuleById = async (id) => {
+  const result = await pool.query(`${ALERT_RULE_SELECT} WHERE r.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Replace the channels of a rule
+ * @param {Object} client - Transaction client
+ * @param {number} ruleId
+ * @param {Array<number>} channelIds
+ */
+const setAlertRuleChannels = async (client, ruleId, channelIds) => {
+  await client.query('DELETE FROM alert_rule_channels WHERE rule_id = $1', [ruleId]);
+  await client.query(
+    `INSERT INTO alert_rule_channels (rule_id, channel_id)
+     SELECT $1, UNNEST($2::int[]) ON CONFLICT DO NOTHING`,
+    [ruleId, channelIds]
+  );
+};
+
+/**
+ * Add an alert rule with its channels
+ * @param {Object} data - name, event, device_type_ids, location_ids, warranty_days, enabled, channel_ids, created_by
+ * @returns {Promise<Object>}
+ */
+const createAlertRule = async (data) => {
+  const id = await withTransaction(async (client) => {
+    const columns = [...ALERT_RULE_FIELDS, 'created_by'].filter((key) => data[key] !== undefined && data[key] !== null);
+    const result = await client.query(
+      `INSERT INTO alert_rules (${columns.join(', ')})
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING id`,
+      columns.map((key) => data[key])
+    );
+    await setAlertRuleChannels(client, result.rows[0].id, data.channel_ids || []);
+    return result.rows[0].id;
+  });
+  return getAlertRuleById(id);
+};
+
+/**
+ * Update an alert rule (only provided fields are changed; channel_ids replaces the channels)
+ * @param {number} id
+ * @param {Object} data
+ * @returns {Promise<Object|null>}
+ */
+const updateAlertRule = async (id, data) => {
+  const found = await withTransaction(async (client) => {
+    const fields = ['id = id'];
+    const values = [id];
+    ALERT_RULE_FIELDS.forEach((key) => {
+      if (data[key] !== undefined) {
+        values.push(data[key]);
+        fields.push(`${key} = $${values.length}`);
+      }
+    });
+    const result = await client.query(`UPDATE alert_rules SET ${fields.join(', ')} WHERE id = $1 RETURNING id`, values);
+    if (!result.rows[0]) return false;
+    if (data.channel_ids !== undefined) await setAlertRuleChannels(client, id, data.channel_ids);
+    return true;
+  });
+  return found ? getAlertRuleById(id) : null;
+};
+
+/**
+ * Delete an alert rule with the alerts it raised and their deliveries
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const deleteAlertRule = async (id) => {
+  const result = await pool.query('DELETE FROM alert_rules WHERE id = $1 RETURNING id, name', [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Events that at least one enabled rule with a channel listens to, with the longest warranty window among them
+ * @returns {Promise<Map<string, {warranty_days: number}>>}
+ */
+const getActiveAlertEvents = async () => {
+  const result = await pool.query(
+    `SELECT r.event, MAX(r.warranty_days)::int AS warranty_days
+     FROM alert_rules r
+     WHERE r.enabled AND EXISTS (SELECT 1 FROM alert_rule_channels rc WHERE rc.rule_id = r.id)
+     GROUP BY r.event`
+  );
+  return new Map(result.rows.map((row) => [row.event, { warranty_days: row.warranty_days }]));
+};
+
+// Device columns alert messages show
+const ALERT_DEVICE_COLUMNS = `d.id AS device_id, d.hostname, host(d.ip_address) AS ip_address, d.location,
+         COALESCE(dt.name, d.device_type) AS device_type`;
+
+/**
+ * Devices whose status was changed to inactive over the last days (any route that writes an 'updated' entry)
+ * @param {number} [days=7]
+ * @returns {Promise<Array<Object>>} One row per history entry, with its id, time, who and the previous status
+ */
+const getInactiveStatusChanges = async (days = 7) => {
+  const result = await pool.query(
+    `SELECT h.id AS history_id, h.created_at AS occurred_at, h.details->'changes'->'status'->>'from' AS previous_status,
+            h.details->>'reason' AS reason, u.name AS changed_by, ${ALERT_DEVICE_COLUMNS}
+     FROM device_history h
+     JOIN devices d ON d.id = h.device_id
+     LEFT JOIN device_types dt ON dt.id = d.device_type_id
+     LEFT JOIN users u ON u.id = h.user_id
+     WHERE h.entity_type = 'device' AND h.action = 'updated'
+       AND LOWER(h.details->'changes'->'status'->>'to') = 'inactive'
+       AND h.created_at >= CURRENT_TIMESTAMP - make_interval(days => $1)
+       AND d.deleted_at IS NULL
+     ORDER BY h.id ASC`,
+    [days]
+  );
+  return result.rows;
+};
+
+/**
+ * Config file versions uploaded over the last days, from the 'file_uploaded' history entries
+ * @param {number} [days=7]
+ * @returns {Promise<Array<Object>>} One row per upload, with its history id, time, file name, version and uploader
+ */
+const getConfigVersionUploads = async (days = 7) => {
+  const result = await pool.query(
+    `SELECT h.id AS history_id, h.created_at AS occurred_at, h.details->>'filename' AS filename,
+            (h.details->>'version')::int AS version, u.name AS uploaded_by, ${ALERT_DEVICE_COLUMNS}
+     FROM device_history h
+     JOIN devices d ON d.id = h.device_id
+     LEFT JOIN device_types dt ON dt.id = d.device_type_id
+     LEFT JOIN users u ON u.id = h.user_id
+     WHERE h.entity_type = 'device' AND h.action = 'file_uploaded'
+       AND h.created_at >= CURRENT_TIMESTAMP - make_interval(days => $1)
+       AND d.deleted_at IS NULL
+     ORDER BY h.id ASC`,
+    [days]
+  );
+  return result.rows;
+};
+
+/**
+ * Live devices the reachability poller currently sees as down
+ * @returns {Promise<Array<Object>>} With the time they went down and the last probe error
+ */
+const getUnreachableDevices = async () => {
+  const result = await pool.query(
+    `SELECT r.changed_at AS down_since, r.last_seen, r.error, ${ALERT_DEVICE_COLUMNS}
+     FROM device_reachability r
+     JOIN devices d ON d.id = r.device_id
+     LEFT JOIN device_types dt ON dt.id = d.device_type_id
+     WHERE NOT r.up AND d.deleted_at IS NULL AND d.probe_method IS DISTINCT FROM 'none'
+     ORDER BY d.id ASC`
+  );
+  return result.rows;
+};
+
+/**
+ * Live devices whose coverage (the latest-ending contract attached to them) ends within the next days
+ * @param {number} days
+ * @returns {Promise<Array<Object>>}
+ */
+const getEndingCoverage = async (days) => {
+  const result = await pool.query(
+    `WITH coverage AS (
+       SELECT DISTINCT ON (cd.device_id)
+              cd.device_id, c.end_date, c.id AS contract_id, c.vendor, c.contract_number, c.coverage
+       FROM contract_devices cd JOIN contracts c ON c.id = cd.contract_id
+       ORDER BY cd.device_id, c.end_date DESC, c.id DESC
+     )
+     SELECT to_char(cv.end_date, 'YYYY-MM-DD') AS end_date, (cv.end_date - CURRENT_DATE) AS days_left,
+            cv.contract_id, cv.vendor, cv.contract_number, cv.coverage, ${ALERT_DEVICE_COLUMNS}
+     FROM coverage cv
+     JOIN devices d ON d.id = cv.device_id
+     LEFT JOIN device_types dt ON dt.id = d.device_type_id
+     WHERE d.deleted_at IS NULL AND cv.end_date BETWEEN CURRENT_DATE AND CURRENT_DATE + $1::int
+     ORDER BY cv.end_date ASC, d.id ASC`,
+    [days]
+  );
+  return result.rows;
+};
+
+/**
+ * Live devices still assigned to a deactivated user
+ * @returns {Promise<Array<Object>>}
+ */
+const getDevicesAssignedToInactiveUsers = async () => {
+  const result = await pool.query(
+    `SELECT u.id AS user_id, u.name AS user_name, u.email AS user_email, ${ALERT_DEVICE_COLUMNS}
+     FROM devices d
+     JOIN users u ON u.id = d.assigned_user_id
+     LEFT JOIN device_types dt ON dt.id = d.device_type_id
+     WHERE NOT u.active AND d.deleted_at IS NULL
+     ORDER BY d.id ASC`
+  );
+  return result.rows;
+};
+
+/**
+ * Raise alerts for every enabled rule of an event whose filters match the device, with one pending delivery per
+ * channel of the rule. A rule raises each dedupe_key once; events that happened before a rule existed are skipped.
+ * @param {string} event
+ * @param {Array<{device_id: number, dedupe_key: string, subject: string, details: Object, occurred_at?: string}>}
+ *   candidates - warranty_expiring candidates carry details.days_left, checked against each rule's window
+ * @returns {Promise<{alerts: number, deliveries: number}>}
+ */
+const raiseAlerts = async (event, candidates) => {
+  if (candidates.length === 0) return { alerts: 0, deliveries: 0 };
+  const result = await pool.query(
+    `WITH raised AS (
+       INSERT INTO alert_events (rule_id, event, device_id, dedupe_key, subject, details)
+       SELECT r.id, r.event, d.id, c.dedupe_key, c.subject, c.details
+       FROM jsonb_to_recordset($2::jsonb)
+            AS c(device_id int, dedupe_key text, subject text, details jsonb, occurred_at timestamptz)
+       JOIN devices d ON d.id = c.device_id
+       LEFT JOIN locations l ON l.id = d.location_id
+       JOIN alert_rules r ON r.event = $1 AND r.enabled
+        AND (cardinality(r.device_type_ids) = 0 OR d.device_type_id = ANY(r.device_type_ids))
+        AND (cardinality(r.location_ids) = 0 OR l.ancestor_ids && r.location_ids)
+        AND (c.occurred_at IS NULL OR c.occurred_at >= r.created_at)
+        AND (r.event <> 'warranty_expiring' OR (c.details->>'days_left')::int <= r.warranty_days)
+       ON CONFLICT (rule_id, dedupe_key) DO NOTHING
+       RETURNING id, rule_id
+     ), queued AS (
+       INSERT INTO alert_deliveries (event_id, channel_id)
+       SELECT raised.id, ch.id
+       FROM raised
+       JOIN alert_rule_channels rc ON rc.rule_id = raised.rule_id
+       JOIN alert_channels ch ON ch.id = rc.channel_id AND ch.enabled
+       RETURNING id
+     )
+     SELECT (SELECT COUNT(*) FROM raised)::int AS alerts, (SELECT COUNT(*) FROM queued)::int AS deliveries`,
+    [event, JSON.stringify(candidates)]
+  );
+  return result.rows[0];
+};
+
+// Delivery columns with the alert and channel they belong to (no channel secret)
+const ALERT_DELIVERY_SELECT = `
+  SELECT dl.id, dl.event_id, dl.channel_id, dl.status, dl.attempts, dl.next_attempt_at, dl.last_error, dl.sent_at,
+         dl.created_at, ch.name AS channel_name, ch.kind AS channel_kind,
+         e.rule_id, r.name AS rule_name, e.event, e.device_id, e.subject, e.details, e.created_at AS raised_at
+  FROM alert_deliveries dl
+  JOIN alert_channels ch ON ch.id = dl.channel_id
+  JOIN alert_events e ON e.id = dl.event_id
+  JOIN alert_rules r ON r.id = e.rule_id`;
+
+/**
+ * Get the delivery log, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - pending, sent or failed
+ * @param {number} [filters.ruleId]
+ * @param {number} [filters.channelId]
+ * @param {number} [filters.limit=100]
+ * @returns {Promise<Array<Object>>}
+ */
+const getAlertDeliveries = async ({ status = null, ruleId = null, channelId = null, limit = 100 } = {}) => {
+  const result = await pool.query(
+    `${ALERT_DELIVERY_SELECT}
+     WHERE ($1::text IS NULL OR dl.status = $1)
+       AND ($2::int IS NULL OR e.rule_id = $2)
+       AND ($3::int IS NULL OR dl.channel_id = $3)
+     ORDER BY dl.created_at DESC, dl.id DESC
+     LIMIT $4`,
+    [status, ruleId, channelId, limit]
+  );
+  return result.rows;
+};
+
+/**
+ * Get one delivery from the log
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const getAlertDeliveryById = async (id) => {
+  const result = await pool.query(`${ALERT_DELIVERY_SELECT} WHERE dl.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Pending deliveries whose next attempt is due, with the channel target and secret (for alerts.js only)
+ * Deliveries to a disabled channel stay queued until it is enabled again.
+ * @param {number} [limit=50]
+ * @returns {Promise<Array<Object>>}
+ */
+const getDueAlertDeliveries = async (limit = 50) => {
+  const result = await pool.query(
+    `SELECT dl.id, dl.attempts, ch.kind, ch.target, ch.secret, e.id AS event_id, e.event, e.device_id, e.subject,
+            e.details, e.created_at AS raised_at, e.rule_id, r.name AS rule_name
+     FROM alert_deliveries dl
+     JOIN alert_channels ch ON ch.id = dl.channel_id
+     JOIN alert_events e ON e.id = dl.event_id
+     JOIN alert_rules r ON r.id = e.rule_id
+     WHERE dl.status = 'pending' AND dl.next_attempt_at <= CURRENT_TIMESTAMP AND ch.enabled
+     ORDER BY dl.next_attempt_at ASC, dl.id ASC
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+};
+
+/**
+ * Record one delivery attempt: sent, or failed and either retried at retryAt or given up once out of attempts
+ * @param {number} id
+ * @param {Object} outcome
+ * @param {string|null} outcome.error - null when sent
+ * @param {Date} [outcome.retryAt]
+ * @param {number} [outcome.maxAttempts]
+ * @returns {Promise<Object|null>}
+ */
+const recordAlertDeliveryAttempt = async (id, { error, retryAt = null, maxAttempts = 1 }) => {
+  const result = await pool.query(
+    `UPDATE alert_deliveries
+     SET attempts = attempts + 1,
+         status = CASE WHEN $2::text IS NULL THEN 'sent' WHEN attempts + 1 >= $4 THEN 'failed' ELSE 'pending' END,
+         sent_at = CASE WHEN $2::text IS NULL THEN CURRENT_TIMESTAMP END,
+         last_error = $2,
+         next_attempt_at = COALESCE($3, next_attempt_at)
+     WHERE id = $1
+     RETURNING id, status, attempts`,
+    [id, error ? String(error).slice(0, 1000) : null, retryAt, maxAttempts]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Queue a failed (or pending) delivery for another attempt now
+ * @param {number} id
+ * @returns {Promise<Object|null>} null when missing or already sent
+ */
+const retryAlertDelivery = async (id) => {
+  const result = await pool.query(
+    `UPDATE alert_deliveries SET status = 'pending', next_attempt_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status <> 'sent'
+     RETURNING id`,
+    [id]
+  );
+  return result.rows[0] ? getAlertDeliveryById(id) : null;
+};
+
+// History actions on devices that webhooks can subscribe to, by the event name they are sent as
+const WEBHOOK_HISTORY_EVENTS = {
+  created: 'device.created',
+  imported: 'device.created',
+  updated: 'device.updated',
+  deleted: 'device.deleted',
+  assigned: 'device.assigned',
+  checked_in: 'device.checked_in',
+  file_uploaded: 'device.file_uploaded',
+  restored: 'device.restored',
+  purged: 'device.purged'
+};
+
+// Device state attached to webhook events (as it is once the change is applied; a purged device only keeps its ID
+// and last hostname)
+const WEBHOOK_DEVICE_SELECT = `
+  SELECT d.id, d.hostname, host(d.ip_address) AS ip_address, d.device_type, d.device_type_id,
+         d.manufacturer_id, m.name AS manufacturer, d.model_id, md.name AS model, d.location_id, d.location,
+         d.status, d.serial_number, d.asset_tag, d.assigned_user_id, u.email AS assigned_user_email,
+         d.deleted_at IS NOT NULL AS deleted
+  FROM devices d
+  LEFT JOIN manufacturers m ON d.manufacturer_id = m.id
+  LEFT JOIN models md ON d.model_id = md.id
+  LEFT JOIN users u ON d.assigned_user_id = u.id`;
+
+/**
+ * Queue a device history entry for every active webhook subscribed to its event
+ * Runs on the client that wrote the entry, so the event is only sent if the change commits.
+ * @param {Object} entry - Row returned by addHistoryEntry
+ * @param {Object} [client=pool]
+ * @returns {Promise<number>} Deliveries queued
+ */
+const queueWebhookEvent = async (entry, client = pool) => {
+  const event = WEBHOOK_HISTORY_EVENTS[entry.action];
+  if (!event || entry.entity_type !== 'device' || !entry.device_id) return 0;
+  const base = {
+    event,
+    history_id: entry.id,
+    occurred_at: entry.created_at,
+    details: entry.details || {}
+  };
+  const result = await client.query(
+    `INSERT INTO webhook_outbox (webhook_id, event, history_id, payload)
+     SELECT w.id, $1::text, $2::int, $3::jsonb || jsonb_build_object(
+              'actor', jsonb_build_object('user_id', $4::int, 'name', (SELECT name FROM users WHERE id = $4),
+                                          'ip_address', host($5::inet)),
+              'device', COALESCE((SELECT to_jsonb(dv) FROM (${WEBHOOK_DEVICE_SELECT} WHERE d.id = $6) dv),
+                                 jsonb_build_object('id', $6::int, 'hostname', $7::text, 'deleted', true)))
+     FROM webhooks w
+     WHERE w.active AND $1::text = ANY(w.events)`,
+    [event, entry.id, JSON.stringify(base), entry.user_id, entry.ip_address, entry.device_id, entry.device_hostname]
+  );
+  return result.rowCount;
+};
+
+// Webhook columns without the signing secret (shown once, on create and rotate), plus delivery counts
+const WEBHOOK_SELECT = `
+  SELECT w.id, w.name, w.url, w.events, w.active, w.created_by, u.name AS created_by_name, w.created_at,
+         (SELECT COUNT(*) FROM webhook_outbox o WHERE o.webhook_id = w.id AND o.status = 'pending')::int AS pending_count,
+         (SELECT COUNT(*) FROM webhook_outbox o WHERE o.webhook_id = w.id AND o.status = 'failed')::int AS failed_count,
+         (SELECT MAX(o.delivered_at) FROM webhook_outbox o WHERE o.webhook_id = w.id) AS last_delivered_at
+  FROM webhooks w
+  LEFT JOIN users u ON w.created_by = u.id`;
+
+const WEBHOOK_FIELDS = ['name', 'url', 'secret', 'events', 'active', 'created_by'];
+
+/**
+ * Get every webhook by name (no secrets)
+ * @returns {Promise<Array<Object>>}
+ */
+const getWebhooks = async () => {
+  const result = await pool.query(`${WEBHOOK_SELECT} ORDER BY LOWER(w.name) ASC`);
+  return result.rows;
+};
+
+/**
+ * Get one webhook (no secret)
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const getWebhookById = async (id) => {
+  const result = await pool.query(`${WEBHOOK_SELECT} WHERE w.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Add a webhook
+ * @param {Object} data - name, url, secret, events, active, created_by
+ * @returns {Promise<Object>} Without the secret
+ */
+const createWebhook = async (data) => {
+  const columns = WEBHOOK_FIELDS.filter((key) => data[key] !== undefined && data[key] !== null);
+  const result = await pool.query(
+    `INSERT INTO webhooks (${columns.join(', ')})
+     VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING id`,
+    columns.map((key) => data[key])
+  );
+  return getWebhookById(result.rows[0].id);
+};
+
+/**
+ * Update a webhook (only provided fields are changed)
+ * @param {number} id
+ * @param {Object} data - name, url, secret, events, active
+ * @returns {Promise<Object|null>} Without the secret
+ */
+const updateWebhook = async (id, data) => {
+  const fields = ['id = id'];
+  const values = [id];
+  WEBHOOK_FIELDS.filter((key) => key !== 'created_by').forEach((key) => {
+    if (data[key] !== undefined) {
+      values.push(data[key]);
+      fields.push(`${key} = $${values.length}`);
+    }
+  });
+  const result = await pool.query(`UPDATE webhooks SET ${fields.join(', ')} WHERE id = $1 RETURNING id`, values);
+  return result.rows[0] ? getWebhookById(id) : null;
+};
+
+/**
+ * Delete a webhook and its delivery log
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const deleteWebhook = async (id) => {
+  const result = await pool.query('DELETE FROM webhooks WHERE id = $1 RETURNING id, name', [id]);
+  return result.rows[0] || null;
+};
+
+// Outbox row columns for the delivery log (payload included; it is what was or will be sent)
+const WEBHOOK_DELIVERY_SELECT = `
+  SELECT o.id, o.webhook_id, w.name AS webhook_name, o.event, o.history_id, o.payload, o.status, o.attempts,
+         o.next_attempt_at, o.response_status, o.last_error, o.delivered_at, o.replay_of, o.created_at
+  FROM webhook_outbox o
+  JOIN webhooks w ON w.id = o.webhook_id`;
+
+/**
+ * Delivery log of one webhook, newest first
+ * @param {number} webhookId
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - pending, delivered or failed
+ * @param {string} [filters.event]
+ * @param {number} [filters.limit=100]
+ * @returns {Promise<Array<Object>>}
+ */
+const getWebhookDeliveries = async (webhookId, { status = null, event = null, limit = 100 } = {}) => {
+  const result = await pool.query(
+    `${WEBHOOK_DELIVERY_SELECT}
+     WHERE o.webhook_id = $1
+       AND ($2::text IS NULL OR o.status = $2)
+       AND ($3::text IS NULL OR o.event = $3)
+     ORDER BY o.id DESC
+     LIMIT $4`,
+    [webhookId, status, event, limit]
+  );
+  return result.rows;
+};
+
+/**
+ * Get one outbox row
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const getWebhookDeliveryById = async (id) => {
+  const result = await pool.query(`${WEBHOOK_DELIVERY_SELECT} WHERE o.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Queue a test event for one webhook, whatever it subscribes to
+ * @param {number} webhookId
+ * @param {Object} payload
+ * @returns {Promise<Object|null>} Outbox row, or null if the webhook is missing
+ */
+const queueWebhookPing = async (webhookId, payload) => {
+  const result = await pool.query(
+    `INSERT INTO webhook_outbox (webhook_id, event, payload)
+     SELECT id, 'ping', $2 FROM webhooks WHERE id = $1
+     RETURNING id`,
+    [webhookId, JSON.stringify(payload)]
+  );
+  return result.rows[0] ? getWebhookDeliveryById(result.rows[0].id) : null;
+};
+
+/**
+ * Send an earlier delivery again: queues a copy of its payload as a new outbox row
+ * @param {number} id
+ * @returns {Promise<Object|null>} The new row, or null if the original is missing or still pending
+ */
+const replayWebhookDelivery = async (id) => {
+  const result = await pool.query(
+    `INSERT INTO webhook_outbox (webhook_id, event, history_id, payload, replay_of)
+     SELECT webhook_id, event, history_id, payload, id FROM webhook_outbox WHERE id = $1 AND status <> 'pending'
+     RETURNING id`,
+    [id]
+  );
+  return result.rows[0] ? getWebhookDeliveryById(result.rows[0].id) : null;
+};
+
+/**
+ * Pending outbox rows whose next attempt is due, with the webhook URL and secret (for webhooks.js only)
+ * Inactive webhooks keep their rows queued until they are switched back on.
+ * @param {number} [limit=50]
+ * @returns {Promise<Array<Object>>}
+ */
+const getDueWebhookDeliveries = async (limit = 50) => {
+  const result = await pool.query(
+    `SELECT o.id, o.event, o.payload, o.attempts, w.url, w.secret
+     FROM webhook_outbox o
+     JOIN webhooks w ON w.id = o.webhook_id
+     WHERE o.status = 'pending' AND o.next_attempt_at <= CURRENT_TIMESTAMP AND w.active
+     ORDER BY o.next_attempt_at ASC, o.id ASC
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+};
+
+/**
+ * Record one delivery attempt: delivered, or failed and either retried at retryAt or given up once out of attempts
+ * @param {number} id
+ * @param {Object} outcome
+ * @param {string|null} outcome.error - null when delivered
+ * @param {number|null} [outcome.responseStatus] - HTTP status, when the receiver answered
+ * @param {Date} [outcome.retryAt]
+ * @param {number} [outcome.maxAttempts]
+ * @returns {Promise<Object|null>}
+ */
+const recordWebhookDeliveryAttempt = async (id, { error, responseStatus = null, retryAt = null, maxAttempts = 1 }) => {
+  const result = await pool.query(
+    `UPDATE webhook_outbox
+     SET attempts = attempts + 1,
+         status = CASE WHEN $2::text IS NULL THEN 'delivered' WHEN attempts + 1 >= $5 THEN 'failed' ELSE 'pending' END,
+         delivered_at = CASE WHEN $2::text IS NULL THEN CURRENT_TIMESTAMP END,
+         last_error = $2,
+         response_status = $3,
+         next_attempt_at = COALESCE($4, next_attempt_at)
+     WHERE id = $1
+     RETURNING id, status, attempts`,
+    [id, error ? String(error).slice(0, 1000) : null, responseStatus, retryAt, maxAttempts]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Drop delivered outbox rows older than the retention period (failed ones stay until replayed or deleted)
+ * @param {number} days
+ * @returns {Promise<number>} Rows removed
+ */
+const pruneWebhookDeliveries = async (days) => {
+  const result = await pool.query(
+    `DELETE FROM webhook_outbox
+     WHERE status = 'delivered' AND delivered_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+    [days]
+  );
+  return result.rowCount;
+};
+
+// Addresses live devices use: their IP and every interface address (host part only, interface_name null for the IP)
+const DEVICE_ADDRESSES_SQL = `
+  SELECT d.id AS device_id, d.hostname, d.ip_address AS ip, NULL::text AS interface_name
+  FROM devices d
+  WHERE d.deleted_at IS NULL
+  UNION ALL
+  SELECT d.id, d.hostname, host(a.addr)::inet, i.name
+  FROM device_interfaces i
+  JOIN devices d ON d.id = i.device_id AND d.deleted_at IS NULL
+  CROSS JOIN LATERAL unnest(i.ip_addresses) AS a(addr)`;
+
+// Subnet columns plus address usage (devices inside the prefix, interface addresses and the gateway)
+const SUBNET_SELECT = `
+  SELECT s.id, s.prefix::text AS prefix, s.vlan_id, s.vlan_name, host(s.gateway) AS gateway,
+         s.description, s.created_at,
+         (SELECT COUNT(*)::int FROM devices d
+          WHERE d.ip_address <<= s.prefix AND d.deleted_at IS NULL) AS device_count,
+         (SELECT COUNT(*)::int FROM (
+            SELECT da.ip FROM (${DEVICE_ADDRESSES_SQL}) da WHERE da.ip <<= s.prefix
+            UNION
+            SELECT s.gateway WHERE s.gateway IS NOT NULL
+          ) used) AS used_addresses
+  FROM subnets s`;
+
+/**
+ * Get all subnets ordered by prefix
+ * @returns {Promise<Array>}
+ */
+const getSubnets = async () => {
+  const result = await pool.query(`${SUBNET_SELECT} ORDER BY s.prefix ASC`);
+  return result.rows;
+};
+
+/**
+ * Get a subnet by ID
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const getSubnetById = async (id) => {
+  const result = await pool.query(`${SUBNET_SELECT} WHERE s.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Create a subnet
+ * @param {Object} data
+ * @param {string} data.prefix - Network CIDR (host bits cleared)
+ * @param {number} [data.vlan_id]
+ * @param {string} [data.vlan_name]
+ * @param {string} [data.gateway]
+ * @param {string} [data.description]
+ * @returns {Promise<Object>}
+ */
+const createSubnet = async ({ prefix, vlan_id, vlan_name, gateway, description }) => {
+  const result = await pool.query(
+    `INSERT INTO subnets (prefix, vlan_id, vlan_name, gateway, description)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [prefix, vlan_id || null, vlan_name || null, gateway || null, description || null]
+  );
+  return getSubnetById(result.rows[0].id);
+};
+
+/**
+ * Update a subnet (only provided fields are changed)
+ * @param {number} id
+ * @param {Object} data - prefix, vlan_id, vlan_name, gateway, description
+ * @returns {Promise<Object|null>}
+ */
+const updateSubnet = async (id, data) => {
+  const fields = [];
+  const values = [];
+  let paramIndex = 1;
+
+  ['prefix', 'vlan_id', 'vlan_name', 'gateway', 'description'].forEach((key) => {
+    if (data[key] !== undefined) {
+      fields.push(`${key} = $${paramIndex++}`);
+      values.push(data[key] === '' ? null : data[key]);
+    }
+  });
+
+  if (fields.length > 0) {
+    values.push(id);
+    const result = await pool.query(
+      `UPDATE subnets SET ${fields.join(', ')} WHERE id = $${paramIndex} RETURNING id`,
+      values
+    );
+    if (!result.rows[0]) return null;
+  }
+  return getSubnetById(id);
+};
+
+/**
+ * Delete a subnet (devices are unaffected)
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const deleteSubnet = async (id) => {
+  const result = await pool.query(
+    'DELETE FROM subnets WHERE id = $1 RETURNING id, prefix::text AS prefix',
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Get devices whose IP falls inside a prefix
+ * @param {string} prefix
+ * @returns {Promise<Array>}
+ */
+const getDevicesInPrefix = async (prefix) => {
+  const result = await pool.query(
+    `SELECT id, hostname, host(ip_address) AS ip_address, status
+     FROM devices
+     WHERE ip_address <<= $1::cidr AND deleted_at IS NULL
+     ORDER BY ip_address ASC`,
+    [prefix]
+  );
+  return result.rows;
+};
+
+/**
+ * Get addresses already taken in a subnet (device IPs, interface addresses and the gateway)
+ * @param {number} subnetId
+ * @returns {Promise<Array<string>>}
+ */
+const getTakenAddresses = async (subnetId) => {
+  const result = await pool.query(
+    `SELECT host(da.ip) AS ip
+     FROM subnets s JOIN (${DEVICE_ADDRESSES_SQL}) da ON da.ip <<= s.prefix
+     WHERE s.id = $1
+     UNION
+     SELECT host(gateway) FROM subnets WHERE id = $1 AND gateway IS NOT NULL`,
+    [subnetId]
+  );
+  return result.rows.map((row) => row.ip);
+};
+
+/**
+ * Find the most specific subnet containing an IP and any other devices using it, as their IP or on an interface
+ * @param {string} ip - Validated address
+ * @param {number} [excludeDeviceId] - Device being edited
+ * @returns {Promise<{subnet: Object|null, conflicts: Array<{id: number, hostname: string, interface_name: string|null}>}>}
+ *   interface_name is null when the address is the device's IP
+ */
+const checkDeviceIp = async (ip, excludeDeviceId = null) => {
+  const [subnetResult, conflictResult] = await Promise.all([
+    pool.query(
+      `SELECT id, prefix::text AS prefix, vlan_id, vlan_name
+       FROM subnets
+       WHERE $1::inet <<= prefix
+       ORDER BY masklen(prefix) DESC
+       LIMIT 1`,
+      [ip]
+    ),
+    pool.query(
+      `SELECT DISTINCT ON (da.device_id) da.device_id AS id, da.hostname, da.interface_name
+       FROM (${DEVICE_ADDRESSES_SQL}) da
+       WHERE da.ip = $1::inet AND ($2::int IS NULL OR da.device_id <> $2)
+       ORDER BY da.device_id ASC, da.interface_name ASC NULLS FIRST`,
+      [ip, excludeDeviceId]
+    )
+  ]);
+  return { subnet: subnetResult.rows[0] || null, conflicts: conflictResult.rows };
+};
+
+// Saved view columns plus the owner's name
+const VIEW_SELECT = `
+  SELECT v.id, v.user_id, v.name, v.search, v.status, v.sort, v.shared, v.created_at, v.updated_at,
+         u.name AS owner_name
+  FROM saved_views v
+  JOIN users u ON v.user_id = u.id`;
+
+/**
+ * Get the views a user can pick: their own plus those shared by others
+ * @param {number} userId
+ * @returns {Promise<Array>} Own views first, then shared ones, each by name
+ */
+const getViews = async (userId) => {
+  const result = await pool.query(
+    `${VIEW_SELECT}
+     WHERE v.user_id = $1 OR v.shared
+     ORDER BY (v.user_id <> $1), LOWER(v.name), v.id`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Get a saved view by ID
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+const getViewById = async (id) => {
+  const result = await pool.query(`${VIEW_SELECT} WHERE v.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Save a view for a user
+ * @param {number} userId - Owner
+ * @param {Object} data - name, search, status, sort, shared
+ * @returns {Promise<Object>}
+ */
+const createView = async (userId, { name, search, status, sort, shared }) => {
+  const result = await pool.query(
+    `INSERT INTO saved_views (user_id, name, search, status, sort, shared)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [userId, name, search || null, status || null, sort || null, Boolean(shared)]
+  );
+  return getViewById(result.rows[0].id);
+};
+
+/**
+ * Update a saved view (only provided fields are changed)
+ * @param {number} id
+ * @param {Object} data - name, search, status, sort, shared
+ * @returns {Promise<Object|null>}
+ */
+const updateView = async (id, data) => {
+  const fields = [];
+  const values = [];
+  let paramIndex = 1;
+
+  ['name', 'search', 'status', 'sort', 'shared'].forEach((key) => {
+    if (data[key] !== undefined) {
+      fields.push(`${key} = $${paramIndex++}`);
+      values.push(data[key] === '' ? null : data[key]);
+    }
+  });
+
+  if (fields.length > 0) {
+    values.push(id);
+    const result = await pool.query(
+      `UPDATE saved_views SET ${fields.join(', ')}, updated_at = NOW() WHERE id = $${paramIndex} RETURNING id`,
+      values
+    );
+    if (!result.rows[0]) return null;
+  }
+  return getViewById(id);
+};
+
+/**
+ * Delete a saved view
+ * @param {number} id
+ * @returns {Promise<Object|null>} Deleted view or null if not found
+ */
+const deleteView = async (id) => {
+  const result = await pool.query('DELETE FROM saved_views WHERE id = $1 RETURNING id, name', [id]);
+  return result.rows[0] || null;
+};
+
+// Contract columns plus the number of attached devices (trashed ones excluded)
+const CONTRACT_SELECT = `
+  SELECT c.id, c.vendor, c.contract_number, c.coverage, c.start_date, c.end_date, c.notes,
+         c.created_at, c.updated_at, (c.end_date - CURRENT_DATE) AS days_left,
+         (SELECT COUNT(*)::int FROM contract_devices cd JOIN devices d ON d.id = cd.device_id
+          WHERE cd.contract_id = c.id AND d.deleted_at IS NULL) AS device_count
+  FROM contracts c`;
+
+/**
+ * Get contracts, soonest expiry first
+ * @param {Object} [filters]
+ * @param {number} [filters.deviceId] - Only contracts covering this device (latest-ending first)
+ * @returns {Promise<Array>}
+ */
+const getContracts = async ({ deviceId } = {}) => {
+  const result = deviceId
+    ? await pool.query(
+      `${CONTRACT_SELECT}
+       WHERE EXISTS (SELECT 1 FROM contract_devices cd WHERE cd.contract_id = c.id AND cd.device_id = $1)
+       ORDER BY c.end_date DESC, c.id`,
+      [deviceId]
+    )
+    : await pool.query(`${CONTRACT_SELECT} ORDER BY c.end_date ASC, c.id`);
+  return result.rows;
+};
+
+/**
+ * Get a contract with the devices it covers
+ * @param {number} id
+ * @returns {Promise<Object|null>} Contract with a devices array (trashed devices excluded)
+ */
+const getContractById = async (id) => {
+  const result = await pool.query(`${CONTRACT_SELECT} WHERE c.id = $1`, [id]);
+  const contract = result.rows[0];
+  if (!contract) return null;
+  const devices = await pool.query(
+    `SELECT d.id, d.hostname, host(d.ip_address) AS ip_address, d.status, d.serial_number, cd.added_at
+     FROM contract_devices cd JOIN devices d ON d.id = cd.device_id
+     WHERE cd.contract_id = $1 AND d.deleted_at IS NULL
+     ORDER BY LOWER(d.hostname)`,
+    [id]
+  );
+  return { ...contract, devices: devices.rows };
+};
+
+/**
+ * Create a contract
+ * @param {Object} data - vendor, contract_number, coverage, start_date, end_date, notes
+ * @returns {Promise<Object>}
+ */
+const createContract = async ({ vendor, contract_number, coverage, start_date, end_date, notes }) => {
+  const result = await pool.query(
+    `INSERT INTO contracts (vendor, contract_number, coverage, start_date, end_date, notes)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [vendor, contract_number, coverage, start_date || null, end_date, notes || null]
+  );
+  return getContractById(result.rows[0].id);
+};
+
+/**
+ * Update a contract (only provided fields are changed)
+ * @param {number} id
+ * @param {Object} data - vendor, contract_number, coverage, start_date, end_date, notes
+ * @returns {Promise<Object|null>}
+ */
+const updateContract = async (id, data) => {
+  const fields = [];
+  const values = [];
+  let paramIndex = 1;
+
+  ['vendor', 'contract_number', 'coverage', 'start_date', 'end_date', 'notes'].forEach((key) => {
+    if (data[key] !== undefined) {
+      fields.push(`${key} = $${paramIndex++}`);
+      values.push(data[key] === '' ? null : data[key]);
+    }
+  });
+
+  if (fields.length > 0) {
+    values.push(id);
+    const result = await pool.query(
+      `UPDATE contracts SET ${fields.join(', ')}, updated_at = NOW() WHERE id = $${paramIndex} RETURNING id`,
+      values
+    );
+    if (!result.rows[0]) return null;
+  }
+  return getContractById(id);
+};
+
+/**
+ * Delete a contract (its device links go with it)
+ * @param {number} id
+ * @returns {Promise<Object|null>} Deleted contract with the IDs of the devices it covered
+ */
+const deleteContract = async (id) =>
+  withTransaction(async (client) => {
+    const links = await client.query(
+      'SELECT device_id FROM contract_devices WHERE contract_id = $1 ORDER BY device_id',
+      [id]
+    );
+    const result = await client.query(
+      'DELETE FROM contracts WHERE id = $1 RETURNING id, vendor, contract_number',
+      [id]
+    );
+    if (!result.rows[0]) return null;
+    return { ...result.rows[0], device_ids: links.rows.map((row) => row.device_id) };
+  });
+
+/**
+ * Attach devices to a contract; devices already attached or in the trash are skipped
+ * @param {number} contractId
+ * @param {Array<number>} deviceIds
+ * @returns {Promise<Array<number>>} IDs that were newly attached
+ */
+const attachContractDevices = async (contractId, deviceIds) => {
+  const result = await pool.query(
+    `INSERT INTO contract_devices (contract_id, device_id)
+     SELECT $1, d.id FROM devices d WHERE d.id = ANY($2::int[]) AND d.deleted_at IS NULL
+     ON CONFLICT DO NOTHING
+     RETURNING device_id`,
+    [contractId, deviceIds]
+  );
+  return result.rows.map((row) => row.device_id).sort((a, b) => a - b);
+};
+
+/**
+ * Detach a device from a contract
+ * @param {number} contractId
+ * @param {number} deviceId
+ * @returns {Promise<boolean>} False when the device was not attached
+ */
+const detachContractDevice = async (contractId, deviceId) => {
+  const result = await pool.query(
+    'DELETE FROM contract_devices WHERE contract_id = $1 AND device_id = $2',
+    [contractId, deviceId]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Coverage and lifecycle dates of live devices that fall within the next `days` days
+ * A device's coverage ends with its latest-ending contract, so a renewal supersedes the old one.
+ * @param {Object} options
+ * @param {number} options.days - Window from today
+ * @param {boolean} [options.includeExpired=false] - Also list dates already in the past
+ * @returns {Promise<Array<Object>>} Rows with kind (coverage, end_of_support or end_of_life), date,
+ *   days_left and the device, plus the contract (coverage) or model (lifecycle) it comes from
+ */
+const getExpiringReport = async ({ days, includeExpired = false }) => {
+  const result = await pool.query(
+    `WITH coverage AS (
+       SELECT DISTINCT ON (cd.device_id)
+              cd.device_id, c.end_date, c.id AS contract_id, c.vendor, c.contract_number, c.coverage
+       FROM contract_devices cd JOIN contracts c ON c.id = cd.contract_id
+       ORDER BY cd.device_id, c.end_date DESC, c.id DESC
+     ), dates AS (
+       SELECT 'coverage' AS kind, cv.end_date AS date, cv.device_id, cv.contract_id, cv.vendor,
+              cv.contract_number, cv.coverage
+       FROM coverage cv
+       UNION ALL
+       SELECT 'end_of_support', md.eos_date, d.id, NULL, NULL, NULL, NULL
+       FROM devices d JOIN models md ON md.id = d.model_id WHERE md.eos_date IS NOT NULL
+       UNION ALL
+       SELECT 'end_of_life', md.eol_date, d.id, NULL, NULL, NULL, NULL
+       FROM devices d JOIN models md ON md.id = d.model_id WHERE md.eol_date IS NOT NULL
+     )
+     SELECT x.kind, x.date, (x.date - CURRENT_DATE) AS days_left,
+            d.id AS device_id, d.hostname, host(d.ip_address) AS ip_address, d.status, d.location,
+            d.serial_number, x.contract_id, x.vendor, x.contract_number, x.coverage,
+            d.model_id, md.name AS model_name, m.name AS manufacturer_name
+     FROM dates x
+     JOIN devices d ON d.id = x.device_id
+     LEFT JOIN models md ON md.id = d.model_id
+     LEFT JOIN manufacturers m ON m.id = d.manufacturer_id
+     WHERE d.deleted_at IS NULL
+       AND x.date <= CURRENT_DATE + $1::int
+       AND ($2 OR x.date >= CURRENT_DATE)
+     ORDER BY x.date ASC, LOWER(d.hostname), x.kind`,
+    [days, includeExpired]
+  );
+  return result.rows;
+};
+
 // Export all database operations
 module.exports = {
+  DEVICE_FIELD_SQL,
+  DEVICE_SORT_SQL,
   getDevices,
+  countDevices,
+  getDeviceStats,
   getDeviceById,
   createDevice,
   updateDevice,
   deleteDevice,
+  restoreDevice,
+  purgeDevice,
+  findDevicesByIdentity,
+  findDevicesByAssetIds,
+  importDevices,
+  bulkUpdateDevices,
   getUserByEmail,
   getUserById,
   getUsers,
   createUser,
+  updateUser,
+  setUserPassword,
+  getUserPasswordHash,
+  countActiveAdmins,
+  deactivateUser,
+  updateUserAccount,
   ensureDefaultAdmin,
   addDeviceFile,
   getDeviceFiles,
   assignDeviceToUser,
   unassignDevice,
-  ensureDefaultLookups,
   getDeviceTypes,
   getManufacturers,
+  getLookupUsage,
+  getLookupById,
+  findLookupByName,
+  createLookup,
+  renameLookup,
+  deleteLookup,
+  mergeManufacturers,
+  findModelByName,
+  createModel,
+  updateModel,
+  LOCATION_KINDS,
+  getLocations,
+  getLocationById,
+  findLocationByName,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  mergeLocations,
+  getRacks,
+  getRackDevices,
+  findRackConflict,
   addHistoryEntry,
   getDeviceHistory,
+  getAuditEntries,
+  getDeviceInterfaces,
+  getDeviceInterface,
+  createDeviceInterface,
+  updateDeviceInterface,
+  deleteDeviceInterface,
+  setInterfacePassThrough,
+  getCables,
+  getCableById,
+  getInterfaceCable,
+  getInterfaceEndpoint,
+  createCable,
+  updateCable,
+  deleteCable,
+  getDeviceConnections,
+  traceInterfacePath,
+  getDeviceNeighbors,
+  replaceDeviceNeighbors,
+  getTopologyLinks,
+  getProbeTargets,
+  recordReachabilityResults,
+  getReachabilityHistory,
+  pruneReachabilityChecks,
+  getReachabilityCounts,
+  getReachabilityMismatches,
+  getSnmpCredentials,
+  getSnmpCredentialById,
+  createSnmpCredential,
+  updateSnmpCredential,
+  deleteSnmpCredential,
+  getSnmpTargets,
+  getDeviceSnmpCredential,
+  saveSnmpPoll,
+  recordSnmpFailure,
+  getDeviceSnmp,
+  getSnmpCredentialSecrets,
+  getDiscoveryScans,
+  getDiscoveryScanById,
+  createDiscoveryScan,
+  updateDiscoveryProgress,
+  finishDiscoveryScan,
+  failDiscoveryScan,
+  failInterruptedDiscoveryScans,
+  deleteDiscoveryScan,
+  getDevicesInRanges,
+  getDiscoveryHosts,
+  findDiscoveryConflicts,
+  acceptDiscoveryHosts,
+  dismissDiscoveryHosts,
+  getAlertChannels,
+  getAlertChannelById,
+  getAlertChannelSecrets,
+  createAlertChannel,
+  updateAlertChannel,
+  deleteAlertChannel,
+  getAlertRules,
+  getAlertRuleById,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  getActiveAlertEvents,
+  getInactiveStatusChanges,
+  getConfigVersionUploads,
+  getUnreachableDevices,
+  getEndingCoverage,
+  getDevicesAssignedToInactiveUsers,
+  raiseAlerts,
+  getAlertDeliveries,
+  getAlertDeliveryById,
+  getDueAlertDeliveries,
+  recordAlertDeliveryAttempt,
+  retryAlertDelivery,
+  WEBHOOK_HISTORY_EVENTS,
+  getWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getWebhookDeliveryById,
+  queueWebhookPing,
+  replayWebhookDelivery,
+  getDueWebhookDeliveries,
+  recordWebhookDeliveryAttempt,
+  pruneWebhookDeliveries,
+  getSubnets,
+  getSubnetById,
+  createSubnet,
+  updateSubnet,
+  deleteSubnet,
+  getDevicesInPrefix,
+  getTakenAddresses,
+  checkDeviceIp,
+  getViews,
+  getViewById,
+  createView,
+  updateView,
+  deleteView,
+  getContracts,
+  getContractById,
+  createContract,
+  updateContract,
+  deleteContract,
+  attachContractDevices,
+  detachContractDevice,
+  getExpiringReport,
+  withTransaction,
   pool // Export pool for graceful shutdown if needed
 };
\ No newline at end of file
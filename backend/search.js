@@ -0,0 +1,231 @@
+// Device search query language for Network Device Inventory
+// Parses `type:Switch manufacturer:Cisco location:"Building A*" assigned:none created:>2025-01-01 -status:inactive`
+// into clauses; queries.js turns them into parameterized SQL
+
+const { parseIpQuery, parseMacAddress } = require('./ip');
+const { isIsoDateOrTime, nextIsoDate } = require('./dates');
+
+// Searchable fields; `nullable` fields accept none/any.
+// location matches the device's location path or the name of any location above it (location:HQ finds
+// every device in that site); location_id:N likewise includes the devices in sub-locations.
+// reachability is the poller's latest verdict (up or down; none = never probed).
+const SEARCH_FIELDS = {
+  hostname: { type: 'text' },
+  ip: { type: 'ip' },
+  mac: { type: 'mac', nullable: true },
+  type: { type: 'text' },
+  manufacturer: { type: 'text', nullable: true },
+  model: { type: 'text', nullable: true },
+  serial: { type: 'text', nullable: true },
+  asset_tag: { type: 'text', nullable: true },
+  purchase_order: { type: 'text', nullable: true },
+  location: { type: 'text', nullable: true },
+  location_id: { type: 'number', nullable: true },
+  rack_position: { type: 'number', nullable: true },
+  status: { type: 'text' },
+  notes: { type: 'text', nullable: true },
+  assigned: { type: 'text', nullable: true },
+  id: { type: 'number' },
+  device_type_id: { type: 'number', nullable: true },
+  manufacturer_id: { type: 'number', nullable: true },
+  model_id: { type: 'number', nullable: true },
+  cost: { type: 'number', nullable: true },
+  assigned_user_id: { type: 'number', nullable: true },
+  created: { type: 'date' },
+  assigned_at: { type: 'date', nullable: true },
+  purchase_date: { type: 'date', nullable: true },
+  reachability: { type: 'text', nullable: true },
+  last_seen: { type: 'date', nullable: true },
+  latency: { type: 'number', nullable: true }
+};
+
+// Alternative spellings, mostly the device column names
+const FIELD_ALIASES = {
+  host: 'hostname',
+  ip_address: 'ip',
+  mac_address: 'mac',
+  device_type: 'type',
+  device_type_name: 'type',
+  manufacturer_name: 'manufacturer',
+  vendor: 'manufacturer',
+  model_name: 'model',
+  serial_number: 'serial',
+  asset: 'asset_tag',
+  po: 'purchase_order',
+  purchase_cost: 'cost',
+  purchased: 'purchase_date',
+  rack_unit: 'rack_position',
+  assigned_to: 'assigned',
+  user: 'assigned',
+  created_at: 'created',
+  reachable: 'reachability',
+  latency_ms: 'latency'
+};
+
+const COMPARISON = /^(>=|<=|>|<|=)/;
+
+/**
+ * Split a query into whitespace-separated tokens, keeping quoted text together
+ * @param {string} text
+ * @returns {Array<string>} Tokens with their quotes still in place
+ * @throws {Error} When a quote is never closed
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  let token = '';
+  let inQuotes = false;
+  for (const ch of text) {
+    if (ch === '"') inQuotes = !inQuotes;
+    if (!inQuotes && /\s/.test(ch)) {
+      if (token) tokens.push(token);
+      token = '';
+    } else {
+      token += ch;
+    }
+  }
+  if (inQuotes) throw new Error('Unterminated quote in search query');
+  if (token) tokens.push(token);
+  return tokens;
+};
+
+/**
+ * Split a field value on commas outside quotes (status:active,maintenance)
+ * @param {string} raw
+ * @returns {Array<{text: string, quoted: boolean}>}
+ */
+const splitValues = (raw) => {
+  const pieces = [];
+  let piece = '';
+  let inQuotes = false;
+  for (const ch of raw) {
+    if (ch === '"') inQuotes = !inQuotes;
+    if (ch === ',' && !inQuotes) {
+      pieces.push(piece);
+      piece = '';
+    } else {
+      piece += ch;
+    }
+  }
+  pieces.push(piece);
+  return pieces.map((p) => ({ text: p.replace(/"/g, ''), quoted: p.includes('"') }));
+};
+
+/**
+ * Turn a date value and operator into comparisons; a bare day (2025-01-01) covers the whole day
+ * @param {string} op
+ * @param {string} value
+ * @returns {Object} Parsed value
+ */
+const parseDateValue = (op, value) => {
+  if (!isIsoDateOrTime(value)) return null;
+  if (value.length > 10) return { op, value };
+
+  const nextDay = nextIsoDate(value);
+  switch (op) {
+    case '>': return { op: '>=', value: nextDay };
+    case '<=': return { op: '<', value: nextDay };
+    case '>=':
+    case '<': return { op, value };
+    default: return { op: 'between', value: [value, nextDay] };
+  }
+};
+
+/**
+ * Parse one field value according to the field's type
+ * @param {string} key - Field name as typed (for messages)
+ * @param {Object} field - SEARCH_FIELDS entry
+ * @param {string} op - Comparison operator or '='
+ * @param {{text: string, quoted: boolean}} piece
+ * @returns {Object} {op, value}
+ * @throws {Error} When the value does not fit the field
+ */
+const parseFieldValue = (key, field, op, { text, quoted }) => {
+  const value = text.trim();
+  if (!value) throw new Error(`Missing value for "${key}:"`);
+
+  const keyword = !quoted && ['none', 'any'].includes(value.toLowerCase()) ? value.toLowerCase() : null;
+  if (keyword) {
+    if (!field.nullable && field.type !== 'text') throw new Error(`"${key}" is always set; none/any do not apply`);
+    return { op: keyword };
+  }
+
+  switch (field.type) {
+    case 'number':
+      if (!/^\d+(\.\d+)?$/.test(value)) throw new Error(`"${key}" expects a number, got "${value}"`);
+      return { op, value: Number(value) };
+    case 'date': {
+      const parsed = parseDateValue(op, value);
+      if (!parsed) throw new Error(`"${key}" expects a date such as 2025-01-01, got "${value}"`);
+      return parsed;
+    }
+    case 'ip': {
+      const ipQuery = parseIpQuery(value);
+      if (ipQuery) return { op: ipQuery.type, value: ipQuery.value };
+      if (value.includes('*')) return { op: 'like', value };
+      throw new Error(`"${key}" expects an IP address, CIDR prefix or wildcard (10.0.*), got "${value}"`);
+    }
+    case 'mac': {
+      const mac = parseMacAddress(value);
+      if (!mac) throw new Error(`"${key}" expects a MAC address such as 00:1a:2b:3c:4d:5e, got "${value}"`);
+      return { op: '=', value: mac };
+    }
+    default:
+      return value.includes('*') ? { op: 'like', value } : { op: '=', value };
+  }
+};
+
+/**
+ * Parse a device search query
+ * Bare words match hostname/IP/MAC text (as before); field:value pairs match one field.
+ * Text values are case-insensitive exact matches with * wildcards; none/any test for an empty field;
+ * dates and numbers take >, >=, <, <=; commas list alternatives; a leading - negates a term.
+ * @param {string} text
+ * @returns {Array<{negate: boolean, term?: string, field?: string, type?: string, values?: Array<Object>}>}
+ * @throws {Error} With a user-facing message when the query is malformed
+ */
+const parseDeviceSearch = (text) => {
+  const clauses = [];
+
+  tokenize(String(text || '').trim()).forEach((token) => {
+    const negate = token.length > 1 && token.startsWith('-');
+    const body = negate ? token.slice(1) : token;
+    const match = body.match(/^([a-z_]+):(.*)$/i);
+
+    if (match) {
+      const key = match[1].toLowerCase();
+      const name = FIELD_ALIASES[key] || key;
+      const field = SEARCH_FIELDS[name];
+      // IPv6 addresses and MACs such as "fe:..." look like field:value pairs
+      if (field || !(parseIpQuery(body) || parseMacAddress(body))) {
+        if (!field) {
+          throw new Error(`Unknown search field "${match[1]}". Fields: ${Object.keys(SEARCH_FIELDS).join(', ')}`);
+        }
+        const comparison = match[2].match(COMPARISON);
+        const op = comparison ? comparison[1] : '=';
+        if (op !== '=' && !['number', 'date'].includes(field.type)) {
+          throw new Error(`"${match[1]}" does not support ${op}; comparisons apply to dates and numbers`);
+        }
+        const values = splitValues(match[2].slice(comparison ? op.length : 0));
+        if (op !== '=' && values.length > 1) throw new Error(`"${match[1]}:${op}" takes a single value`);
+
+        clauses.push({
+          negate,
+          field: name,
+          type: field.type,
+          values: values.map((piece) => parseFieldValue(match[1], field, op, piece))
+        });
+        return;
+      }
+    }
+
+    const term = body.replace(/"/g, '').trim();
+    if (term) clauses.push({ negate, term });
+  });
+
+  return clauses;
+};
+
+module.exports = {
+  SEARCH_FIELDS,
+  parseDeviceSearch
+};
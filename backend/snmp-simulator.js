@@ -0,0 +1,137 @@
+// Local SNMP agent for trying the SNMP poller without network gear (npm run snmp:simulator)
+// Answers v2c (community) and v3 (one authPriv user) on a UDP port with a switch-like system group, ENTITY-MIB
+// chassis serial number, and an ifTable/ifXTable whose octet counters grow while it runs. Point a device at
+// 127.0.0.1 with a credential on the same port to poll it. Settings come from the environment:
+//   SNMP_SIM_PORT=1161  SNMP_SIM_COMMUNITY=public
+//   SNMP_SIM_V3_USER=simuser  SNMP_SIM_V3_AUTH_KEY=authpass123  SNMP_SIM_V3_PRIV_KEY=privpass123 (SHA / AES)
+//   SNMP_SIM_SYSNAME=sim-switch-01  SNMP_SIM_SERIAL=FOC1234X0AB  SNMP_SIM_OBJECT_ID=1.3.6.1.4.1.9.1.2066
+
+const snmp = require('net-snmp');
+
+const env = process.env;
+const config = {
+  port: Number(env.SNMP_SIM_PORT) || 1161,
+  community: env.SNMP_SIM_COMMUNITY || 'public',
+  v3User: env.SNMP_SIM_V3_USER || 'simuser',
+  v3AuthKey: env.SNMP_SIM_V3_AUTH_KEY || 'authpass123',
+  v3PrivKey: env.SNMP_SIM_V3_PRIV_KEY || 'privpass123',
+  sysName: env.SNMP_SIM_SYSNAME || 'sim-switch-01',
+  serial: env.SNMP_SIM_SERIAL || 'FOC1234X0AB',
+  objectId: env.SNMP_SIM_OBJECT_ID || '1.3.6.1.4.1.9.1.2066'
+};
+
+// ifIndex, name, ifType, speed (Mbps), MAC, admin up, oper up, alias
+const INTERFACES = [
+  [1, 'Gi1/0/1', 6, 1000, '00:1a:2b:3c:4d:01', true, true, 'uplink to core'],
+  [2, 'Gi1/0/2', 6, 1000, '00:1a:2b:3c:4d:02', true, false, ''],
+  [3, 'Gi1/0/3', 6, 1000, '00:1a:2b:3c:4d:03', false, false, 'spare'],
+  [10, 'Po1', 161, 2000, '00:1a:2b:3c:4d:10', true, true, 'server bond'],
+  [100, 'Lo0', 24, 0, '', true, true, 'router id']
+];
+
+const TICK_SECONDS = 5;
+const { Integer, OctetString, OID, TimeTicks, Counter, Gauge, Counter64 } = snmp.ObjectType;
+const readOnly = snmp.MaxAccess['read-only'];
+
+const mac = (text) => (text ? Buffer.from(text.replace(/:/g, ''), 'hex') : Buffer.alloc(0));
+const counter64 = (value) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(value);
+  return buffer;
+};
+
+const agent = snmp.createAgent({ port: config.port, transport: 'udp4' }, (error) => {
+  if (!error) return;
+  console.error('SNMP simulator:', error.message);
+  if (error.code === 'EADDRINUSE' || error.code === 'EACCES') process.exit(1);
+});
+const authorizer = agent.getAuthorizer();
+authorizer.addCommunity(config.community);
+authorizer.addUser({
+  name: config.v3User,
+  level: snmp.SecurityLevel.authPriv,
+  authProtocol: snmp.AuthProtocols.sha,
+  authKey: config.v3AuthKey,
+  privProtocol: snmp.PrivProtocols.aes,
+  privKey: config.v3PrivKey
+});
+
+const mib = agent.getMib();
+const scalar = (name, oid, scalarType) =>
+  mib.registerProvider({ name, type: snmp.MibProviderType.Scalar, oid, scalarType, maxAccess: readOnly });
+scalar('sysDescr', '1.3.6.1.2.1.1.1', OctetString);
+scalar('sysObjectID', '1.3.6.1.2.1.1.2', OID);
+scalar('sysUpTime', '1.3.6.1.2.1.1.3', TimeTicks);
+scalar('sysName', '1.3.6.1.2.1.1.5', OctetString);
+
+const columns = (list) => list.map(([number, name, type]) => ({ number, name, type, maxAccess: readOnly }));
+mib.registerProvider({
+  name: 'ifTable',
+  type: snmp.MibProviderType.Table,
+  oid: '1.3.6.1.2.1.2.2.1',
+  maxAccess: snmp.MaxAccess['not-accessible'],
+  tableColumns: columns([
+    [1, 'ifIndex', Integer], [2, 'ifDescr', OctetString], [3, 'ifType', Integer], [5, 'ifSpeed', Gauge],
+    [6, 'ifPhysAddress', OctetString], [7, 'ifAdminStatus', Integer], [8, 'ifOperStatus', Integer],
+    [10, 'ifInOctets', Counter], [14, 'ifInErrors', Counter], [16, 'ifOutOctets', Counter], [20, 'ifOutErrors', Counter]
+  ]),
+  tableIndex: [{ columnName: 'ifIndex' }]
+});
+mib.registerProvider({
+  name: 'ifXTable',
+  type: snmp.MibProviderType.Table,
+  oid: '1.3.6.1.2.1.31.1.1.1',
+  maxAccess: snmp.MaxAccess['not-accessible'],
+  tableColumns: columns([
+    [1, 'ifName', OctetString], [6, 'ifHCInOctets', Counter64], [10, 'ifHCOutOctets', Counter64],
+    [15, 'ifHighSpeed', Gauge], [18, 'ifAlias', OctetString]
+  ]),
+  tableAugments: 'ifTable'
+});
+mib.registerProvider({
+  name: 'entPhysicalTable',
+  type: snmp.MibProviderType.Table,
+  oid: '1.3.6.1.2.1.47.1.1.1.1',
+  maxAccess: snmp.MaxAccess['not-accessible'],
+  tableColumns: columns([[1, 'entPhysicalIndex', Integer], [5, 'entPhysicalClass', Integer], [11, 'entPhysicalSerialNum', OctetString]]),
+  tableIndex: [{ columnName: 'entPhysicalIndex' }]
+});
+
+mib.setScalarValue('sysDescr', `Cisco IOS Software, C3850 Software (CAT3K_CAA-UNIVERSALK9-M), Version 16.12.4 (simulated)`);
+mib.setScalarValue('sysObjectID', config.objectId);
+mib.setScalarValue('sysUpTime', 0);
+mib.setScalarValue('sysName', config.sysName);
+
+// Chassis (class 3) with the serial number, plus a power supply (class 6) with its own
+mib.addTableRow('entPhysicalTable', [1, 3, config.serial]);
+mib.addTableRow('entPhysicalTable', [2, 6, `${config.serial}-PS1`]);
+
+// Octets so far per interface; ifInOctets/ifOutOctets are the low 32 bits of the 64-bit counters
+const octets = new Map();
+INTERFACES.forEach(([index, name, type, speed, address, adminUp, operUp, alias]) => {
+  octets.set(index, { in: 0n, out: 0n });
+  mib.addTableRow('ifTable', [index, name, type, Math.min(speed * 1e6, 4294967295), mac(address),
+    adminUp ? 1 : 2, operUp ? 1 : 2, 0, 0, 0, 0]);
+  mib.addTableRow('ifXTable', [index, name, counter64(0n), counter64(0n), speed, alias]);
+});
+
+// Up interfaces carry roughly 2-4 Mbit/s in and 1-2 Mbit/s out
+const started = Date.now();
+const tick = () => {
+  mib.setScalarValue('sysUpTime', Math.floor((Date.now() - started) / 10));
+  INTERFACES.forEach(([index, , , , , , operUp]) => {
+    if (!operUp) return;
+    const count = octets.get(index);
+    count.in += BigInt(Math.round((250000 + Math.random() * 250000) * TICK_SECONDS));
+    count.out += BigInt(Math.round((125000 + Math.random() * 125000) * TICK_SECONDS));
+    mib.setTableSingleCell('ifTable', 10, [index], Number(count.in % 4294967296n));
+    mib.setTableSingleCell('ifTable', 16, [index], Number(count.out % 4294967296n));
+    mib.setTableSingleCell('ifXTable', 6, [index], counter64(count.in));
+    mib.setTableSingleCell('ifXTable', 10, [index], counter64(count.out));
+  });
+};
+setInterval(tick, TICK_SECONDS * 1000);
+tick();
+
+console.log(`SNMP simulator "${config.sysName}" on udp/${config.port}: v2c community "${config.community}", `
+  + `v3 user "${config.v3User}" (authPriv, SHA/AES)`);
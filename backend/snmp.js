@@ -0,0 +1,482 @@
+// SNMP polling for Network Device Inventory
+// Reads the system group, chassis serial number and interface table of each device that has SNMP credentials
+// (its own, or inherited from a location), stores them through queries.js and compares them with the inventory
+// record. Configured from the environment (see getSnmpConfig); credentials live in the database.
+
+const snmp = require('net-snmp');
+const { mapWithLimit } = require('./poller');
+const { getSnmpTargets, saveSnmpPoll, recordSnmpFailure } = require('./queries');
+
+const SNMP_VERSIONS = ['2c', '3'];
+const SECURITY_LEVELS = ['noAuthNoPriv', 'authNoPriv', 'authPriv'];
+const AUTH_PROTOCOLS = ['md5', 'sha', 'sha224', 'sha256', 'sha384', 'sha512'];
+const PRIV_PROTOCOLS = ['des', 'aes', 'aes256b', 'aes256r'];
+
+const SYSTEM_OIDS = {
+  sys_descr: '1.3.6.1.2.1.1.1.0',
+  sys_object_id: '1.3.6.1.2.1.1.2.0',
+  sys_uptime: '1.3.6.1.2.1.1.3.0',
+  sys_name: '1.3.6.1.2.1.1.5.0'
+};
+
+// IF-MIB ifTable / ifXTable and ENTITY-MIB entPhysicalTable, with the columns read from each
+const IF_TABLE = '1.3.6.1.2.1.2.2';
+const IF_COLUMNS = {
+  index: 1, descr: 2, type: 3, speed: 5, mac: 6, admin: 7, oper: 8, inOctets: 10, inErrors: 14, outOctets: 16, outErrors: 20
+};
+const IFX_TABLE = '1.3.6.1.2.1.31.1.1';
+const IFX_COLUMNS = { name: 1, hcInOctets: 6, hcOutOctets: 10, highSpeed: 15, alias: 18 };
+const ENT_PHYSICAL_TABLE = '1.3.6.1.2.1.47.1.1.1';
+const ENT_COLUMNS = { class: 5, serial: 11 };
+const ENT_CLASS_CHASSIS = 3;
+
+// ifOperStatus: up(1) down(2) testing(3) unknown(4) dormant(5) notPresent(6) lowerLayerDown(7)
+const OPER_STATUS = { 1: 'up', 2: 'down', 3: 'testing', 4: 'unknown', 5: 'dormant', 6: 'notPresent', 7: 'lowerLayerDown' };
+
+// ifType values offered for the inventory (ethernetCsmacd, fastEther, fastEtherFX, gigabitEthernet, ieee8023adLag)
+const INVENTORY_IF_TYPES = [6, 62, 69, 117, 161];
+
+// IANA private enterprise numbers (1.3.6.1.4.1.<n> in sysObjectID) -> manufacturer name
+const ENTERPRISE_VENDORS = {
+  2: 'IBM',
+  9: 'Cisco',
+  11: 'HP',
+  43: '3Com',
+  171: 'D-Link',
+  311: 'Microsoft',
+  674: 'Dell',
+  1916: 'Extreme Networks',
+  1991: 'Brocade',
+  2011: 'Huawei',
+  2636: 'Juniper',
+  3375: 'F5',
+  4526: 'Netgear',
+  6027: 'Dell',
+  6486: 'Alcatel-Lucent',
+  6876: 'VMware',
+  8072: 'Net-SNMP',
+  10002: 'Ubiquiti',
+  12356: 'Fortinet',
+  14179: 'Cisco',
+  14823: 'Aruba',
+  14988: 'MikroTik',
+  25461: 'Palo Alto Networks',
+  25506: 'HP',
+  30065: 'Arista',
+  41112: 'Ubiquiti'
+};
+
+/**
+ * Read the SNMP poller settings from the environment
+ * @param {Object} [env=process.env]
+ * @returns {{interval_seconds: number, timeout_ms: number, retries: number, concurrency: number}}
+ *   interval_seconds 0 disables the timer (manual polls still work)
+ */
+const getSnmpConfig = (env = process.env) => {
+  const number = (value, fallback, min) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isInteger(parsed) && parsed >= min ? parsed : fallback;
+  };
+  return {
+    interval_seconds: number(env.SNMP_POLL_INTERVAL_SECONDS, 3600, 0),
+    timeout_ms: number(env.SNMP_TIMEOUT_MS, 3000, 100),
+    retries: number(env.SNMP_RETRIES, 1, 0),
+    concurrency: number(env.SNMP_CONCURRENCY, 5, 1)
+  };
+};
+
+/**
+ * Open a session for a credential row (v2c community or v3 user)
+ * @param {string} address
+ * @param {Object} credential - From getSnmpTargets, secrets included
+ * @param {Object} config - From getSnmpConfig
+ * @returns {Object} net-snmp session
+ */
+const openSession = (address, credential, config) => {
+  const options = {
+    port: credential.port,
+    timeout: config.timeout_ms,
+    retries: config.retries,
+    transport: address.includes(':') ? 'udp6' : 'udp4'
+  };
+  if (credential.version === '2c') {
+    return snmp.createSession(address, credential.community, { ...options, version: snmp.Version2c });
+  }
+  const user = { name: credential.username, level: snmp.SecurityLevel[credential.security_level] };
+  if (credential.security_level !== 'noAuthNoPriv') {
+    user.authProtocol = snmp.AuthProtocols[credential.auth_protocol];
+    user.authKey = credential.auth_key;
+  }
+  if (credential.security_level === 'authPriv') {
+    user.privProtocol = snmp.PrivProtocols[credential.priv_protocol];
+    user.privKey = credential.priv_key;
+  }
+  return snmp.createV3Session(address, user, { ...options, version: snmp.Version3 });
+};
+
+const get = (session, oids) =>
+  new Promise((resolve, reject) => {
+    session.get(oids, (error, varbinds) => (error ? reject(error) : resolve(varbinds)));
+  });
+
+const tableColumns = (session, oid, columns) =>
+  new Promise((resolve, reject) => {
+    session.tableColumns(oid, columns, 20, (error, table) => (error ? reject(error) : resolve(table)));
+  });
+
+/**
+ * OctetString -> text (printable, trailing NULs dropped), or null when empty
+ */
+const toText = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = (Buffer.isBuffer(value) ? value.toString('utf8') : String(value)).replace(/\0+$/, '').trim();
+  return text || null;
+};
+
+/**
+ * Counter/Gauge/Counter64 -> BigInt (net-snmp returns Counter64 as a big-endian Buffer)
+ */
+const toBigInt = (value) => {
+  if (value === undefined || value === null) return null;
+  if (Buffer.isBuffer(value)) {
+    return value.length === 0 ? 0n : BigInt(`0x${value.toString('hex')}`);
+  }
+  return BigInt(Math.trunc(Number(value)));
+};
+
+/**
+ * ifPhysAddress -> aa:bb:cc:dd:ee:ff, or null when the interface has none
+ */
+const toMac = (value) => {
+  if (!Buffer.isBuffer(value) || value.length !== 6 || value.every((byte) => byte === 0)) return null;
+  return [...value].map((byte) => byte.toString(16).padStart(2, '0')).join(':');
+};
+
+/**
+ * Manufacturer name for a sysObjectID under the enterprises arc
+ * @param {string} objectId - e.g. 1.3.6.1.4.1.9.1.2066
+ * @returns {{enterprise: number|null, vendor: string|null}}
+ */
+const vendorFromObjectId = (objectId) => {
+  const match = /^1\.3\.6\.1\.4\.1\.(\d+)/.exec(String(objectId || ''));
+  if (!match) return { enterprise: null, vendor: null };
+  const enterprise = Number(match[1]);
+  return { enterprise, vendor: ENTERPRISE_VENDORS[enterprise] || null };
+};
+
+/**
+ * Chassis serial number from entPhysicalTable (the first chassis with one, else any entity with one)
+ */
+const pickSerial = (entities) => {
+  const rows = Object.values(entities).filter((row) => toText(row[ENT_COLUMNS.serial]));
+  const chassis = rows.find((row) => Number(row[ENT_COLUMNS.class]) === ENT_CLASS_CHASSIS) || rows[0];
+  return chassis ? toText(chassis[ENT_COLUMNS.serial]) : null;
+};
+
+// Optional MIBs: a device without ENTITY-MIB or ifXTable still gets its facts and ifTable
+const optional = (promise) => promise.catch(() => ({}));
+
+/**
+ * System group plus the chassis serial number
+ * @throws {Error} When the device does not answer the system group
+ */
+const readSystemFacts = async (session) => {
+  const varbinds = await get(session, Object.values(SYSTEM_OIDS));
+  const system = {};
+  Object.keys(SYSTEM_OIDS).forEach((key, i) => {
+    system[key] = snmp.isVarbindError(varbinds[i]) ? null : varbinds[i].value;
+  });
+  const entities = await optional(tableColumns(session, ENT_PHYSICAL_TABLE, Object.values(ENT_COLUMNS)));
+  return {
+    sys_name: toText(system.sys_name),
+    sys_descr: toText(system.sys_descr),
+    sys_object_id: system.sys_object_id ? String(system.sys_object_id) : null,
+    uptime_seconds: system.sys_uptime !== null ? Math.floor(Number(system.sys_uptime) / 100) : null,
+    serial_number: pickSerial(entities)
+  };
+};
+
+/**
+ * Read only the system facts of an address (no interface table), as discovery does for each host it finds
+ * @param {string} address
+ * @param {Object} credential - Credential row, secrets included
+ * @param {Object} config - From getSnmpConfig
+ * @returns {Promise<Object>} sys_name, sys_descr, sys_object_id, uptime_seconds, serial_number
+ * @throws {Error} When the address does not answer
+ */
+const querySnmpSystem = async (address, credential, config) => {
+  const session = openSession(address, credential, config);
+  session.on('error', () => {});
+  try {
+    return await readSystemFacts(session);
+  } finally {
+    session.close();
+  }
+};
+
+/**
+ * Query one device
+ * @param {Object} target - From getSnmpTargets
+ * @param {Object} config - From getSnmpConfig
+ * @returns {Promise<{facts: Object, interfaces: Array<Object>}>} Octet counters are BigInts
+ * @throws {Error} When the device does not answer the system group (timeout, wrong community, v3 auth failure)
+ */
+const pollSnmpDevice = async (target, config) => {
+  const session = openSession(target.ip_address, target.credential, config);
+  session.on('error', () => {});
+  try {
+    const facts = await readSystemFacts(session);
+    const ifTable = await tableColumns(session, IF_TABLE, Object.values(IF_COLUMNS));
+    const ifXTable = await optional(tableColumns(session, IFX_TABLE, Object.values(IFX_COLUMNS)));
+
+    const interfaces = Object.entries(ifTable).map(([index, row]) => {
+      const x = ifXTable[index] || {};
+      const highSpeed = x[IFX_COLUMNS.highSpeed];
+      const speed = row[IF_COLUMNS.speed];
+      return {
+        if_index: Number(index),
+        name: toText(x[IFX_COLUMNS.name]) || toText(row[IF_COLUMNS.descr]) || `if${index}`,
+        descr: toText(row[IF_COLUMNS.descr]),
+        alias: toText(x[IFX_COLUMNS.alias]),
+        if_type: row[IF_COLUMNS.type] ?? null,
+        speed_mbps: highSpeed ? Number(highSpeed) : speed !== undefined ? Math.round(Number(speed) / 1e6) : null,
+        mac_address: toMac(row[IF_COLUMNS.mac]),
+        admin_status: Number(row[IF_COLUMNS.admin]) === 1 ? 'up' : 'down',
+        oper_status: OPER_STATUS[row[IF_COLUMNS.oper]] || 'unknown',
+        in_octets: toBigInt(x[IFX_COLUMNS.hcInOctets] ?? row[IF_COLUMNS.inOctets]),
+        out_octets: toBigInt(x[IFX_COLUMNS.hcOutOctets] ?? row[IF_COLUMNS.outOctets]),
+        in_errors: toBigInt(row[IF_COLUMNS.inErrors]),
+        out_errors: toBigInt(row[IF_COLUMNS.outErrors])
+      };
+    });
+
+    return { facts, interfaces: interfaces.sort((a, b) => a.if_index - b.if_index) };
+  } finally {
+    session.close();
+  }
+};
+
+/**
+ * Compare the last SNMP poll with the inventory record
+ * Each discrepancy carries a suggestion (the update POST /devices/:id/snmp/apply makes), or null when there is
+ * nothing to apply automatically.
+ * @param {Object} device - From getDeviceById
+ * @param {Object} facts - device_snmp_facts row
+ * @param {Array<Object>} snmpInterfaces - snmp_interfaces rows
+ * @param {Array<Object>} inventoryInterfaces - From getDeviceInterfaces
+ * @param {Array<{id: number, name: string}>} manufacturers
+ * @returns {Array<{field: string, kind: string, message: string, current: *, reported: *, suggestion: Object|null}>}
+ */
+const compareSnmpFacts = (device, facts, snmpInterfaces, inventoryInterfaces, manufacturers) => {
+  const discrepancies = [];
+  if (!facts || !facts.last_success_at) return discrepancies;
+
+  // A FQDN sysName matches a short inventory hostname (and the other way round)
+  const shortName = (name) => String(name).toLowerCase().split('.')[0];
+  if (facts.sys_name && facts.sys_name.toLowerCase() !== device.hostname.toLowerCase()
+      && shortName(facts.sys_name) !== shortName(device.hostname)) {
+    discrepancies.push({
+      field: 'hostname',
+      kind: 'hostname_mismatch',
+      message: `The device calls itself ${facts.sys_name}`,
+      current: device.hostname,
+      reported: facts.sys_name,
+      suggestion: { hostname: facts.sys_name }
+    });
+  }
+
+  if (facts.serial_number && facts.serial_number !== device.serial_number) {
+    discrepancies.push({
+      field: 'serial_number',
+      kind: device.serial_number ? 'serial_mismatch' : 'serial_missing',
+      message: device.serial_number ? 'The chassis reports a different serial number' : 'No serial number recorded',
+      current: device.serial_number,
+      reported: facts.serial_number,
+      suggestion: { serial_number: facts.serial_number }
+    });
+  }
+
+  const { enterprise, vendor } = vendorFromObjectId(facts.sys_object_id);
+  if (vendor) {
+    const known = manufacturers.find((m) => m.name.toLowerCase() === vendor.toLowerCase());
+    if (!known) {
+      discrepancies.push({
+        field: 'manufacturer',
+        kind: 'unknown_manufacturer',
+        message: `${vendor} is not in the manufacturer list`,
+        current: device.manufacturer_name || null,
+        reported: vendor,
+        suggestion: { manufacturer_name: vendor }
+      });
+    } else if (known.id !== device.manufacturer_id) {
+      discrepancies.push({
+        field: 'manufacturer',
+        kind: device.manufacturer_id ? 'manufacturer_mismatch' : 'manufacturer_missing',
+        message: device.manufacturer_id ? `sysObjectID belongs to ${vendor}` : 'No manufacturer recorded',
+        current: device.manufacturer_name || null,
+        reported: known.name,
+        suggestion: { manufacturer_id: known.id }
+      });
+    }
+  } else if (enterprise !== null && !device.manufacturer_id) {
+    discrepancies.push({
+      field: 'manufacturer',
+      kind: 'unknown_vendor',
+      message: `Enterprise number ${enterprise} in sysObjectID is not a known vendor; set the manufacturer by hand`,
+      current: null,
+      reported: facts.sys_object_id,
+      suggestion: null
+    });
+  }
+
+  // Ethernet-like interfaces missing from the inventory, and recorded ones whose MAC, speed or status changed
+  const byName = new Map(inventoryInterfaces.map((i) => [i.name.toLowerCase(), i]));
+  const add = [];
+  const update = [];
+  snmpInterfaces.forEach((reported) => {
+    const recorded = byName.get(reported.name.toLowerCase());
+    const values = {
+      mac_address: reported.mac_address,
+      speed_mbps: reported.speed_mbps ? Number(reported.speed_mbps) : null,
+      admin_status: reported.admin_status,
+      // The inventory only knows up, down and unknown; dormant, notPresent and the like count as down
+      oper_status: ['up', 'unknown'].includes(reported.oper_status) ? reported.oper_status : 'down'
+    };
+    if (!recorded) {
+      if (INVENTORY_IF_TYPES.includes(reported.if_type)) {
+        add.push({ name: reported.name, description: reported.alias, ...values });
+      }
+      return;
+    }
+    const changes = {};
+    Object.entries(values).forEach(([key, value]) => {
+      if (value !== null && value !== recorded[key]) changes[key] = value;
+    });
+    if (Object.keys(changes).length > 0) update.push({ id: recorded.id, name: recorded.name, changes });
+  });
+  if (add.length > 0 || update.length > 0) {
+    const parts = [];
+    if (add.length > 0) parts.push(`${add.length} not in the inventory`);
+    if (update.length > 0) parts.push(`${update.length} with different MAC, speed or status`);
+    discrepancies.push({
+      field: 'interfaces',
+      kind: 'interfaces_differ',
+      message: `Interfaces: ${parts.join(', ')}`,
+      current: inventoryInterfaces.length,
+      reported: snmpInterfaces.length,
+      suggestion: { interfaces: { add, update } }
+    });
+  }
+
+  return discrepancies;
+};
+
+// SNMP poller state, as in poller.js: the timer, the running full cycle and the outcome of the last one
+let timer = null;
+let running = null;
+let lastRun = null;
+
+/**
+ * Poll devices over SNMP and store what they report (or the error)
+ * @param {Object} [options]
+ * @param {Array<number>} [options.deviceIds] - Only these devices; omitted polls every device with credentials
+ * @param {Object} [options.config] - Defaults to getSnmpConfig()
+ * @returns {Promise<{started_at: string, finished_at: string, polled: number, succeeded: number, failed: number,
+ *   errors: Array<{device_id: number, hostname: string, error: string}>}>}
+ */
+const runSnmpCycle = async ({ deviceIds, config = getSnmpConfig() } = {}) => {
+  const startedAt = new Date();
+  const targets = await getSnmpTargets(deviceIds);
+  const outcomes = await mapWithLimit(targets, config.concurrency, async (target) => {
+    try {
+      const result = await pollSnmpDevice(target, config);
+      await saveSnmpPoll(target.id, target.credential.id, result);
+      return null;
+    } catch (error) {
+      await recordSnmpFailure(target.id, target.credential.id, error.message);
+      return { device_id: target.id, hostname: target.hostname, error: error.message };
+    }
+  });
+  const errors = outcomes.filter(Boolean);
+  return {
+    started_at: startedAt.toISOString(),
+    finished_at: new Date().toISOString(),
+    polled: targets.length,
+    succeeded: targets.length - errors.length,
+    failed: errors.length,
+    errors
+  };
+};
+
+/**
+ * Run a full cycle unless one is already running
+ * @returns {Promise<Object|null>} The cycle summary, or null when a cycle was already running
+ */
+const runFullSnmpCycle = async () => {
+  if (running) return null;
+  running = (async () => {
+    try {
+      lastRun = await runSnmpCycle();
+      if (lastRun.failed > 0) console.error(`SNMP poll: ${lastRun.failed} of ${lastRun.polled} devices failed`);
+      return lastRun;
+    } catch (error) {
+      lastRun = { started_at: new Date().toISOString(), error: error.message };
+      throw error;
+    } finally {
+      running = null;
+    }
+  })();
+  return running;
+};
+
+/**
+ * Start polling every interval_seconds (no-op when 0); the first cycle runs one interval after start
+ */
+const startSnmpPoller = () => {
+  const config = getSnmpConfig();
+  if (timer || config.interval_seconds === 0) return;
+  const schedule = () => {
+    timer = setTimeout(async () => {
+      try {
+        await runFullSnmpCycle();
+      } catch (error) {
+        console.error('SNMP poll failed:', error.message);
+      }
+      if (timer) schedule();
+    }, config.interval_seconds * 1000);
+  };
+  schedule();
+  console.log(`🛰️  SNMP poller every ${config.interval_seconds}s`);
+};
+
+const stopSnmpPoller = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+/**
+ * SNMP poller settings, whether a cycle is running and the outcome of the last full cycle
+ */
+const getSnmpStatus = () => ({
+  ...getSnmpConfig(),
+  enabled: Boolean(timer),
+  running: Boolean(running),
+  last_run: lastRun
+});
+
+module.exports = {
+  SNMP_VERSIONS,
+  SECURITY_LEVELS,
+  AUTH_PROTOCOLS,
+  PRIV_PROTOCOLS,
+  getSnmpConfig,
+  vendorFromObjectId,
+  querySnmpSystem,
+  pollSnmpDevice,
+  compareSnmpFacts,
+  runSnmpCycle,
+  runFullSnmpCycle,
+  startSnmpPoller,
+  stopSnmpPoller,
+  getSnmpStatus
+};
@@ -0,0 +1,127 @@
+// Topology graph for Network Device Inventory
+// Turns devices, cables, patch panel pass-throughs and LLDP/CDP neighbors into nodes and edges for the map;
+// queries.js loads the rows, this module only joins them up
+
+/**
+ * Follow cables through pass-through ports (patch panels) from one cable to the interfaces at both ends
+ * @param {Object} start - Cable from getCables
+ * @param {Map<number, Object>} cableByInterface - Interface ID -> cable plugged into it
+ * @param {Map<number, number>} peerOf - Interface ID -> pass-through peer interface ID
+ * @param {Set<number>} used - Cable IDs already on a path (updated)
+ * @returns {{a: Object, b: Object, cables: Array<Object>, via: Array<Object>}} Ends as { interface_id, interface,
+ *   device_id, hostname }, the cables in order and the panels passed through
+ */
+const followPath = (start, cableByInterface, peerOf, used) => {
+  used.add(start.id);
+  const end = (cable, side) => ({
+    interface_id: cable[`${side}_interface_id`],
+    interface: cable[`${side}_interface`],
+    device_id: cable[`${side}_device_id`],
+    hostname: cable[`${side}_hostname`]
+  });
+
+  // Walk away from the start cable on one side; returns the far end, the cables and panels on the way
+  const walk = (from) => {
+    const cables = [];
+    const via = [];
+    let current = from;
+    while (peerOf.has(current.interface_id)) {
+      const next = cableByInterface.get(peerOf.get(current.interface_id));
+      if (!next || used.has(next.id)) break;
+      used.add(next.id);
+      via.push({ device_id: current.device_id, hostname: current.hostname });
+      cables.push(next);
+      current = next.a_interface_id === peerOf.get(current.interface_id) ? end(next, 'b') : end(next, 'a');
+    }
+    return { end: current, cables, via };
+  };
+
+  const toA = walk(end(start, 'a'));
+  const toB = walk(end(start, 'b'));
+  return {
+    a: toA.end,
+    b: toB.end,
+    cables: [...toA.cables.reverse(), start, ...toB.cables],
+    via: [...toA.via.reverse(), ...toB.via]
+  };
+};
+
+/**
+ * Build the topology graph
+ * @param {Object} data
+ * @param {Array<Object>} data.devices - Nodes to draw (already filtered)
+ * @param {Array<Object>} data.cables - From getCables
+ * @param {Array<Object>} data.passThrough - Interfaces with a pass_through_id
+ * @param {Array<Object>} data.neighbors - Neighbors matched to a device
+ * @param {Object} [options]
+ * @param {boolean} [options.collapsePanels=true] - Draw a cabled path through patch panels as one edge between
+ *   its end devices; false draws every cable, with the panels as nodes
+ * @param {boolean} [options.includeNeighbors=true] - Add LLDP/CDP links
+ * @returns {{nodes: Array<Object>, edges: Array<Object>}} One edge per pair of devices; edge.links lists each
+ *   cable path or neighbor entry behind it and edge.sources the kinds ('cable', 'lldp', 'cdp')
+ */
+const buildTopology = ({ devices, cables, passThrough, neighbors }, { collapsePanels = true, includeNeighbors = true } = {}) => {
+  const visible = new Set(devices.map((d) => d.id));
+  const edges = new Map();
+
+  const addLink = (sourceId, targetId, link) => {
+    if (sourceId === targetId || !visible.has(sourceId) || !visible.has(targetId)) return;
+    const [source, target] = sourceId < targetId ? [sourceId, targetId] : [targetId, sourceId];
+    const key = `${source}-${target}`;
+    if (!edges.has(key)) edges.set(key, { id: key, source, target, sources: [], links: [] });
+    const edge = edges.get(key);
+    if (!edge.sources.includes(link.kind)) edge.sources.push(link.kind);
+    edge.links.push(link);
+  };
+
+  const cableByInterface = new Map();
+  cables.forEach((c) => {
+    cableByInterface.set(c.a_interface_id, c);
+    cableByInterface.set(c.b_interface_id, c);
+  });
+  const peerOf = new Map(collapsePanels ? passThrough.map((i) => [i.id, i.pass_through_id]) : []);
+
+  const used = new Set();
+  cables.forEach((cable) => {
+    if (used.has(cable.id)) return;
+    const path = followPath(cable, cableByInterface, peerOf, used);
+    addLink(path.a.device_id, path.b.device_id, {
+      kind: 'cable',
+      a: path.a,
+      b: path.b,
+      cables: path.cables.map((c) => ({ id: c.id, label: c.label, cable_type: c.cable_type })),
+      via: path.via
+    });
+  });
+
+  if (includeNeighbors) {
+    // Both ends of a link usually report each other; keep one entry per interface pair and protocol
+    const seen = new Set();
+    neighbors.forEach((n) => {
+      const ends = [`${n.device_id}:${n.interface}`, `${n.remote_device_id}:${n.remote_port}`].map((e) => e.toLowerCase());
+      const key = [n.protocol, ...ends.sort()].join('|');
+      if (seen.has(key)) return;
+      seen.add(key);
+      addLink(n.device_id, n.remote_device_id, {
+        kind: n.protocol,
+        a: { device_id: n.device_id, interface: n.interface },
+        b: { device_id: n.remote_device_id, interface: n.remote_port, hostname: n.remote_hostname }
+      });
+    });
+  }
+
+  const degree = new Map();
+  edges.forEach((e) => {
+    degree.set(e.source, (degree.get(e.source) || 0) + 1);
+    degree.set(e.target, (degree.get(e.target) || 0) + 1);
+  });
+
+  return {
+    nodes: devices.map((d) => ({ ...d, degree: degree.get(d.id) || 0 })),
+    edges: [...edges.values()]
+  };
+};
+
+module.exports = {
+  buildTopology
+};
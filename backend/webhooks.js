@@ -0,0 +1,181 @@
+// Outbound webhooks for Network Device Inventory
+// Device changes are queued in the webhook outbox by addHistoryEntry (see queries.js), in the same transaction as the
+// change. This worker POSTs due outbox rows as signed JSON, retrying failures with backoff, and prunes delivered rows
+// after the retention period. Configured from the environment.
+
+const crypto = require('crypto');
+const {
+  WEBHOOK_HISTORY_EVENTS,
+  getDueWebhookDeliveries,
+  recordWebhookDeliveryAttempt,
+  pruneWebhookDeliveries
+} = require('./queries');
+
+// Events a webhook can subscribe to; 'ping' is only sent on request (POST /webhooks/:id/ping)
+const WEBHOOK_EVENTS = [...new Set(Object.values(WEBHOOK_HISTORY_EVENTS))];
+
+// Longest wait between two attempts of a delivery
+const MAX_RETRY_SECONDS = 86400;
+// Receiver answers kept in the delivery log
+const MAX_ERROR_BODY = 200;
+
+/**
+ * Read the webhook settings from the environment
+ * @param {Object} [env=process.env]
+ * @returns {{interval_seconds: number, max_attempts: number, retry_seconds: number, timeout_ms: number,
+ *   retention_days: number}} interval_seconds 0 disables the timer (ping and replay still send right away)
+ */
+const getWebhookConfig = (env = process.env) => {
+  const number = (value, fallback, min) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isInteger(parsed) && parsed >= min ? parsed : fallback;
+  };
+  return {
+    interval_seconds: number(env.WEBHOOK_INTERVAL_SECONDS, 5, 0),
+    max_attempts: number(env.WEBHOOK_MAX_ATTEMPTS, 8, 1),
+    retry_seconds: number(env.WEBHOOK_RETRY_SECONDS, 30, 1),
+    timeout_ms: number(env.WEBHOOK_TIMEOUT_MS, 5000, 100),
+    retention_days: number(env.WEBHOOK_RETENTION_DAYS, 30, 1)
+  };
+};
+
+/**
+ * Generate a signing secret for a new webhook
+ * @returns {string}
+ */
+const generateWebhookSecret = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Sign a raw body the way receivers check it (X-Inventory-Signature)
+ * @param {string} secret
+ * @param {string} raw
+ * @returns {string} sha256=<hex HMAC>
+ */
+const signWebhookBody = (secret, raw) => `sha256=${crypto.createHmac('sha256', secret).update(raw).digest('hex')}`;
+
+/**
+ * POST one outbox row; anything but a 2xx answer is an error
+ * @param {Object} delivery - From getDueWebhookDeliveries
+ * @param {Object} config - From getWebhookConfig
+ * @returns {Promise<{error: string|null, status: number|null}>} status is null when the receiver never answered
+ */
+const sendWebhook = async (delivery, config) => {
+  const raw = JSON.stringify(delivery.payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'network-inventory-webhooks',
+    'X-Inventory-Event': delivery.event,
+    'X-Inventory-Delivery': String(delivery.id),
+    'X-Inventory-Signature': signWebhookBody(delivery.secret, raw)
+  };
+  let response;
+  try {
+    response = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body: raw,
+      signal: AbortSignal.timeout(config.timeout_ms)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') return { error: `No answer within ${config.timeout_ms} ms`, status: null };
+    return { error: error.cause?.code || error.cause?.message || error.message, status: null };
+  }
+  if (response.ok) return { error: null, status: response.status };
+  const text = await response.text().catch(() => '');
+  const body = text.trim().slice(0, MAX_ERROR_BODY);
+  const error = `HTTP ${response.status} ${response.statusText}`.trim();
+  return { error: body ? `${error}: ${body}` : error, status: response.status };
+};
+
+// Worker state: the timer, the delivery pass in progress (one at a time) and the outcome of the last pass
+let timer = null;
+let delivering = null;
+let lastRun = null;
+
+/**
+ * Send every due outbox row, recording each attempt; failures wait retry_seconds, doubling per attempt
+ * @param {Object} [config] - Defaults to getWebhookConfig()
+ * @returns {Promise<{delivered: number, failed: number, retrying: number, pruned: number}>} Joins the pass already
+ *   running, if any
+ */
+const runWebhookDeliveries = (config = getWebhookConfig()) => {
+  if (delivering) return delivering;
+  delivering = (async () => {
+    const startedAt = new Date();
+    const outcome = { delivered: 0, failed: 0, retrying: 0, pruned: 0 };
+    try {
+      let due = await getDueWebhookDeliveries();
+      while (due.length > 0) {
+        for (const delivery of due) {
+          const { error, status } = await sendWebhook(delivery, config);
+          const wait = Math.min(config.retry_seconds * 2 ** delivery.attempts, MAX_RETRY_SECONDS);
+          const recorded = await recordWebhookDeliveryAttempt(delivery.id, {
+            error,
+            responseStatus: status,
+            retryAt: error ? new Date(Date.now() + wait * 1000) : null,
+            maxAttempts: config.max_attempts
+          });
+          if (recorded?.status === 'delivered') outcome.delivered += 1;
+          else if (recorded?.status === 'failed') outcome.failed += 1;
+          else outcome.retrying += 1;
+        }
+        due = await getDueWebhookDeliveries();
+      }
+      outcome.pruned = await pruneWebhookDeliveries(config.retention_days);
+      lastRun = { started_at: startedAt.toISOString(), finished_at: new Date().toISOString(), ...outcome };
+      return outcome;
+    } catch (error) {
+      lastRun = { started_at: startedAt.toISOString(), error: error.message };
+      throw error;
+    } finally {
+      delivering = null;
+    }
+  })();
+  return delivering;
+};
+
+/**
+ * Send due deliveries every interval_seconds (no-op when 0)
+ */
+const startWebhooks = () => {
+  const config = getWebhookConfig();
+  if (timer || config.interval_seconds === 0) return;
+  const schedule = () => {
+    timer = setTimeout(async () => {
+      try {
+        await runWebhookDeliveries(config);
+      } catch (error) {
+        console.error('Webhook deliveries failed:', error.message);
+      }
+      if (timer) schedule();
+    }, config.interval_seconds * 1000);
+  };
+  schedule();
+  console.log(`🪝 Webhook outbox sent every ${config.interval_seconds}s`);
+};
+
+const stopWebhooks = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+/**
+ * Webhook settings, whether a delivery pass is running and the outcome of the last one
+ */
+const getWebhookStatus = () => ({
+  ...getWebhookConfig(),
+  events: WEBHOOK_EVENTS,
+  enabled: Boolean(timer),
+  running: Boolean(delivering),
+  last_run: lastRun
+});
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  getWebhookConfig,
+  generateWebhookSecret,
+  runWebhookDeliveries,
+  startWebhooks,
+  stopWebhooks,
+  getWebhookStatus
+};
@@ -1,13 +1,81 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import DeviceList from './components/DeviceList';
 import DeviceDetail from './components/DeviceDetail';
+import UserManagement from './components/UserManagement';
+import SubnetManager from './components/SubnetManager';
+import ImportWizard from './components/ImportWizard';
+import AuditLog from './components/AuditLog';
+import TrashView from './components/TrashView';
+import SavedViews from './components/SavedViews';
+import LookupManager from './components/LookupManager';
+import ContractManager from './components/ContractManager';
+import LocationManager from './components/LocationManager';
+import RackElevation from './components/RackElevation';
+import TopologyMap from './components/TopologyMap';
+import MonitoringPanel from './components/MonitoringPanel';
+import SnmpCredentials from './components/SnmpCredentials';
+import DiscoveryPanel from './components/DiscoveryPanel';
+import AlertManager from './components/AlertManager';
+import WebhookManager from './components/WebhookManager';
 import './App.css';
 
 // Get API URL from environment variable
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 axios.defaults.withCredentials = true;
 
+const DEVICE_PAGE_SIZE = 50;
+const EXPIRING_WINDOW_DAYS = 90;
+const EXPIRING_CARD_LIMIT = 10;
+
+// Roll-up levels for the location chart ('' counts each device at its exact location)
+const LOCATION_LEVELS = [
+  { value: '', label: 'Exact location' },
+  { value: 'site', label: 'Site' },
+  { value: 'building', label: 'Building' },
+  { value: 'floor', label: 'Floor' },
+  { value: 'room', label: 'Room' }
+];
+
+// Labels for GET /reports/expiring kinds
+const EXPIRING_KINDS = {
+  coverage: 'Coverage ends',
+  end_of_support: 'End of support',
+  end_of_life: 'End of life'
+};
+
+/**
+ * Read the device list state from the browser URL (?search=&status=&sort=&page=)
+ * @returns {{search: string, status: string, sort: string, offset: number}}
+ */
+const readListParams = () => {
+  const params = new URLSearchParams(window.location.search);
+  const page = parseInt(params.get('page'), 10);
+  return {
+    search: params.get('search') || '',
+    status: params.get('status') || '',
+    sort: params.get('sort') || '',
+    offset: page > 1 ? (page - 1) * DEVICE_PAGE_SIZE : 0
+  };
+};
+
+/**
+ * Mirror the applied list state in the URL so reloads and shared links restore it
+ * @param {{search: string, status: string, sort: string, offset: number}} list
+ */
+const writeListParams = ({ search, status, sort, offset }) => {
+  const params = new URLSearchParams();
+  if (search) params.set('search', search);
+  if (status) params.set('status', status);
+  if (sort) params.set('sort', sort);
+  if (offset > 0) params.set('page', String(Math.floor(offset / DEVICE_PAGE_SIZE) + 1));
+  const query = params.toString();
+  const url = `${window.location.pathname}${query ? `?${query}` : ''}`;
+  if (url !== `${window.location.pathname}${window.location.search}`) {
+    window.history.pushState(null, '', url);
+  }
+};
+
 /**
  * Main App Component
  * Manages application state, data fetching, and CRUD operations
@@ -23,6 +91,7 @@ function App() {
   const [authMode, setAuthMode] = useState('login');
   const [loginForm, setLoginForm] = useState({ email: '', password: '' });
   const [registerForm, setRegisterForm] = useState({ name: '', email: '', password: '' });
+  const [passwordForm, setPasswordForm] = useState({ current_password: '', new_password: '' });
   const [users, setUsers] = useState([]);
   const [usersLoading, setUsersLoading] = useState(false);
   const [usersError, setUsersError] = useState(null);
@@ -32,28 +101,95 @@ function App() {
   const [detailError, setDetailError] = useState(null);
   const [deviceTypes, setDeviceTypes] = useState([]);
   const [manufacturers, setManufacturers] = useState([]);
+  const [models, setModels] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [snmpCredentials, setSnmpCredentials] = useState([]);
+  const [locationLevel, setLocationLevel] = useState('');
+  // Read by fetchDeviceStats, so handlers registered once (popstate) still use the current level
+  const locationLevelRef = useRef(locationLevel);
+  const [subnets, setSubnets] = useState([]);
   const [detailHistory, setDetailHistory] = useState([]);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [statusFilter, setStatusFilter] = useState('');
+  const [initialList] = useState(readListParams);
+  const [searchTerm, setSearchTerm] = useState(initialList.search);
+  const [statusFilter, setStatusFilter] = useState(initialList.status);
+  const [appliedFilters, setAppliedFilters] = useState({ search: initialList.search, status: initialList.status });
+  const [showImport, setShowImport] = useState(false);
+  const [deviceTotal, setDeviceTotal] = useState(0);
+  const [deviceOffset, setDeviceOffset] = useState(initialList.offset);
+  const [deviceSort, setDeviceSort] = useState(initialList.sort);
+  const [deviceStats, setDeviceStats] = useState(null);
+  const [expiring, setExpiring] = useState([]);
 
   /**
-   * Fetch all devices from the API
+   * Fetch dashboard statistics for every device matching the filters
+   * @param {Object} params - search/status query parameters
+   * @param {string} [level] - Location roll-up level (see LOCATION_LEVELS)
+   */
+  const fetchDeviceStats = async (params, level = locationLevelRef.current) => {
+    try {
+      const res = await axios.get(`${API_URL}/devices/stats`, {
+        params: { ...params, location_level: level || undefined }
+      });
+      if (res.data.success) setDeviceStats(res.data.data);
+    } catch (err) {
+      console.warn('Failed to load device statistics', err);
+    }
+  };
+
+  /**
+   * Fetch coverage and lifecycle dates ending within EXPIRING_WINDOW_DAYS for the dashboard card
+   */
+  const fetchExpiring = async () => {
+    try {
+      const res = await axios.get(`${API_URL}/reports/expiring`, { params: { days: EXPIRING_WINDOW_DAYS } });
+      if (res.data.success) setExpiring(res.data.data);
+    } catch (err) {
+      console.warn('Failed to load expiring coverage', err);
+    }
+  };
+
+  /**
+   * Fetch one page of devices (and the dashboard statistics) from the API
    * Called on component mount and after CRUD operations
+   * @param {Object} [overrides] - offset, sort, search or status to use instead of the applied ones
    */
-  const fetchDevices = async () => {
+  const fetchDevices = async (overrides = {}) => {
+    const {
+      offset = deviceOffset,
+      sort = deviceSort,
+      search = appliedFilters.search,
+      status = appliedFilters.status
+    } = overrides;
+    const filterParams = { search: search || undefined, status: status || undefined };
+
     try {
       setLoading(true);
       setError(null);
       
-      const response = await axios.get(`${API_URL}/devices`, {
-        params: {
-          search: searchTerm || undefined,
-          status: statusFilter || undefined
-        }
-      });
+      const [response] = await Promise.all([
+        axios.get(`${API_URL}/devices`, {
+          params: {
+            ...filterParams,
+            sort: sort || undefined,
+            limit: DEVICE_PAGE_SIZE,
+            offset
+          }
+        }),
+        fetchDeviceStats(filterParams)
+      ]);
       
       if (response.data.success) {
-        setDevices(response.data.data || []);
+        const { data = [], total = 0 } = response.data;
+        // Step back when the last page emptied (e.g. its only device was deleted)
+        if (data.length === 0 && offset > 0 && total > 0) {
+          return fetchDevices({ ...overrides, offset: Math.max(offset - DEVICE_PAGE_SIZE, 0) });
+        }
+        setDevices(data);
+        setDeviceTotal(total);
+        setDeviceOffset(offset);
+        setDeviceSort(sort);
+        setAppliedFilters({ search, status });
+        writeListParams({ search, status, sort, offset });
       } else {
         throw new Error(response.data.message || 'Failed to fetch devices');
       }
@@ -70,11 +206,10 @@ function App() {
   };
 
   /**
-   * Fetch devices when component mounts
+   * Check for an existing session when component mounts
    */
   useEffect(() => {
     const init = async () => {
-      // Check existing session
       try {
         const res = await axios.get(`${API_URL}/auth/me`);
         setUser(res.data.user);
@@ -83,26 +218,71 @@ function App() {
       } finally {
         setAuthLoading(false);
       }
-
-      // Load lookups
-      try {
-        const [typesRes, mansRes] = await Promise.all([
-          axios.get(`${API_URL}/lookups/device-types`),
-          axios.get(`${API_URL}/lookups/manufacturers`)
-        ]);
-        if (typesRes.data.success) setDeviceTypes(typesRes.data.data || []);
-        if (mansRes.data.success) setManufacturers(mansRes.data.data || []);
-      } catch (err) {
-        console.warn('Failed to load lookups', err);
-      }
-
-      fetchDevices();
-      fetchUsers();
     };
 
     init();
   }, []);
 
+  /**
+   * Back/forward through list states restores the filters, sort and page from the URL
+   */
+  useEffect(() => {
+    const handlePopState = () => {
+      const list = readListParams();
+      setSearchTerm(list.search);
+      setStatusFilter(list.status);
+      fetchDevices(list);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  /**
+   * Load inventory data whenever a session starts (every route requires a login)
+   */
+  useEffect(() => {
+    if (!user || user.must_change_password) {
+      setDevices([]);
+      setUsers([]);
+      setLoading(false);
+      return;
+    }
+
+    fetchLookups();
+    fetchDevices();
+    fetchUsers();
+    fetchSubnets();
+    fetchExpiring();
+  }, [user?.id, user?.must_change_password]);
+
+  /**
+   * Check whether the current session's role grants a capability
+   * @param {string} capability - e.g. 'devices:write'
+   */
+  const can = (capability) => Boolean(user?.permissions?.includes(capability));
+
+  /**
+   * Fetch device types, manufacturers, models, locations (with usage counts) and SNMP credentials
+   */
+  const fetchLookups = async () => {
+    try {
+      const [typesRes, mansRes, modelsRes, locationsRes, snmpRes] = await Promise.all([
+        axios.get(`${API_URL}/lookups/device-types`),
+        axios.get(`${API_URL}/lookups/manufacturers`),
+        axios.get(`${API_URL}/lookups/models`),
+        axios.get(`${API_URL}/locations`),
+        axios.get(`${API_URL}/snmp/credentials`)
+      ]);
+      if (typesRes.data.success) setDeviceTypes(typesRes.data.data || []);
+      if (mansRes.data.success) setManufacturers(mansRes.data.data || []);
+      if (modelsRes.data.success) setModels(modelsRes.data.data || []);
+      if (locationsRes.data.success) setLocations(locationsRes.data.data || []);
+      if (snmpRes.data.success) setSnmpCredentials(snmpRes.data.data || []);
+    } catch (err) {
+      console.warn('Failed to load lookups', err);
+    }
+  };
+
   /**
    * Fetch users (requires auth)
    */
@@ -127,6 +307,18 @@ function App() {
     }
   };
 
+  /**
+   * Fetch subnets with utilization
+   */
+  const fetchSubnets = async () => {
+    try {
+      const res = await axios.get(`${API_URL}/subnets`);
+      if (res.data.success) setSubnets(res.data.data || []);
+    } catch (err) {
+      console.warn('Failed to load subnets', err);
+    }
+  };
+
   /**
    * Handle login submit
    */
@@ -138,7 +330,6 @@ function App() {
       if (res.data.success) {
         setUser(res.data.user);
         setLoginForm({ email: '', password: '' });
-        fetchUsers();
       } else {
         setAuthError(res.data.message || 'Login failed');
       }
@@ -157,7 +348,6 @@ function App() {
   const handleLogout = async () => {
     await axios.post(`${API_URL}/auth/logout`);
     setUser(null);
-    setUsers([]);
   };
 
   /**
@@ -171,7 +361,6 @@ function App() {
       if (res.data.success) {
         setUser(res.data.user);
         setRegisterForm({ name: '', email: '', password: '' });
-        fetchUsers();
         setAuthMode('login');
       } else {
         setAuthError(res.data.message || 'Registration failed');
@@ -185,6 +374,29 @@ function App() {
     }
   };
 
+  /**
+   * Handle forced (or voluntary) password change
+   */
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setAuthError(null);
+    try {
+      const res = await axios.post(`${API_URL}/auth/change-password`, passwordForm);
+      if (res.data.success) {
+        setUser(res.data.user);
+        setPasswordForm({ current_password: '', new_password: '' });
+      } else {
+        setAuthError(res.data.message || 'Password change failed');
+      }
+    } catch (err) {
+      setAuthError(
+        err.response?.data?.message ||
+          err.message ||
+          'Password change failed.'
+      );
+    }
+  };
+
   /**
    * Open device detail modal
    */
@@ -235,11 +447,9 @@ function App() {
       const response = await axios.post(`${API_URL}/devices`, newDevice);
       
       if (response.data.success) {
-        // Add new device to state
-        setDevices(prevDevices => [...prevDevices, response.data.data]);
-        
-        // Optionally refresh all devices to ensure consistency
-        // fetchDevices();
+        // Reload the page so totals, sort order and statistics stay consistent
+        fetchDevices();
+        fetchSubnets(); // utilization changed
       } else {
         throw new Error(response.data.message || 'Failed to create device');
       }
@@ -272,6 +482,8 @@ function App() {
             device.id === id ? response.data.data : device
           )
         );
+        fetchDeviceStats({ search: appliedFilters.search || undefined, status: appliedFilters.status || undefined });
+        fetchSubnets();
       } else {
         throw new Error(response.data.message || 'Failed to update device');
       }
@@ -294,8 +506,8 @@ function App() {
     // Confirm deletion
     const device = devices.find(d => d.id === id);
     const confirmMessage = device
-      ? `Are you sure you want to delete "${device.hostname}"? This action cannot be undone.`
-      : 'Are you sure you want to delete this device? This action cannot be undone.';
+      ? `Move "${device.hostname}" to the trash? It can be restored from the Trash section.`
+      : 'Move this device to the trash? It can be restored from the Trash section.';
     
     if (!window.confirm(confirmMessage)) {
       return; // User cancelled
@@ -307,8 +519,8 @@ function App() {
       const response = await axios.delete(`${API_URL}/devices/${id}`);
       
       if (response.data.success) {
-        // Remove device from state
-        setDevices(prevDevices => prevDevices.filter(device => device.id !== id));
+        fetchDevices();
+        fetchSubnets();
       } else {
         throw new Error(response.data.message || 'Failed to delete device');
       }
@@ -323,13 +535,14 @@ function App() {
   };
 
   /**
-   * Calculate dashboard statistics
+   * Dashboard statistics (server-side, over every matching device rather than the loaded page)
    */
+  const byStatus = deviceStats?.by_status || {};
   const stats = {
-    total: devices.length,
-    active: devices.filter(d => d.status?.toLowerCase() === 'active').length,
-    inactive: devices.filter(d => d.status?.toLowerCase() === 'inactive').length,
-    maintenance: devices.filter(d => d.status?.toLowerCase() === 'maintenance').length
+    total: deviceStats?.total || 0,
+    active: byStatus.active || 0,
+    inactive: byStatus.inactive || 0,
+    maintenance: byStatus.maintenance || 0
   };
 
   const statusBreakdown = [
@@ -340,15 +553,11 @@ function App() {
   ];
 
   // Location distribution
-  const locationCounts = Object.entries(
-    devices.reduce((acc, d) => {
-      const key = d.location || 'Unspecified';
-      acc[key] = (acc[key] || 0) + 1;
-      return acc;
-    }, {})
-  )
-    .map(([location, count]) => ({ location, count }))
-    .sort((a, b) => b.count - a.count);
+  const locationCounts = (deviceStats?.by_location || []).map(({ location_id, location, count }) => ({
+    id: location_id,
+    location: location || 'Unspecified',
+    count
+  }));
   const maxLocationCount = Math.max(...locationCounts.map((l) => l.count), 1);
 
   const pieTotal = Math.max(
@@ -382,21 +591,51 @@ function App() {
 
   const handleFilterSubmit = (e) => {
     e.preventDefault();
-    fetchDevices();
+    fetchDevices({ offset: 0, search: searchTerm, status: statusFilter });
+  };
+
+  /**
+   * Load a saved view's filters and sort
+   * @param {Object} view - Saved view from /views
+   */
+  const handleApplyView = (view) => {
+    setSearchTerm(view.search || '');
+    setStatusFilter(view.status || '');
+    fetchDevices({ offset: 0, search: view.search || '', status: view.status || '', sort: view.sort || '' });
+  };
+
+  /**
+   * List the devices at a location and everything below it
+   * @param {{id: number}} location
+   */
+  const handleShowLocationDevices = (location) => {
+    const search = `location_id:${location.id}`;
+    setSearchTerm(search);
+    fetchDevices({ offset: 0, search });
+  };
+
+  const handleLocationLevelChange = (e) => {
+    setLocationLevel(e.target.value);
+    locationLevelRef.current = e.target.value;
+    fetchDeviceStats(
+      { search: appliedFilters.search || undefined, status: appliedFilters.status || undefined },
+      e.target.value
+    );
   };
 
   const handleClearFilters = () => {
     setSearchTerm('');
     setStatusFilter('');
-    fetchDevices();
+    fetchDevices({ offset: 0, search: '', status: '' });
   };
 
   const handleExport = async () => {
     try {
       const res = await axios.get(`${API_URL}/devices/export`, {
         params: {
-          search: searchTerm || undefined,
-          status: statusFilter || undefined
+          search: appliedFilters.search || undefined,
+          status: appliedFilters.status || undefined,
+          sort: deviceSort || undefined
         },
         responseType: 'blob'
       });
@@ -512,198 +751,360 @@ function App() {
 
       {/* Main Content */}
       <main className="app-main">
-        {/* Users panel */}
-        <section className="users-section">
-          <div className="section-header">
-            <h2>👥 Users</h2>
-            <button className="btn btn-secondary" onClick={fetchUsers} disabled={usersLoading}>
-              Refresh
-            </button>
-          </div>
-          {usersError && <div className="error-banner compact">{usersError}</div>}
-          {usersLoading && <p>Loading users...</p>}
-          {!usersLoading && users.length === 0 && <p className="muted">No users found.</p>}
-          {!usersLoading && users.length > 0 && (
-            <div className="users-table-wrapper">
-              <table className="users-table">
-                <thead>
-                  <tr>
-                    <th>Name</th>
-                    <th>Email</th>
-                    <th>Role</th>
-                    <th>Status</th>
-                    <th>Created</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {users.map((u) => (
-                    <tr key={u.id}>
-                      <td>{u.name}</td>
-                      <td>{u.email}</td>
-                      <td>{u.role}</td>
-                      <td>{u.active ? 'Active' : 'Inactive'}</td>
-                      <td>{new Date(u.created_at).toLocaleString()}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          )}
-        </section>
-
-        {/* Error Display */}
-        {error && (
-          <div className="error-banner">
-            <span className="error-icon">⚠️</span>
-            <span className="error-text">{error}</span>
-            <button
-              className="error-dismiss"
-              onClick={() => setError(null)}
-              aria-label="Dismiss error"
-            >
-              ×
-            </button>
+        {!authLoading && !user && (
+          <div className="empty-state">
+            <p>🔒 Log in to view and manage the device inventory.</p>
           </div>
         )}
 
-        {/* Filters */}
-        <section className="filter-bar">
-          <form className="filter-form" onSubmit={handleFilterSubmit}>
-            <input
-              type="text"
-              placeholder="Search by hostname or IP"
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
+        {user && user.must_change_password && (
+          <section className="users-section">
+            <h2>🔑 Change your password</h2>
+            <p className="muted">An administrator requires you to set a new password before continuing.</p>
+            <form className="filter-form" onSubmit={handleChangePassword}>
+              <input
+                type="password"
+                placeholder="Current password"
+                value={passwordForm.current_password}
+                onChange={(e) => setPasswordForm((prev) => ({ ...prev, current_password: e.target.value }))}
+                required
+              />
+              <input
+                type="password"
+                placeholder="New password (min 6 chars)"
+                value={passwordForm.new_password}
+                onChange={(e) => setPasswordForm((prev) => ({ ...prev, new_password: e.target.value }))}
+                required
+              />
+              <button type="submit" className="btn btn-primary">Change password</button>
+              {authError && <span className="error-message inline">{authError}</span>}
+            </form>
+          </section>
+        )}
+
+        {user && !user.must_change_password && (
+          <>
+            {/* Users panel */}
+            <UserManagement
+              users={users}
+              loading={usersLoading}
+              error={usersError}
+              onRefresh={() => {
+                fetchUsers();
+                fetchDevices();
+              }}
+              canManage={can('users:manage')}
+              currentUser={user}
             />
-            <select
-              value={statusFilter}
-              onChange={(e) => setStatusFilter(e.target.value)}
-            >
-              <option value="">All statuses</option>
-              <option value="active">Active</option>
-              <option value="inactive">Inactive</option>
-              <option value="maintenance">Maintenance</option>
-            </select>
-            <button type="submit" className="btn btn-primary">Apply</button>
-            <button type="button" className="btn btn-secondary" onClick={handleClearFilters}>
-              Clear
-            </button>
-            <button type="button" className="btn btn-secondary" onClick={handleExport}>
-              Export CSV
-            </button>
-          </form>
-        </section>
-
-        {/* Dashboard Statistics */}
-        <div className="dashboard-stats">
-          <div className="stat-card">
-            <div className="stat-icon">📊</div>
-            <div className="stat-info">
-              <div className="stat-value">{stats.total}</div>
-              <div className="stat-label">Total Devices</div>
-            </div>
-          </div>
 
-          <div className="stat-card stat-active">
-            <div className="stat-icon">✅</div>
-            <div className="stat-info">
-              <div className="stat-value">{stats.active}</div>
-              <div className="stat-label">Active</div>
-            </div>
-          </div>
+            {/* Error Display */}
+            {error && (
+              <div className="error-banner">
+                <span className="error-icon">⚠️</span>
+                <span className="error-text">{error}</span>
+                <button
+                  className="error-dismiss"
+                  onClick={() => setError(null)}
+                  aria-label="Dismiss error"
+                >
+                  ×
+                </button>
+              </div>
+            )}
 
-          <div className="stat-card stat-inactive">
-            <div className="stat-icon">🔴</div>
-            <div className="stat-info">
-              <div className="stat-value">{stats.inactive}</div>
-              <div className="stat-label">Inactive</div>
-            </div>
-          </div>
+            {/* Filters */}
+            <section className="filter-bar">
+              <form className="filter-form" onSubmit={handleFilterSubmit}>
+                <input
+                  type="text"
+                  className="search-query"
+                  placeholder='Search: hostname, IP, CIDR or type:Switch location:"Building A*" -status:inactive'
+                  title={'Bare words match hostname, IP or MAC. Fields: hostname, ip, mac, type, manufacturer, location, location_id, status, notes, assigned, id, created, assigned_at.\n'
+                    + 'Wildcards: location:"Building A*"  Alternatives: status:active,maintenance  Empty: assigned:none / assigned:any\n'
+                    + 'location:HQ and location_id:12 include everything inside that location\n'
+                    + 'Dates and numbers: created:>2025-01-01 id:<=100  Negate with -: -status:inactive'}
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                />
+                <select
+                  value={statusFilter}
+                  onChange={(e) => setStatusFilter(e.target.value)}
+                >
+                  <option value="">All statuses</option>
+                  <option value="active">Active</option>
+                  <option value="inactive">Inactive</option>
+                  <option value="maintenance">Maintenance</option>
+                </select>
+                <button type="submit" className="btn btn-primary">Apply</button>
+                <button type="button" className="btn btn-secondary" onClick={handleClearFilters}>
+                  Clear
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={handleExport}>
+                  Export CSV
+                </button>
+                {can('devices:write') && (
+                  <button type="button" className="btn btn-secondary" onClick={() => setShowImport(true)}>
+                    Import CSV
+                  </button>
+                )}
+              </form>
+              <SavedViews
+                current={{ ...appliedFilters, sort: deviceSort }}
+                onApply={handleApplyView}
+                userId={user.id}
+              />
+            </section>
 
-          <div className="stat-card stat-maintenance">
-            <div className="stat-icon">🔧</div>
-            <div className="stat-info">
-              <div className="stat-value">{stats.maintenance}</div>
-              <div className="stat-label">Maintenance</div>
-            </div>
-          </div>
-        </div>
+            {/* Dashboard Statistics */}
+            <div className="dashboard-stats">
+              <div className="stat-card">
+                <div className="stat-icon">📊</div>
+                <div className="stat-info">
+                  <div className="stat-value">{stats.total}</div>
+                  <div className="stat-label">Total Devices</div>
+                </div>
+              </div>
 
-        {/* Pie chart visualization */}
-        <section className="pie-section">
-          <div className="pie-card">
-            <svg viewBox="0 0 36 36" className="pie-svg">
-              <circle
-                className="pie-bg"
-                r="15.915"
-                cx="50%"
-                cy="50%"
-                fill="transparent"
-                stroke="#e2e8f0"
-                strokeWidth="6"
-              />
-              {pieSegments}
-            </svg>
-            <div className="pie-center">
-              <div className="pie-total">{stats.total}</div>
-              <div className="pie-label">Devices</div>
-            </div>
-          </div>
-          <div className="pie-legend">
-            {statusBreakdown.map((seg) => (
-              <div key={seg.label} className="pie-legend-item">
-                <span className="legend-color" style={{ backgroundColor: seg.color }} />
-                <span>{seg.label}</span>
-                <span className="legend-value">{seg.value}</span>
+              <div className="stat-card stat-active">
+                <div className="stat-icon">✅</div>
+                <div className="stat-info">
+                  <div className="stat-value">{stats.active}</div>
+                  <div className="stat-label">Active</div>
+                </div>
               </div>
-            ))}
-          </div>
-        </section>
 
-        {/* Locations bar chart */}
-        <section className="locations-section">
-          <h3>📍 Devices by Location</h3>
-          {locationCounts.length === 0 ? (
-            <p className="muted">No location data.</p>
-          ) : (
-            <div className="locations-bars">
-              {locationCounts.map((loc) => (
-                <div key={loc.location} className="location-row">
-                  <span className="location-label">{loc.location}</span>
-                  <div className="location-bar-wrapper">
-                    <div
-                      className="location-bar"
-                      style={{ width: `${(loc.count / maxLocationCount) * 100}%` }}
-                    />
-                  </div>
-                  <span className="location-count">{loc.count}</span>
+              <div className="stat-card stat-inactive">
+                <div className="stat-icon">🔴</div>
+                <div className="stat-info">
+                  <div className="stat-value">{stats.inactive}</div>
+                  <div className="stat-label">Inactive</div>
                 </div>
-              ))}
+              </div>
+
+              <div className="stat-card stat-maintenance">
+                <div className="stat-icon">🔧</div>
+                <div className="stat-info">
+                  <div className="stat-value">{stats.maintenance}</div>
+                  <div className="stat-label">Maintenance</div>
+                </div>
+              </div>
             </div>
-          )}
-        </section>
 
-        {/* Loading State */}
-        {loading && (
-          <div className="loading-container">
-            <div className="loading-spinner"></div>
-            <p>Loading devices...</p>
-          </div>
-        )}
+            {/* Pie chart visualization */}
+            <section className="pie-section">
+              <div className="pie-card">
+                <svg viewBox="0 0 36 36" className="pie-svg">
+                  <circle
+                    className="pie-bg"
+                    r="15.915"
+                    cx="50%"
+                    cy="50%"
+                    fill="transparent"
+                    stroke="#e2e8f0"
+                    strokeWidth="6"
+                  />
+                  {pieSegments}
+                </svg>
+                <div className="pie-center">
+                  <div className="pie-total">{stats.total}</div>
+                  <div className="pie-label">Devices</div>
+                </div>
+              </div>
+              <div className="pie-legend">
+                {statusBreakdown.map((seg) => (
+                  <div key={seg.label} className="pie-legend-item">
+                    <span className="legend-color" style={{ backgroundColor: seg.color }} />
+                    <span>{seg.label}</span>
+                    <span className="legend-value">{seg.value}</span>
+                  </div>
+                ))}
+              </div>
+            </section>
 
-        {/* Device List */}
-        {!loading && (
-          <DeviceList
-            devices={devices}
-            onCreate={handleCreate}
-            onUpdate={handleUpdate}
-            onDelete={handleDelete}
-            users={users}
-            onRefresh={fetchDevices}
-            onShowDetails={openDeviceDetail}
-            deviceTypes={deviceTypes}
-            manufacturers={manufacturers}
-          />
+            {/* Locations bar chart */}
+            <section className="locations-section">
+              <div className="section-header">
+                <h3>📍 Devices by Location</h3>
+                <select value={locationLevel} onChange={handleLocationLevelChange} aria-label="Group locations by">
+                  {LOCATION_LEVELS.map((level) => (
+                    <option key={level.value} value={level.value}>{level.label}</option>
+                  ))}
+                </select>
+              </div>
+              {locationCounts.length === 0 ? (
+                <p className="muted">No location data.</p>
+              ) : (
+                <div className="locations-bars">
+                  {locationCounts.map((loc) => (
+                    <div key={loc.location} className="location-row">
+                      <span className="location-label">
+                        {loc.id ? (
+                          <button className="link-button" onClick={() => handleShowLocationDevices(loc)} title="Show these devices">
+                            {loc.location}
+                          </button>
+                        ) : (
+                          loc.location
+                        )}
+                      </span>
+                      <div className="location-bar-wrapper">
+                        <div
+                          className="location-bar"
+                          style={{ width: `${(loc.count / maxLocationCount) * 100}%` }}
+                        />
+                      </div>
+                      <span className="location-count">{loc.count}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </section>
+
+            {/* Coverage and lifecycle dates ending soon */}
+            <section className="locations-section expiring-section">
+              <div className="section-header">
+                <h3>⏳ Expiring in the Next {EXPIRING_WINDOW_DAYS} Days</h3>
+                <button className="btn btn-secondary" onClick={fetchExpiring}>Refresh</button>
+              </div>
+              {expiring.length === 0 ? (
+                <p className="muted">No warranty, support or end-of-life dates coming up.</p>
+              ) : (
+                <ul className="expiring-list">
+                  {expiring.slice(0, EXPIRING_CARD_LIMIT).map((item) => (
+                    <li key={`${item.kind}-${item.device_id}`} className={item.days_left <= 30 ? 'expiring-soon' : ''}>
+                      <span className="expiring-date">
+                        {item.date}
+                        <span className="muted small"> ({item.days_left === 0 ? 'today' : `${item.days_left} d`})</span>
+                      </span>
+                      <button className="link-button" onClick={() => openDeviceDetail(item.device_id)}>
+                        {item.hostname}
+                      </button>
+                      <span className="muted small">
+                        {EXPIRING_KINDS[item.kind]} —{' '}
+                        {item.kind === 'coverage'
+                          ? `${item.vendor} ${item.contract_number} (${item.coverage.replace(/_/g, ' ')})`
+                          : `${item.manufacturer_name || ''} ${item.model_name}`.trim()}
+                      </span>
+                    </li>
+                  ))}
+                  {expiring.length > EXPIRING_CARD_LIMIT && (
+                    <li className="muted small">…and {expiring.length - EXPIRING_CARD_LIMIT} more</li>
+                  )}
+                </ul>
+              )}
+            </section>
+
+            <MonitoringPanel canRun={can('devices:write')} onShowDetails={openDeviceDetail} onChanged={fetchDevices} />
+
+            <DiscoveryPanel
+              canRun={can('discovery:run')}
+              deviceTypes={deviceTypes}
+              manufacturers={manufacturers}
+              locations={locations}
+              snmpCredentials={snmpCredentials}
+              onShowDetails={openDeviceDetail}
+              onChanged={() => {
+                fetchDevices();
+                fetchLookups();
+              }}
+            />
+
+            <LocationManager
+              locations={locations}
+              snmpCredentials={snmpCredentials}
+              canManage={can('locations:manage')}
+              onChanged={() => {
+                fetchLookups();
+                fetchDevices();
+              }}
+              onShowDevices={handleShowLocationDevices}
+            />
+
+            <RackElevation
+              canEdit={can('devices:write')}
+              onChanged={() => {
+                fetchDevices();
+                fetchLookups();
+              }}
+              onShowDetails={openDeviceDetail}
+            />
+
+            <TopologyMap locations={locations} deviceTypes={deviceTypes} onShowDetails={openDeviceDetail} />
+
+            <ContractManager canManage={can('contracts:manage')} onChanged={fetchExpiring} />
+
+            <SubnetManager
+              subnets={subnets}
+              onRefresh={fetchSubnets}
+              canManage={can('ipam:manage')}
+            />
+
+            {can('lookups:manage') && (
+              <LookupManager
+                deviceTypes={deviceTypes}
+                manufacturers={manufacturers}
+                models={models}
+                onChanged={() => {
+                  fetchLookups();
+                  fetchDevices();
+                  fetchExpiring();
+                }}
+              />
+            )}
+
+            {can('snmp:manage') && (
+              <SnmpCredentials credentials={snmpCredentials} onChanged={fetchLookups} />
+            )}
+
+            {can('alerts:manage') && <AlertManager deviceTypes={deviceTypes} locations={locations} />}
+            {can('webhooks:manage') && <WebhookManager />}
+
+            {can('audit:read') && <AuditLog users={users} />}
+
+            {can('devices:delete') && (
+              <TrashView
+                onRestored={() => {
+                  fetchDevices();
+                  fetchSubnets();
+                }}
+                canPurge={can('devices:purge')}
+                refreshKey={deviceTotal}
+              />
+            )}
+
+            {/* Loading State */}
+            {loading && (
+              <div className="loading-container">
+                <div className="loading-spinner"></div>
+                <p>Loading devices...</p>
+              </div>
+            )}
+
+            {/* Device List */}
+            {!loading && (
+              <DeviceList
+                devices={devices}
+                onCreate={handleCreate}
+                onUpdate={handleUpdate}
+                onDelete={handleDelete}
+                users={users}
+                onRefresh={() => fetchDevices()}
+                onShowDetails={openDeviceDetail}
+                deviceTypes={deviceTypes}
+                manufacturers={manufacturers}
+                models={models}
+                locations={locations}
+                subnets={subnets}
+                snmpCredentials={snmpCredentials}
+                can={can}
+                total={deviceTotal}
+                offset={deviceOffset}
+                pageSize={DEVICE_PAGE_SIZE}
+                onPageChange={(offset) => fetchDevices({ offset })}
+                sort={deviceSort}
+                onSortChange={(sort) => fetchDevices({ sort, offset: 0 })}
+              />
+            )}
+          </>
         )}
       </main>
 
@@ -712,6 +1113,17 @@ function App() {
         <p>Network Device Inventory Manager © 2024</p>
       </footer>
 
+      {/* CSV Import Wizard */}
+      {showImport && (
+        <ImportWizard
+          onClose={() => setShowImport(false)}
+          onImported={() => {
+            fetchDevices();
+            fetchSubnets();
+          }}
+        />
+      )}
+
       {/* Device Detail Modal */}
       {selectedDevice && (
         <DeviceDetail
@@ -722,6 +1134,11 @@ function App() {
           error={detailError}
           onClose={closeDeviceDetail}
           onRefresh={() => openDeviceDetail(selectedDevice.id)}
+          onChanged={() => {
+            fetchDevices();
+            fetchLookups();
+          }}
+          can={can}
         />
       )}
     </div>
@@ -0,0 +1,518 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const EVENT_LABELS = {
+  device_inactive: 'Status changed to inactive',
+  device_unreachable: 'Device unreachable',
+  warranty_expiring: 'Warranty/support ending',
+  assigned_to_inactive_user: 'Assigned to a deactivated user',
+  config_version: 'New config file version'
+};
+
+const KIND_LABELS = { email: 'Email', webhook: 'Webhook', slack: 'Slack webhook' };
+const TARGET_PLACEHOLDERS = {
+  email: 'Recipients, e.g. noc@example.com, ops@example.com',
+  webhook: 'https://cmdb.example.com/hooks/inventory',
+  slack: 'https://hooks.slack.com/services/...'
+};
+
+const emptyChannel = { name: '', kind: 'email', target: '', secret: '', enabled: true };
+const emptyRule = {
+  name: '', event: 'device_unreachable', device_type_ids: [], location_ids: [], warranty_days: '30', channel_ids: [], enabled: true
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+/**
+ * AlertManager Component
+ * Admin page for alerting: delivery channels (SMTP email, generic webhook, Slack-compatible webhook), rules that pick
+ * an event and narrow it to device types and locations, and the delivery log with retry.
+ * Webhook secrets are write-only; leaving the secret empty while editing keeps it.
+ *
+ * Props:
+ * - deviceTypes: Device types rules can filter on
+ * - locations: Locations rules can filter on (a location covers everything below it)
+ */
+function AlertManager({ deviceTypes = [], locations = [] }) {
+  const [open, setOpen] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [channels, setChannels] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [deliveryStatus, setDeliveryStatus] = useState('');
+  const [channelForm, setChannelForm] = useState(null); // null = closed; editing id in channelForm.id
+  const [ruleForm, setRuleForm] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchAll = useCallback(async () => {
+    try {
+      const [statusRes, channelsRes, rulesRes, deliveriesRes] = await Promise.all([
+        axios.get(`${API_URL}/alerts/status`),
+        axios.get(`${API_URL}/alerts/channels`),
+        axios.get(`${API_URL}/alerts/rules`),
+        axios.get(`${API_URL}/alerts/deliveries`, { params: { status: deliveryStatus || undefined, limit: 50 } })
+      ]);
+      setStatus(statusRes.data.data);
+      setChannels(channelsRes.data.data || []);
+      setRules(rulesRes.data.data || []);
+      setDeliveries(deliveriesRes.data.data || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.response?.data?.error || err.message || 'Failed to load alerting');
+    }
+  }, [deliveryStatus]);
+
+  useEffect(() => {
+    if (open) fetchAll();
+  }, [open, fetchAll]);
+
+  const run = async (request, after) => {
+    try {
+      setBusy(true);
+      setError(null);
+      const res = await request();
+      setMessage(res.data.message);
+      if (after) after();
+      await fetchAll();
+    } catch (err) {
+      setError(err.response?.data?.message || err.response?.data?.error || err.message || 'Request failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleChannelSubmit = (e) => {
+    e.preventDefault();
+    const { id, secret, has_secret: hasSecret, ...payload } = channelForm;
+    // An empty secret is left out so the stored one is kept
+    if (payload.kind === 'webhook' && (secret !== '' || !hasSecret)) payload.secret = secret;
+    run(
+      () => (id ? axios.put(`${API_URL}/alerts/channels/${id}`, payload) : axios.post(`${API_URL}/alerts/channels`, payload)),
+      () => setChannelForm(null)
+    );
+  };
+
+  const handleRuleSubmit = (e) => {
+    e.preventDefault();
+    const { id, ...payload } = ruleForm;
+    payload.warranty_days = Number(payload.warranty_days) || 30;
+    run(
+      () => (id ? axios.put(`${API_URL}/alerts/rules/${id}`, payload) : axios.post(`${API_URL}/alerts/rules`, payload)),
+      () => setRuleForm(null)
+    );
+  };
+
+  const toggleId = (form, setForm, key, id) =>
+    setForm({ ...form, [key]: form[key].includes(id) ? form[key].filter((x) => x !== id) : [...form[key], id] });
+
+  const typeName = (id) => deviceTypes.find((t) => t.id === id)?.name || `#${id}`;
+  const locationPath = (id) => locations.find((l) => l.id === id)?.path || `#${id} (deleted)`;
+  const channelName = (id) => channels.find((c) => c.id === id)?.name || `#${id}`;
+
+  const describeFilters = (rule) => {
+    const parts = [];
+    if (rule.device_type_ids.length > 0) parts.push(rule.device_type_ids.map(typeName).join(', '));
+    if (rule.location_ids.length > 0) parts.push(`in ${rule.location_ids.map(locationPath).join(', ')}`);
+    if (rule.event === 'warranty_expiring') parts.push(`within ${rule.warranty_days} day(s)`);
+    return parts.length > 0 ? parts.join(' · ') : 'All devices';
+  };
+
+  return (
+    <section className="locations-section">
+      <div className="section-header">
+        <h3>🔔 Alerts</h3>
+        <div className="auth-actions">
+          {open && (
+            <button className="btn btn-primary" onClick={() => run(() => axios.post(`${API_URL}/alerts/run`))} disabled={busy}>
+              Check now
+            </button>
+          )}
+          <button className="btn btn-secondary" onClick={() => setOpen((prev) => !prev)}>
+            {open ? 'Hide' : 'Show'}
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <>
+          {status && (
+            <p className="muted small">
+              {status.enabled ? `Rules are checked every ${status.interval_seconds}s` : 'Automatic checks are off (ALERT_INTERVAL_SECONDS=0)'}
+              {' · '}
+              {status.smtp.host ? `Email through ${status.smtp.host}:${status.smtp.port} as ${status.smtp.from}` : 'Email disabled: SMTP_HOST is not set'}
+              {' · '}Failed deliveries are retried up to {status.max_attempts} times
+              {status.last_run?.finished_at && ` · Last check ${formatTime(status.last_run.finished_at)}`}
+            </p>
+          )}
+          {error && <div className="error-banner compact">{error}</div>}
+          {message && !error && <p className="muted small">{message}</p>}
+
+          <div className="section-header">
+            <h4>Channels</h4>
+            {channelForm === null && (
+              <button className="btn btn-secondary" onClick={() => setChannelForm(emptyChannel)}>➕ New Channel</button>
+            )}
+          </div>
+          {channelForm !== null && (
+            <form className="filter-form contract-form" onSubmit={handleChannelSubmit}>
+              <input
+                placeholder="Name"
+                value={channelForm.name}
+                onChange={(e) => setChannelForm({ ...channelForm, name: e.target.value })}
+                maxLength={100}
+                required
+              />
+              <select
+                value={channelForm.kind}
+                onChange={(e) => setChannelForm({ ...channelForm, kind: e.target.value })}
+                aria-label="Channel kind"
+              >
+                {Object.entries(KIND_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                placeholder={TARGET_PLACEHOLDERS[channelForm.kind]}
+                value={channelForm.target}
+                onChange={(e) => setChannelForm({ ...channelForm, target: e.target.value })}
+                required
+                aria-label="Target"
+              />
+              {channelForm.kind === 'webhook' && (
+                <input
+                  type="password"
+                  placeholder={channelForm.has_secret ? 'Signing secret (unchanged)' : 'Signing secret (optional)'}
+                  value={channelForm.secret}
+                  onChange={(e) => setChannelForm({ ...channelForm, secret: e.target.value })}
+                  autoComplete="off"
+                />
+              )}
+              <label className="muted small">
+                <input
+                  type="checkbox"
+                  checked={channelForm.enabled}
+                  onChange={(e) => setChannelForm({ ...channelForm, enabled: e.target.checked })}
+                />
+                Enabled
+              </label>
+              <button type="submit" className="btn btn-primary" disabled={busy}>{channelForm.id ? 'Save' : 'Create'}</button>
+              <button type="button" className="btn btn-secondary" onClick={() => setChannelForm(null)} disabled={busy}>
+                Cancel
+              </button>
+            </form>
+          )}
+          {channels.length === 0 ? (
+            <p className="muted">No channels yet. Rules need at least one to deliver alerts.</p>
+          ) : (
+            <div className="users-table-wrapper">
+              <table className="users-table">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Kind</th>
+                    <th>Target</th>
+                    <th>Rules</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {channels.map((c) => (
+                    <tr key={c.id} className={c.enabled ? undefined : 'alert-disabled'}>
+                      <td>
+                        <strong>{c.name}</strong>
+                        {!c.enabled && <span className="muted small"> (disabled)</span>}
+                      </td>
+                      <td>
+                        {KIND_LABELS[c.kind]}
+                        {c.has_secret && <span className="muted small"> · signed</span>}
+                      </td>
+                      <td className="mono small">{c.target}</td>
+                      <td>{c.rule_count}</td>
+                      <td className="user-actions">
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => run(() => axios.post(`${API_URL}/alerts/channels/${c.id}/test`))}
+                          disabled={busy}
+                        >
+                          Test
+                        </button>
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => setChannelForm({
+                            id: c.id, name: c.name, kind: c.kind, target: c.target, secret: '', enabled: c.enabled, has_secret: c.has_secret
+                          })}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          className="btn btn-delete"
+                          onClick={() => {
+                            if (window.confirm(`Delete channel "${c.name}" and its delivery log?`)) {
+                              run(() => axios.delete(`${API_URL}/alerts/channels/${c.id}`));
+                            }
+                          }}
+                          disabled={c.rule_count > 0}
+                          title={c.rule_count > 0 ? 'Still used by rules' : undefined}
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="section-header">
+            <h4>Rules</h4>
+            {ruleForm === null && (
+              <button className="btn btn-secondary" onClick={() => setRuleForm(emptyRule)} disabled={channels.length === 0}>
+                ➕ New Rule
+              </button>
+            )}
+          </div>
+          {ruleForm !== null && (
+            <form className="alert-rule-form" onSubmit={handleRuleSubmit}>
+              <div className="filter-form">
+                <input
+                  placeholder="Name"
+                  value={ruleForm.name}
+                  onChange={(e) => setRuleForm({ ...ruleForm, name: e.target.value })}
+                  maxLength={100}
+                  required
+                />
+                <select
+                  value={ruleForm.event}
+                  onChange={(e) => setRuleForm({ ...ruleForm, event: e.target.value })}
+                  aria-label="Event"
+                >
+                  {Object.entries(EVENT_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                {ruleForm.event === 'warranty_expiring' && (
+                  <input
+                    type="number"
+                    min={1}
+                    max={365}
+                    value={ruleForm.warranty_days}
+                    onChange={(e) => setRuleForm({ ...ruleForm, warranty_days: e.target.value })}
+                    aria-label="Days before the end"
+                    title="Days before the end"
+                  />
+                )}
+                <select
+                  value=""
+                  onChange={(e) => {
+                    const id = Number(e.target.value);
+                    if (id && !ruleForm.location_ids.includes(id)) {
+                      setRuleForm({ ...ruleForm, location_ids: [...ruleForm.location_ids, id] });
+                    }
+                  }}
+                  aria-label="Add location"
+                >
+                  <option value="">Add location filter...</option>
+                  {locations.map((l) => (
+                    <option key={l.id} value={l.id}>{l.path}</option>
+                  ))}
+                </select>
+                <label className="muted small">
+                  <input
+                    type="checkbox"
+                    checked={ruleForm.enabled}
+                    onChange={(e) => setRuleForm({ ...ruleForm, enabled: e.target.checked })}
+                  />
+                  Enabled
+                </label>
+              </div>
+              {ruleForm.location_ids.length > 0 && (
+                <div className="alert-choices">
+                  <span className="muted small">Locations:</span>
+                  {ruleForm.location_ids.map((id) => (
+                    <button
+                      type="button"
+                      key={id}
+                      className="btn btn-secondary"
+                      onClick={() => toggleId(ruleForm, setRuleForm, 'location_ids', id)}
+                      title="Remove"
+                    >
+                      {locationPath(id)} ✕
+                    </button>
+                  ))}
+                </div>
+              )}
+              <div className="alert-choices">
+                <span className="muted small">Device types (none = all):</span>
+                {deviceTypes.map((t) => (
+                  <label key={t.id} className="muted small">
+                    <input
+                      type="checkbox"
+                      checked={ruleForm.device_type_ids.includes(t.id)}
+                      onChange={() => toggleId(ruleForm, setRuleForm, 'device_type_ids', t.id)}
+                    />
+                    {t.name}
+                  </label>
+                ))}
+              </div>
+              <div className="alert-choices">
+                <span className="muted small">Send to:</span>
+                {channels.map((c) => (
+                  <label key={c.id} className="muted small">
+                    <input
+                      type="checkbox"
+                      checked={ruleForm.channel_ids.includes(c.id)}
+                      onChange={() => toggleId(ruleForm, setRuleForm, 'channel_ids', c.id)}
+                    />
+                    {c.name}
+                  </label>
+                ))}
+              </div>
+              <div className="alert-choices">
+                <button type="submit" className="btn btn-primary" disabled={busy || ruleForm.channel_ids.length === 0}>
+                  {ruleForm.id ? 'Save' : 'Create'}
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={() => setRuleForm(null)} disabled={busy}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+          {rules.length === 0 ? (
+            <p className="muted">No rules yet.</p>
+          ) : (
+            <div className="users-table-wrapper">
+              <table className="users-table">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Event</th>
+                    <th>Devices</th>
+                    <th>Channels</th>
+                    <th>Alerts</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rules.map((r) => (
+                    <tr key={r.id} className={r.enabled ? undefined : 'alert-disabled'}>
+                      <td>
+                        <strong>{r.name}</strong>
+                        {!r.enabled && <span className="muted small"> (disabled)</span>}
+                      </td>
+                      <td>{EVENT_LABELS[r.event] || r.event}</td>
+                      <td className="small">{describeFilters(r)}</td>
+                      <td className="small">{r.channel_ids.map(channelName).join(', ')}</td>
+                      <td>
+                        {r.alert_count}
+                        {r.last_alert_at && <div className="muted small">last {formatTime(r.last_alert_at)}</div>}
+                      </td>
+                      <td className="user-actions">
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => run(() => axios.put(`${API_URL}/alerts/rules/${r.id}`, { enabled: !r.enabled }))}
+                          disabled={busy}
+                        >
+                          {r.enabled ? 'Disable' : 'Enable'}
+                        </button>
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => setRuleForm({
+                            id: r.id,
+                            name: r.name,
+                            event: r.event,
+                            device_type_ids: r.device_type_ids,
+                            location_ids: r.location_ids,
+                            warranty_days: String(r.warranty_days),
+                            channel_ids: r.channel_ids,
+                            enabled: r.enabled
+                          })}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          className="btn btn-delete"
+                          onClick={() => {
+                            if (window.confirm(`Delete rule "${r.name}" with its ${r.alert_count} alert(s)?`)) {
+                              run(() => axios.delete(`${API_URL}/alerts/rules/${r.id}`));
+                            }
+                          }}
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="section-header">
+            <h4>Deliveries</h4>
+            <select value={deliveryStatus} onChange={(e) => setDeliveryStatus(e.target.value)} aria-label="Delivery status">
+              <option value="">All statuses</option>
+              <option value="pending">Pending</option>
+              <option value="sent">Sent</option>
+              <option value="failed">Failed</option>
+            </select>
+          </div>
+          {deliveries.length === 0 ? (
+            <p className="muted">No deliveries{deliveryStatus ? ` ${deliveryStatus}` : ''}.</p>
+          ) : (
+            <div className="users-table-wrapper">
+              <table className="users-table">
+                <thead>
+                  <tr>
+                    <th>Raised</th>
+                    <th>Alert</th>
+                    <th>Channel</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {deliveries.map((d) => (
+                    <tr key={d.id}>
+                      <td>{formatTime(d.raised_at)}</td>
+                      <td>
+                        {d.subject}
+                        <div className="muted small">{d.rule_name}</div>
+                      </td>
+                      <td>{d.channel_name}</td>
+                      <td>
+                        <span className={`alert-delivery alert-delivery-${d.status}`}>{d.status}</span>
+                        <div className="muted small">
+                          {d.status === 'sent' && formatTime(d.sent_at)}
+                          {d.status === 'pending' && `${d.attempts} attempt(s), next ${formatTime(d.next_attempt_at)}`}
+                          {d.status === 'failed' && `after ${d.attempts} attempt(s)`}
+                        </div>
+                        {d.last_error && <div className="warning-message small">{d.last_error}</div>}
+                      </td>
+                      <td className="user-actions">
+                        {d.status !== 'sent' && (
+                          <button
+                            className="btn btn-secondary"
+                            onClick={() => run(() => axios.post(`${API_URL}/alerts/deliveries/${d.id}/retry`))}
+                            disabled={busy}
+                          >
+                            Retry
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default AlertManager;
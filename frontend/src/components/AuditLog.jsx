@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const PAGE_SIZE = 50;
+
+const ACTIONS = [
+  'created',
+  'updated',
+  'deleted',
+  'restored',
+  'purged',
+  'merged',
+  'imported',
+  'assigned',
+  'checked_in',
+  'file_uploaded',
+  'interface_added',
+  'interface_updated',
+  'interface_removed',
+  'cable_connected',
+  'cable_updated',
+  'cable_disconnected',
+  'neighbors_updated',
+  'contract_attached',
+  'contract_detached'
+];
+
+const emptyFilters = { user_id: '', action: '', device_id: '', from: '', to: '' };
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '∅' : String(value));
+
+/**
+ * One-line summary of an audit entry's details (field diffs, file names, reasons)
+ * @param {Object} entry - History entry from the API
+ * @returns {string}
+ */
+export const describeAuditDetails = (entry) => {
+  const details = entry.details || {};
+  const parts = [];
+  if (details.changes) {
+    Object.entries(details.changes).forEach(([field, change]) => {
+      parts.push(`${field}: ${formatValue(change.from)} → ${formatValue(change.to)}`);
+    });
+  }
+  if (details.interface) parts.unshift(`interface ${details.interface}`);
+  if (details.cable) parts.push(`cable ${details.cable}${details.peer ? ` to ${details.peer}` : ''}`);
+  if (details.added?.length) parts.push(`added ${details.added.join(', ')}`);
+  if (details.removed?.length) parts.push(`removed ${details.removed.join(', ')}`);
+  if (details.secrets_changed?.length) parts.push(`changed ${details.secrets_changed.join(', ')}`);
+  if (details.contract) parts.push(`contract ${details.contract}${details.end_date ? ` (ends ${details.end_date})` : ''}`);
+  if (details.into) parts.push(`merged into ${details.into.name} (${details.devices} device(s))`);
+  if (details.filename) parts.push(`${details.filename} (v${details.version})`);
+  if (details.line) parts.push(`CSV line ${details.line}`);
+  if (details.reason) parts.push(`reason: ${details.reason.replace(/_/g, ' ')}`);
+  return parts.join('; ');
+};
+
+/**
+ * AuditLog Component
+ * Searchable audit trail (GET /audit) for admins and operators, including deleted devices
+ *
+ * Props:
+ * - users: Array of users for the user filter
+ */
+function AuditLog({ users = [] }) {
+  const [filters, setFilters] = useState(emptyFilters);
+  const [applied, setApplied] = useState(emptyFilters);
+  const [offset, setOffset] = useState(0);
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const params = { limit: PAGE_SIZE, offset };
+      Object.entries(applied).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const res = await axios.get(`${API_URL}/audit`, { params });
+      if (res.data.success) {
+        setEntries(res.data.data);
+        setTotal(res.data.total);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load audit trail');
+    } finally {
+      setLoading(false);
+    }
+  }, [applied, offset]);
+
+  useEffect(() => {
+    if (open) fetchEntries();
+  }, [open, fetchEntries]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setOffset(0);
+    setApplied(filters);
+  };
+
+  const handleClear = () => {
+    setFilters(emptyFilters);
+    setOffset(0);
+    setApplied(emptyFilters);
+  };
+
+  return (
+    <section className="locations-section audit-section">
+      <div className="section-header">
+        <h3>🧾 Audit Trail</h3>
+        <div className="auth-actions">
+          {open && (
+            <button className="btn btn-secondary" onClick={fetchEntries}>Refresh</button>
+          )}
+          <button className="btn btn-secondary" onClick={() => setOpen((prev) => !prev)}>
+            {open ? 'Hide' : 'Show'}
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <>
+          <form className="filter-form" onSubmit={handleSubmit}>
+            <select name="user_id" value={filters.user_id} onChange={handleChange}>
+              <option value="">All users</option>
+              {users.map((u) => (
+                <option key={u.id} value={u.id}>{u.name}</option>
+              ))}
+            </select>
+            <select name="action" value={filters.action} onChange={handleChange}>
+              <option value="">All actions</option>
+              {ACTIONS.map((a) => (
+                <option key={a} value={a}>{a.replace(/_/g, ' ')}</option>
+              ))}
+            </select>
+            <input
+              name="device_id"
+              type="number"
+              min="1"
+              placeholder="Device ID"
+              value={filters.device_id}
+              onChange={handleChange}
+            />
+            <label className="muted small">
+              From <input name="from" type="date" value={filters.from} onChange={handleChange} />
+            </label>
+            <label className="muted small">
+              To <input name="to" type="date" value={filters.to} onChange={handleChange} />
+            </label>
+            <button type="submit" className="btn btn-primary">Apply</button>
+            <button type="button" className="btn btn-secondary" onClick={handleClear}>Clear</button>
+          </form>
+
+          {error && <div className="error-banner compact">{error}</div>}
+          {loading && <p>Loading audit trail...</p>}
+          {!loading && entries.length === 0 && <p className="muted">No matching entries.</p>}
+          {!loading && entries.length > 0 && (
+            <div className="users-table-wrapper">
+              <table className="users-table audit-table">
+                <thead>
+                  <tr>
+                    <th>When</th>
+                    <th>User</th>
+                    <th>Action</th>
+                    <th>Device</th>
+                    <th>Details</th>
+                    <th>Source</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry) => (
+                    <tr key={entry.id}>
+                      <td className="small">{new Date(entry.created_at).toLocaleString()}</td>
+                      <td>{entry.user_name || 'system'}</td>
+                      <td><strong>{entry.action.replace(/_/g, ' ')}</strong></td>
+                      <td>
+                        {entry.device_id
+                          ? `${entry.device_hostname || 'device'} (#${entry.device_id})`
+                          : `${entry.entity_type.replace(/_/g, ' ')} ${entry.details?.name || `#${entry.entity_id ?? '—'}`}`}
+                      </td>
+                      <td className="small">{describeAuditDetails(entry) || '—'}</td>
+                      <td className="muted small" title={entry.user_agent || ''}>{entry.ip_address || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {total > PAGE_SIZE && (
+            <div className="audit-pagination">
+              <button
+                className="btn btn-secondary"
+                onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+                disabled={offset === 0 || loading}
+              >
+                ← Newer
+              </button>
+              <span className="muted small">
+                {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+              </span>
+              <button
+                className="btn btn-secondary"
+                onClick={() => setOffset(offset + PAGE_SIZE)}
+                disabled={offset + PAGE_SIZE >= total || loading}
+              >
+                Older →
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default AuditLog;
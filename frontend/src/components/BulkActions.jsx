@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+/**
+ * BulkActions Component
+ * Toolbar for the devices selected in DeviceList; sends one POST /devices/bulk per action
+ *
+ * Props:
+ * - selectedIds: Array of selected device IDs
+ * - onClear: Function to clear the selection
+ * - onDone: Function called after a successful operation (refresh + clear)
+ * - users: Array of users for assignment
+ * - deviceTypes: Lookup array for device types
+ * - manufacturers: Lookup array for manufacturers
+ * - locations: Location nodes from /locations (with their paths)
+ * - can: Function (capability) => boolean for the current session's role
+ */
+function BulkActions({
+  selectedIds,
+  onClear,
+  onDone,
+  users = [],
+  deviceTypes = [],
+  manufacturers = [],
+  locations = [],
+  can = () => false
+}) {
+  const [action, setAction] = useState('');
+  const [value, setValue] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const options = [
+    can('devices:write') && { value: 'status', label: 'Set status' },
+    can('devices:write') && { value: 'location_id', label: 'Move to location' },
+    can('devices:write') && { value: 'device_type_id', label: 'Change type' },
+    can('devices:write') && { value: 'manufacturer_id', label: 'Change manufacturer' },
+    can('devices:assign') && { value: 'assign', label: 'Check-out to user' },
+    can('devices:assign') && { value: 'checkin', label: 'Check-in' },
+    can('devices:delete') && { value: 'delete', label: 'Move to trash' }
+  ].filter(Boolean);
+
+  const needsValue = !['checkin', 'delete', 'location_id', 'manufacturer_id', ''].includes(action);
+
+  const handleActionChange = (e) => {
+    setAction(e.target.value);
+    setValue('');
+    setError(null);
+  };
+
+  const buildRequest = () => {
+    switch (action) {
+      case 'assign':
+        return { action: 'assign', user_id: Number(value) };
+      case 'checkin':
+      case 'delete':
+        return { action };
+      case 'device_type_id':
+        return { action: 'update', changes: { device_type_id: Number(value) } };
+      case 'manufacturer_id':
+        return { action: 'update', changes: { manufacturer_id: value ? Number(value) : null } };
+      case 'location_id':
+        return { action: 'update', changes: { location_id: value ? Number(value) : null } };
+      default:
+        return { action: 'update', changes: { [action]: value } };
+    }
+  };
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    if (!action || (needsValue && !value)) return;
+    const count = selectedIds.length;
+    if (action === 'delete' && !window.confirm(`Move ${count} device(s) to the trash?`)) return;
+    try {
+      setBusy(true);
+      setError(null);
+      const res = await axios.post(`${API_URL}/devices/bulk`, { ids: selectedIds, ...buildRequest() });
+      setMessage(res.data.message);
+      setAction('');
+      setValue('');
+      if (onDone) onDone();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Bulk operation failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderValueInput = () => {
+    switch (action) {
+      case 'status':
+        return (
+          <select value={value} onChange={(e) => setValue(e.target.value)} required>
+            <option value="">Select status</option>
+            <option value="active">Active</option>
+            <option value="inactive">Inactive</option>
+            <option value="maintenance">Maintenance</option>
+          </select>
+        );
+      case 'location_id':
+        return (
+          <select value={value} onChange={(e) => setValue(e.target.value)}>
+            <option value="">No location</option>
+            {locations.map((l) => (
+              <option key={l.id} value={l.id}>{l.path}</option>
+            ))}
+          </select>
+        );
+      case 'device_type_id':
+        return (
+          <select value={value} onChange={(e) => setValue(e.target.value)} required>
+            <option value="">Select type</option>
+            {deviceTypes.map((t) => (
+              <option key={t.id} value={t.id}>{t.name}</option>
+            ))}
+          </select>
+        );
+      case 'manufacturer_id':
+        return (
+          <select value={value} onChange={(e) => setValue(e.target.value)}>
+            <option value="">No manufacturer</option>
+            {manufacturers.map((m) => (
+              <option key={m.id} value={m.id}>{m.name}</option>
+            ))}
+          </select>
+        );
+      case 'assign':
+        return (
+          <select value={value} onChange={(e) => setValue(e.target.value)} required>
+            <option value="">Select user</option>
+            {users.filter((u) => u.active).map((u) => (
+              <option key={u.id} value={u.id}>{u.name} ({u.role})</option>
+            ))}
+          </select>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="bulk-actions">
+      <form className="filter-form" onSubmit={handleApply}>
+        <strong>{selectedIds.length} selected</strong>
+        <select value={action} onChange={handleActionChange}>
+          <option value="">Bulk action...</option>
+          {options.map((o) => (
+            <option key={o.value} value={o.value}>{o.label}</option>
+          ))}
+        </select>
+        {renderValueInput()}
+        <button
+          type="submit"
+          className={`btn ${action === 'delete' ? 'btn-delete' : 'btn-primary'}`}
+          disabled={busy || !action || (needsValue && !value)}
+        >
+          {busy ? 'Applying...' : 'Apply'}
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={onClear} disabled={busy}>
+          Clear selection
+        </button>
+      </form>
+      {error && <div className="error-banner compact">{error}</div>}
+      {message && !error && <p className="muted small">{message}</p>}
+    </div>
+  );
+}
+
+export default BulkActions;
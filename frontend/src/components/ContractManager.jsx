@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const COVERAGE_LEVELS = ['warranty', 'basic', 'next_business_day', '24x7'];
+
+const emptyForm = { vendor: '', contract_number: '', coverage: 'warranty', start_date: '', end_date: '', notes: '' };
+
+/**
+ * ContractManager Component
+ * Warranty and support contracts with the devices they cover; operators and admins can edit them
+ *
+ * Props:
+ * - canManage: Whether the session may create, edit and attach contracts
+ * - onChanged: Function called after any change (e.g. to refresh the expiring card)
+ */
+function ContractManager({ canManage = false, onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [contracts, setContracts] = useState([]);
+  const [editingId, setEditingId] = useState(null); // null = closed, 'new' = create
+  const [form, setForm] = useState(emptyForm);
+  const [expanded, setExpanded] = useState(null); // contract with devices
+  const [attachQuery, setAttachQuery] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchContracts = useCallback(async () => {
+    try {
+      const res = await axios.get(`${API_URL}/contracts`);
+      if (res.data.success) setContracts(res.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load contracts');
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) fetchContracts();
+  }, [open, fetchContracts]);
+
+  const run = async (request) => {
+    try {
+      setBusy(true);
+      setError(null);
+      const res = await request();
+      setMessage(res.data.message);
+      await fetchContracts();
+      if (onChanged) onChanged();
+      return res.data;
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Request failed');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openForm = (contract) => {
+    setEditingId(contract ? contract.id : 'new');
+    setForm(
+      contract
+        ? {
+            vendor: contract.vendor,
+            contract_number: contract.contract_number,
+            coverage: contract.coverage,
+            start_date: contract.start_date || '',
+            end_date: contract.end_date,
+            notes: contract.notes || ''
+          }
+        : emptyForm
+    );
+    setError(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = { ...form, start_date: form.start_date || null, notes: form.notes.trim() || null };
+    const result = await run(() =>
+      editingId === 'new'
+        ? axios.post(`${API_URL}/contracts`, payload)
+        : axios.put(`${API_URL}/contracts/${editingId}`, payload)
+    );
+    if (result) {
+      setEditingId(null);
+      if (expanded?.id === result.data.id) setExpanded(result.data);
+    }
+  };
+
+  const handleDelete = async (contract) => {
+    const covered = contract.device_count ? ` Its ${contract.device_count} device(s) lose this coverage.` : '';
+    if (!window.confirm(`Delete contract ${contract.vendor} ${contract.contract_number}?${covered}`)) return;
+    const result = await run(() => axios.delete(`${API_URL}/contracts/${contract.id}`));
+    if (result && expanded?.id === contract.id) setExpanded(null);
+  };
+
+  const toggleDevices = async (contract) => {
+    if (expanded?.id === contract.id) {
+      setExpanded(null);
+      return;
+    }
+    try {
+      setError(null);
+      const res = await axios.get(`${API_URL}/contracts/${contract.id}`);
+      setExpanded(res.data.data);
+      setAttachQuery('');
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load contract');
+    }
+  };
+
+  /**
+   * Attach every device matching a search query (same syntax as the device search box)
+   */
+  const handleAttach = async (e) => {
+    e.preventDefault();
+    try {
+      setError(null);
+      const res = await axios.get(`${API_URL}/devices`, {
+        params: { search: attachQuery.trim(), fields: 'id', limit: 500 }
+      });
+      const ids = res.data.data.map((d) => d.id);
+      if (ids.length === 0) {
+        setError('No devices match that search');
+        return;
+      }
+      if (res.data.total > ids.length) {
+        setError(`The search matches ${res.data.total} devices; narrow it to at most ${ids.length}`);
+        return;
+      }
+      const result = await run(() => axios.post(`${API_URL}/contracts/${expanded.id}/devices`, { device_ids: ids }));
+      if (result) {
+        setExpanded(result.data);
+        setAttachQuery('');
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to find devices');
+    }
+  };
+
+  const handleDetach = async (device) => {
+    const result = await run(() => axios.delete(`${API_URL}/contracts/${expanded.id}/devices/${device.id}`));
+    if (result) setExpanded(result.data);
+  };
+
+  return (
+    <section className="locations-section contracts-section">
+      <div className="section-header">
+        <h3>🛡️ Warranty &amp; Support Contracts</h3>
+        <div className="auth-actions">
+          {open && canManage && editingId === null && (
+            <button className="btn btn-primary" onClick={() => openForm(null)}>➕ New Contract</button>
+          )}
+          <button className="btn btn-secondary" onClick={() => setOpen((prev) => !prev)}>
+            {open ? 'Hide' : 'Show'}
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <>
+          {canManage && editingId !== null && (
+            <form className="filter-form contract-form" onSubmit={handleSubmit}>
+              <input name="vendor" placeholder="Vendor" value={form.vendor} onChange={handleChange} maxLength={100} required />
+              <input
+                name="contract_number"
+                placeholder="Contract number"
+                value={form.contract_number}
+                onChange={handleChange}
+                maxLength={100}
+                required
+              />
+              <select name="coverage" value={form.coverage} onChange={handleChange} aria-label="Coverage">
+                {COVERAGE_LEVELS.map((level) => (
+                  <option key={level} value={level}>{level.replace(/_/g, ' ')}</option>
+                ))}
+              </select>
+              <label className="muted small">
+                Start <input type="date" name="start_date" value={form.start_date} onChange={handleChange} />
+              </label>
+              <label className="muted small">
+                End <input type="date" name="end_date" value={form.end_date} onChange={handleChange} required />
+              </label>
+              <input name="notes" placeholder="Notes" value={form.notes} onChange={handleChange} />
+              <button type="submit" className="btn btn-primary" disabled={busy}>
+                {editingId === 'new' ? 'Create' : 'Save'}
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={() => setEditingId(null)} disabled={busy}>
+                Cancel
+              </button>
+            </form>
+          )}
+
+          {error && <div className="error-banner compact">{error}</div>}
+          {message && !error && <p className="muted small">{message}</p>}
+
+          {contracts.length === 0 ? (
+            <p className="muted">No contracts yet.</p>
+          ) : (
+            <div className="users-table-wrapper">
+              <table className="users-table">
+                <thead>
+                  <tr>
+                    <th>Vendor</th>
+                    <th>Contract</th>
+                    <th>Coverage</th>
+                    <th>Term</th>
+                    <th>Devices</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {contracts.map((c) => (
+                    <tr key={c.id} className={c.days_left < 0 ? 'contract-expired' : ''}>
+                      <td><strong>{c.vendor}</strong></td>
+                      <td>{c.contract_number}</td>
+                      <td>{c.coverage.replace(/_/g, ' ')}</td>
+                      <td>
+                        {c.start_date || '…'} → {c.end_date}
+                        <div className="muted small">
+                          {c.days_left < 0 ? `expired ${-c.days_left} day(s) ago` : `${c.days_left} day(s) left`}
+                        </div>
+                      </td>
+                      <td>{c.device_count}</td>
+                      <td className="user-actions">
+                        <button className="btn btn-secondary" onClick={() => toggleDevices(c)}>
+                          {expanded?.id === c.id ? 'Hide devices' : 'Devices'}
+                        </button>
+                        {canManage && (
+                          <>
+                            <button className="btn btn-secondary" onClick={() => openForm(c)} disabled={busy}>Edit</button>
+                            <button className="btn btn-delete" onClick={() => handleDelete(c)} disabled={busy}>Delete</button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {expanded && (
+            <div className="contract-devices">
+              <h4>Devices covered by {expanded.vendor} {expanded.contract_number}</h4>
+              {canManage && (
+                <form className="filter-form" onSubmit={handleAttach}>
+                  <input
+                    type="text"
+                    className="search-query"
+                    placeholder='Attach devices matching a search, e.g. model:"Catalyst*" purchased:<2025-01-01'
+                    value={attachQuery}
+                    onChange={(e) => setAttachQuery(e.target.value)}
+                    required
+                  />
+                  <button type="submit" className="btn btn-primary" disabled={busy}>Attach</button>
+                </form>
+              )}
+              {expanded.devices.length === 0 ? (
+                <p className="muted">No devices attached.</p>
+              ) : (
+                <ul className="files-list">
+                  {expanded.devices.map((d) => (
+                    <li key={d.id}>
+                      <div>
+                        <strong>{d.hostname}</strong> <span className="muted small">{d.ip_address}</span>
+                        {d.serial_number && <span className="muted small"> • S/N {d.serial_number}</span>}
+                      </div>
+                      {canManage && (
+                        <button className="btn btn-secondary" onClick={() => handleDetach(d)} disabled={busy}>
+                          Detach
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default ContractManager;
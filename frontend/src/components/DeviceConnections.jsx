@@ -0,0 +1,299 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const CABLE_TYPES = ['cat5e', 'cat6', 'cat6a', 'cat8', 'fiber_sm', 'fiber_mm', 'dac', 'coax', 'console', 'power', 'other'];
+
+const emptyCable = { label: '', cable_type: 'cat6', color: '', length_m: '', notes: '' };
+
+/**
+ * One line describing a cable: label, type, color and length
+ */
+const describeCable = (c) =>
+  [c.label || c.cable_label || `#${c.id || c.cable_id}`, c.cable_type, c.color, c.length_m ? `${c.length_m} m` : null]
+    .filter(Boolean)
+    .join(' · ');
+
+/**
+ * DeviceConnections Component
+ * Connections tab of DeviceDetail: the cable on each port and what is at the other end, connect/disconnect,
+ * and a trace of the full path through patch panels. Loads its own data from /devices/:id/connections.
+ *
+ * Props:
+ * - deviceId: Device whose ports are shown
+ * - canEdit: Whether the session may connect and disconnect cables
+ */
+function DeviceConnections({ deviceId, canEdit = false }) {
+  const [ports, setPorts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [connecting, setConnecting] = useState(null); // port being cabled
+  const [cable, setCable] = useState(emptyCable);
+  const [farQuery, setFarQuery] = useState('');
+  const [farDevices, setFarDevices] = useState([]);
+  const [farDeviceId, setFarDeviceId] = useState('');
+  const [farPorts, setFarPorts] = useState([]);
+  const [farInterfaceId, setFarInterfaceId] = useState('');
+  const [trace, setTrace] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchPorts = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await axios.get(`${API_URL}/devices/${deviceId}/connections`);
+      if (res.data.success) setPorts(res.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load connections');
+    } finally {
+      setLoading(false);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    fetchPorts();
+    setTrace(null);
+  }, [fetchPorts]);
+
+  // Devices matching the far-end search (any device, including this one for loopback patching)
+  useEffect(() => {
+    if (!connecting) return;
+    const text = farQuery.trim().replace(/"/g, '');
+    const timer = setTimeout(async () => {
+      try {
+        const res = await axios.get(`${API_URL}/devices`, {
+          params: { search: text ? `hostname:"${text}*"` : '', fields: 'hostname', sort: 'hostname', limit: 20 }
+        });
+        setFarDevices(res.data.data || []);
+      } catch (err) {
+        setFarDevices([]);
+      }
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [connecting, farQuery]);
+
+  // Free ports of the chosen far device
+  useEffect(() => {
+    setFarInterfaceId('');
+    if (!farDeviceId) {
+      setFarPorts([]);
+      return;
+    }
+    axios
+      .get(`${API_URL}/devices/${farDeviceId}/connections`)
+      .then((res) => setFarPorts((res.data.data || []).filter((p) => !p.cable_id)))
+      .catch(() => setFarPorts([]));
+  }, [farDeviceId]);
+
+  const openConnect = (port) => {
+    setConnecting(port);
+    setCable(emptyCable);
+    setFarQuery('');
+    setFarDeviceId('');
+    setError(null);
+  };
+
+  const handleCableChange = (e) => {
+    const { name, value } = e.target;
+    setCable((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleConnect = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      await axios.post(`${API_URL}/cables`, {
+        a_interface_id: connecting.interface_id,
+        b_interface_id: Number(farInterfaceId),
+        label: cable.label.trim() || null,
+        cable_type: cable.cable_type,
+        color: cable.color.trim() || null,
+        length_m: cable.length_m === '' ? null : Number(cable.length_m),
+        notes: cable.notes.trim() || null
+      });
+      setConnecting(null);
+      setTrace(null);
+      fetchPorts();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to connect cable');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDisconnect = async (port) => {
+    if (!window.confirm(`Remove cable ${port.cable_label || `#${port.cable_id}`} from ${port.interface}?`)) return;
+    try {
+      setError(null);
+      await axios.delete(`${API_URL}/cables/${port.cable_id}`);
+      setTrace(null);
+      fetchPorts();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to remove cable');
+    }
+  };
+
+  const handleTrace = async (port) => {
+    try {
+      setError(null);
+      const res = await axios.get(`${API_URL}/devices/${deviceId}/interfaces/${port.interface_id}/trace`);
+      setTrace({ port, ...res.data.data });
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to trace cable');
+    }
+  };
+
+  const endpoint = (e) => `${e.hostname} ${e.name}`;
+
+  return (
+    <div className="detail-interfaces">
+      <div className="section-header">
+        <h4>Cabling</h4>
+        <button className="btn btn-secondary" onClick={fetchPorts}>Refresh</button>
+      </div>
+
+      {canEdit && connecting && (
+        <form className="filter-form interface-form" onSubmit={handleConnect}>
+          <strong>{connecting.interface} →</strong>
+          <input
+            placeholder="Far device hostname"
+            value={farQuery}
+            onChange={(e) => setFarQuery(e.target.value)}
+            aria-label="Search far device"
+          />
+          <select value={farDeviceId} onChange={(e) => setFarDeviceId(e.target.value)} aria-label="Far device" required>
+            <option value="">Device...</option>
+            {farDevices.map((d) => (
+              <option key={d.id} value={d.id}>{d.hostname}</option>
+            ))}
+          </select>
+          <select
+            value={farInterfaceId}
+            onChange={(e) => setFarInterfaceId(e.target.value)}
+            aria-label="Far port"
+            required
+            disabled={!farDeviceId}
+          >
+            <option value="">{farDeviceId && farPorts.length === 0 ? 'No free ports' : 'Port...'}</option>
+            {farPorts
+              .filter((p) => p.interface_id !== connecting.interface_id)
+              .map((p) => (
+                <option key={p.interface_id} value={p.interface_id}>{p.interface}</option>
+              ))}
+          </select>
+          <input name="label" placeholder="Cable ID" value={cable.label} onChange={handleCableChange} maxLength={50} />
+          <select name="cable_type" value={cable.cable_type} onChange={handleCableChange} aria-label="Cable type">
+            {CABLE_TYPES.map((t) => (
+              <option key={t} value={t}>{t}</option>
+            ))}
+          </select>
+          <input name="color" placeholder="Color" value={cable.color} onChange={handleCableChange} maxLength={30} />
+          <input
+            name="length_m"
+            type="number"
+            min="0.01"
+            step="0.01"
+            placeholder="Length (m)"
+            value={cable.length_m}
+            onChange={handleCableChange}
+          />
+          <button type="submit" className="btn btn-primary" disabled={saving || !farInterfaceId}>Connect</button>
+          <button type="button" className="btn btn-secondary" onClick={() => setConnecting(null)} disabled={saving}>
+            Cancel
+          </button>
+        </form>
+      )}
+      {error && <div className="error-banner compact">{error}</div>}
+
+      {trace && (
+        <div className="cable-trace">
+          <div className="section-header">
+            <strong>
+              Path from {trace.port.interface}: {endpoint(trace.a_end)} ⇄ {endpoint(trace.b_end)}
+              {trace.total_length_m !== null && trace.segments.length > 0 && ` (${trace.total_length_m} m)`}
+            </strong>
+            <button className="btn btn-secondary" onClick={() => setTrace(null)}>Close</button>
+          </div>
+          {trace.segments.length === 0 ? (
+            <p className="muted small">No cable is plugged into this port.</p>
+          ) : (
+            <ol className="cable-trace-path">
+              {trace.segments.map((s, index) => (
+                <li key={`${s.cable.id}-${index}`}>
+                  <span className="mono">{endpoint(s.from)}</span>
+                  <span className="muted small"> ─ {describeCable(s.cable)} ─ </span>
+                  <span className="mono">{endpoint(s.to)}</span>
+                  {index < trace.segments.length - 1 && (
+                    <div className="muted small">↳ through {s.to.hostname} to {trace.segments[index + 1].from.name}</div>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+          {trace.loop && <p className="warning-message">The path loops back on itself.</p>}
+          {(trace.a_end.pass_through_id || trace.b_end.pass_through_id) && !trace.loop && (
+            <p className="muted small">The path ends at an unpatched panel port.</p>
+          )}
+        </div>
+      )}
+
+      {loading && <p>Loading connections...</p>}
+      {!loading && ports.length === 0 && <p className="muted">No interfaces recorded; add ports on the Interfaces tab first.</p>}
+      {!loading && ports.length > 0 && (
+        <div className="users-table-wrapper">
+          <table className="users-table">
+            <thead>
+              <tr>
+                <th>Port</th>
+                <th>Cable</th>
+                <th>Connected to</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ports.map((p) => (
+                <tr key={p.interface_id}>
+                  <td>
+                    <strong>{p.interface}</strong>
+                    {p.pass_through && <div className="muted small">↔ {p.pass_through}</div>}
+                  </td>
+                  <td>{p.cable_id ? describeCable(p) : <span className="muted">—</span>}</td>
+                  <td>
+                    {p.cable_id ? (
+                      <>
+                        <span className="mono">{p.far_hostname} {p.far_interface}</span>
+                        {p.far_device_type && <span className="muted small"> ({p.far_device_type})</span>}
+                      </>
+                    ) : (
+                      <span className="muted">—</span>
+                    )}
+                  </td>
+                  <td className="user-actions">
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => handleTrace(p)}
+                      disabled={!p.cable_id && !p.pass_through_id}
+                    >
+                      Trace
+                    </button>
+                    {canEdit && (p.cable_id ? (
+                      <button className="btn btn-delete" onClick={() => handleDisconnect(p)}>Disconnect</button>
+                    ) : (
+                      <button className="btn btn-secondary" onClick={() => openConnect(p)} disabled={saving}>
+                        Connect
+                      </button>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DeviceConnections;
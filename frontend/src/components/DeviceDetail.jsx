@@ -1,6 +1,68 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import DeviceInterfaces from './DeviceInterfaces';
+import DeviceConnections from './DeviceConnections';
+import DeviceSnmp from './DeviceSnmp';
+import { describeAuditDetails } from './AuditLog';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// Probe results shown as a strip, oldest on the left
+const REACHABILITY_HOURS = 24;
+const REACHABILITY_STRIP = 60;
+
+/**
+ * DeviceDetail Component
+ * Modal with an Overview tab (fields, coverage, files, history), an Interfaces tab, a Cabling tab and an SNMP tab
+ *
+ * Props:
+ * - device, files, history, loading, error: Detail data loaded by App
+ * - onClose, onRefresh: Modal actions
+ * - onChanged: Function called when the device record changed from inside the modal (SNMP suggestions accepted)
+ * - can: Permission check for the current session
+ */
+function DeviceDetail({
+  device, files = [], history = [], loading, error, onClose, onRefresh, onChanged, can = () => false
+}) {
+  const [tab, setTab] = useState('overview');
+  const [contracts, setContracts] = useState([]);
+  const [reachability, setReachability] = useState(null);
+  const [probing, setProbing] = useState(false);
+  const [probeMessage, setProbeMessage] = useState(null);
+
+  const fetchReachability = useCallback(() => {
+    if (!device?.id) return;
+    axios
+      .get(`${API_URL}/devices/${device.id}/reachability`, { params: { hours: REACHABILITY_HOURS } })
+      .then((res) => setReachability(res.data.data))
+      .catch((err) => console.warn('Failed to load reachability', err));
+  }, [device?.id]);
+
+  useEffect(() => {
+    setContracts([]);
+    setReachability(null);
+    setProbeMessage(null);
+    if (!device?.id) return;
+    axios
+      .get(`${API_URL}/devices/${device.id}/contracts`)
+      .then((res) => setContracts(res.data.data || []))
+      .catch((err) => console.warn('Failed to load contracts', err));
+    fetchReachability();
+  }, [device?.id, fetchReachability]);
+
+  const handleProbe = async () => {
+    try {
+      setProbing(true);
+      const res = await axios.post(`${API_URL}/devices/${device.id}/probe`);
+      setProbeMessage(res.data.message);
+      fetchReachability();
+    } catch (err) {
+      setProbeMessage(err.response?.data?.message || err.message || 'Probe failed');
+    } finally {
+      setProbing(false);
+    }
+  };
 
-function DeviceDetail({ device, files = [], history = [], loading, error, onClose, onRefresh }) {
   if (!device) return null;
 
   return (
@@ -10,20 +72,84 @@ function DeviceDetail({ device, files = [], history = [], loading, error, onClos
           <h3>Device Details</h3>
           <button className="btn btn-secondary" onClick={onClose}>Close</button>
         </div>
-        {loading && <p>Loading details...</p>}
-        {error && <div className="error-banner compact">{error}</div>}
-        {!loading && !error && (
+        <div className="detail-tabs" role="tablist">
+          <button
+            role="tab"
+            aria-selected={tab === 'overview'}
+            className={`detail-tab ${tab === 'overview' ? 'active' : ''}`}
+            onClick={() => setTab('overview')}
+          >
+            Overview
+          </button>
+          <button
+            role="tab"
+            aria-selected={tab === 'interfaces'}
+            className={`detail-tab ${tab === 'interfaces' ? 'active' : ''}`}
+            onClick={() => setTab('interfaces')}
+          >
+            Interfaces
+          </button>
+          <button
+            role="tab"
+            aria-selected={tab === 'cabling'}
+            className={`detail-tab ${tab === 'cabling' ? 'active' : ''}`}
+            onClick={() => setTab('cabling')}
+          >
+            Cabling
+          </button>
+          <button
+            role="tab"
+            aria-selected={tab === 'snmp'}
+            className={`detail-tab ${tab === 'snmp' ? 'active' : ''}`}
+            onClick={() => setTab('snmp')}
+          >
+            SNMP
+          </button>
+        </div>
+        {tab === 'interfaces' && (
+          <DeviceInterfaces deviceId={device.id} canEdit={can('devices:write')} />
+        )}
+        {tab === 'cabling' && (
+          <DeviceConnections deviceId={device.id} canEdit={can('devices:write')} />
+        )}
+        {tab === 'snmp' && (
+          <DeviceSnmp
+            deviceId={device.id}
+            canEdit={can('devices:write')}
+            onApplied={() => {
+              onRefresh();
+              if (onChanged) onChanged();
+            }}
+          />
+        )}
+        {tab === 'overview' && loading && <p>Loading details...</p>}
+        {tab === 'overview' && error && <div className="error-banner compact">{error}</div>}
+        {tab === 'overview' && !loading && !error && (
           <>
             <div className="detail-grid">
               <div><strong>Hostname:</strong> {device.hostname}</div>
               <div><strong>IP:</strong> {device.ip_address}</div>
               <div><strong>Type:</strong> {device.device_type_name || device.device_type}</div>
               <div><strong>Manufacturer:</strong> {device.manufacturer_name || '—'}</div>
+              <div><strong>Model:</strong> {device.model_name || '—'}</div>
+              <div><strong>Serial Number:</strong> {device.serial_number || '—'}</div>
+              <div><strong>Asset Tag:</strong> {device.asset_tag || '—'}</div>
               <div><strong>Status:</strong> {device.status}</div>
               <div><strong>Location:</strong> {device.location || '—'}</div>
+              {device.rack_position && (
+                <div>
+                  <strong>Rack Position:</strong> U{device.rack_position}
+                  {device.rack_height > 1 && `-${device.rack_position + device.rack_height - 1}`} ({device.rack_face})
+                </div>
+              )}
               <div><strong>Assigned To:</strong> {device.assigned_to_name ? `${device.assigned_to_name} (${device.assigned_to_email})` : 'Available'}</div>
               <div><strong>Created:</strong> {new Date(device.created_at).toLocaleString()}</div>
               <div><strong>Assigned At:</strong> {device.assigned_at ? new Date(device.assigned_at).toLocaleString() : '—'}</div>
+              <div><strong>Purchased:</strong> {device.purchase_date || '—'}</div>
+              <div><strong>Purchase Order:</strong> {device.purchase_order || '—'}</div>
+              <div><strong>Purchase Cost:</strong> {device.purchase_cost ?? '—'}</div>
+              <div><strong>End of Support:</strong> {device.model_eos_date || '—'}</div>
+              <div><strong>End of Life:</strong> {device.model_eol_date || '—'}</div>
             </div>
             {device.notes && (
               <div className="detail-notes">
@@ -32,6 +158,76 @@ function DeviceDetail({ device, files = [], history = [], loading, error, onClos
               </div>
             )}
 
+            <div className="detail-contracts">
+              <div className="section-header">
+                <h4>Coverage</h4>
+              </div>
+              {contracts.length === 0 && <p className="muted">Not covered by any contract.</p>}
+              {contracts.length > 0 && (
+                <ul className="files-list">
+                  {contracts.map((c) => (
+                    <li key={c.id}>
+                      <div>
+                        <strong>{c.vendor} {c.contract_number}</strong> — {c.coverage.replace(/_/g, ' ')}
+                      </div>
+                      <div className="muted small">
+                        {c.start_date || '…'} → {c.end_date}
+                        {c.days_left < 0 ? ' • expired' : ` • ${c.days_left} day(s) left`}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="detail-contracts">
+              <div className="section-header">
+                <h4>Reachability</h4>
+                {can('devices:write') && device.probe_method !== 'none' && (
+                  <button className="btn btn-secondary" onClick={handleProbe} disabled={probing}>
+                    {probing ? 'Probing...' : 'Probe now'}
+                  </button>
+                )}
+              </div>
+              {probeMessage && <p className="muted small">{probeMessage}</p>}
+              {device.probe_method === 'none' && <p className="muted">Not monitored (probe disabled for this device).</p>}
+              {device.probe_method !== 'none' && reachability && (
+                reachability.reachable === null ? (
+                  <p className="muted">Not probed yet.</p>
+                ) : (
+                  <>
+                    <div className="detail-grid">
+                      <div>
+                        <strong>State:</strong>{' '}
+                        <span className={`reach-dot ${reachability.reachable ? 'reach-up' : 'reach-down'}`} />
+                        {reachability.reachable ? 'up' : 'down'} since {new Date(reachability.changed_at).toLocaleString()}
+                      </div>
+                      <div><strong>Latency:</strong> {reachability.latency_ms !== null ? `${reachability.latency_ms} ms` : '—'}</div>
+                      <div><strong>Last Seen:</strong> {reachability.last_seen ? new Date(reachability.last_seen).toLocaleString() : 'never'}</div>
+                      <div><strong>Last Checked:</strong> {new Date(reachability.last_checked).toLocaleString()}</div>
+                      <div>
+                        <strong>Uptime ({REACHABILITY_HOURS} h):</strong>{' '}
+                        {reachability.summary.uptime_pct !== null ? `${reachability.summary.uptime_pct}%` : '—'}
+                        <span className="muted small"> ({reachability.summary.checks} checks)</span>
+                      </div>
+                      <div><strong>Avg Latency:</strong> {reachability.summary.avg_latency_ms !== null ? `${reachability.summary.avg_latency_ms} ms` : '—'}</div>
+                    </div>
+                    {reachability.probe_error && <p className="muted small">Last error: {reachability.probe_error}</p>}
+                    <div className="reach-strip" aria-label="Recent probe results">
+                      {reachability.checks.slice(0, REACHABILITY_STRIP).reverse().map((c) => (
+                        <span
+                          key={c.checked_at}
+                          className={`reach-tick ${c.up ? 'reach-up' : 'reach-down'}`}
+                          title={`${new Date(c.checked_at).toLocaleString()} · ${c.method}${c.port ? ` ${c.port}` : ''} · ${
+                            c.up ? `${c.latency_ms ?? '?'} ms` : c.error || 'down'}`}
+                        />
+                      ))}
+                    </div>
+                  </>
+                )
+              )}
+            </div>
+
             <div className="detail-files">
               <div className="section-header">
                 <h4>Files</h4>
@@ -69,10 +265,14 @@ function DeviceDetail({ device, files = [], history = [], loading, error, onClos
                   {history.map((h) => (
                     <li key={h.id}>
                       <div>
-                        <strong>{h.action}</strong> by {h.user_name || 'system'}
+                        <strong>{h.action.replace(/_/g, ' ')}</strong> by {h.user_name || 'system'}
                       </div>
+                      {describeAuditDetails(h) && (
+                        <div className="small">{describeAuditDetails(h)}</div>
+                      )}
                       <div className="muted small">
                         {new Date(h.created_at).toLocaleString()}
+                        {h.ip_address ? ` • ${h.ip_address}` : ''}
                       </div>
                     </li>
                   ))}
@@ -1,4 +1,40 @@
 import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+/**
+ * Validate an IPv4 address (four 0-255 octets, no leading zeros)
+ */
+const isValidIpv4 = (value) => {
+  const parts = value.split('.');
+  return (
+    parts.length === 4 &&
+    parts.every((p) => /^\d{1,3}$/.test(p) && Number(p) <= 255 && (p === '0' || !p.startsWith('0')))
+  );
+};
+
+/**
+ * Validate an IPv6 address (supports :: compression and an IPv4 tail)
+ */
+const isValidIpv6 = (value) => {
+  if (!/^[0-9a-fA-F:.]+$/.test(value)) return false;
+  const halves = value.split('::');
+  if (halves.length > 2) return false;
+  const toGroups = (part) => (part ? part.split(':') : []);
+  let groups = [...toGroups(halves[0]), ...(halves.length === 2 ? toGroups(halves[1]) : [])];
+  let size = groups.length;
+  const last = groups[groups.length - 1];
+  if (last && last.includes('.')) {
+    if (!isValidIpv4(last)) return false;
+    groups = groups.slice(0, -1);
+    size += 1; // an IPv4 tail fills two groups
+  }
+  if (!groups.every((g) => /^[0-9a-fA-F]{1,4}$/.test(g))) return false;
+  return halves.length === 2 ? size < 8 : size === 8;
+};
+
+const isValidIpAddress = (value) => isValidIpv4(value) || isValidIpv6(value);
 
 /**
  * DeviceForm Component
@@ -10,8 +46,22 @@ import React, { useState, useEffect } from 'react';
  * - onCancel: Function to call when cancel button is clicked
  * - deviceTypes: Lookup array for device types
  * - manufacturers: Lookup array for manufacturers
+ * - models: Lookup array for hardware models (each with manufacturer_id)
+ * - locations: Location nodes from /locations; the select shows their full paths
+ * - subnets: Known subnets, used to allocate the next free IP
+ * - snmpCredentials: SNMP credentials from /snmp/credentials (names only)
  */
-function DeviceForm({ device, onSave, onCancel, deviceTypes = [], manufacturers = [] }) {
+function DeviceForm({
+  device,
+  onSave,
+  onCancel,
+  deviceTypes = [],
+  manufacturers = [],
+  models = [],
+  locations = [],
+  subnets = [],
+  snmpCredentials = []
+}) {
   // Initialize form data from device prop if editing, otherwise use defaults
   const [formData, setFormData] = useState({
     hostname: '',
@@ -19,12 +69,27 @@ function DeviceForm({ device, onSave, onCancel, deviceTypes = [], manufacturers
     device_type: 'Router',
     device_type_id: '',
     manufacturer_id: '',
-    location: '',
+    model_id: '',
+    location_id: '',
     status: 'active',
-    notes: ''
+    notes: '',
+    serial_number: '',
+    asset_tag: '',
+    purchase_date: '',
+    purchase_order: '',
+    purchase_cost: '',
+    rack_position: '',
+    rack_height: 1,
+    rack_face: 'front',
+    probe_method: '',
+    probe_port: '',
+    snmp_credential_id: ''
   });
 
   const [errors, setErrors] = useState({});
+  const [allocSubnetId, setAllocSubnetId] = useState('');
+  const [ipWarnings, setIpWarnings] = useState([]);
+  const [ipHelperError, setIpHelperError] = useState(null);
 
   // Update form data when device prop changes (for edit mode)
   useEffect(() => {
@@ -35,9 +100,21 @@ function DeviceForm({ device, onSave, onCancel, deviceTypes = [], manufacturers
         device_type: device.device_type || 'Router',
         device_type_id: device.device_type_id || '',
         manufacturer_id: device.manufacturer_id || '',
-        location: device.location || '',
+        model_id: device.model_id || '',
+        location_id: device.location_id || '',
         status: device.status || 'active',
-        notes: device.notes || ''
+        notes: device.notes || '',
+        serial_number: device.serial_number || '',
+        asset_tag: device.asset_tag || '',
+        purchase_date: device.purchase_date || '',
+        purchase_order: device.purchase_order || '',
+        purchase_cost: device.purchase_cost ?? '',
+        rack_position: device.rack_position ?? '',
+        rack_height: device.rack_height || 1,
+        rack_face: device.rack_face || 'front',
+        probe_method: device.probe_method || '',
+        probe_port: device.probe_port ?? '',
+        snmp_credential_id: device.snmp_credential_id || ''
       });
     } else {
       setFormData((prev) => ({
@@ -60,6 +137,20 @@ function DeviceForm({ device, onSave, onCancel, deviceTypes = [], manufacturers
         device_type_id: value,
         device_type: selected?.name || prev.device_type
       }));
+    } else if (name === 'manufacturer_id') {
+      // A model only fits its own manufacturer
+      setFormData((prev) => {
+        const model = models.find((m) => String(m.id) === String(prev.model_id));
+        const keepModel = model && String(model.manufacturer_id) === value;
+        return { ...prev, manufacturer_id: value, model_id: keepModel ? prev.model_id : '' };
+      });
+    } else if (name === 'model_id') {
+      const model = models.find((m) => String(m.id) === value);
+      setFormData((prev) => ({
+        ...prev,
+        model_id: value,
+        manufacturer_id: model ? model.manufacturer_id : prev.manufacturer_id
+      }));
     } else {
       setFormData(prev => ({
         ...prev,
@@ -76,10 +167,49 @@ function DeviceForm({ device, onSave, onCancel, deviceTypes = [], manufacturers
     }
   };
 
+  /**
+   * Check the IP against known subnets and other devices (warnings only, saving is still allowed)
+   */
+  const checkIp = async (ip) => {
+    setIpWarnings([]);
+    if (!isValidIpAddress(ip.trim())) return;
+    try {
+      const res = await axios.get(`${API_URL}/ipam/check`, {
+        params: { ip: ip.trim(), exclude_id: device?.id }
+      });
+      if (res.data.success) setIpWarnings(res.data.data.warnings || []);
+    } catch (err) {
+      console.warn('IP check failed', err);
+    }
+  };
+
+  /**
+   * Fill the IP field with the next free address of the selected subnet
+   */
+  const handleAllocate = async () => {
+    if (!allocSubnetId) return;
+    try {
+      setIpHelperError(null);
+      const res = await axios.get(`${API_URL}/subnets/${allocSubnetId}/next-free`);
+      if (res.data.success) {
+        const ip = res.data.data.ip_address;
+        setFormData((prev) => ({ ...prev, ip_address: ip }));
+        setErrors((prev) => ({ ...prev, ip_address: '' }));
+        checkIp(ip);
+      }
+    } catch (err) {
+      setIpHelperError(err.response?.data?.message || err.message || 'Allocation failed');
+    }
+  };
+
   /**
    * Validate form data
    * @returns {boolean} True if valid, false otherwise
    */
+  // Rack placement only applies when the device sits in a rack
+  const selectedLocation = locations.find((l) => String(l.id) === String(formData.location_id));
+  const rack = selectedLocation?.kind === 'rack' ? selectedLocation : null;
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -92,10 +222,9 @@ function DeviceForm({ device, onSave, onCancel, deviceTypes = [], manufacturers
     if (!formData.ip_address.trim()) {
       newErrors.ip_address = 'IP address is required';
     } else {
-      // Simple IP address format validation
-      const ipRegex = /^(?:[0-9]{1,3}\.){3}[0-9]{1,3}$/;
-      if (!ipRegex.test(formData.ip_address.trim())) {
-        newErrors.ip_address = 'Invalid IP address format (e.g., 192.168.1.1)';
+      // IPv4 or IPv6 address
+      if (!isValidIpAddress(formData.ip_address.trim())) {
+        newErrors.ip_address = 'Invalid IP address (e.g., 192.168.1.1 or 2001:db8::1)';
       }
     }
 
@@ -104,6 +233,25 @@ function DeviceForm({ device, onSave, onCancel, deviceTypes = [], manufacturers
       newErrors.device_type = 'Device type is required';
     }
 
+    const cost = String(formData.purchase_cost).trim();
+    if (cost && !/^\d{1,10}(\.\d{1,2})?$/.test(cost)) {
+      newErrors.purchase_cost = 'Enter an amount such as 1299.99';
+    }
+
+    if (rack && formData.rack_position !== '') {
+      const top = Number(formData.rack_position) + Number(formData.rack_height) - 1;
+      if (!Number.isInteger(Number(formData.rack_position)) || Number(formData.rack_position) < 1) {
+        newErrors.rack_position = 'Enter the lowest rack unit the device occupies (1 = bottom)';
+      } else if (top > rack.rack_units) {
+        newErrors.rack_position = `Does not fit: ${rack.path} is ${rack.rack_units}U`;
+      }
+    }
+
+    const port = Number(formData.probe_port);
+    if (formData.probe_method === 'tcp' && formData.probe_port !== '' && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+      newErrors.probe_port = 'Enter a TCP port from 1 to 65535';
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -120,10 +268,21 @@ function DeviceForm({ device, onSave, onCancel, deviceTypes = [], manufacturers
         ...formData,
         hostname: formData.hostname.trim(),
         ip_address: formData.ip_address.trim(),
-        location: formData.location.trim() || null,
+        location_id: formData.location_id ? Number(formData.location_id) : null,
         notes: formData.notes.trim() || null,
         device_type_id: formData.device_type_id ? Number(formData.device_type_id) : null,
-        manufacturer_id: formData.manufacturer_id ? Number(formData.manufacturer_id) : null
+        manufacturer_id: formData.manufacturer_id ? Number(formData.manufacturer_id) : null,
+        model_id: formData.model_id ? Number(formData.model_id) : null,
+        serial_number: formData.serial_number.trim() || null,
+        asset_tag: formData.asset_tag.trim() || null,
+        purchase_date: formData.purchase_date || null,
+        purchase_order: formData.purchase_order.trim() || null,
+        purchase_cost: String(formData.purchase_cost).trim() || null,
+        rack_position: rack && formData.rack_position !== '' ? Number(formData.rack_position) : null,
+        rack_height: Number(formData.rack_height) || 1,
+        probe_method: formData.probe_method || null,
+        probe_port: formData.probe_method === 'tcp' && formData.probe_port !== '' ? Number(formData.probe_port) : null,
+        snmp_credential_id: formData.snmp_credential_id ? Number(formData.snmp_credential_id) : null
       };
       
       onSave(cleanedData);
@@ -168,14 +327,38 @@ function DeviceForm({ device, onSave, onCancel, deviceTypes = [], manufacturers
             name="ip_address"
             value={formData.ip_address}
             onChange={handleChange}
+            onBlur={(e) => checkIp(e.target.value)}
             required
-            pattern="^(?:[0-9]{1,3}\.){3}[0-9]{1,3}$"
             className={errors.ip_address ? 'input-error' : ''}
-            placeholder="e.g., 192.168.1.1"
+            placeholder="e.g., 192.168.1.1 or 2001:db8::1"
           />
           {errors.ip_address && (
             <span className="error-message">{errors.ip_address}</span>
           )}
+          {subnets.length > 0 && (
+            <div className="ip-allocate">
+              <select value={allocSubnetId} onChange={(e) => setAllocSubnetId(e.target.value)}>
+                <option value="">Allocate from subnet...</option>
+                {subnets.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.prefix}{s.vlan_id ? ` (VLAN ${s.vlan_id})` : ''}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={handleAllocate}
+                disabled={!allocSubnetId}
+              >
+                Next free IP
+              </button>
+            </div>
+          )}
+          {ipHelperError && <span className="error-message">{ipHelperError}</span>}
+          {ipWarnings.map((w) => (
+            <span key={w} className="warning-message">⚠️ {w}</span>
+          ))}
         </div>
 
         <div className="form-group">
@@ -236,17 +419,140 @@ function DeviceForm({ device, onSave, onCancel, deviceTypes = [], manufacturers
         </div>
 
         <div className="form-group">
-          <label htmlFor="location">Location</label>
+          <label htmlFor="model_id">Model</label>
+          <select
+            id="model_id"
+            name="model_id"
+            value={formData.model_id}
+            onChange={handleChange}
+          >
+            <option value="">Select model</option>
+            {models
+              .filter((m) => !formData.manufacturer_id || String(m.manufacturer_id) === String(formData.manufacturer_id))
+              .map((m) => (
+                <option key={m.id} value={m.id}>
+                  {formData.manufacturer_id ? m.name : `${m.manufacturer_name} ${m.name}`}
+                </option>
+              ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="serial_number">Serial Number</label>
+          <input
+            type="text"
+            id="serial_number"
+            name="serial_number"
+            value={formData.serial_number}
+            onChange={handleChange}
+            maxLength={100}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="asset_tag">Asset Tag</label>
           <input
             type="text"
-            id="location"
-            name="location"
-            value={formData.location}
+            id="asset_tag"
+            name="asset_tag"
+            value={formData.asset_tag}
+            onChange={handleChange}
+            maxLength={100}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="purchase_date">Purchase Date</label>
+          <input
+            type="date"
+            id="purchase_date"
+            name="purchase_date"
+            value={formData.purchase_date}
             onChange={handleChange}
-            placeholder="e.g., Data Center - Rack A"
           />
         </div>
 
+        <div className="form-group">
+          <label htmlFor="purchase_order">Purchase Order</label>
+          <input
+            type="text"
+            id="purchase_order"
+            name="purchase_order"
+            value={formData.purchase_order}
+            onChange={handleChange}
+            maxLength={100}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="purchase_cost">Purchase Cost</label>
+          <input
+            type="text"
+            inputMode="decimal"
+            id="purchase_cost"
+            name="purchase_cost"
+            value={formData.purchase_cost}
+            onChange={handleChange}
+            className={errors.purchase_cost ? 'input-error' : ''}
+            placeholder="e.g., 1299.99"
+          />
+          {errors.purchase_cost && (
+            <span className="error-message">{errors.purchase_cost}</span>
+          )}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="location_id">Location</label>
+          <select
+            id="location_id"
+            name="location_id"
+            value={formData.location_id}
+            onChange={handleChange}
+          >
+            <option value="">No location</option>
+            {locations.map((l) => (
+              <option key={l.id} value={l.id}>{l.path}</option>
+            ))}
+          </select>
+        </div>
+
+        {rack && (
+          <div className="form-group">
+            <label htmlFor="rack_position">Rack Position (U)</label>
+            <div className="rack-fields">
+              <input
+                type="number"
+                id="rack_position"
+                name="rack_position"
+                value={formData.rack_position}
+                onChange={handleChange}
+                min={1}
+                max={rack.rack_units}
+                placeholder="Not placed"
+                className={errors.rack_position ? 'input-error' : ''}
+              />
+              <input
+                type="number"
+                name="rack_height"
+                value={formData.rack_height}
+                onChange={handleChange}
+                min={1}
+                max={rack.rack_units}
+                aria-label="Height in U"
+                title="Height in U"
+              />
+              <select name="rack_face" value={formData.rack_face} onChange={handleChange} aria-label="Rack face">
+                <option value="front">Front</option>
+                <option value="rear">Rear</option>
+              </select>
+            </div>
+            <span className="muted small">Lowest unit, height in U and face of {rack.path} ({rack.rack_units}U)</span>
+            {errors.rack_position && (
+              <span className="error-message">{errors.rack_position}</span>
+            )}
+          </div>
+        )}
+
         <div className="form-group">
           <label htmlFor="status">Status</label>
           <select
@@ -261,6 +567,44 @@ function DeviceForm({ device, onSave, onCancel, deviceTypes = [], manufacturers
           </select>
         </div>
 
+        <div className="form-group">
+          <label htmlFor="probe_method">Reachability Probe</label>
+          <div className="rack-fields">
+            <select id="probe_method" name="probe_method" value={formData.probe_method} onChange={handleChange}>
+              <option value="">Poller default</option>
+              <option value="icmp">Ping (ICMP)</option>
+              <option value="tcp">TCP connect</option>
+              <option value="none">Do not monitor</option>
+            </select>
+            {formData.probe_method === 'tcp' && (
+              <input
+                type="number"
+                name="probe_port"
+                value={formData.probe_port}
+                onChange={handleChange}
+                min={1}
+                max={65535}
+                placeholder="Default port"
+                aria-label="TCP port"
+                className={errors.probe_port ? 'input-error' : ''}
+              />
+            )}
+          </div>
+          {errors.probe_port && (
+            <span className="error-message">{errors.probe_port}</span>
+          )}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="snmp_credential_id">SNMP Credential</label>
+          <select id="snmp_credential_id" name="snmp_credential_id" value={formData.snmp_credential_id} onChange={handleChange}>
+            <option value="">Inherit from location</option>
+            {snmpCredentials.map((c) => (
+              <option key={c.id} value={c.id}>{c.name} (v{c.version})</option>
+            ))}
+          </select>
+        </div>
+
         <div className="form-group">
           <label htmlFor="notes">Notes</label>
           <textarea
@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const emptyForm = {
+  name: '',
+  mac_address: '',
+  ip_addresses: '',
+  speed_mbps: '',
+  admin_status: 'up',
+  oper_status: 'unknown',
+  description: '',
+  pass_through_id: ''
+};
+
+/**
+ * Format a speed in Mbps for display (1000 -> 1 Gbps)
+ */
+const formatSpeed = (mbps) => {
+  if (mbps === null || mbps === undefined) return '—';
+  return mbps >= 1000 && mbps % 1000 === 0 ? `${mbps / 1000} Gbps` : `${mbps} Mbps`;
+};
+
+/**
+ * DeviceInterfaces Component
+ * Interfaces tab of DeviceDetail; loads its own data from /devices/:id/interfaces
+ *
+ * Props:
+ * - deviceId: Device whose interfaces are shown
+ * - canEdit: Whether the session may add, edit and delete interfaces
+ */
+function DeviceInterfaces({ deviceId, canEdit = false }) {
+  const [interfaces, setInterfaces] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editingId, setEditingId] = useState(null); // null = closed, 'new' = create
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const fetchInterfaces = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await axios.get(`${API_URL}/devices/${deviceId}/interfaces`);
+      if (res.data.success) setInterfaces(res.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load interfaces');
+    } finally {
+      setLoading(false);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    fetchInterfaces();
+  }, [fetchInterfaces]);
+
+  const openForm = (iface) => {
+    setEditingId(iface ? iface.id : 'new');
+    setForm(
+      iface
+        ? {
+            name: iface.name,
+            mac_address: iface.mac_address || '',
+            ip_addresses: (iface.ip_addresses || []).join(', '),
+            speed_mbps: iface.speed_mbps ?? '',
+            admin_status: iface.admin_status,
+            oper_status: iface.oper_status,
+            description: iface.description || '',
+            pass_through_id: iface.pass_through_id || ''
+          }
+        : emptyForm
+    );
+    setError(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      const payload = {
+        ...form,
+        name: form.name.trim(),
+        mac_address: form.mac_address.trim(),
+        ip_addresses: form.ip_addresses.split(/[\s,]+/).filter(Boolean),
+        speed_mbps: form.speed_mbps === '' ? null : Number(form.speed_mbps),
+        pass_through_id: form.pass_through_id ? Number(form.pass_through_id) : null
+      };
+      if (editingId === 'new') {
+        await axios.post(`${API_URL}/devices/${deviceId}/interfaces`, payload);
+      } else {
+        await axios.put(`${API_URL}/devices/${deviceId}/interfaces/${editingId}`, payload);
+      }
+      setEditingId(null);
+      fetchInterfaces();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to save interface');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (iface) => {
+    if (!window.confirm(`Delete interface ${iface.name}?`)) return;
+    try {
+      setError(null);
+      await axios.delete(`${API_URL}/devices/${deviceId}/interfaces/${iface.id}`);
+      fetchInterfaces();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to delete interface');
+    }
+  };
+
+  return (
+    <div className="detail-interfaces">
+      <div className="section-header">
+        <h4>Interfaces</h4>
+        <div className="auth-actions">
+          {canEdit && editingId === null && (
+            <button className="btn btn-primary" onClick={() => openForm(null)}>➕ Add Interface</button>
+          )}
+          <button className="btn btn-secondary" onClick={fetchInterfaces}>Refresh</button>
+        </div>
+      </div>
+
+      {canEdit && editingId !== null && (
+        <form className="filter-form interface-form" onSubmit={handleSubmit}>
+          <input name="name" placeholder="Name (Gi1/0/1)" value={form.name} onChange={handleChange} required />
+          <input name="mac_address" placeholder="MAC address" value={form.mac_address} onChange={handleChange} />
+          <input
+            name="ip_addresses"
+            placeholder="IPs (10.0.0.1/24, 2001:db8::1)"
+            value={form.ip_addresses}
+            onChange={handleChange}
+          />
+          <input name="speed_mbps" type="number" min="0" placeholder="Speed (Mbps)" value={form.speed_mbps} onChange={handleChange} />
+          <select name="admin_status" value={form.admin_status} onChange={handleChange}>
+            <option value="up">Admin up</option>
+            <option value="down">Admin down</option>
+          </select>
+          <select name="oper_status" value={form.oper_status} onChange={handleChange}>
+            <option value="up">Oper up</option>
+            <option value="down">Oper down</option>
+            <option value="unknown">Oper unknown</option>
+          </select>
+          <input name="description" placeholder="Description" value={form.description} onChange={handleChange} />
+          <select
+            name="pass_through_id"
+            value={form.pass_through_id}
+            onChange={handleChange}
+            aria-label="Passes through to"
+            title="Patch panel ports: the port on the other side of the panel"
+          >
+            <option value="">No pass-through</option>
+            {interfaces
+              .filter((i) => i.id !== editingId)
+              .map((i) => (
+                <option key={i.id} value={i.id}>↔ {i.name}</option>
+              ))}
+          </select>
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {editingId === 'new' ? 'Create' : 'Save'}
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={() => setEditingId(null)} disabled={saving}>
+            Cancel
+          </button>
+        </form>
+      )}
+      {error && <div className="error-banner compact">{error}</div>}
+
+      {loading && <p>Loading interfaces...</p>}
+      {!loading && interfaces.length === 0 && <p className="muted">No interfaces recorded.</p>}
+      {!loading && interfaces.length > 0 && (
+        <div className="users-table-wrapper">
+          <table className="users-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>MAC</th>
+                <th>Addresses</th>
+                <th>Speed</th>
+                <th>Status</th>
+                <th>Description</th>
+                {canEdit && <th>Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {interfaces.map((iface) => (
+                <tr key={iface.id}>
+                  <td>
+                    <strong>{iface.name}</strong>
+                    {iface.pass_through_id && (
+                      <div className="muted small">
+                        ↔ {interfaces.find((i) => i.id === iface.pass_through_id)?.name}
+                      </div>
+                    )}
+                  </td>
+                  <td className="mono">{iface.mac_address || '—'}</td>
+                  <td className="mono">{iface.ip_addresses?.length ? iface.ip_addresses.join(', ') : '—'}</td>
+                  <td>{formatSpeed(iface.speed_mbps)}</td>
+                  <td>
+                    <span className={`interface-status interface-${iface.admin_status === 'down' ? 'down' : iface.oper_status}`}>
+                      {iface.admin_status === 'down' ? 'admin down' : iface.oper_status}
+                    </span>
+                  </td>
+                  <td>{iface.description || '—'}</td>
+                  {canEdit && (
+                    <td className="user-actions">
+                      <button className="btn btn-secondary" onClick={() => openForm(iface)}>Edit</button>
+                      <button className="btn btn-delete" onClick={() => handleDelete(iface)}>Delete</button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DeviceInterfaces;
@@ -3,6 +3,46 @@ import axios from 'axios';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+/**
+ * Get status color based on device status
+ * @param {string} status - Device status
+ * @returns {string} Hex color code
+ */
+export const getStatusColor = (status) => {
+  switch (status?.toLowerCase()) {
+    case 'active':
+      return '#4CAF50'; // Green
+    case 'inactive':
+      return '#f44336'; // Red
+    case 'maintenance':
+      return '#ff9800'; // Orange
+    default:
+      return '#9e9e9e'; // Gray
+  }
+};
+
+/**
+ * Get icon emoji based on device type
+ * @param {string} type - Device type
+ * @returns {string} Emoji icon
+ */
+export const getDeviceIcon = (type) => {
+  switch (type) {
+    case 'Router':
+      return '🔀';
+    case 'Switch':
+      return '🔌';
+    case 'Firewall':
+      return '🛡️';
+    case 'Server':
+      return '🖥️';
+    case 'Access Point':
+      return '📡';
+    default:
+      return '📦';
+  }
+};
+
 /**
  * DeviceItem Component
  * Displays an individual device as a card with edit and delete functionality
@@ -14,8 +54,23 @@ const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
  * - users: Array of users for assignment
  * - onRefresh: Optional callback to refresh parent list
  * - onShowDetails: Optional callback to open detail modal
+ * - can: Function (capability) => boolean for the current session's role
+ * - selectable: Whether to show the bulk-selection checkbox
+ * - selected: Whether the device is in the bulk selection
+ * - onToggleSelect: Function (id) to add/remove the device from the selection
  */
-function DeviceItem({ device, onEdit, onDelete, users = [], onRefresh, onShowDetails }) {
+function DeviceItem({
+  device,
+  onEdit,
+  onDelete,
+  users = [],
+  onRefresh,
+  onShowDetails,
+  can = () => false,
+  selectable = false,
+  selected = false,
+  onToggleSelect
+}) {
   const [filesOpen, setFilesOpen] = useState(false);
   const [files, setFiles] = useState([]);
   const [filesLoading, setFilesLoading] = useState(false);
@@ -111,52 +166,22 @@ function DeviceItem({ device, onEdit, onDelete, users = [], onRefresh, onShowDet
       setAssigning(false);
     }
   };
-  /**
-   * Get status color based on device status
-   * @param {string} status - Device status
-   * @returns {string} Hex color code
-   */
-  const getStatusColor = (status) => {
-    switch (status?.toLowerCase()) {
-      case 'active':
-        return '#4CAF50'; // Green
-      case 'inactive':
-        return '#f44336'; // Red
-      case 'maintenance':
-        return '#ff9800'; // Orange
-      default:
-        return '#9e9e9e'; // Gray
-    }
-  };
-
-  /**
-   * Get icon emoji based on device type
-   * @param {string} type - Device type
-   * @returns {string} Emoji icon
-   */
-  const getDeviceIcon = (type) => {
-    switch (type) {
-      case 'Router':
-        return '🔀';
-      case 'Switch':
-        return '🔌';
-      case 'Firewall':
-        return '🛡️';
-      case 'Server':
-        return '🖥️';
-      case 'Access Point':
-        return '📡';
-      default:
-        return '📦';
-    }
-  };
 
   const statusColor = getStatusColor(device.status);
   const deviceIcon = getDeviceIcon(device.device_type);
 
   return (
-    <div className="device-item" style={{ borderLeftColor: statusColor }}>
+    <div className={`device-item ${selected ? 'device-item-selected' : ''}`} style={{ borderLeftColor: statusColor }}>
       <div className="device-header">
+        {selectable && (
+          <input
+            type="checkbox"
+            className="device-select"
+            checked={selected}
+            onChange={() => onToggleSelect && onToggleSelect(device.id)}
+            aria-label={`Select ${device.hostname}`}
+          />
+        )}
         <span className="device-icon">{deviceIcon}</span>
         <h3 className="device-hostname">{device.hostname}</h3>
         <span
@@ -185,7 +210,10 @@ function DeviceItem({ device, onEdit, onDelete, users = [], onRefresh, onShowDet
         {device.location && (
           <div className="device-detail-row">
             <span className="detail-label">Location:</span>
-            <span className="detail-value">{device.location}</span>
+            <span className="detail-value">
+              {device.location}
+              {device.rack_position && ` · U${device.rack_position}${device.rack_face === 'rear' ? ' (rear)' : ''}`}
+            </span>
           </div>
         )}
 
@@ -199,6 +227,21 @@ function DeviceItem({ device, onEdit, onDelete, users = [], onRefresh, onShowDet
           </span>
         </div>
 
+        {device.reachable !== null && device.reachable !== undefined && (
+          <div className="device-detail-row">
+            <span className="detail-label">Reachability:</span>
+            <span
+              className="detail-value"
+              title={`Last checked ${new Date(device.last_checked).toLocaleString()}${device.probe_error ? ` · ${device.probe_error}` : ''}`}
+            >
+              <span className={`reach-dot ${device.reachable ? 'reach-up' : 'reach-down'}`} />
+              {device.reachable
+                ? `up${device.latency_ms !== null ? ` · ${device.latency_ms} ms` : ''}`
+                : `down · last seen ${device.last_seen ? new Date(device.last_seen).toLocaleString() : 'never'}`}
+            </span>
+          </div>
+        )}
+
         <div className="device-detail-row">
           <span className="detail-label">Assigned To:</span>
           <span className="detail-value">
@@ -217,20 +260,24 @@ function DeviceItem({ device, onEdit, onDelete, users = [], onRefresh, onShowDet
       </div>
 
       <div className="device-actions">
-        <button
-          className="btn btn-edit"
-          onClick={() => onEdit(device)}
-          aria-label={`Edit ${device.hostname}`}
-        >
-          ✏️ Edit
-        </button>
-        <button
-          className="btn btn-delete"
-          onClick={() => onDelete(device.id)}
-          aria-label={`Delete ${device.hostname}`}
-        >
-          🗑️ Delete
-        </button>
+        {can('devices:write') && (
+          <button
+            className="btn btn-edit"
+            onClick={() => onEdit(device)}
+            aria-label={`Edit ${device.hostname}`}
+          >
+            ✏️ Edit
+          </button>
+        )}
+        {can('devices:delete') && (
+          <button
+            className="btn btn-delete"
+            onClick={() => onDelete(device.id)}
+            aria-label={`Delete ${device.hostname}`}
+          >
+            🗑️ Delete
+          </button>
+        )}
         <button
           className="btn btn-secondary"
           onClick={() => onShowDetails && onShowDetails(device.id)}
@@ -247,43 +294,47 @@ function DeviceItem({ device, onEdit, onDelete, users = [], onRefresh, onShowDet
         </button>
       </div>
 
-      <div className="device-assign">
-        <div className="assign-row">
-          <select
-            value={assignUserId}
-            onChange={(e) => setAssignUserId(e.target.value)}
-          >
-            <option value="">Select user</option>
-            {users.map((u) => (
-              <option key={u.id} value={u.id}>
-                {u.name} ({u.role})
-              </option>
-            ))}
-          </select>
-          <button className="btn btn-primary" onClick={handleAssign} disabled={assigning}>
-            Check-out
-          </button>
-          <button className="btn btn-secondary" onClick={handleCheckin} disabled={assigning}>
-            Check-in
-          </button>
+      {can('devices:assign') && (
+        <div className="device-assign">
+          <div className="assign-row">
+            <select
+              value={assignUserId}
+              onChange={(e) => setAssignUserId(e.target.value)}
+            >
+              <option value="">Select user</option>
+              {users.filter((u) => u.active).map((u) => (
+                <option key={u.id} value={u.id}>
+                  {u.name} ({u.role})
+                </option>
+              ))}
+            </select>
+            <button className="btn btn-primary" onClick={handleAssign} disabled={assigning}>
+              Check-out
+            </button>
+            <button className="btn btn-secondary" onClick={handleCheckin} disabled={assigning}>
+              Check-in
+            </button>
+          </div>
+          {assignError && <div className="error-banner compact">{assignError}</div>}
+          {assigning && <p className="muted">Saving...</p>}
         </div>
-        {assignError && <div className="error-banner compact">{assignError}</div>}
-        {assigning && <p className="muted">Saving...</p>}
-      </div>
+      )}
 
       {filesOpen && (
         <div className="device-files">
           <div className="files-header">
             <h4>Config / Files</h4>
-            <label className="btn btn-primary file-upload">
-              {uploading ? 'Uploading...' : 'Upload'}
-              <input
-                type="file"
-                onChange={handleUpload}
-                disabled={uploading}
-                style={{ display: 'none' }}
-              />
-            </label>
+            {can('files:write') && (
+              <label className="btn btn-primary file-upload">
+                {uploading ? 'Uploading...' : 'Upload'}
+                <input
+                  type="file"
+                  onChange={handleUpload}
+                  disabled={uploading}
+                  style={{ display: 'none' }}
+                />
+              </label>
+            )}
           </div>
           {filesError && <div className="error-banner compact">{filesError}</div>}
           {filesLoading && <p>Loading files...</p>}
@@ -1,6 +1,18 @@
 import React, { useState } from 'react';
 import DeviceItem from './DeviceItem';
 import DeviceForm from './DeviceForm';
+import BulkActions from './BulkActions';
+
+// Presets for GET /devices?sort= ("-" sorts descending; later columns break ties)
+const SORT_OPTIONS = [
+  { value: '', label: 'Oldest first' },
+  { value: '-created_at', label: 'Newest first' },
+  { value: 'hostname', label: 'Hostname A–Z' },
+  { value: '-hostname', label: 'Hostname Z–A' },
+  { value: 'ip_address', label: 'IP address' },
+  { value: 'status,hostname', label: 'Status' },
+  { value: 'location,hostname', label: 'Location' }
+];
 
 /**
  * DeviceList Component
@@ -16,6 +28,17 @@ import DeviceForm from './DeviceForm';
  * - onShowDetails: Function to show device detail (optional)
  * - deviceTypes: Array of device type lookups
  * - manufacturers: Array of manufacturer lookups
+ * - models: Array of hardware model lookups
+ * - locations: Array of location nodes (with paths)
+ * - subnets: Array of subnets (IP allocation in the form)
+ * - snmpCredentials: Array of SNMP credentials (no secrets) for the form
+ * - can: Function (capability) => boolean for the current session's role
+ * - total: Number of devices matching the filters (across all pages)
+ * - offset: Index of the first listed device
+ * - pageSize: Devices per page
+ * - onPageChange: Function (offset) => void to load another page
+ * - sort: Current sort parameter (see SORT_OPTIONS)
+ * - onSortChange: Function (sort) => void to reload with another sort order
  */
 function DeviceList({
   devices,
@@ -26,10 +49,49 @@ function DeviceList({
   onRefresh,
   onShowDetails,
   deviceTypes = [],
-  manufacturers = []
+  manufacturers = [],
+  models = [],
+  locations = [],
+  subnets = [],
+  snmpCredentials = [],
+  can = () => false,
+  total = devices.length,
+  offset = 0,
+  pageSize = devices.length,
+  onPageChange,
+  sort = '',
+  onSortChange
 }) {
   const [editingDevice, setEditingDevice] = useState(null);
   const [showCreateForm, setShowCreateForm] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const canBulk = can('devices:write') || can('devices:assign') || can('devices:delete');
+  // Drop selections for devices no longer listed (deleted or filtered out)
+  const visibleSelection = selectedIds.filter((id) => devices.some((d) => d.id === id));
+  const allSelected = devices.length > 0 && visibleSelection.length === devices.length;
+
+  /**
+   * Toggle one device in the bulk selection
+   */
+  const handleToggleSelect = (id) => {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+
+  /**
+   * Select every listed device, or clear when all are selected
+   */
+  const handleToggleAll = () => {
+    setSelectedIds(allSelected ? [] : devices.map((d) => d.id));
+  };
+
+  /**
+   * Refresh after a bulk operation and clear the selection
+   */
+  const handleBulkDone = () => {
+    setSelectedIds([]);
+    if (onRefresh) onRefresh();
+  };
 
   /**
    * Handle edit button click
@@ -73,7 +135,17 @@ function DeviceList({
     <div className="device-list-container">
       <div className="device-list-header">
         <h2>📋 Device List</h2>
-        {!showCreateForm && !editingDevice && (
+        {onSortChange && (
+          <label className="muted small device-sort">
+            Sort{' '}
+            <select value={sort} onChange={(e) => onSortChange(e.target.value)}>
+              {SORT_OPTIONS.map((o) => (
+                <option key={o.value} value={o.value}>{o.label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {can('devices:write') && !showCreateForm && !editingDevice && (
           <button
             className="btn btn-primary btn-add"
             onClick={() => {
@@ -86,6 +158,28 @@ function DeviceList({
         )}
       </div>
 
+      {canBulk && !showCreateForm && devices.length > 0 && (
+        <div className="bulk-select-row">
+          <label className="bulk-select-all">
+            <input type="checkbox" checked={allSelected} onChange={handleToggleAll} />
+            Select all on this page ({devices.length})
+          </label>
+        </div>
+      )}
+
+      {canBulk && !showCreateForm && visibleSelection.length > 0 && (
+        <BulkActions
+          selectedIds={visibleSelection}
+          onClear={() => setSelectedIds([])}
+          onDone={handleBulkDone}
+          users={users}
+          deviceTypes={deviceTypes}
+          manufacturers={manufacturers}
+          locations={locations}
+          can={can}
+        />
+      )}
+
       {/* Show create form */}
       {showCreateForm && (
         <DeviceForm
@@ -93,6 +187,10 @@ function DeviceList({
           onCancel={handleCancelCreate}
           deviceTypes={deviceTypes}
           manufacturers={manufacturers}
+          models={models}
+          locations={locations}
+          subnets={subnets}
+          snmpCredentials={snmpCredentials}
         />
       )}
 
@@ -113,6 +211,10 @@ function DeviceList({
                   onCancel={handleCancelEdit}
                   deviceTypes={deviceTypes}
                   manufacturers={manufacturers}
+                  models={models}
+                  locations={locations}
+                  subnets={subnets}
+                  snmpCredentials={snmpCredentials}
                 />
               ) : (
                 <DeviceItem
@@ -123,12 +225,38 @@ function DeviceList({
                   users={users}
                   onRefresh={onRefresh}
                   onShowDetails={onShowDetails}
+                  can={can}
+                  selectable={canBulk}
+                  selected={visibleSelection.includes(device.id)}
+                  onToggleSelect={handleToggleSelect}
                 />
               )
             ))
           )}
         </div>
       )}
+
+      {!showCreateForm && onPageChange && total > pageSize && (
+        <div className="pagination-bar">
+          <button
+            className="btn btn-secondary"
+            onClick={() => onPageChange(Math.max(offset - pageSize, 0))}
+            disabled={offset === 0}
+          >
+            ← Previous
+          </button>
+          <span className="muted small">
+            {offset + 1}–{Math.min(offset + pageSize, total)} of {total}
+          </span>
+          <button
+            className="btn btn-secondary"
+            onClick={() => onPageChange(offset + pageSize)}
+            disabled={offset + pageSize >= total}
+          >
+            Next →
+          </button>
+        </div>
+      )}
     </div>
   );
 }
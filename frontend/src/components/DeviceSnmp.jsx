@@ -0,0 +1,275 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+/**
+ * Scale a number by 1000s (bits) or 1024s (bytes) with a unit suffix
+ */
+const scaled = (value, base, units) => {
+  if (value === null || value === undefined) return '—';
+  let number = Number(value);
+  let unit = 0;
+  while (number >= base && unit < units.length - 1) {
+    number /= base;
+    unit += 1;
+  }
+  return `${number.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+const formatBps = (value) => scaled(value, 1000, ['bps', 'kbps', 'Mbps', 'Gbps', 'Tbps']);
+const formatBytes = (value) => scaled(value, 1024, ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB']);
+
+/**
+ * sysUpTime as days, hours and minutes
+ */
+const formatUptime = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return days > 0 ? `${days}d ${hours}h ${minutes}m` : `${hours}h ${minutes}m`;
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+/**
+ * DeviceSnmp Component
+ * SNMP tab of DeviceDetail: the credential in use, what the device reported on its last poll, the differences
+ * from the inventory (each can be accepted) and the polled interface counters. Loads /devices/:id/snmp.
+ *
+ * Props:
+ * - deviceId: Device to show
+ * - canEdit: Whether the session may poll and accept suggestions
+ * - onApplied: Function called after suggestions were accepted (the device record changed)
+ */
+function DeviceSnmp({ deviceId, canEdit = false, onApplied }) {
+  const [snmp, setSnmp] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [selected, setSelected] = useState([]);
+
+  const show = (data) => {
+    setSnmp(data);
+    setSelected([]);
+  };
+
+  const fetchSnmp = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await axios.get(`${API_URL}/devices/${deviceId}/snmp`);
+      if (res.data.success) show(res.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load SNMP data');
+    } finally {
+      setLoading(false);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    setMessage(null);
+    fetchSnmp();
+  }, [fetchSnmp]);
+
+  const handlePoll = async () => {
+    try {
+      setBusy(true);
+      setError(null);
+      const res = await axios.post(`${API_URL}/devices/${deviceId}/snmp/poll`);
+      setMessage(res.data.message);
+      show(res.data.data);
+    } catch (err) {
+      // A failed poll still returns what is stored, with the error recorded on the facts
+      if (err.response?.data?.data) show(err.response.data.data);
+      setMessage(null);
+      setError(err.response?.data?.message || err.message || 'SNMP poll failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleApply = async () => {
+    try {
+      setBusy(true);
+      setError(null);
+      const res = await axios.post(`${API_URL}/devices/${deviceId}/snmp/apply`, { fields: selected });
+      setMessage(res.data.message);
+      show(res.data.data);
+      if (onApplied) onApplied();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to apply SNMP data');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggle = (field) =>
+    setSelected((prev) => (prev.includes(field) ? prev.filter((f) => f !== field) : [...prev, field]));
+
+  const credential = snmp?.credential;
+  const facts = snmp?.facts;
+  const discrepancies = snmp?.discrepancies || [];
+  const interfaces = snmp?.interfaces || [];
+
+  return (
+    <div className="detail-interfaces">
+      <div className="section-header">
+        <h4>SNMP</h4>
+        <div className="auth-actions">
+          {canEdit && (
+            <button className="btn btn-primary" onClick={handlePoll} disabled={busy || !credential}>
+              {busy ? 'Working...' : 'Poll now'}
+            </button>
+          )}
+          <button className="btn btn-secondary" onClick={fetchSnmp} disabled={busy}>Refresh</button>
+        </div>
+      </div>
+
+      {error && <div className="error-banner compact">{error}</div>}
+      {message && !error && <p className="muted small">{message}</p>}
+      {loading && <p>Loading SNMP data...</p>}
+
+      {!loading && snmp && (
+        <>
+          <p className="small">
+            <strong>Credential:</strong>{' '}
+            {credential ? (
+              <>
+                {credential.name} (v{credential.version}, udp/{credential.port})
+                <span className="muted">
+                  {credential.source === 'device' ? ' · set on this device' : ` · inherited from ${credential.location_path}`}
+                </span>
+              </>
+            ) : (
+              <span className="muted">none; set one on the device or one of its locations to poll it</span>
+            )}
+          </p>
+
+          {!facts ? (
+            <p className="muted">Not polled yet.</p>
+          ) : (
+            <>
+              <div className="detail-grid">
+                <div><strong>sysName:</strong> {facts.sys_name || '—'}</div>
+                <div>
+                  <strong>sysObjectID:</strong> <span className="mono">{facts.sys_object_id || '—'}</span>
+                  {snmp.vendor && <span className="muted small"> ({snmp.vendor})</span>}
+                </div>
+                <div><strong>Serial (chassis):</strong> {facts.serial_number || '—'}</div>
+                <div><strong>Uptime:</strong> {formatUptime(facts.uptime_seconds)}</div>
+                <div><strong>Last poll:</strong> {formatTime(facts.polled_at)}</div>
+                <div><strong>Last success:</strong> {formatTime(facts.last_success_at)}</div>
+                <div className="detail-notes"><strong>sysDescr:</strong> {facts.sys_descr || '—'}</div>
+              </div>
+              {facts.error && <p className="warning-message">Last poll failed: {facts.error}</p>}
+
+              <h4>Differences from the inventory</h4>
+              {discrepancies.length === 0 ? (
+                <p className="muted small">The inventory matches what the device reports.</p>
+              ) : (
+                <>
+                  <ul className="snmp-discrepancies">
+                    {discrepancies.map((d) => (
+                      <li key={`${d.field}-${d.kind}`}>
+                        <label>
+                          {canEdit && (
+                            <input
+                              type="checkbox"
+                              checked={selected.includes(d.field)}
+                              onChange={() => toggle(d.field)}
+                              disabled={!d.suggestion}
+                            />
+                          )}{' '}
+                          <strong>{d.message}</strong>
+                        </label>
+                        {d.field !== 'interfaces' && (
+                          <div className="muted small">
+                            {d.current ?? '(empty)'} → <span className="mono">{d.reported}</span>
+                          </div>
+                        )}
+                        {d.field === 'interfaces' && (
+                          <ul className="muted small">
+                            {d.suggestion.interfaces.add.map((i) => (
+                              <li key={`add-${i.name}`}>
+                                Add {i.name}
+                                {i.speed_mbps ? ` · ${i.speed_mbps} Mbps` : ''}
+                                {i.mac_address ? ` · ${i.mac_address}` : ''} · {i.admin_status}/{i.oper_status}
+                              </li>
+                            ))}
+                            {d.suggestion.interfaces.update.map((i) => (
+                              <li key={`update-${i.id}`}>
+                                Update {i.name}:{' '}
+                                {Object.entries(i.changes).map(([key, value]) => `${key} → ${value}`).join(', ')}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                  {canEdit && (
+                    <button className="btn btn-primary" onClick={handleApply} disabled={busy || selected.length === 0}>
+                      Accept selected
+                    </button>
+                  )}
+                </>
+              )}
+
+              <h4>Interface counters</h4>
+              {interfaces.length === 0 ? (
+                <p className="muted small">The device reported no interfaces.</p>
+              ) : (
+                <div className="users-table-wrapper">
+                  <table className="users-table">
+                    <thead>
+                      <tr>
+                        <th>ifIndex</th>
+                        <th>Name</th>
+                        <th>Status</th>
+                        <th>Speed</th>
+                        <th>In</th>
+                        <th>Out</th>
+                        <th>Errors in/out</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {interfaces.map((i) => (
+                        <tr key={i.if_index}>
+                          <td>{i.if_index}</td>
+                          <td>
+                            <strong>{i.name}</strong>
+                            {i.alias && <div className="muted small">{i.alias}</div>}
+                            {i.mac_address && <div className="mono">{i.mac_address}</div>}
+                          </td>
+                          <td>
+                            <span className={`interface-status interface-${i.admin_status === 'down' ? 'down' : i.oper_status}`}>
+                              {i.admin_status === 'down' ? 'admin down' : i.oper_status}
+                            </span>
+                          </td>
+                          <td>{i.speed_mbps ? `${i.speed_mbps} Mbps` : '—'}</td>
+                          <td>
+                            {formatBps(i.in_bps)}
+                            <div className="muted small">{formatBytes(i.in_octets)}</div>
+                          </td>
+                          <td>
+                            {formatBps(i.out_bps)}
+                            <div className="muted small">{formatBytes(i.out_octets)}</div>
+                          </td>
+                          <td>{i.in_errors ?? '—'} / {i.out_errors ?? '—'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DeviceSnmp;
@@ -0,0 +1,458 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// How often a running scan is checked for progress
+const REFRESH_MS = 2000;
+
+const KIND_LABELS = { new: 'New', changed: 'Changed', missing: 'Missing' };
+
+const emptyForm = { ranges: '', method: 'icmp', tcp_ports: '', snmp_credential_id: '' };
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+/**
+ * DiscoveryPanel Component
+ * Network discovery: start a sweep of CIDR ranges, follow its progress, then review the queue it produced (new,
+ * changed and missing hosts) and accept entries into the inventory or dismiss them.
+ *
+ * Props:
+ * - canRun: Whether the session may start scans and review them
+ * - deviceTypes, manufacturers, locations: Lookups for the devices accepted hosts become
+ * - snmpCredentials: SNMP credentials (no secrets) a scan can try on the hosts it finds
+ * - onChanged: Function called after hosts were accepted (refreshes the device list)
+ * - onShowDetails: Function (id) => void to open a device
+ */
+function DiscoveryPanel({
+  canRun = false, deviceTypes = [], manufacturers = [], locations = [], snmpCredentials = [], onChanged, onShowDetails
+}) {
+  const [open, setOpen] = useState(false);
+  const [scans, setScans] = useState([]);
+  const [options, setOptions] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [scan, setScan] = useState(null); // scan under review, with its hosts
+  const [kind, setKind] = useState('');
+  const [showReviewed, setShowReviewed] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [overrides, setOverrides] = useState({}); // host id -> { hostname, device_type_id, manufacturer_id }
+  const [locationId, setLocationId] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchScans = useCallback(async () => {
+    try {
+      const res = await axios.get(`${API_URL}/discovery/scans`);
+      if (res.data.success) {
+        setScans(res.data.data || []);
+        setOptions(res.data.options);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load discovery scans');
+    }
+  }, []);
+
+  const fetchScan = useCallback(async (id) => {
+    try {
+      const res = await axios.get(`${API_URL}/discovery/scans/${id}`);
+      if (res.data.success) setScan(res.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load the scan');
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) fetchScans();
+  }, [open, fetchScans]);
+
+  // Follow running scans until they finish
+  const running = scans.some((s) => s.status === 'running');
+  useEffect(() => {
+    if (!open || !running) return;
+    const timer = setTimeout(() => {
+      fetchScans();
+      if (scan?.status === 'running') fetchScan(scan.id);
+    }, REFRESH_MS);
+    return () => clearTimeout(timer);
+  }, [open, running, scans, scan, fetchScans, fetchScan]);
+
+  const openScan = (id) => {
+    setSelected([]);
+    setOverrides({});
+    setError(null);
+    setMessage(null);
+    fetchScan(id);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    try {
+      setBusy(true);
+      setError(null);
+      const res = await axios.post(`${API_URL}/discovery/scans`, {
+        ranges: form.ranges,
+        method: form.method,
+        tcp_ports: form.tcp_ports.trim() || undefined,
+        snmp_credential_id: form.snmp_credential_id ? Number(form.snmp_credential_id) : null
+      });
+      setMessage(res.data.message);
+      setForm(emptyForm);
+      await fetchScans();
+      openScan(res.data.data.id);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to start the scan');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (target) => {
+    if (!window.confirm(`Delete scan #${target.id} and its review queue? Devices created from it stay.`)) return;
+    try {
+      setError(null);
+      await axios.delete(`${API_URL}/discovery/scans/${target.id}`);
+      if (scan?.id === target.id) setScan(null);
+      fetchScans();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to delete the scan');
+    }
+  };
+
+  const hostValue = (host, field) => {
+    const value = overrides[host.id]?.[field];
+    if (value !== undefined) return value;
+    if (field === 'hostname') return host.suggested_hostname;
+    if (field === 'device_type_id') return host.guessed_type_id || '';
+    return host.guessed_manufacturer_id || '';
+  };
+
+  const setHostValue = (id, field, value) =>
+    setOverrides((prev) => ({ ...prev, [id]: { ...prev[id], [field]: value } }));
+
+  const review = async (action) => {
+    try {
+      setBusy(true);
+      setError(null);
+      const body = { host_ids: selected };
+      if (action === 'accept') {
+        body.location_id = locationId ? Number(locationId) : null;
+        body.overrides = {};
+        scan.hosts
+          .filter((h) => h.kind === 'new' && selected.includes(h.id))
+          .forEach((h) => {
+            const typeId = hostValue(h, 'device_type_id');
+            const manufacturerId = hostValue(h, 'manufacturer_id');
+            body.overrides[h.id] = {
+              hostname: hostValue(h, 'hostname'),
+              device_type_id: typeId ? Number(typeId) : undefined,
+              manufacturer_id: manufacturerId ? Number(manufacturerId) : null
+            };
+          });
+      }
+      const res = await axios.post(`${API_URL}/discovery/scans/${scan.id}/${action}`, body);
+      setMessage(res.data.message);
+      setSelected([]);
+      fetchScan(scan.id);
+      fetchScans();
+      if (action === 'accept' && onChanged) onChanged();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || `Failed to ${action} hosts`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const manufacturerName = (id) => manufacturers.find((m) => m.id === id)?.name || (id ? `#${id}` : '—');
+  const describeChange = (field, change) => {
+    const show = (value) => (field === 'manufacturer_id' ? manufacturerName(value) : value ?? '—');
+    return `${field === 'manufacturer_id' ? 'manufacturer' : field.replace(/_/g, ' ')}: ${show(change.from)} → ${show(change.to)}`;
+  };
+
+  const hosts = (scan?.hosts || []).filter(
+    (h) => (!kind || h.kind === kind) && (showReviewed || h.review_status === 'pending')
+  );
+  const pendingShown = hosts.filter((h) => h.review_status === 'pending');
+  const allSelected = pendingShown.length > 0 && pendingShown.every((h) => selected.includes(h.id));
+  const toggle = (id) => setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  const toggleAll = () => setSelected(allSelected ? [] : pendingShown.map((h) => h.id));
+
+  return (
+    <section className="locations-section">
+      <div className="section-header">
+        <h3>🔎 Discovery</h3>
+        <div className="auth-actions">
+          {open && <button className="btn btn-secondary" onClick={fetchScans}>Refresh</button>}
+          <button className="btn btn-secondary" onClick={() => setOpen((prev) => !prev)}>
+            {open ? 'Hide' : 'Show'}
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <>
+          {canRun && (
+            <form className="filter-form contract-form" onSubmit={handleStart}>
+              <input
+                name="ranges"
+                placeholder="CIDR ranges, e.g. 10.0.1.0/24 10.0.2.0/25"
+                value={form.ranges}
+                onChange={handleChange}
+                required
+                aria-label="Ranges to scan"
+              />
+              <select name="method" value={form.method} onChange={handleChange} aria-label="Probe method">
+                <option value="icmp">Ping</option>
+                <option value="tcp">TCP connect</option>
+              </select>
+              <input
+                name="tcp_ports"
+                placeholder={`TCP ports (${options ? options.tcp_ports.join(', ') : 'defaults'})`}
+                value={form.tcp_ports}
+                onChange={handleChange}
+                aria-label="TCP ports"
+              />
+              <select name="snmp_credential_id" value={form.snmp_credential_id} onChange={handleChange} aria-label="SNMP credential">
+                <option value="">No SNMP</option>
+                {snmpCredentials.map((c) => (
+                  <option key={c.id} value={c.id}>SNMP: {c.name}</option>
+                ))}
+              </select>
+              <button type="submit" className="btn btn-primary" disabled={busy || running}>
+                {running ? 'Scan running...' : 'Start scan'}
+              </button>
+            </form>
+          )}
+          {options && (
+            <p className="muted small">
+              Up to {options.max_addresses} addresses per scan. Hosts that answer are checked on their TCP ports and,
+              with a credential, over SNMP to guess their type and manufacturer.
+            </p>
+          )}
+
+          {error && <div className="error-banner compact">{error}</div>}
+          {message && !error && <p className="muted small">{message}</p>}
+
+          {scans.length === 0 ? (
+            <p className="muted">No scans yet.</p>
+          ) : (
+            <div className="users-table-wrapper">
+              <table className="users-table">
+                <thead>
+                  <tr>
+                    <th>Started</th>
+                    <th>Ranges</th>
+                    <th>Status</th>
+                    <th>To review</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {scans.map((s) => (
+                    <tr key={s.id} className={scan?.id === s.id ? 'discovery-current' : undefined}>
+                      <td>
+                        {formatTime(s.started_at)}
+                        <div className="muted small">
+                          #{s.id} by {s.created_by_name || 'unknown'} · {s.method === 'tcp' ? 'TCP' : 'ping'}
+                          {s.snmp_credential_name && ` + SNMP ${s.snmp_credential_name}`}
+                        </div>
+                      </td>
+                      <td className="mono">{s.ranges.join(', ')}</td>
+                      <td>
+                        {s.status === 'running'
+                          ? `Running: ${s.scanned_count} of ${s.address_count}`
+                          : s.status === 'failed'
+                            ? <span className="warning-message">Failed: {s.error}</span>
+                            : `${s.responded_count} of ${s.address_count} answered`}
+                      </td>
+                      <td>
+                        {s.status === 'completed'
+                          ? `${s.pending_new} new, ${s.pending_changed} changed, ${s.pending_missing} missing`
+                          : '—'}
+                      </td>
+                      <td className="user-actions">
+                        <button className="btn btn-secondary" onClick={() => openScan(s.id)}>Review</button>
+                        {canRun && s.status !== 'running' && (
+                          <button className="btn btn-delete" onClick={() => handleDelete(s)}>Delete</button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {scan && (
+            <div className="discovery-review">
+              <div className="section-header">
+                <h4>Scan #{scan.id}: {scan.ranges.join(', ')}</h4>
+                <button className="btn btn-secondary" onClick={() => setScan(null)}>Close</button>
+              </div>
+              {scan.status === 'running' && (
+                <p className="muted">Scanning: {scan.scanned_count} of {scan.address_count} addresses done...</p>
+              )}
+              {scan.status === 'completed' && (
+                <>
+                  <div className="filter-form">
+                    <select value={kind} onChange={(e) => setKind(e.target.value)} aria-label="Kind">
+                      <option value="">All kinds</option>
+                      {Object.entries(KIND_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <label className="muted small">
+                      <input type="checkbox" checked={showReviewed} onChange={(e) => setShowReviewed(e.target.checked)} />
+                      Show reviewed
+                    </label>
+                    {canRun && (
+                      <>
+                        <select value={locationId} onChange={(e) => setLocationId(e.target.value)} aria-label="Location for new devices">
+                          <option value="">New devices: no location</option>
+                          {locations.map((l) => (
+                            <option key={l.id} value={l.id}>New devices: {l.path}</option>
+                          ))}
+                        </select>
+                        <button className="btn btn-primary" onClick={() => review('accept')} disabled={busy || selected.length === 0}>
+                          Accept selected ({selected.length})
+                        </button>
+                        <button className="btn btn-secondary" onClick={() => review('dismiss')} disabled={busy || selected.length === 0}>
+                          Dismiss
+                        </button>
+                      </>
+                    )}
+                  </div>
+
+                  {hosts.length === 0 ? (
+                    <p className="muted">Nothing {showReviewed ? '' : 'left '}to review.</p>
+                  ) : (
+                    <div className="users-table-wrapper">
+                      <table className="users-table">
+                        <thead>
+                          <tr>
+                            {canRun && (
+                              <th>
+                                <input type="checkbox" checked={allSelected} onChange={toggleAll} aria-label="Select all" />
+                              </th>
+                            )}
+                            <th>Address</th>
+                            <th>Device</th>
+                            <th>Seen</th>
+                            <th>Differences</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {hosts.map((h) => {
+                            const editable = canRun && h.kind === 'new' && h.review_status === 'pending';
+                            return (
+                              <tr key={h.id}>
+                                {canRun && (
+                                  <td>
+                                    <input
+                                      type="checkbox"
+                                      checked={selected.includes(h.id)}
+                                      onChange={() => toggle(h.id)}
+                                      disabled={h.review_status !== 'pending'}
+                                      aria-label={`Select ${h.ip_address}`}
+                                    />
+                                  </td>
+                                )}
+                                <td>
+                                  <span className="mono">{h.ip_address}</span>
+                                  <div><span className={`badge discovery-${h.kind}`}>{KIND_LABELS[h.kind]}</span></div>
+                                </td>
+                                <td>
+                                  {editable ? (
+                                    <div className="discovery-host-fields">
+                                      <input
+                                        value={hostValue(h, 'hostname')}
+                                        onChange={(e) => setHostValue(h.id, 'hostname', e.target.value)}
+                                        maxLength={100}
+                                        aria-label={`Hostname for ${h.ip_address}`}
+                                      />
+                                      <select
+                                        value={hostValue(h, 'device_type_id')}
+                                        onChange={(e) => setHostValue(h.id, 'device_type_id', e.target.value)}
+                                        aria-label={`Type for ${h.ip_address}`}
+                                      >
+                                        <option value="">Other</option>
+                                        {deviceTypes.map((t) => (
+                                          <option key={t.id} value={t.id}>{t.name}</option>
+                                        ))}
+                                      </select>
+                                      <select
+                                        value={hostValue(h, 'manufacturer_id')}
+                                        onChange={(e) => setHostValue(h.id, 'manufacturer_id', e.target.value)}
+                                        aria-label={`Manufacturer for ${h.ip_address}`}
+                                      >
+                                        <option value="">No manufacturer</option>
+                                        {manufacturers.map((m) => (
+                                          <option key={m.id} value={m.id}>{m.name}</option>
+                                        ))}
+                                      </select>
+                                    </div>
+                                  ) : h.device_id ? (
+                                    <button className="link-button" onClick={() => onShowDetails && onShowDetails(h.device_id)}>
+                                      {h.device_hostname || `#${h.device_id}`}
+                                    </button>
+                                  ) : (
+                                    <span>
+                                      {h.suggested_hostname}
+                                      {h.guessed_type_name && <span className="muted small"> · {h.guessed_type_name}</span>}
+                                    </span>
+                                  )}
+                                  {h.review_status !== 'pending' && (
+                                    <div className="muted small">
+                                      {h.review_status} by {h.reviewed_by_name || 'unknown'} {formatTime(h.reviewed_at)}
+                                    </div>
+                                  )}
+                                </td>
+                                <td className="small">
+                                  {h.kind === 'missing' ? (
+                                    <span className="muted">Did not answer</span>
+                                  ) : (
+                                    <>
+                                      {h.latency_ms !== null && <div>{h.latency_ms} ms</div>}
+                                      {h.open_ports.length > 0 && <div>TCP {h.open_ports.join(', ')}</div>}
+                                      {h.dns_name && <div className="mono">{h.dns_name}</div>}
+                                      {h.sys_name && <div>SNMP: {h.sys_name}{h.vendor && ` (${h.vendor})`}</div>}
+                                      {h.sys_descr && (
+                                        <div className="muted discovery-descr" title={h.sys_descr}>{h.sys_descr}</div>
+                                      )}
+                                    </>
+                                  )}
+                                </td>
+                                <td className="small">
+                                  {h.kind === 'new' && (
+                                    <span className="muted">
+                                      Not in the inventory{h.serial_number && ` · serial ${h.serial_number}`}
+                                    </span>
+                                  )}
+                                  {h.changes && Object.entries(h.changes).map(([field, change]) => (
+                                    <div key={field}>{describeChange(field, change)}</div>
+                                  ))}
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </>
+              )}
+              {scan.status === 'failed' && <p className="warning-message">The scan failed: {scan.error}</p>}
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default DiscoveryPanel;
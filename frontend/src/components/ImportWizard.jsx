@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const RESULT_LABELS = {
+  ok: 'Ready',
+  duplicate: 'Duplicate (skipped)',
+  error: 'Error'
+};
+
+/**
+ * ImportWizard Component
+ * Three steps: choose a CSV, review the dry-run preview, import.
+ * Uses the same columns as Export CSV (hostname, ip_address, device_type, manufacturer, status,
+ * assigned_to, location).
+ *
+ * Props:
+ * - onClose: Function to close the wizard
+ * - onImported: Function called after devices were created
+ */
+function ImportWizard({ onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const step = result ? 'done' : preview ? 'preview' : 'choose';
+
+  const send = async (dryRun) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return axios.post(`${API_URL}/devices/import`, formData, {
+      params: { dry_run: dryRun ? 'true' : undefined },
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  };
+
+  const handlePreview = async () => {
+    if (!file) return;
+    try {
+      setBusy(true);
+      setError(null);
+      const res = await send(true);
+      setPreview(res.data);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to read CSV');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setBusy(true);
+      setError(null);
+      const res = await send(false);
+      setResult(res.data);
+      if (onImported) onImported();
+    } catch (err) {
+      // A 400 carries a fresh report (e.g. the inventory changed since the preview)
+      if (err.response?.data?.rows) setPreview(err.response.data);
+      setError(err.response?.data?.message || err.message || 'Import failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReset = () => {
+    setFile(null);
+    setPreview(null);
+    setResult(null);
+    setError(null);
+  };
+
+  const summary = (result || preview)?.summary;
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true">
+      <div className="modal import-wizard">
+        <div className="modal-header">
+          <h3>📥 Import Devices from CSV</h3>
+          <button className="btn btn-secondary" onClick={onClose}>Close</button>
+        </div>
+
+        <ol className="import-steps">
+          <li className={step === 'choose' ? 'active' : ''}>Choose file</li>
+          <li className={step === 'preview' ? 'active' : ''}>Review</li>
+          <li className={step === 'done' ? 'active' : ''}>Done</li>
+        </ol>
+
+        {error && <div className="error-banner compact">{error}</div>}
+
+        {step === 'choose' && (
+          <div className="import-choose">
+            <p className="muted small">
+              Columns: hostname, ip_address, device_type, manufacturer, status, assigned_to, location
+              (the Export CSV format). Types, manufacturers and locations must match existing ones
+              (a location by its full path or a unique last part); assigned_to takes a user name or email.
+            </p>
+            <input type="file" accept=".csv,text/csv" onChange={(e) => setFile(e.target.files[0] || null)} />
+            <div className="form-actions">
+              <button className="btn btn-primary" onClick={handlePreview} disabled={!file || busy}>
+                {busy ? 'Checking...' : 'Preview'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {summary && (
+          <div className="import-summary">
+            <span>{summary.total} row(s)</span>
+            <span className="import-ok">{step === 'done' ? `${summary.created} created` : `${summary.valid} ready`}</span>
+            <span className="import-duplicate">{summary.duplicates} duplicate(s)</span>
+            <span className="import-error">{summary.errors} error(s)</span>
+          </div>
+        )}
+        {preview?.ignored_columns?.length > 0 && (
+          <p className="warning-message">Ignored column(s): {preview.ignored_columns.join(', ')}</p>
+        )}
+
+        {step === 'preview' && (
+          <>
+            <div className="users-table-wrapper import-preview">
+              <table className="users-table">
+                <thead>
+                  <tr>
+                    <th>Line</th>
+                    <th>Hostname</th>
+                    <th>IP</th>
+                    <th>Type</th>
+                    <th>Manufacturer</th>
+                    <th>Status</th>
+                    <th>Assigned To</th>
+                    <th>Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map((row) => (
+                    <tr key={row.line} className={`import-row-${row.result}`}>
+                      <td>{row.line}</td>
+                      <td>{row.hostname || '—'}</td>
+                      <td className="mono">{row.ip_address || '—'}</td>
+                      <td>{row.device_type || '—'}</td>
+                      <td>{row.manufacturer || '—'}</td>
+                      <td>{row.status}</td>
+                      <td>{row.assigned_to || '—'}</td>
+                      <td>
+                        <strong>{RESULT_LABELS[row.result]}</strong>
+                        {row.duplicate_of && <div className="muted small">of {row.duplicate_of}</div>}
+                        {row.errors.map((e) => (
+                          <div key={e} className="error-message">{e}</div>
+                        ))}
+                        {row.warnings.map((w) => (
+                          <div key={w} className="warning-message">⚠️ {w}</div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="form-actions">
+              <button
+                className="btn btn-primary"
+                onClick={handleImport}
+                disabled={busy || summary.errors > 0 || summary.valid === 0}
+              >
+                {busy ? 'Importing...' : `Import ${summary.valid} device(s)`}
+              </button>
+              <button className="btn btn-secondary" onClick={handleReset} disabled={busy}>
+                Choose another file
+              </button>
+            </div>
+            {summary.errors > 0 && (
+              <p className="muted small">Fix the rows with errors and preview again; nothing is imported while errors remain.</p>
+            )}
+          </>
+        )}
+
+        {step === 'done' && (
+          <div className="form-actions">
+            <button className="btn btn-primary" onClick={onClose}>Finish</button>
+            <button className="btn btn-secondary" onClick={handleReset}>Import another file</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ImportWizard;
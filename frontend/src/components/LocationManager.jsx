@@ -0,0 +1,294 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// Levels from the top down; a location can only hold levels below its own
+const LOCATION_KINDS = ['site', 'building', 'floor', 'room', 'rack'];
+
+const emptyForm = { name: '', kind: 'site', parent_id: '', description: '', rack_units: '', snmp_credential_id: '' };
+
+/**
+ * LocationManager Component
+ * The site > building > floor > room > rack tree: add, edit or move, merge and delete (only when empty)
+ *
+ * Props:
+ * - locations: Location nodes from /locations, parents before children, with device counts
+ * - canManage: Whether the session may change locations
+ * - onChanged: Function called after any change (refreshes lookups and devices)
+ * - onShowDevices: Function (location) => void to list the devices at a location and below it
+ * - snmpCredentials: SNMP credentials (no secrets); devices below a location without their own use its credential
+ */
+function LocationManager({ locations = [], canManage = false, onChanged, onShowDevices, snmpCredentials = [] }) {
+  const [open, setOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null); // null = closed, 'new' = create
+  const [form, setForm] = useState(emptyForm);
+  const [merging, setMerging] = useState(null); // { id, into_id }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const rank = (kind) => LOCATION_KINDS.indexOf(kind);
+
+  const run = async (request) => {
+    try {
+      setBusy(true);
+      setError(null);
+      const res = await request();
+      setMessage(res.data.message);
+      setEditingId(null);
+      setMerging(null);
+      if (onChanged) onChanged();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Request failed');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Open the form for a new location (optionally under a parent) or for editing one
+   */
+  const openForm = (location, parent = null) => {
+    setMerging(null);
+    setError(null);
+    if (location) {
+      setEditingId(location.id);
+      setForm({
+        name: location.name,
+        kind: location.kind,
+        parent_id: location.parent_id || '',
+        description: location.description || '',
+        rack_units: location.rack_units || '',
+        snmp_credential_id: location.snmp_credential_id || ''
+      });
+    } else {
+      setEditingId('new');
+      setForm({
+        ...emptyForm,
+        parent_id: parent ? parent.id : '',
+        kind: parent ? LOCATION_KINDS[Math.min(rank(parent.kind) + 1, LOCATION_KINDS.length - 1)] : 'site'
+      });
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const payload = {
+      name: form.name,
+      kind: form.kind,
+      parent_id: form.parent_id ? Number(form.parent_id) : null,
+      description: form.description.trim() || null,
+      rack_units: form.kind === 'rack' && form.rack_units !== '' ? Number(form.rack_units) : null,
+      snmp_credential_id: form.snmp_credential_id ? Number(form.snmp_credential_id) : null
+    };
+    run(() =>
+      editingId === 'new'
+        ? axios.post(`${API_URL}/locations`, payload)
+        : axios.put(`${API_URL}/locations/${editingId}`, payload)
+    );
+  };
+
+  const handleDelete = (location) => {
+    if (!window.confirm(`Delete "${location.path}"?`)) return;
+    run(() => axios.delete(`${API_URL}/locations/${location.id}`));
+  };
+
+  const handleMerge = (location) => {
+    const target = locations.find((l) => String(l.id) === String(merging.into_id));
+    if (!target) return;
+    const count = location.device_count + location.trashed_count;
+    const children = location.child_count ? ` and ${location.child_count} sub-location(s)` : '';
+    if (!window.confirm(`Move ${count} device(s)${children} from "${location.path}" to "${target.path}" and delete "${location.path}"?`)) {
+      return;
+    }
+    run(() => axios.post(`${API_URL}/locations/${location.id}/merge`, { into_id: target.id }));
+  };
+
+  // A location cannot move under itself or its own sub-locations, and only under a higher level
+  const editing = editingId !== 'new' && locations.find((l) => l.id === editingId);
+  const parentOptions = locations.filter(
+    (l) => rank(l.kind) < rank(form.kind) && !(editing && l.ancestor_ids.includes(editing.id))
+  );
+
+  return (
+    <section className="locations-section location-manager">
+      <div className="section-header">
+        <h3>🏢 Locations</h3>
+        <div className="auth-actions">
+          {open && canManage && editingId === null && (
+            <button className="btn btn-primary" onClick={() => openForm(null)}>➕ New Site</button>
+          )}
+          <button className="btn btn-secondary" onClick={() => setOpen((prev) => !prev)}>
+            {open ? 'Hide' : 'Show'}
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <>
+          {canManage && editingId !== null && (
+            <form className="filter-form contract-form" onSubmit={handleSubmit}>
+              <input name="name" placeholder="Name" value={form.name} onChange={handleChange} maxLength={100} required />
+              <select name="kind" value={form.kind} onChange={handleChange} aria-label="Level">
+                {LOCATION_KINDS.map((kind) => (
+                  <option key={kind} value={kind}>{kind}</option>
+                ))}
+              </select>
+              <select name="parent_id" value={form.parent_id} onChange={handleChange} aria-label="Inside">
+                <option value="">No parent (top level)</option>
+                {parentOptions.map((l) => (
+                  <option key={l.id} value={l.id}>{l.path}</option>
+                ))}
+              </select>
+              {form.kind === 'rack' && (
+                <input
+                  type="number"
+                  name="rack_units"
+                  placeholder="Height in U (42)"
+                  value={form.rack_units}
+                  onChange={handleChange}
+                  min={1}
+                  max={60}
+                  aria-label="Height in U"
+                />
+              )}
+              <input name="description" placeholder="Description" value={form.description} onChange={handleChange} />
+              <select name="snmp_credential_id" value={form.snmp_credential_id} onChange={handleChange} aria-label="SNMP credential">
+                <option value="">SNMP: inherit from parent</option>
+                {snmpCredentials.map((c) => (
+                  <option key={c.id} value={c.id}>SNMP: {c.name}</option>
+                ))}
+              </select>
+              <button type="submit" className="btn btn-primary" disabled={busy}>
+                {editingId === 'new' ? 'Create' : 'Save'}
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={() => setEditingId(null)} disabled={busy}>
+                Cancel
+              </button>
+            </form>
+          )}
+
+          {error && <div className="error-banner compact">{error}</div>}
+          {message && !error && <p className="muted small">{message}</p>}
+
+          {locations.length === 0 ? (
+            <p className="muted">No locations yet.</p>
+          ) : (
+            <div className="users-table-wrapper">
+              <table className="users-table">
+                <thead>
+                  <tr>
+                    <th>Location</th>
+                    <th>Level</th>
+                    <th>Devices</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {locations.map((l) => {
+                    const inUse = l.device_count + l.trashed_count + l.child_count > 0;
+                    return (
+                      <tr key={l.id}>
+                        <td>
+                          <span className="location-tree-name" style={{ paddingLeft: `${l.depth * 1.25}rem` }}>
+                            {l.depth > 0 && <span className="muted">└ </span>}
+                            <strong>{l.name}</strong>
+                          </span>
+                          {l.description && <div className="muted small">{l.description}</div>}
+                          {l.snmp_credential_id && (
+                            <div className="muted small">
+                              SNMP: {snmpCredentials.find((c) => c.id === l.snmp_credential_id)?.name || `#${l.snmp_credential_id}`}
+                            </div>
+                          )}
+                        </td>
+                        <td>{l.kind === 'rack' ? `rack (${l.rack_units}U)` : l.kind}</td>
+                        <td>
+                          {l.device_count}
+                          {l.total_device_count > l.device_count && (
+                            <span className="muted small"> ({l.total_device_count} incl. below)</span>
+                          )}
+                        </td>
+                        <td className="user-actions">
+                          {merging?.id === l.id ? (
+                            <>
+                              <select
+                                value={merging.into_id}
+                                onChange={(e) => setMerging({ ...merging, into_id: e.target.value })}
+                              >
+                                <option value="">Merge into...</option>
+                                {locations
+                                  .filter((t) => t.id !== l.id && !t.ancestor_ids.includes(l.id))
+                                  .map((t) => (
+                                    <option key={t.id} value={t.id}>{t.path}</option>
+                                  ))}
+                              </select>
+                              <button
+                                className="btn btn-primary"
+                                onClick={() => handleMerge(l)}
+                                disabled={busy || !merging.into_id}
+                              >
+                                Merge
+                              </button>
+                              <button className="btn btn-secondary" onClick={() => setMerging(null)}>Cancel</button>
+                            </>
+                          ) : (
+                            <>
+                              {onShowDevices && (
+                                <button
+                                  className="btn btn-secondary"
+                                  onClick={() => onShowDevices(l)}
+                                  disabled={l.total_device_count === 0}
+                                >
+                                  Devices
+                                </button>
+                              )}
+                              {canManage && (
+                                <>
+                                  {rank(l.kind) < LOCATION_KINDS.length - 1 && (
+                                    <button className="btn btn-secondary" onClick={() => openForm(null, l)} disabled={busy}>
+                                      Add inside
+                                    </button>
+                                  )}
+                                  <button className="btn btn-secondary" onClick={() => openForm(l)} disabled={busy}>Edit</button>
+                                  <button
+                                    className="btn btn-secondary"
+                                    onClick={() => setMerging({ id: l.id, into_id: '' })}
+                                    disabled={busy}
+                                  >
+                                    Merge
+                                  </button>
+                                  <button
+                                    className="btn btn-delete"
+                                    onClick={() => handleDelete(l)}
+                                    disabled={busy || inUse}
+                                    title={inUse ? 'Holds devices or sub-locations; move or merge them first' : ''}
+                                  >
+                                    Delete
+                                  </button>
+                                </>
+                              )}
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default LocationManager;
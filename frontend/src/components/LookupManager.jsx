@@ -0,0 +1,400 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+/**
+ * LookupTable Component
+ * One managed lookup list: add, rename, delete (only when unused) and, for manufacturers, merge
+ *
+ * Props:
+ * - title: Heading
+ * - path: API segment under /lookups (device-types or manufacturers)
+ * - entries: Lookup entries with device_count and trashed_count
+ * - canMerge: Whether entries can be merged into another entry
+ * - onChanged: Function called after any change
+ */
+function LookupTable({ title, path, entries, canMerge = false, onChanged }) {
+  const [newName, setNewName] = useState('');
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [merging, setMerging] = useState(null); // { id, into_id }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const run = async (request, successMessage) => {
+    try {
+      setBusy(true);
+      setError(null);
+      const res = await request();
+      setMessage(successMessage || res.data.message);
+      setEditing(null);
+      setMerging(null);
+      if (onChanged) onChanged();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Request failed');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const ok = await run(() => axios.post(`${API_URL}/lookups/${path}`, { name: newName }), `Added ${newName.trim()}`);
+    if (ok) setNewName('');
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    run(() => axios.put(`${API_URL}/lookups/${path}/${editing.id}`, { name: editing.name }));
+  };
+
+  const handleDelete = (entry) => {
+    if (!window.confirm(`Delete "${entry.name}"?`)) return;
+    run(() => axios.delete(`${API_URL}/lookups/${path}/${entry.id}`), `Deleted ${entry.name}`);
+  };
+
+  const handleMerge = (entry) => {
+    const target = entries.find((t) => String(t.id) === String(merging.into_id));
+    if (!target) return;
+    const count = entry.device_count + entry.trashed_count;
+    if (!window.confirm(`Move ${count} device(s) and the models of "${entry.name}" to "${target.name}" and delete "${entry.name}"?`)) {
+      return;
+    }
+    run(() => axios.post(`${API_URL}/lookups/${path}/${entry.id}/merge`, { into_id: target.id }));
+  };
+
+  return (
+    <div className="lookup-table">
+      <h4>{title}</h4>
+      <form className="filter-form" onSubmit={handleAdd}>
+        <input
+          type="text"
+          placeholder={`New ${title.toLowerCase().replace(/s$/, '')}`}
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          maxLength={100}
+          required
+        />
+        <button type="submit" className="btn btn-primary" disabled={busy}>Add</button>
+      </form>
+
+      {error && <div className="error-banner compact">{error}</div>}
+      {message && !error && <p className="muted small">{message}</p>}
+
+      <div className="users-table-wrapper">
+        <table className="users-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Devices</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry) => {
+              const inUse = entry.device_count + entry.trashed_count > 0;
+              return (
+                <tr key={entry.id}>
+                  <td>
+                    {editing?.id === entry.id ? (
+                      <form className="filter-form" onSubmit={handleRename}>
+                        <input
+                          type="text"
+                          value={editing.name}
+                          onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                          maxLength={100}
+                          required
+                          autoFocus
+                        />
+                        <button type="submit" className="btn btn-primary" disabled={busy}>Save</button>
+                        <button type="button" className="btn btn-secondary" onClick={() => setEditing(null)}>Cancel</button>
+                      </form>
+                    ) : (
+                      <strong>{entry.name}</strong>
+                    )}
+                  </td>
+                  <td>
+                    {entry.device_count}
+                    {entry.trashed_count > 0 && <span className="muted small"> (+{entry.trashed_count} in trash)</span>}
+                  </td>
+                  <td className="user-actions">
+                    {merging?.id === entry.id ? (
+                      <>
+                        <select
+                          value={merging.into_id}
+                          onChange={(e) => setMerging({ ...merging, into_id: e.target.value })}
+                        >
+                          <option value="">Merge into...</option>
+                          {entries.filter((t) => t.id !== entry.id).map((t) => (
+                            <option key={t.id} value={t.id}>{t.name}</option>
+                          ))}
+                        </select>
+                        <button
+                          className="btn btn-primary"
+                          onClick={() => handleMerge(entry)}
+                          disabled={busy || !merging.into_id}
+                        >
+                          Merge
+                        </button>
+                        <button className="btn btn-secondary" onClick={() => setMerging(null)}>Cancel</button>
+                      </>
+                    ) : (
+                      <>
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => setEditing({ id: entry.id, name: entry.name })}
+                          disabled={busy}
+                        >
+                          Rename
+                        </button>
+                        {canMerge && (
+                          <button
+                            className="btn btn-secondary"
+                            onClick={() => setMerging({ id: entry.id, into_id: '' })}
+                            disabled={busy}
+                          >
+                            Merge
+                          </button>
+                        )}
+                        <button
+                          className="btn btn-delete"
+                          onClick={() => handleDelete(entry)}
+                          disabled={busy || inUse}
+                          title={inUse ? 'In use by devices; reassign them first' : ''}
+                        >
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * ModelTable Component
+ * Hardware models per manufacturer: add, edit (name, manufacturer, end-of-support/end-of-life dates),
+ * delete (only when unused)
+ *
+ * Props:
+ * - models: Model lookups with manufacturer_id, manufacturer_name and usage counts
+ * - manufacturers: Manufacturer lookups for the add and edit selects
+ * - onChanged: Function called after any change
+ */
+function ModelTable({ models, manufacturers, onChanged }) {
+  const [form, setForm] = useState({ name: '', manufacturer_id: '' });
+  const [editing, setEditing] = useState(null); // { id, name, manufacturer_id, eos_date, eol_date }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const run = async (request, successMessage) => {
+    try {
+      setBusy(true);
+      setError(null);
+      const res = await request();
+      setMessage(successMessage || res.data.message);
+      setEditing(null);
+      if (onChanged) onChanged();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Request failed');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const ok = await run(
+      () => axios.post(`${API_URL}/lookups/models`, { name: form.name, manufacturer_id: Number(form.manufacturer_id) }),
+      `Added ${form.name.trim()}`
+    );
+    if (ok) setForm((prev) => ({ ...prev, name: '' }));
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const model = models.find((m) => m.id === editing.id);
+    const moving = String(model.manufacturer_id) !== String(editing.manufacturer_id);
+    const count = model.device_count + model.trashed_count;
+    if (moving && count > 0 && !window.confirm(`Move "${model.name}" and its ${count} device(s) to another manufacturer?`)) {
+      return;
+    }
+    run(() => axios.put(`${API_URL}/lookups/models/${editing.id}`, {
+      name: editing.name,
+      manufacturer_id: Number(editing.manufacturer_id),
+      eos_date: editing.eos_date || null,
+      eol_date: editing.eol_date || null
+    }));
+  };
+
+  const handleDelete = (model) => {
+    if (!window.confirm(`Delete "${model.manufacturer_name} ${model.name}"?`)) return;
+    run(() => axios.delete(`${API_URL}/lookups/models/${model.id}`), `Deleted ${model.name}`);
+  };
+
+  const manufacturerSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} required aria-label="Manufacturer">
+      <option value="">Manufacturer...</option>
+      {manufacturers.map((m) => (
+        <option key={m.id} value={m.id}>{m.name}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="lookup-table">
+      <h4>Models</h4>
+      <form className="filter-form" onSubmit={handleAdd}>
+        {manufacturerSelect(form.manufacturer_id, (manufacturer_id) => setForm((prev) => ({ ...prev, manufacturer_id })))}
+        <input
+          type="text"
+          placeholder="New model"
+          value={form.name}
+          onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+          maxLength={100}
+          required
+        />
+        <button type="submit" className="btn btn-primary" disabled={busy}>Add</button>
+      </form>
+
+      {error && <div className="error-banner compact">{error}</div>}
+      {message && !error && <p className="muted small">{message}</p>}
+
+      <div className="users-table-wrapper">
+        <table className="users-table">
+          <thead>
+            <tr>
+              <th>Manufacturer</th>
+              <th>Model</th>
+              <th>End of support / life</th>
+              <th>Devices</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {models.map((model) => {
+              const inUse = model.device_count + model.trashed_count > 0;
+              return editing?.id === model.id ? (
+                <tr key={model.id}>
+                  <td colSpan={5}>
+                    <form className="filter-form" onSubmit={handleSave}>
+                      {manufacturerSelect(editing.manufacturer_id, (manufacturer_id) => setEditing({ ...editing, manufacturer_id }))}
+                      <input
+                        type="text"
+                        value={editing.name}
+                        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                        maxLength={100}
+                        required
+                        autoFocus
+                      />
+                      <label className="muted small">
+                        EoS{' '}
+                        <input
+                          type="date"
+                          value={editing.eos_date}
+                          onChange={(e) => setEditing({ ...editing, eos_date: e.target.value })}
+                        />
+                      </label>
+                      <label className="muted small">
+                        EoL{' '}
+                        <input
+                          type="date"
+                          value={editing.eol_date}
+                          onChange={(e) => setEditing({ ...editing, eol_date: e.target.value })}
+                        />
+                      </label>
+                      <button type="submit" className="btn btn-primary" disabled={busy}>Save</button>
+                      <button type="button" className="btn btn-secondary" onClick={() => setEditing(null)}>Cancel</button>
+                    </form>
+                  </td>
+                </tr>
+              ) : (
+                <tr key={model.id}>
+                  <td>{model.manufacturer_name}</td>
+                  <td><strong>{model.name}</strong></td>
+                  <td className="small">
+                    {model.eos_date || '—'} / {model.eol_date || '—'}
+                  </td>
+                  <td>
+                    {model.device_count}
+                    {model.trashed_count > 0 && <span className="muted small"> (+{model.trashed_count} in trash)</span>}
+                  </td>
+                  <td className="user-actions">
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => setEditing({
+                        id: model.id,
+                        name: model.name,
+                        manufacturer_id: String(model.manufacturer_id),
+                        eos_date: model.eos_date || '',
+                        eol_date: model.eol_date || ''
+                      })}
+                      disabled={busy}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      className="btn btn-delete"
+                      onClick={() => handleDelete(model)}
+                      disabled={busy || inUse}
+                      title={inUse ? 'In use by devices; reassign them first' : ''}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * LookupManager Component
+ * Admin screen for device types, manufacturers and models with per-entry usage counts
+ *
+ * Props:
+ * - deviceTypes: Device type lookups (with usage counts)
+ * - manufacturers: Manufacturer lookups (with usage counts)
+ * - models: Model lookups (with manufacturer and usage counts)
+ * - onChanged: Function called after a change (reload lookups and devices)
+ */
+function LookupManager({ deviceTypes = [], manufacturers = [], models = [], onChanged }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <section className="locations-section lookup-section">
+      <div className="section-header">
+        <h3>🏷️ Device Types, Manufacturers &amp; Models</h3>
+        <button className="btn btn-secondary" onClick={() => setOpen((prev) => !prev)}>
+          {open ? 'Hide' : 'Show'}
+        </button>
+      </div>
+
+      {open && (
+        <div className="lookup-grid">
+          <LookupTable title="Device Types" path="device-types" entries={deviceTypes} onChanged={onChanged} />
+          <LookupTable title="Manufacturers" path="manufacturers" entries={manufacturers} canMerge onChanged={onChanged} />
+          <ModelTable models={models} manufacturers={manufacturers} onChanged={onChanged} />
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default LookupManager;
@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// How long a device must disagree with the poller before it is listed
+const MISMATCH_MINUTES = 60;
+const MISMATCH_CARD_LIMIT = 10;
+
+// Labels for GET /reports/reachability kinds
+const MISMATCH_KINDS = {
+  active_unreachable: 'marked active, unreachable',
+  inactive_reachable: 'marked inactive, answering'
+};
+
+/**
+ * Format a duration in minutes as "3 h 5 min" / "2 d 4 h"
+ */
+const formatMinutes = (minutes) => {
+  if (minutes < 60) return `${minutes} min`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  return `${Math.floor(minutes / (24 * 60))} d ${Math.floor((minutes % (24 * 60)) / 60)} h`;
+};
+
+/**
+ * MonitoringPanel Component
+ * Reachability overview: up/down counts from the poller, its last run (and the SNMP poller's), and devices whose
+ * status disagrees with what the poller sees (active but unreachable for an hour, inactive but answering).
+ *
+ * Props:
+ * - canRun: Whether the session may start a poll
+ * - onShowDetails: Function (id) => void to open a device
+ * - onChanged: Function called after a manual poll (refreshes the device list)
+ */
+function MonitoringPanel({ canRun = false, onShowDetails, onChanged }) {
+  const [status, setStatus] = useState(null);
+  const [mismatches, setMismatches] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchMonitoring = useCallback(async () => {
+    try {
+      const [monitoring, report] = await Promise.all([
+        axios.get(`${API_URL}/monitoring`),
+        axios.get(`${API_URL}/reports/reachability`, { params: { minutes: MISMATCH_MINUTES } })
+      ]);
+      setStatus(monitoring.data.data);
+      setMismatches(report.data.data || []);
+    } catch (err) {
+      console.warn('Failed to load monitoring status', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchMonitoring();
+  }, [fetchMonitoring]);
+
+  const handleRun = async () => {
+    try {
+      setRunning(true);
+      setError(null);
+      setMessage(null);
+      const res = await axios.post(`${API_URL}/monitoring/run`);
+      const { errors } = res.data.data;
+      setMessage(res.data.message + (errors.length > 0 ? ` (${errors.join('; ')})` : ''));
+      await fetchMonitoring();
+      if (onChanged) onChanged();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to run poll');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const poller = status?.poller;
+  const lastRun = poller?.last_run;
+  const snmp = status?.snmp;
+
+  return (
+    <section className="locations-section expiring-section">
+      <div className="section-header">
+        <h3>📶 Reachability</h3>
+        <div className="user-actions">
+          {canRun && (
+            <button className="btn btn-secondary" onClick={handleRun} disabled={running || poller?.running}>
+              {running ? 'Probing...' : 'Probe all now'}
+            </button>
+          )}
+          <button className="btn btn-secondary" onClick={fetchMonitoring}>Refresh</button>
+        </div>
+      </div>
+      {error && <div className="error-banner compact">{error}</div>}
+      {message && <p className="muted small">{message}</p>}
+      {status && (
+        <p className="reach-counts">
+          <span className="reach-dot reach-up" /> {status.counts.up} up
+          <span className="reach-dot reach-down" /> {status.counts.down} down
+          <span className="reach-dot" /> {status.counts.unknown} not probed yet
+          <span className="muted small">
+            {' · '}
+            {poller.enabled
+              ? `polling every ${poller.interval_seconds}s by ${poller.method === 'tcp' ? `TCP ${poller.tcp_port}` : 'ping'}`
+              : 'automatic polling is off'}
+            {lastRun?.finished_at && ` · last run ${new Date(lastRun.finished_at).toLocaleString()}`}
+            {lastRun?.errors?.length > 0 && ` · ${lastRun.errors.join('; ')}`}
+          </span>
+        </p>
+      )}
+      {snmp && (
+        <p className="muted small">
+          SNMP:{' '}
+          {snmp.enabled ? `polling every ${snmp.interval_seconds}s` : 'automatic polling is off'}
+          {snmp.last_run?.finished_at &&
+            ` · last run ${new Date(snmp.last_run.finished_at).toLocaleString()}, ${snmp.last_run.succeeded} of ${snmp.last_run.polled} device(s) answered`}
+          {snmp.last_run?.error && ` · ${snmp.last_run.error}`}
+        </p>
+      )}
+      {mismatches.length === 0 ? (
+        <p className="muted">No device status disagrees with the poller for more than {MISMATCH_MINUTES} minutes.</p>
+      ) : (
+        <ul className="expiring-list">
+          {mismatches.slice(0, MISMATCH_CARD_LIMIT).map((item) => (
+            <li key={item.device_id} className={item.kind === 'active_unreachable' ? 'expiring-soon' : ''}>
+              <span className="expiring-date">
+                {formatMinutes(item.minutes)}
+              </span>
+              <button className="link-button" onClick={() => onShowDetails && onShowDetails(item.device_id)}>
+                {item.hostname}
+              </button>
+              <span className="muted small">
+                {MISMATCH_KINDS[item.kind]} — {item.ip_address}
+                {item.last_seen ? `, last seen ${new Date(item.last_seen).toLocaleString()}` : ', never seen'}
+              </span>
+            </li>
+          ))}
+          {mismatches.length > MISMATCH_CARD_LIMIT && (
+            <li className="muted small">…and {mismatches.length - MISMATCH_CARD_LIMIT} more</li>
+          )}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default MonitoringPanel;
@@ -0,0 +1,295 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const FACES = ['front', 'rear'];
+
+// Height of one rack unit in the elevation, in pixels
+const UNIT_HEIGHT = 22;
+
+/**
+ * RackElevation Component
+ * Racks with their free U, and the elevation of one rack face: devices drawn as blocks at their U positions.
+ * Devices can be dragged to another unit, or to the unplaced list to clear their position.
+ *
+ * Props:
+ * - canEdit: Whether the session may move devices
+ * - onChanged: Function called after a device was moved (refreshes the device list)
+ * - onShowDetails: Function (id) => void to open a device
+ */
+function RackElevation({ canEdit = false, onChanged, onShowDetails }) {
+  const [open, setOpen] = useState(false);
+  const [racks, setRacks] = useState([]);
+  const [rackId, setRackId] = useState('');
+  const [face, setFace] = useState('front');
+  const [rack, setRack] = useState(null);
+  const [dragging, setDragging] = useState(null); // device being dragged
+  const [dropTarget, setDropTarget] = useState(null); // U under the pointer
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchRacks = useCallback(async () => {
+    try {
+      const res = await axios.get(`${API_URL}/racks`);
+      if (res.data.success) {
+        setRacks(res.data.data);
+        setRackId((prev) => prev || (res.data.data[0] ? String(res.data.data[0].id) : ''));
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load racks');
+    }
+  }, []);
+
+  const fetchRack = useCallback(async () => {
+    if (!rackId) {
+      setRack(null);
+      return;
+    }
+    try {
+      const res = await axios.get(`${API_URL}/racks/${rackId}`);
+      if (res.data.success) setRack(res.data.data);
+    } catch (err) {
+      setRack(null);
+      setError(err.response?.data?.message || err.message || 'Failed to load rack');
+    }
+  }, [rackId]);
+
+  useEffect(() => {
+    if (open) fetchRacks();
+  }, [open, fetchRacks]);
+
+  useEffect(() => {
+    if (open) fetchRack();
+  }, [open, fetchRack]);
+
+  /**
+   * Store a new position for a device (null clears it) and reload the rack
+   */
+  const moveDevice = async (device, position) => {
+    try {
+      setBusy(true);
+      setError(null);
+      await axios.put(
+        `${API_URL}/devices/${device.id}`,
+        position === null ? { rack_position: null } : { rack_position: position, rack_face: face }
+      );
+      await Promise.all([fetchRack(), fetchRacks()]);
+      if (onChanged) onChanged();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to move device');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDragStart = (e, device) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(device.id));
+    setDragging(device);
+  };
+
+  const handleDragEnd = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  // A device dropped on unit U keeps its height with U as its top unit
+  const positionFor = (unit) => (dragging ? unit - dragging.rack_height + 1 : unit);
+
+  const handleDrop = (e, unit) => {
+    e.preventDefault();
+    const device = dragging;
+    handleDragEnd();
+    if (!device) return;
+    const position = unit === null ? null : positionFor(unit);
+    if (position === device.rack_position && (position === null || device.rack_face === face)) return;
+    if (position !== null && position < 1) {
+      setError(`${device.hostname} is ${device.rack_height}U and does not fit below U${unit}`);
+      return;
+    }
+    moveDevice(device, position);
+  };
+
+  const allowDrop = (e, unit) => {
+    if (!dragging) return;
+    e.preventDefault();
+    setDropTarget(unit);
+  };
+
+  const current = racks.find((r) => String(r.id) === String(rackId));
+  const side = rack?.faces[face];
+  const units = rack ? Array.from({ length: rack.rack_units }, (_, i) => rack.rack_units - i) : [];
+  // Devices placed on the other face are listed too, so they can be moved across
+  const otherFace = FACES.find((f) => f !== face);
+  const highlighted = dragging && typeof dropTarget === 'number'
+    ? { from: positionFor(dropTarget), to: dropTarget }
+    : null;
+
+  const deviceBlock = (d) => (
+    <div
+      key={d.id}
+      className={`rack-device rack-device-${d.status}`}
+      draggable={canEdit && !busy}
+      onDragStart={(e) => handleDragStart(e, d)}
+      onDragEnd={handleDragEnd}
+      style={{
+        gridRow: `${rack.rack_units - (d.rack_position + d.rack_height - 1) + 1} / span ${d.rack_height}`
+      }}
+      title={`${d.hostname} (${d.ip_address}) · U${d.rack_position}${d.rack_height > 1 ? `-${d.rack_position + d.rack_height - 1}` : ''}`}
+    >
+      <button type="button" className="link-button" onClick={() => onShowDetails && onShowDetails(d.id)}>
+        {d.hostname}
+      </button>
+      <span className="muted small">
+        {' '}{[d.model_name || d.device_type, `${d.rack_height}U`].filter(Boolean).join(' · ')}
+      </span>
+    </div>
+  );
+
+  const unplacedItem = (d, note) => (
+    <li
+      key={d.id}
+      className="rack-unplaced-item"
+      draggable={canEdit && !busy}
+      onDragStart={(e) => handleDragStart(e, d)}
+      onDragEnd={handleDragEnd}
+    >
+      <button type="button" className="link-button" onClick={() => onShowDetails && onShowDetails(d.id)}>
+        {d.hostname}
+      </button>
+      <span className="muted small"> {d.rack_height}U{note ? ` · ${note}` : ''}</span>
+    </li>
+  );
+
+  return (
+    <section className="locations-section rack-elevation">
+      <div className="section-header">
+        <h3>🗄️ Racks</h3>
+        <button className="btn btn-secondary" onClick={() => setOpen((prev) => !prev)}>
+          {open ? 'Hide' : 'Show'}
+        </button>
+      </div>
+
+      {open && (
+        <>
+          {error && <div className="error-banner compact">{error}</div>}
+
+          {racks.length === 0 ? (
+            <p className="muted">No racks yet. Add a location of kind rack under Locations.</p>
+          ) : (
+            <>
+              <div className="users-table-wrapper">
+                <table className="users-table">
+                  <thead>
+                    <tr>
+                      <th>Rack</th>
+                      <th>Height</th>
+                      <th>Devices</th>
+                      <th>Free front</th>
+                      <th>Free rear</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {racks.map((r) => (
+                      <tr key={r.id} className={String(r.id) === String(rackId) ? 'rack-selected' : ''}>
+                        <td>
+                          <button type="button" className="link-button" onClick={() => setRackId(String(r.id))}>
+                            {r.path}
+                          </button>
+                        </td>
+                        <td>{r.rack_units}U</td>
+                        <td>
+                          {r.placed_count}
+                          {r.device_count > r.placed_count && (
+                            <span className="muted small"> (+{r.device_count - r.placed_count} unplaced)</span>
+                          )}
+                        </td>
+                        <td>{r.free_front}U</td>
+                        <td>{r.free_rear}U</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="filter-form">
+                <select value={rackId} onChange={(e) => setRackId(e.target.value)} aria-label="Rack">
+                  {racks.map((r) => (
+                    <option key={r.id} value={r.id}>{r.path}</option>
+                  ))}
+                </select>
+                <div className="auth-actions">
+                  {FACES.map((f) => (
+                    <button
+                      key={f}
+                      type="button"
+                      className={`btn ${face === f ? 'btn-primary' : 'btn-secondary'}`}
+                      onClick={() => setFace(f)}
+                    >
+                      {f === 'front' ? 'Front' : 'Rear'}
+                    </button>
+                  ))}
+                </div>
+                {side && current && (
+                  <span className="muted small">
+                    {side.free_units}U of {rack.rack_units}U free on the {face}
+                    {side.free.length > 0 && ` (${side.free.map((r) => (r.from === r.to ? `U${r.from}` : `U${r.from}-${r.to}`)).join(', ')})`}
+                  </span>
+                )}
+              </div>
+
+              {rack && side && (
+                <div className="rack-layout">
+                  <div
+                    className={`rack-frame${dragging ? ' rack-dragging' : ''}`}
+                    style={{ gridTemplateRows: `repeat(${rack.rack_units}, ${UNIT_HEIGHT}px)` }}
+                  >
+                    {units.map((unit, index) => {
+                      const active = highlighted && unit >= highlighted.from && unit <= highlighted.to;
+                      return (
+                        <div
+                          key={`u${unit}`}
+                          className={`rack-slot${active ? ' drop-target' : ''}`}
+                          style={{ gridRow: index + 1 }}
+                          onDragOver={(e) => allowDrop(e, unit)}
+                          onDrop={(e) => handleDrop(e, unit)}
+                        >
+                          <span className="rack-unit-label">{unit}</span>
+                        </div>
+                      );
+                    })}
+                    {side.devices.map(deviceBlock)}
+                  </div>
+
+                  <div
+                    className={`rack-unplaced${dragging && dropTarget === 'unplaced' ? ' drop-target' : ''}`}
+                    onDragOver={(e) => allowDrop(e, 'unplaced')}
+                    onDrop={(e) => handleDrop(e, null)}
+                  >
+                    <h4>Not placed</h4>
+                    {rack.unplaced.length === 0 && rack.faces[otherFace].devices.length === 0 ? (
+                      <p className="muted small">Every device in this rack has a position.</p>
+                    ) : (
+                      <ul className="files-list">
+                        {rack.unplaced.map((d) => unplacedItem(d))}
+                        {rack.faces[otherFace].devices.map((d) => unplacedItem(d, `${otherFace} U${d.rack_position}`))}
+                      </ul>
+                    )}
+                    {canEdit && (
+                      <p className="muted small">
+                        Drag a device onto a unit to place it (its top edge lands there); drop a placed device here to clear its position.
+                      </p>
+                    )}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default RackElevation;
@@ -0,0 +1,160 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+/**
+ * SavedViews Component
+ * Dropdown of saved device-list views (own and shared) with save, share and delete
+ *
+ * Props:
+ * - current: Applied filters { search, status, sort } to save as a view
+ * - onApply: Function (view) => void that loads a view's search, status and sort
+ * - userId: Session user ID (only own views can be changed)
+ */
+function SavedViews({ current, onApply, userId }) {
+  const [views, setViews] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState({ name: '', shared: false });
+  const [error, setError] = useState(null);
+
+  const fetchViews = useCallback(async () => {
+    try {
+      const res = await axios.get(`${API_URL}/views`);
+      if (res.data.success) setViews(res.data.data);
+    } catch (err) {
+      console.warn('Failed to load saved views', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchViews();
+  }, [fetchViews]);
+
+  const selected = views.find((v) => String(v.id) === selectedId);
+  const ownViews = views.filter((v) => v.user_id === userId);
+  const sharedViews = views.filter((v) => v.user_id !== userId);
+
+  const handleSelect = (e) => {
+    setSelectedId(e.target.value);
+    setError(null);
+    const view = views.find((v) => String(v.id) === e.target.value);
+    if (view) onApply(view);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setError(null);
+      const res = await axios.post(`${API_URL}/views`, {
+        name: form.name,
+        search: current.search || '',
+        status: current.status || '',
+        sort: current.sort || '',
+        shared: form.shared
+      });
+      await fetchViews();
+      setSelectedId(String(res.data.data.id));
+      setSaving(false);
+      setForm({ name: '', shared: false });
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to save view');
+    }
+  };
+
+  const handleUpdate = async (changes) => {
+    try {
+      setError(null);
+      await axios.put(`${API_URL}/views/${selected.id}`, changes);
+      await fetchViews();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to update view');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the view "${selected.name}"?`)) return;
+    try {
+      setError(null);
+      await axios.delete(`${API_URL}/views/${selected.id}`);
+      setSelectedId('');
+      await fetchViews();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to delete view');
+    }
+  };
+
+  return (
+    <div className="saved-views">
+      <div className="filter-form">
+        <select value={selectedId} onChange={handleSelect} aria-label="Saved views">
+          <option value="">Saved views...</option>
+          {ownViews.length > 0 && (
+            <optgroup label="My views">
+              {ownViews.map((v) => (
+                <option key={v.id} value={v.id}>{v.name}{v.shared ? ' (shared)' : ''}</option>
+              ))}
+            </optgroup>
+          )}
+          {sharedViews.length > 0 && (
+            <optgroup label="Shared with the team">
+              {sharedViews.map((v) => (
+                <option key={v.id} value={v.id}>{v.name} — {v.owner_name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        {selected && selected.user_id === userId && (
+          <>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => handleUpdate({ search: current.search || '', status: current.status || '', sort: current.sort || '' })}
+              title="Replace this view's filters with the current ones"
+            >
+              Update
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => handleUpdate({ shared: !selected.shared })}>
+              {selected.shared ? 'Unshare' : 'Share'}
+            </button>
+            <button type="button" className="btn btn-delete" onClick={handleDelete}>Delete</button>
+          </>
+        )}
+        {!saving && (
+          <button type="button" className="btn btn-secondary" onClick={() => setSaving(true)}>
+            Save view
+          </button>
+        )}
+      </div>
+
+      {saving && (
+        <form className="filter-form saved-view-form" onSubmit={handleSave}>
+          <input
+            type="text"
+            placeholder="View name"
+            value={form.name}
+            onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+            maxLength={100}
+            required
+            autoFocus
+          />
+          <label className="muted small">
+            <input
+              type="checkbox"
+              checked={form.shared}
+              onChange={(e) => setForm((prev) => ({ ...prev, shared: e.target.checked }))}
+            />{' '}
+            Share with the team
+          </label>
+          <button type="submit" className="btn btn-primary">Save</button>
+          <button type="button" className="btn btn-secondary" onClick={() => setSaving(false)}>Cancel</button>
+        </form>
+      )}
+
+      {error && <div className="error-banner compact">{error}</div>}
+    </div>
+  );
+}
+
+export default SavedViews;
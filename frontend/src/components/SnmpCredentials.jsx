@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const SECURITY_LEVELS = ['noAuthNoPriv', 'authNoPriv', 'authPriv'];
+const AUTH_PROTOCOLS = ['md5', 'sha', 'sha224', 'sha256', 'sha384', 'sha512'];
+const PRIV_PROTOCOLS = ['des', 'aes', 'aes256b', 'aes256r'];
+
+const emptyForm = {
+  name: '',
+  version: '2c',
+  port: '161',
+  community: '',
+  username: '',
+  security_level: 'authPriv',
+  auth_protocol: 'sha',
+  auth_key: '',
+  priv_protocol: 'aes',
+  priv_key: ''
+};
+
+/**
+ * SnmpCredentials Component
+ * SNMP v2c communities and v3 users the poller logs in with. Devices pick one, or inherit one from a location.
+ * Stored secrets are never sent back; leaving a secret empty while editing keeps it.
+ *
+ * Props:
+ * - credentials: Credentials from /snmp/credentials (with has_community/has_auth_key/has_priv_key and usage counts)
+ * - onChanged: Function called after any change
+ */
+function SnmpCredentials({ credentials = [], onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null); // null = closed, 'new' = create
+  const [form, setForm] = useState(emptyForm);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const run = async (request) => {
+    try {
+      setBusy(true);
+      setError(null);
+      const res = await request();
+      setMessage(res.data.message);
+      setEditingId(null);
+      if (onChanged) onChanged();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Request failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openForm = (credential) => {
+    setError(null);
+    setEditingId(credential ? credential.id : 'new');
+    setForm(
+      credential
+        ? {
+            ...emptyForm,
+            name: credential.name,
+            version: credential.version,
+            port: String(credential.port),
+            username: credential.username || '',
+            security_level: credential.security_level || emptyForm.security_level,
+            auth_protocol: credential.auth_protocol || emptyForm.auth_protocol,
+            priv_protocol: credential.priv_protocol || emptyForm.priv_protocol
+          }
+        : emptyForm
+    );
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const payload = { name: form.name, version: form.version, port: Number(form.port) || 161 };
+    // Empty secrets are left out so the stored ones are kept
+    const secret = (key) => {
+      if (form[key] !== '') payload[key] = form[key];
+    };
+    if (form.version === '2c') {
+      secret('community');
+    } else {
+      Object.assign(payload, { username: form.username, security_level: form.security_level });
+      if (form.security_level !== 'noAuthNoPriv') {
+        payload.auth_protocol = form.auth_protocol;
+        secret('auth_key');
+      }
+      if (form.security_level === 'authPriv') {
+        payload.priv_protocol = form.priv_protocol;
+        secret('priv_key');
+      }
+    }
+    run(() =>
+      editingId === 'new'
+        ? axios.post(`${API_URL}/snmp/credentials`, payload)
+        : axios.put(`${API_URL}/snmp/credentials/${editingId}`, payload)
+    );
+  };
+
+  const handleDelete = (credential) => {
+    if (!window.confirm(`Delete SNMP credential "${credential.name}"?`)) return;
+    run(() => axios.delete(`${API_URL}/snmp/credentials/${credential.id}`));
+  };
+
+  const editing = editingId !== 'new' && credentials.find((c) => c.id === editingId);
+  const keptPlaceholder = (label, stored) => (editing && stored ? `${label} (unchanged)` : label);
+
+  return (
+    <section className="locations-section">
+      <div className="section-header">
+        <h3>🔑 SNMP Credentials</h3>
+        <div className="auth-actions">
+          {open && editingId === null && (
+            <button className="btn btn-primary" onClick={() => openForm(null)}>➕ New Credential</button>
+          )}
+          <button className="btn btn-secondary" onClick={() => setOpen((prev) => !prev)}>
+            {open ? 'Hide' : 'Show'}
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <>
+          {editingId !== null && (
+            <form className="filter-form contract-form" onSubmit={handleSubmit}>
+              <input name="name" placeholder="Name" value={form.name} onChange={handleChange} maxLength={100} required />
+              <select name="version" value={form.version} onChange={handleChange} aria-label="SNMP version">
+                <option value="2c">v2c</option>
+                <option value="3">v3</option>
+              </select>
+              <input
+                type="number"
+                name="port"
+                placeholder="UDP port"
+                value={form.port}
+                onChange={handleChange}
+                min={1}
+                max={65535}
+                aria-label="UDP port"
+              />
+              {form.version === '2c' ? (
+                <input
+                  type="password"
+                  name="community"
+                  placeholder={keptPlaceholder('Community', editing?.has_community)}
+                  value={form.community}
+                  onChange={handleChange}
+                  autoComplete="off"
+                />
+              ) : (
+                <>
+                  <input name="username" placeholder="Username" value={form.username} onChange={handleChange} required />
+                  <select name="security_level" value={form.security_level} onChange={handleChange} aria-label="Security level">
+                    {SECURITY_LEVELS.map((level) => (
+                      <option key={level} value={level}>{level}</option>
+                    ))}
+                  </select>
+                  {form.security_level !== 'noAuthNoPriv' && (
+                    <>
+                      <select name="auth_protocol" value={form.auth_protocol} onChange={handleChange} aria-label="Auth protocol">
+                        {AUTH_PROTOCOLS.map((p) => (
+                          <option key={p} value={p}>{p.toUpperCase()}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="password"
+                        name="auth_key"
+                        placeholder={keptPlaceholder('Auth passphrase', editing?.has_auth_key)}
+                        value={form.auth_key}
+                        onChange={handleChange}
+                        autoComplete="off"
+                      />
+                    </>
+                  )}
+                  {form.security_level === 'authPriv' && (
+                    <>
+                      <select name="priv_protocol" value={form.priv_protocol} onChange={handleChange} aria-label="Privacy protocol">
+                        {PRIV_PROTOCOLS.map((p) => (
+                          <option key={p} value={p}>{p.toUpperCase()}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="password"
+                        name="priv_key"
+                        placeholder={keptPlaceholder('Privacy passphrase', editing?.has_priv_key)}
+                        value={form.priv_key}
+                        onChange={handleChange}
+                        autoComplete="off"
+                      />
+                    </>
+                  )}
+                </>
+              )}
+              <button type="submit" className="btn btn-primary" disabled={busy}>
+                {editingId === 'new' ? 'Create' : 'Save'}
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={() => setEditingId(null)} disabled={busy}>
+                Cancel
+              </button>
+            </form>
+          )}
+
+          {error && <div className="error-banner compact">{error}</div>}
+          {message && !error && <p className="muted small">{message}</p>}
+
+          {credentials.length === 0 ? (
+            <p className="muted">No SNMP credentials yet. Devices are only polled over SNMP once they have one.</p>
+          ) : (
+            <div className="users-table-wrapper">
+              <table className="users-table">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Version</th>
+                    <th>Security</th>
+                    <th>Used By</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {credentials.map((c) => (
+                    <tr key={c.id}>
+                      <td><strong>{c.name}</strong></td>
+                      <td>v{c.version} <span className="muted small">udp/{c.port}</span></td>
+                      <td>
+                        {c.version === '2c'
+                          ? 'community'
+                          : `${c.username} · ${c.security_level}${c.auth_protocol ? ` · ${c.auth_protocol.toUpperCase()}` : ''}${
+                            c.priv_protocol ? `/${c.priv_protocol.toUpperCase()}` : ''}`}
+                      </td>
+                      <td>{c.device_count} device(s), {c.location_count} location(s)</td>
+                      <td className="user-actions">
+                        <button className="btn btn-secondary" onClick={() => openForm(c)}>Edit</button>
+                        <button
+                          className="btn btn-delete"
+                          onClick={() => handleDelete(c)}
+                          disabled={c.device_count + c.location_count > 0}
+                          title={c.device_count + c.location_count > 0 ? 'Still used by devices or locations' : undefined}
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default SnmpCredentials;
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const emptyForm = { prefix: '', vlan_id: '', vlan_name: '', gateway: '', description: '' };
+
+/**
+ * SubnetManager Component
+ * Lists subnets/VLANs with utilization; operators and admins can create, edit and delete them
+ *
+ * Props:
+ * - subnets: Array of subnet objects (with used_addresses, usable_addresses, utilization)
+ * - onRefresh: Function to reload subnets
+ * - canManage: Whether the session may manage subnets
+ */
+function SubnetManager({ subnets = [], onRefresh, canManage = false }) {
+  const [editingId, setEditingId] = useState(null); // null = closed, 'new' = create
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const openForm = (subnet) => {
+    setEditingId(subnet ? subnet.id : 'new');
+    setForm(
+      subnet
+        ? {
+            prefix: subnet.prefix,
+            vlan_id: subnet.vlan_id ?? '',
+            vlan_name: subnet.vlan_name || '',
+            gateway: subnet.gateway || '',
+            description: subnet.description || ''
+          }
+        : emptyForm
+    );
+    setFormError(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setFormError(null);
+      const payload = {
+        ...form,
+        prefix: form.prefix.trim(),
+        gateway: form.gateway.trim(),
+        vlan_id: form.vlan_id === '' ? null : Number(form.vlan_id)
+      };
+      if (editingId === 'new') {
+        await axios.post(`${API_URL}/subnets`, payload);
+      } else {
+        await axios.put(`${API_URL}/subnets/${editingId}`, payload);
+      }
+      setEditingId(null);
+      if (onRefresh) onRefresh();
+    } catch (err) {
+      setFormError(err.response?.data?.message || err.message || 'Failed to save subnet');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (subnet) => {
+    if (!window.confirm(`Delete subnet ${subnet.prefix}? Devices keep their addresses.`)) return;
+    try {
+      setFormError(null);
+      await axios.delete(`${API_URL}/subnets/${subnet.id}`);
+      if (onRefresh) onRefresh();
+    } catch (err) {
+      setFormError(err.response?.data?.message || err.message || 'Failed to delete subnet');
+    }
+  };
+
+  return (
+    <section className="locations-section subnets-section">
+      <div className="section-header">
+        <h3>🧭 Subnets &amp; VLANs</h3>
+        <div className="auth-actions">
+          {canManage && editingId === null && (
+            <button className="btn btn-primary" onClick={() => openForm(null)}>➕ New Subnet</button>
+          )}
+          <button className="btn btn-secondary" onClick={onRefresh}>Refresh</button>
+        </div>
+      </div>
+
+      {canManage && editingId !== null && (
+        <form className="filter-form subnet-form" onSubmit={handleSubmit}>
+          <input name="prefix" placeholder="Prefix (10.20.0.0/24)" value={form.prefix} onChange={handleChange} required />
+          <input name="vlan_id" type="number" min="1" max="4094" placeholder="VLAN ID" value={form.vlan_id} onChange={handleChange} />
+          <input name="vlan_name" placeholder="VLAN name" value={form.vlan_name} onChange={handleChange} />
+          <input name="gateway" placeholder="Gateway" value={form.gateway} onChange={handleChange} />
+          <input name="description" placeholder="Description" value={form.description} onChange={handleChange} />
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {editingId === 'new' ? 'Create' : 'Save'}
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={() => setEditingId(null)} disabled={saving}>
+            Cancel
+          </button>
+        </form>
+      )}
+      {formError && <div className="error-banner compact">{formError}</div>}
+
+      {subnets.length === 0 ? (
+        <p className="muted">No subnets defined yet.</p>
+      ) : (
+        <div className="users-table-wrapper">
+          <table className="users-table">
+            <thead>
+              <tr>
+                <th>Prefix</th>
+                <th>VLAN</th>
+                <th>Gateway</th>
+                <th>Description</th>
+                <th>Utilization</th>
+                {canManage && <th>Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {subnets.map((s) => (
+                <tr key={s.id}>
+                  <td><strong>{s.prefix}</strong></td>
+                  <td>{s.vlan_id ? `${s.vlan_id}${s.vlan_name ? ` (${s.vlan_name})` : ''}` : '—'}</td>
+                  <td>{s.gateway || '—'}</td>
+                  <td>{s.description || '—'}</td>
+                  <td className="subnet-utilization">
+                    <div className="location-bar-wrapper">
+                      <div className="location-bar" style={{ width: `${Math.min(s.utilization, 100)}%` }} />
+                    </div>
+                    <span className="muted small">
+                      {s.used_addresses} / {s.usable_addresses} ({s.utilization}%)
+                    </span>
+                  </td>
+                  {canManage && (
+                    <td className="user-actions">
+                      <button className="btn btn-secondary" onClick={() => openForm(s)}>Edit</button>
+                      <button className="btn btn-delete" onClick={() => handleDelete(s)}>Delete</button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default SubnetManager;
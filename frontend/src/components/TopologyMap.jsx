@@ -0,0 +1,314 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import axios from 'axios';
+import { getStatusColor, getDeviceIcon } from './DeviceItem';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const emptyFilters = { location_id: '', device_type_id: '', status: '' };
+
+// Drawing area of the map, in SVG units; the view box is fitted to the laid out nodes
+const WIDTH = 900;
+const HEIGHT = 560;
+const NODE_RADIUS = 16;
+
+const EDGE_KINDS = {
+  cable: 'Cable',
+  lldp: 'LLDP',
+  cdp: 'CDP'
+};
+
+/**
+ * Force-directed layout (Fruchterman-Reingold): linked nodes pull together, all nodes push apart.
+ * Starts from a circle so the same graph always gets the same picture.
+ * @param {Array<Object>} nodes
+ * @param {Array<Object>} edges
+ * @returns {Map<number, {x: number, y: number}>}
+ */
+const layoutGraph = (nodes, edges) => {
+  const positions = new Map();
+  if (nodes.length === 0) return positions;
+  const k = Math.sqrt((WIDTH * HEIGHT) / nodes.length) * 0.8; // ideal edge length
+  const points = nodes.map((n, i) => {
+    const angle = (2 * Math.PI * i) / nodes.length;
+    return { id: n.id, x: WIDTH / 2 + (WIDTH / 3) * Math.cos(angle), y: HEIGHT / 2 + (HEIGHT / 3) * Math.sin(angle) };
+  });
+  const index = new Map(points.map((p, i) => [p.id, i]));
+  const links = edges.map((e) => [index.get(e.source), index.get(e.target)]).filter(([a, b]) => a !== undefined && b !== undefined);
+
+  // Fewer rounds for big graphs; the repulsion pass is quadratic
+  const iterations = nodes.length > 300 ? 60 : 200;
+  let temperature = WIDTH / 10;
+  for (let round = 0; round < iterations; round += 1) {
+    const moves = points.map(() => ({ x: 0, y: 0 }));
+    for (let i = 0; i < points.length; i += 1) {
+      for (let j = i + 1; j < points.length; j += 1) {
+        const dx = points[i].x - points[j].x || 0.01;
+        const dy = points[i].y - points[j].y || 0.01;
+        const distance = Math.max(Math.hypot(dx, dy), 0.01);
+        const force = (k * k) / distance;
+        moves[i].x += (dx / distance) * force;
+        moves[i].y += (dy / distance) * force;
+        moves[j].x -= (dx / distance) * force;
+        moves[j].y -= (dy / distance) * force;
+      }
+    }
+    links.forEach(([a, b]) => {
+      const dx = points[a].x - points[b].x;
+      const dy = points[a].y - points[b].y;
+      const distance = Math.max(Math.hypot(dx, dy), 0.01);
+      const force = (distance * distance) / k;
+      moves[a].x -= (dx / distance) * force;
+      moves[a].y -= (dy / distance) * force;
+      moves[b].x += (dx / distance) * force;
+      moves[b].y += (dy / distance) * force;
+    });
+    points.forEach((p, i) => {
+      // A weak pull to the middle keeps unconnected nodes from drifting off
+      moves[i].x += (WIDTH / 2 - p.x) * 0.05;
+      moves[i].y += (HEIGHT / 2 - p.y) * 0.05;
+      const length = Math.max(Math.hypot(moves[i].x, moves[i].y), 0.01);
+      const step = Math.min(length, temperature);
+      p.x += (moves[i].x / length) * step;
+      p.y += (moves[i].y / length) * step;
+    });
+    temperature *= 0.97;
+  }
+  points.forEach((p) => positions.set(p.id, { x: p.x, y: p.y }));
+  return positions;
+};
+
+/**
+ * One line per cable path or neighbor entry behind an edge
+ */
+const describeLink = (link) => {
+  const end = (e) => [e.hostname, e.interface].filter(Boolean).join(' ');
+  if (link.kind === 'cable') {
+    const cables = link.cables.map((c) => c.label || `#${c.id}`).join(', ');
+    const via = link.via.length > 0 ? ` via ${link.via.map((v) => v.hostname).join(', ')}` : '';
+    return `${end(link.a)} ⇄ ${end(link.b)} (cable ${cables}${via})`;
+  }
+  return `${link.a.interface} → ${end(link.b)} (${EDGE_KINDS[link.kind]})`;
+};
+
+/**
+ * TopologyMap Component
+ * Devices as nodes and their links as edges, from recorded cables and optionally LLDP/CDP neighbors.
+ * Drawn as SVG in the browser; nodes use the device status colors and open the device on click.
+ *
+ * Props:
+ * - locations: Locations for the location filter
+ * - deviceTypes: Device types for the type filter
+ * - onShowDetails: Function (id) => void to open a device
+ */
+function TopologyMap({ locations = [], deviceTypes = [], onShowDetails }) {
+  const [open, setOpen] = useState(false);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [panels, setPanels] = useState('collapse');
+  const [showNeighbors, setShowNeighbors] = useState(true);
+  const [hideUnlinked, setHideUnlinked] = useState(true);
+  const [graph, setGraph] = useState({ nodes: [], edges: [] });
+  const [selectedEdge, setSelectedEdge] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchTopology = useCallback(async () => {
+    const search = [
+      filters.location_id && `location_id:${filters.location_id}`,
+      filters.device_type_id && `device_type_id:${filters.device_type_id}`
+    ].filter(Boolean).join(' ');
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await axios.get(`${API_URL}/topology`, {
+        params: {
+          search,
+          status: filters.status || undefined,
+          panels,
+          neighbors: showNeighbors ? 'true' : 'false'
+        }
+      });
+      if (res.data.success) {
+        setGraph(res.data.data);
+        setSelectedEdge(null);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load topology');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, panels, showNeighbors]);
+
+  useEffect(() => {
+    if (open) fetchTopology();
+  }, [open, fetchTopology]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const nodes = useMemo(
+    () => (hideUnlinked ? graph.nodes.filter((n) => n.degree > 0) : graph.nodes),
+    [graph, hideUnlinked]
+  );
+  const positions = useMemo(() => layoutGraph(nodes, graph.edges), [nodes, graph.edges]);
+
+  // Fit the view box around the nodes with room for the labels
+  const viewBox = useMemo(() => {
+    if (positions.size === 0) return `0 0 ${WIDTH} ${HEIGHT}`;
+    const xs = [...positions.values()].map((p) => p.x);
+    const ys = [...positions.values()].map((p) => p.y);
+    const margin = NODE_RADIUS * 4;
+    const minX = Math.min(...xs) - margin;
+    const minY = Math.min(...ys) - margin;
+    return `${minX} ${minY} ${Math.max(...xs) + margin - minX} ${Math.max(...ys) + margin - minY}`;
+  }, [positions]);
+
+  const hostnames = useMemo(() => new Map(graph.nodes.map((n) => [n.id, n.hostname])), [graph.nodes]);
+
+  return (
+    <section className="locations-section topology-map">
+      <div className="section-header">
+        <h3>🕸️ Topology</h3>
+        <button className="btn btn-secondary" onClick={() => setOpen((prev) => !prev)}>
+          {open ? 'Hide' : 'Show'}
+        </button>
+      </div>
+
+      {open && (
+        <>
+          <div className="filter-form">
+            <select name="location_id" value={filters.location_id} onChange={handleFilterChange} aria-label="Location">
+              <option value="">All locations</option>
+              {locations.map((l) => (
+                <option key={l.id} value={l.id}>{l.path}</option>
+              ))}
+            </select>
+            <select name="device_type_id" value={filters.device_type_id} onChange={handleFilterChange} aria-label="Type">
+              <option value="">All types</option>
+              {deviceTypes.map((t) => (
+                <option key={t.id} value={t.id}>{t.name}</option>
+              ))}
+            </select>
+            <select name="status" value={filters.status} onChange={handleFilterChange} aria-label="Status">
+              <option value="">All statuses</option>
+              <option value="active">Active</option>
+              <option value="inactive">Inactive</option>
+              <option value="maintenance">Maintenance</option>
+            </select>
+            <label className="muted small">
+              <input
+                type="checkbox"
+                checked={panels === 'collapse'}
+                onChange={(e) => setPanels(e.target.checked ? 'collapse' : 'show')}
+              />
+              Through patch panels
+            </label>
+            <label className="muted small">
+              <input type="checkbox" checked={showNeighbors} onChange={(e) => setShowNeighbors(e.target.checked)} />
+              LLDP/CDP neighbors
+            </label>
+            <label className="muted small">
+              <input type="checkbox" checked={hideUnlinked} onChange={(e) => setHideUnlinked(e.target.checked)} />
+              Hide unconnected devices
+            </label>
+            <button type="button" className="btn btn-secondary" onClick={fetchTopology} disabled={loading}>
+              Refresh
+            </button>
+          </div>
+
+          {error && <div className="error-banner compact">{error}</div>}
+          {loading && <p>Loading topology...</p>}
+          {!loading && nodes.length === 0 && (
+            <p className="muted">
+              No {hideUnlinked ? 'connected ' : ''}devices match. Record cables on the Cabling tab of a device, or
+              report LLDP/CDP neighbors through the API.
+            </p>
+          )}
+
+          {!loading && nodes.length > 0 && (
+            <>
+              <svg className="topology-canvas" viewBox={viewBox} role="img" aria-label="Device topology">
+                {graph.edges
+                  .filter((e) => positions.has(e.source) && positions.has(e.target))
+                  .map((e) => {
+                    const a = positions.get(e.source);
+                    const b = positions.get(e.target);
+                    const kind = e.sources.includes('cable') ? 'cable' : e.sources[0];
+                    return (
+                      <line
+                        key={e.id}
+                        className={`topology-edge topology-edge-${kind} ${selectedEdge?.id === e.id ? 'selected' : ''}`}
+                        x1={a.x}
+                        y1={a.y}
+                        x2={b.x}
+                        y2={b.y}
+                        strokeWidth={Math.min(2 + e.links.length, 6)}
+                        onClick={() => setSelectedEdge(e)}
+                      >
+                        <title>{e.links.map(describeLink).join('\n')}</title>
+                      </line>
+                    );
+                  })}
+                {nodes.map((n) => {
+                  const p = positions.get(n.id);
+                  return (
+                    <g
+                      key={n.id}
+                      className="topology-node"
+                      transform={`translate(${p.x}, ${p.y})`}
+                      onClick={() => onShowDetails && onShowDetails(n.id)}
+                    >
+                      <title>
+                        {`${n.hostname} (${n.ip_address})\n${n.device_type_name || n.device_type} · ${n.status}` +
+                          (n.location ? `\n${n.location}` : '')}
+                      </title>
+                      <circle r={NODE_RADIUS} fill={getStatusColor(n.status)} />
+                      <text className="topology-icon" textAnchor="middle" dy="0.35em">
+                        {getDeviceIcon(n.device_type_name || n.device_type)}
+                      </text>
+                      <text className="topology-label" textAnchor="middle" y={NODE_RADIUS + 14}>
+                        {n.hostname}
+                      </text>
+                    </g>
+                  );
+                })}
+              </svg>
+
+              <div className="topology-legend muted small">
+                {['active', 'maintenance', 'inactive'].map((status) => (
+                  <span key={status}>
+                    <span className="topology-swatch" style={{ background: getStatusColor(status) }} /> {status}
+                  </span>
+                ))}
+                <span>── cable</span>
+                <span>- - LLDP/CDP only</span>
+                <span>
+                  {nodes.length} device(s), {graph.edges.length} link(s)
+                </span>
+              </div>
+
+              {selectedEdge && (
+                <div className="cable-trace">
+                  <div className="section-header">
+                    <strong>
+                      {hostnames.get(selectedEdge.source)} ⇄ {hostnames.get(selectedEdge.target)}
+                    </strong>
+                    <button className="btn btn-secondary" onClick={() => setSelectedEdge(null)}>Close</button>
+                  </div>
+                  <ul className="cable-trace-path">
+                    {selectedEdge.links.map((link, index) => (
+                      <li key={index} className="mono small">{describeLink(link)}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default TopologyMap;
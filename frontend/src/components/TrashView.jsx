@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+/**
+ * TrashView Component
+ * Lists soft-deleted devices with restore, and permanent purge for sessions allowed to purge
+ *
+ * Props:
+ * - onRestored: Function called after a device is restored (reload the live list)
+ * - canPurge: Whether the session may purge devices permanently
+ * - refreshKey: Any value that changes when the trash may have changed (reloads while open)
+ */
+function TrashView({ onRestored, canPurge = false, refreshKey }) {
+  const [open, setOpen] = useState(false);
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await axios.get(`${API_URL}/devices/trash`);
+      if (res.data.success) setDevices(res.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) fetchTrash();
+  }, [open, refreshKey, fetchTrash]);
+
+  const handleRestore = async (device) => {
+    try {
+      setBusyId(device.id);
+      setError(null);
+      const res = await axios.post(`${API_URL}/devices/${device.id}/restore`);
+      const warnings = res.data.warnings || [];
+      setMessage(`Restored ${device.hostname}${warnings.length ? ` — ${warnings.join('; ')}` : ''}`);
+      setDevices((prev) => prev.filter((d) => d.id !== device.id));
+      if (onRestored) onRestored();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Restore failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (device) => {
+    if (!window.confirm(`Permanently delete "${device.hostname}" and its uploaded files? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      setBusyId(device.id);
+      setError(null);
+      const res = await axios.delete(`${API_URL}/devices/${device.id}/purge`);
+      setMessage(`${device.hostname}: ${res.data.message}`);
+      setDevices((prev) => prev.filter((d) => d.id !== device.id));
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Purge failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <section className="locations-section trash-section">
+      <div className="section-header">
+        <h3>🗑️ Trash{open && devices.length > 0 ? ` (${devices.length})` : ''}</h3>
+        <div className="auth-actions">
+          {open && <button className="btn btn-secondary" onClick={fetchTrash}>Refresh</button>}
+          <button className="btn btn-secondary" onClick={() => setOpen((prev) => !prev)}>
+            {open ? 'Hide' : 'Show'}
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <>
+          {error && <div className="error-banner compact">{error}</div>}
+          {message && !error && <p className="muted small">{message}</p>}
+          {loading && <p>Loading trash...</p>}
+          {!loading && devices.length === 0 && <p className="muted">Trash is empty.</p>}
+          {!loading && devices.length > 0 && (
+            <div className="users-table-wrapper">
+              <table className="users-table">
+                <thead>
+                  <tr>
+                    <th>Hostname</th>
+                    <th>IP</th>
+                    <th>Type</th>
+                    <th>Location</th>
+                    <th>Deleted</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {devices.map((d) => (
+                    <tr key={d.id}>
+                      <td><strong>{d.hostname}</strong></td>
+                      <td>{d.ip_address}</td>
+                      <td>{d.device_type_name || d.device_type}</td>
+                      <td>{d.location || '—'}</td>
+                      <td className="small">
+                        {new Date(d.deleted_at).toLocaleString()}
+                        {d.deleted_by_name ? ` by ${d.deleted_by_name}` : ''}
+                      </td>
+                      <td className="user-actions">
+                        <button
+                          className="btn btn-primary"
+                          onClick={() => handleRestore(d)}
+                          disabled={busyId === d.id}
+                        >
+                          Restore
+                        </button>
+                        {canPurge && (
+                          <button
+                            className="btn btn-delete"
+                            onClick={() => handlePurge(d)}
+                            disabled={busyId === d.id}
+                          >
+                            Purge
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default TrashView;
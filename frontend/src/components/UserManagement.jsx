@@ -0,0 +1,278 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const ROLES = ['admin', 'operator', 'viewer'];
+
+/**
+ * UserManagement Component
+ * Users table; admins also get create, role change, activate/deactivate and password reset
+ *
+ * Props:
+ * - users: Array of user objects
+ * - loading: Whether users are loading
+ * - error: Load error message
+ * - onRefresh: Function to reload users (and devices, whose assignments may change)
+ * - canManage: Whether the session may manage users
+ * - currentUser: Session user (admins cannot demote or deactivate themselves)
+ */
+function UserManagement({ users = [], loading, error, onRefresh, canManage = false, currentUser }) {
+  const [showCreate, setShowCreate] = useState(false);
+  const [createForm, setCreateForm] = useState({ name: '', email: '', password: '', role: 'viewer' });
+  const [pending, setPending] = useState(null); // { id, action: 'deactivate' | 'reset' }
+  const [reassignTo, setReassignTo] = useState('');
+  const [resetPassword, setResetPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  const runAction = async (request) => {
+    try {
+      setSaving(true);
+      setActionError(null);
+      await request();
+      setPending(null);
+      setReassignTo('');
+      setResetPassword('');
+      if (onRefresh) onRefresh();
+    } catch (err) {
+      setActionError(
+        err.response?.data?.message || err.response?.data?.error || err.message || 'Action failed'
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      await axios.post(`${API_URL}/users`, { ...createForm, must_change_password: true });
+      setCreateForm({ name: '', email: '', password: '', role: 'viewer' });
+      setShowCreate(false);
+    });
+  };
+
+  const handleRoleChange = (u, role) =>
+    runAction(() => axios.patch(`${API_URL}/users/${u.id}`, { role }));
+
+  const handleActivate = (u) =>
+    runAction(() => axios.patch(`${API_URL}/users/${u.id}`, { active: true }));
+
+  const handleDeactivate = (u) =>
+    runAction(() =>
+      axios.patch(`${API_URL}/users/${u.id}`, {
+        active: false,
+        reassign_to_user_id: reassignTo ? Number(reassignTo) : undefined
+      })
+    );
+
+  const handleReset = (u) =>
+    runAction(() =>
+      axios.patch(`${API_URL}/users/${u.id}`, {
+        password: resetPassword,
+        must_change_password: true
+      })
+    );
+
+  const openPending = (id, action) => {
+    setPending({ id, action });
+    setReassignTo('');
+    setResetPassword('');
+    setActionError(null);
+  };
+
+  return (
+    <section className="users-section">
+      <div className="section-header">
+        <h2>👥 Users</h2>
+        <div className="auth-actions">
+          {canManage && (
+            <button className="btn btn-primary" onClick={() => setShowCreate((v) => !v)}>
+              {showCreate ? 'Cancel' : '➕ New User'}
+            </button>
+          )}
+          <button className="btn btn-secondary" onClick={onRefresh} disabled={loading}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {canManage && showCreate && (
+        <form className="filter-form user-create-form" onSubmit={handleCreate}>
+          <input
+            type="text"
+            placeholder="Name"
+            value={createForm.name}
+            onChange={(e) => setCreateForm((prev) => ({ ...prev, name: e.target.value }))}
+            required
+          />
+          <input
+            type="email"
+            placeholder="Email"
+            value={createForm.email}
+            onChange={(e) => setCreateForm((prev) => ({ ...prev, email: e.target.value }))}
+            required
+          />
+          <input
+            type="password"
+            placeholder="Temporary password (min 6 chars)"
+            value={createForm.password}
+            onChange={(e) => setCreateForm((prev) => ({ ...prev, password: e.target.value }))}
+            required
+          />
+          <select
+            value={createForm.role}
+            onChange={(e) => setCreateForm((prev) => ({ ...prev, role: e.target.value }))}
+          >
+            {ROLES.map((r) => (
+              <option key={r} value={r}>{r}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn btn-primary" disabled={saving}>Create</button>
+        </form>
+      )}
+
+      {error && <div className="error-banner compact">{error}</div>}
+      {actionError && <div className="error-banner compact">{actionError}</div>}
+      {loading && <p>Loading users...</p>}
+      {!loading && users.length === 0 && <p className="muted">No users found.</p>}
+      {!loading && users.length > 0 && (
+        <div className="users-table-wrapper">
+          <table className="users-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Email</th>
+                <th>Role</th>
+                <th>Status</th>
+                <th>Devices</th>
+                <th>Created</th>
+                {canManage && <th>Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((u) => {
+                const isSelf = currentUser?.id === u.id;
+                const isPending = pending?.id === u.id;
+                return (
+                  <React.Fragment key={u.id}>
+                    <tr>
+                      <td>{u.name}</td>
+                      <td>{u.email}</td>
+                      <td>
+                        {canManage && !isSelf ? (
+                          <select
+                            value={u.role}
+                            onChange={(e) => handleRoleChange(u, e.target.value)}
+                            disabled={saving}
+                          >
+                            {!ROLES.includes(u.role) && <option value={u.role}>{u.role}</option>}
+                            {ROLES.map((r) => (
+                              <option key={r} value={r}>{r}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          u.role
+                        )}
+                      </td>
+                      <td>
+                        {u.active ? 'Active' : 'Inactive'}
+                        {u.must_change_password && <span className="muted small"> (password change pending)</span>}
+                      </td>
+                      <td>{u.assigned_device_count ?? 0}</td>
+                      <td>{new Date(u.created_at).toLocaleString()}</td>
+                      {canManage && (
+                        <td className="user-actions">
+                          {!isSelf && u.active && (
+                            <button
+                              className="btn btn-delete"
+                              onClick={() => openPending(u.id, 'deactivate')}
+                              disabled={saving}
+                            >
+                              Deactivate
+                            </button>
+                          )}
+                          {!u.active && (
+                            <button
+                              className="btn btn-primary"
+                              onClick={() => handleActivate(u)}
+                              disabled={saving}
+                            >
+                              Activate
+                            </button>
+                          )}
+                          <button
+                            className="btn btn-secondary"
+                            onClick={() => openPending(u.id, 'reset')}
+                            disabled={saving}
+                          >
+                            Reset password
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                    {canManage && isPending && (
+                      <tr className="user-pending-row">
+                        <td colSpan={7}>
+                          {pending.action === 'deactivate' ? (
+                            <div className="assign-row">
+                              <span>
+                                Deactivate {u.name}
+                                {u.assigned_device_count > 0 && ` and hand over ${u.assigned_device_count} assigned device(s) to`}
+                              </span>
+                              {u.assigned_device_count > 0 && (
+                                <select value={reassignTo} onChange={(e) => setReassignTo(e.target.value)}>
+                                  <option value="">Nobody (check in)</option>
+                                  {users
+                                    .filter((other) => other.active && other.id !== u.id)
+                                    .map((other) => (
+                                      <option key={other.id} value={other.id}>
+                                        {other.name} ({other.role})
+                                      </option>
+                                    ))}
+                                </select>
+                              )}
+                              <button className="btn btn-delete" onClick={() => handleDeactivate(u)} disabled={saving}>
+                                Confirm
+                              </button>
+                              <button className="btn btn-secondary" onClick={() => setPending(null)} disabled={saving}>
+                                Cancel
+                              </button>
+                            </div>
+                          ) : (
+                            <div className="assign-row">
+                              <span>New temporary password for {u.name}</span>
+                              <input
+                                type="password"
+                                placeholder="Min 6 chars"
+                                value={resetPassword}
+                                onChange={(e) => setResetPassword(e.target.value)}
+                              />
+                              <button
+                                className="btn btn-primary"
+                                onClick={() => handleReset(u)}
+                                disabled={saving || resetPassword.length < 6}
+                              >
+                                Reset
+                              </button>
+                              <button className="btn btn-secondary" onClick={() => setPending(null)} disabled={saving}>
+                                Cancel
+                              </button>
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default UserManagement;
@@ -0,0 +1,362 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const EVENT_LABELS = {
+  'device.created': 'Created',
+  'device.updated': 'Updated',
+  'device.deleted': 'Deleted',
+  'device.assigned': 'Assigned',
+  'device.checked_in': 'Checked in',
+  'device.file_uploaded': 'File uploaded',
+  'device.restored': 'Restored',
+  'device.purged': 'Purged',
+  ping: 'Ping'
+};
+
+const emptyWebhook = { name: '', url: '', secret: '', events: ['device.created', 'device.updated', 'device.deleted'], active: true };
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+/**
+ * WebhookManager Component
+ * Admin page for outbound webhooks: subscriptions that receive signed JSON events when devices change, and each
+ * subscription's delivery log with replay. Signing secrets are shown once, after creating a webhook or rotating it.
+ */
+function WebhookManager() {
+  const [open, setOpen] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [webhooks, setWebhooks] = useState([]);
+  const [form, setForm] = useState(null); // null = closed; editing id in form.id
+  const [revealed, setRevealed] = useState(null); // { name, secret } right after create or rotate
+  const [selectedId, setSelectedId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [deliveryStatus, setDeliveryStatus] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchAll = useCallback(async () => {
+    try {
+      const [statusRes, webhooksRes, deliveriesRes] = await Promise.all([
+        axios.get(`${API_URL}/webhooks/status`),
+        axios.get(`${API_URL}/webhooks`),
+        selectedId
+          ? axios.get(`${API_URL}/webhooks/${selectedId}/deliveries`, {
+            params: { status: deliveryStatus || undefined, limit: 50 }
+          })
+          : Promise.resolve(null)
+      ]);
+      setStatus(statusRes.data.data);
+      setWebhooks(webhooksRes.data.data || []);
+      setDeliveries(deliveriesRes?.data.data || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.response?.data?.error || err.message || 'Failed to load webhooks');
+    }
+  }, [selectedId, deliveryStatus]);
+
+  useEffect(() => {
+    if (open) fetchAll();
+  }, [open, fetchAll]);
+
+  const run = async (request, after) => {
+    try {
+      setBusy(true);
+      setError(null);
+      const res = await request();
+      setMessage(res.data.message);
+      if (after) after(res.data.data);
+      await fetchAll();
+    } catch (err) {
+      setError(err.response?.data?.message || err.response?.data?.error || err.message || 'Request failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Pings and replays are sent in the background; look again once the worker had a moment
+  const runAndRefresh = (request) => run(request, () => setTimeout(fetchAll, 1500));
+
+  const revealSecret = (webhook) => {
+    if (webhook?.secret) setRevealed({ name: webhook.name, secret: webhook.secret });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const { id, secret, ...payload } = form;
+    // An empty secret is left out: generated on create, kept on edit
+    if (secret !== '') payload.secret = secret;
+    run(
+      () => (id ? axios.put(`${API_URL}/webhooks/${id}`, payload) : axios.post(`${API_URL}/webhooks`, payload)),
+      (webhook) => {
+        setForm(null);
+        revealSecret(webhook);
+      }
+    );
+  };
+
+  const toggleEvent = (event) =>
+    setForm({
+      ...form,
+      events: form.events.includes(event) ? form.events.filter((x) => x !== event) : [...form.events, event]
+    });
+
+  const selected = webhooks.find((w) => w.id === selectedId);
+
+  return (
+    <section className="locations-section">
+      <div className="section-header">
+        <h3>🪝 Webhooks</h3>
+        <button className="btn btn-secondary" onClick={() => setOpen((prev) => !prev)}>
+          {open ? 'Hide' : 'Show'}
+        </button>
+      </div>
+
+      {open && (
+        <>
+          {status && (
+            <p className="muted small">
+              {status.enabled ? `Queued events are sent every ${status.interval_seconds}s` : 'Automatic sending is off (WEBHOOK_INTERVAL_SECONDS=0)'}
+              {' · '}Failed deliveries are retried up to {status.max_attempts} times
+              {' · '}Delivered events are kept {status.retention_days} day(s)
+            </p>
+          )}
+          {error && <div className="error-banner compact">{error}</div>}
+          {message && !error && <p className="muted small">{message}</p>}
+          {revealed && (
+            <div className="webhook-secret">
+              <span className="small">
+                Signing secret for <strong>{revealed.name}</strong> (shown only now; receivers check
+                X-Inventory-Signature: sha256=HMAC of the body):
+              </span>
+              <code className="mono small">{revealed.secret}</code>
+              <button className="btn btn-secondary" onClick={() => setRevealed(null)}>Done</button>
+            </div>
+          )}
+
+          <div className="section-header">
+            <h4>Subscriptions</h4>
+            {form === null && (
+              <button className="btn btn-secondary" onClick={() => setForm(emptyWebhook)}>➕ New Webhook</button>
+            )}
+          </div>
+          {form !== null && (
+            <form className="alert-rule-form" onSubmit={handleSubmit}>
+              <div className="filter-form">
+                <input
+                  placeholder="Name"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  maxLength={100}
+                  required
+                />
+                <input
+                  type="url"
+                  placeholder="https://cmdb.example.com/hooks/inventory"
+                  value={form.url}
+                  onChange={(e) => setForm({ ...form, url: e.target.value })}
+                  required
+                  aria-label="URL"
+                />
+                <input
+                  type="password"
+                  placeholder={form.id ? 'Signing secret (unchanged)' : 'Signing secret (generated if empty)'}
+                  value={form.secret}
+                  onChange={(e) => setForm({ ...form, secret: e.target.value })}
+                  minLength={16}
+                  autoComplete="off"
+                />
+                <label className="muted small">
+                  <input
+                    type="checkbox"
+                    checked={form.active}
+                    onChange={(e) => setForm({ ...form, active: e.target.checked })}
+                  />
+                  Active
+                </label>
+              </div>
+              <div className="alert-choices">
+                <span className="muted small">Device events:</span>
+                {(status?.events || []).map((event) => (
+                  <label key={event} className="muted small">
+                    <input type="checkbox" checked={form.events.includes(event)} onChange={() => toggleEvent(event)} />
+                    {EVENT_LABELS[event] || event}
+                  </label>
+                ))}
+              </div>
+              <div className="alert-choices">
+                <button type="submit" className="btn btn-primary" disabled={busy || form.events.length === 0}>
+                  {form.id ? 'Save' : 'Create'}
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={() => setForm(null)} disabled={busy}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+          {webhooks.length === 0 ? (
+            <p className="muted">No webhooks yet.</p>
+          ) : (
+            <div className="users-table-wrapper">
+              <table className="users-table">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>URL</th>
+                    <th>Events</th>
+                    <th>Deliveries</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {webhooks.map((w) => (
+                    <tr key={w.id} className={w.active ? undefined : 'alert-disabled'}>
+                      <td>
+                        <strong>{w.name}</strong>
+                        {!w.active && <span className="muted small"> (paused)</span>}
+                      </td>
+                      <td className="mono small">{w.url}</td>
+                      <td className="small">{w.events.map((event) => EVENT_LABELS[event] || event).join(', ')}</td>
+                      <td className="small">
+                        {w.pending_count > 0 && <span className="alert-delivery alert-delivery-pending">{w.pending_count} pending </span>}
+                        {w.failed_count > 0 && <span className="alert-delivery alert-delivery-failed">{w.failed_count} failed</span>}
+                        <div className="muted small">last delivered {formatTime(w.last_delivered_at)}</div>
+                      </td>
+                      <td className="user-actions">
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => setSelectedId(selectedId === w.id ? null : w.id)}
+                        >
+                          {selectedId === w.id ? 'Hide log' : 'Log'}
+                        </button>
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => runAndRefresh(() => axios.post(`${API_URL}/webhooks/${w.id}/ping`))}
+                          disabled={busy}
+                        >
+                          Ping
+                        </button>
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => run(() => axios.put(`${API_URL}/webhooks/${w.id}`, { active: !w.active }))}
+                          disabled={busy}
+                        >
+                          {w.active ? 'Pause' : 'Resume'}
+                        </button>
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => setForm({ id: w.id, name: w.name, url: w.url, secret: '', events: w.events, active: w.active })}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => {
+                            if (window.confirm(`Replace the signing secret of "${w.name}"? Receivers need the new one.`)) {
+                              run(() => axios.put(`${API_URL}/webhooks/${w.id}`, { rotate_secret: true }), revealSecret);
+                            }
+                          }}
+                          disabled={busy}
+                        >
+                          Rotate secret
+                        </button>
+                        <button
+                          className="btn btn-delete"
+                          onClick={() => {
+                            if (window.confirm(`Delete webhook "${w.name}" with its queued events and delivery log?`)) {
+                              if (selectedId === w.id) setSelectedId(null);
+                              run(() => axios.delete(`${API_URL}/webhooks/${w.id}`));
+                            }
+                          }}
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {selected && (
+            <>
+              <div className="section-header">
+                <h4>Deliveries to {selected.name}</h4>
+                <div className="auth-actions">
+                  <select value={deliveryStatus} onChange={(e) => setDeliveryStatus(e.target.value)} aria-label="Delivery status">
+                    <option value="">All statuses</option>
+                    <option value="pending">Pending</option>
+                    <option value="delivered">Delivered</option>
+                    <option value="failed">Failed</option>
+                  </select>
+                  <button className="btn btn-secondary" onClick={fetchAll} disabled={busy}>Refresh</button>
+                </div>
+              </div>
+              {deliveries.length === 0 ? (
+                <p className="muted">No deliveries{deliveryStatus ? ` ${deliveryStatus}` : ''}.</p>
+              ) : (
+                <div className="users-table-wrapper">
+                  <table className="users-table">
+                    <thead>
+                      <tr>
+                        <th>Queued</th>
+                        <th>Event</th>
+                        <th>Status</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {deliveries.map((d) => (
+                        <tr key={d.id}>
+                          <td>
+                            {formatTime(d.created_at)}
+                            <div className="muted small">
+                              #{d.id}
+                              {d.replay_of && ` · replay of #${d.replay_of}`}
+                            </div>
+                          </td>
+                          <td>
+                            {EVENT_LABELS[d.event] || d.event}
+                            {d.payload?.device && <span className="muted small"> · {d.payload.device.hostname}</span>}
+                            <details>
+                              <summary className="muted small">Payload</summary>
+                              <pre className="webhook-payload">{JSON.stringify(d.payload, null, 2)}</pre>
+                            </details>
+                          </td>
+                          <td>
+                            <span className={`alert-delivery alert-delivery-${d.status}`}>{d.status}</span>
+                            <div className="muted small">
+                              {d.status === 'delivered' && `${formatTime(d.delivered_at)} (HTTP ${d.response_status})`}
+                              {d.status === 'pending' && `${d.attempts} attempt(s), next ${formatTime(d.next_attempt_at)}`}
+                              {d.status === 'failed' && `after ${d.attempts} attempt(s)`}
+                            </div>
+                            {d.last_error && <div className="warning-message small">{d.last_error}</div>}
+                          </td>
+                          <td className="user-actions">
+                            {d.status !== 'pending' && (
+                              <button
+                                className="btn btn-secondary"
+                                onClick={() => runAndRefresh(() => axios.post(`${API_URL}/webhooks/deliveries/${d.id}/replay`))}
+                                disabled={busy}
+                              >
+                                Replay
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default WebhookManager;